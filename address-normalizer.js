@@ -0,0 +1,188 @@
+// address-normalizer.js
+// NYC STREET ADDRESS NORMALIZER - the one canonical form for listings and DHCR rows
+//
+// Canonical form: uppercase "HOUSE STREET" with USPS suffixes, numeric ordinals and
+// abbreviated directionals, unit designators removed:
+//   "West Fourth Street, Apt 4B"         → "W 4 ST"
+//   "37-12 82nd Street #3R"              → "37-12 82 ST"
+//   "1001 Avenue of the Americas PH"     → "1001 6 AVE"   (Manhattan alias)
+// normalizeAddress(normalizeAddress(x)) === normalizeAddress(x), so stored keys can be re-normalized.
+
+/**
+ * USPS-style street suffixes (and the directionals that share the same token treatment)
+ */
+const STREET_SUFFIXES = {
+    'AVENUE': 'AVE', 'AVEN': 'AVE', 'AVN': 'AVE', 'AV': 'AVE',
+    'STREET': 'ST', 'STR': 'ST', 'STRT': 'ST',
+    'PLACE': 'PL',
+    'ROAD': 'RD',
+    'BOULEVARD': 'BLVD', 'BOUL': 'BLVD', 'BLV': 'BLVD',
+    'PARKWAY': 'PKWY', 'PKY': 'PKWY', 'PARKWY': 'PKWY',
+    'DRIVE': 'DR', 'DRV': 'DR',
+    'LANE': 'LN',
+    'TERRACE': 'TER', 'TERR': 'TER',
+    'COURT': 'CT',
+    'SQUARE': 'SQ',
+    'PLAZA': 'PLZ',
+    'HIGHWAY': 'HWY',
+    'EXPRESSWAY': 'EXPY',
+    'TURNPIKE': 'TPKE',
+    'CIRCLE': 'CIR',
+    'WEST': 'W',
+    'EAST': 'E',
+    'NORTH': 'N',
+    'SOUTH': 'S'
+};
+
+/**
+ * Spelled-out ordinals ("West Fourth Street")
+ */
+const SPELLED_ORDINALS = {
+    'FIRST': '1', 'SECOND': '2', 'THIRD': '3', 'FOURTH': '4', 'FIFTH': '5',
+    'SIXTH': '6', 'SEVENTH': '7', 'EIGHTH': '8', 'NINTH': '9', 'TENTH': '10',
+    'ELEVENTH': '11', 'TWELFTH': '12', 'THIRTEENTH': '13', 'FOURTEENTH': '14', 'FIFTEENTH': '15',
+    'SIXTEENTH': '16', 'SEVENTEENTH': '17', 'EIGHTEENTH': '18', 'NINETEENTH': '19', 'TWENTIETH': '20'
+};
+
+/**
+ * Borough-specific street aliases, keyed by the canonical (already suffix/ordinal-normalized) name
+ * Only applied when the borough matches or is unknown - 6 AVE in Brooklyn is not Avenue of the Americas
+ */
+const BOROUGH_STREET_ALIASES = {
+    manhattan: {
+        'AVE OF THE AMERICAS': '6 AVE',
+        'AVE OF AMERICAS': '6 AVE',
+        'AVE AMERICAS': '6 AVE',
+        'FASHION AVE': '7 AVE',
+        'ADAM CLAYTON POWELL JR BLVD': '7 AVE',
+        'ADAM CLAYTON POWELL BLVD': '7 AVE',
+        'ADAM C POWELL BLVD': '7 AVE',
+        'ACP BLVD': '7 AVE',
+        'FREDERICK DOUGLASS BLVD': '8 AVE',
+        'MALCOLM X BLVD': 'LENOX AVE',
+        'DUKE ELLINGTON BLVD': 'W 106 ST'
+    }
+};
+
+/**
+ * Unit designators - everything from the designator on is dropped
+ */
+const UNIT_PATTERN = /\s+(?:APT|APARTMENT|UNIT|SUITE|STE|RM|ROOM|FL|FLOOR|PENTHOUSE|PH(?:\d+[A-Z]?|[A-Z])?)\b.*$|\s*#.*$/;
+
+/**
+ * Canonical borough key ("New York" → manhattan, "Staten Island" → staten_island, "3" → brooklyn)
+ */
+function normalizeBorough(borough) {
+    if (!borough) return null;
+
+    const key = borough.toString().toLowerCase().trim().replace(/[\s-]+/g, '_');
+    const aliases = {
+        new_york: 'manhattan', ny: 'manhattan', mn: 'manhattan', 1: 'manhattan',
+        the_bronx: 'bronx', bx: 'bronx', 2: 'bronx',
+        bk: 'brooklyn', bklyn: 'brooklyn', 3: 'brooklyn',
+        qn: 'queens', qns: 'queens', 4: 'queens',
+        si: 'staten_island', 5: 'staten_island'
+    };
+    return aliases[key] || key;
+}
+
+/**
+ * Drop the city/state tail and any unit designator ("123 Main St, Apt 4B, New York" → "123 MAIN ST")
+ */
+function stripUnit(address) {
+    return (address || '').toString().split(',')[0]
+        .toUpperCase()
+        .replace(/\s+/g, ' ')
+        .replace(UNIT_PATTERN, '')
+        .trim();
+}
+
+/**
+ * Canonical unit out of an address ("327 E 12th St #4B" → "4B", "123 Main St, Apt 4-B" → "4B",
+ * "1001 Avenue of the Americas PH" → "PH"); null when the address has no unit designator
+ */
+function extractUnit(address) {
+    const parts = (address || '').toString().toUpperCase().replace(/\s+/g, ' ').split(',').map(part => part.trim());
+
+    for (const part of parts) {
+        const match = part.match(/(?:^|\s)(?:#|(?:APT|APARTMENT|UNIT|SUITE|STE|RM|ROOM)\b\.?)\s*#?\s*([A-Z0-9][A-Z0-9-]*)$/)
+            || part.match(/(?:^|\s)(PENTHOUSE|PH\d*[A-Z]?)$/);
+        if (match) return match[1].replace(/-/g, '').replace(/^PENTHOUSE$/, 'PH');
+    }
+    return null;
+}
+
+/**
+ * Canonical house number: "37 - 12" → "37-12", "12a" → "12A"; null when not a house number
+ */
+function normalizeHouseNumber(value) {
+    const text = (value || '').toString().toUpperCase().replace(/\s*-\s*/g, '-').trim();
+    return /^\d+(?:-\d+)?[A-Z]?$/.test(text) ? text : null;
+}
+
+/**
+ * Canonical street name: suffixes, directionals, ordinals and borough aliases
+ */
+function normalizeStreetName(street, options = {}) {
+    const tokens = (street || '').toString().toUpperCase()
+        .replace(/[^A-Z0-9\s]/g, ' ')
+        .split(/\s+/)
+        .filter(Boolean)
+        .map(token => token.replace(/^(\d+)(ST|ND|RD|TH)$/, '$1'))
+        .map(token => SPELLED_ORDINALS[token] || token)
+        .map((token, index, all) => {
+            // Leading "ST"/"SAINT" is Saint ("ST NICHOLAS AVE"), anywhere else ST is Street
+            if ((token === 'SAINT' || token === 'ST') && index === 0 && all.length > 1) return 'SAINT';
+            return STREET_SUFFIXES[token] || token;
+        });
+
+    const name = tokens.join(' ');
+    const borough = normalizeBorough(options.borough);
+
+    for (const [aliasBorough, aliases] of Object.entries(BOROUGH_STREET_ALIASES)) {
+        if (borough && borough !== aliasBorough) continue;
+        if (aliases[name]) return aliases[name];
+    }
+
+    return name;
+}
+
+/**
+ * Parse an address into canonical parts; null when there is no street
+ */
+function parseAddress(address, options = {}) {
+    const firstLine = stripUnit(address).replace(/^(\d+)\s*-\s*(\d+)\b/, '$1-$2');
+    if (!firstLine) return null;
+
+    const match = firstLine.match(/^(\d+(?:-\d+)?[A-Z]?)\s+(.+)$/);
+    const houseNumber = match ? normalizeHouseNumber(match[1]) : null;
+    const street = normalizeStreetName(match ? match[2] : firstLine, options);
+    if (!street) return null;
+
+    return {
+        houseNumber,
+        street,
+        normalized: houseNumber ? `${houseNumber} ${street}` : street
+    };
+}
+
+/**
+ * Canonical address string ('' when the address has no street)
+ */
+function normalizeAddress(address, options = {}) {
+    const parsed = parseAddress(address, options);
+    return parsed ? parsed.normalized : '';
+}
+
+module.exports = {
+    STREET_SUFFIXES,
+    SPELLED_ORDINALS,
+    BOROUGH_STREET_ALIASES,
+    normalizeBorough,
+    stripUnit,
+    extractUnit,
+    normalizeHouseNumber,
+    normalizeStreetName,
+    parseAddress,
+    normalizeAddress
+};
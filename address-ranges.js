@@ -0,0 +1,162 @@
+// address-ranges.js
+// DHCR ADDRESS SPANS - house number ranges and corner aliases for registry matching
+//
+// DHCR rows carry two addresses per building:
+//   BLDGNO1/STREET1/STSUFX1 - primary frontage, often a range ("101 TO 115", "87-15 TO 87-45")
+//   BLDGNO2/STREET2/STSUFX2 - corner alias on the cross street (or a second frontage)
+// Each building is stored as a list of spans so a listing at "109 Main St" matches the
+// registered lot "101 TO 115 MAIN ST" instead of falling through to word overlap.
+
+const { normalizeStreetName, parseAddress } = require('./address-normalizer.js');
+
+/**
+ * Parse a DHCR house number cell ("246", "1 TO 7", "87-15 TO 87-45") into a low/high pair
+ */
+function parseHouseNumberRange(value) {
+    const text = (value || '').toString().toUpperCase().replace(/\s+/g, ' ').trim();
+    if (!text) return null;
+
+    const [low, high] = text.split(/\s+(?:TO|THRU)\s+/);
+    if (houseNumberKey(low) === null) return null;
+
+    return {
+        low: low,
+        high: high && houseNumberKey(high) !== null ? high : low
+    };
+}
+
+/**
+ * Numeric sort key for a house number; Queens hyphenated numbers ("37-12") keep their block prefix
+ */
+function houseNumberKey(houseNumber) {
+    const match = (houseNumber || '').toString().trim().match(/^(\d+)(?:-(\d+))?[A-Z]?$/i);
+    if (!match) return null;
+
+    return match[2] !== undefined
+        ? parseInt(match[1], 10) * 10000 + parseInt(match[2], 10)
+        : parseInt(match[1], 10);
+}
+
+/**
+ * Split a listing address ("109 Main St, Apt 4B", "37-12 82nd St #3R") into house number and street
+ */
+function parseStreetAddress(address, options = {}) {
+    const parsed = parseAddress(address, options);
+    if (!parsed || !parsed.houseNumber) return null;
+
+    return {
+        houseNumber: parsed.houseNumber,
+        street: parsed.street,
+        streetKey: parsed.street
+    };
+}
+
+/**
+ * Build the matchable spans for one DHCR row (primary frontage plus corner alias)
+ */
+function buildAddressSpans(row, options = {}) {
+    const spans = [];
+    const frontages = [
+        { kind: 'primary', number: row.BLDGNO1, street: row.STREET1, suffix: row.STSUFX1 },
+        { kind: 'corner', number: row.BLDGNO2, street: row.STREET2, suffix: row.STSUFX2 }
+    ];
+
+    for (const frontage of frontages) {
+        const range = parseHouseNumberRange(frontage.number);
+        if (!range || !frontage.street) continue;
+
+        const street = [frontage.street, frontage.suffix].filter(Boolean).join(' ').toUpperCase();
+        spans.push({
+            kind: frontage.kind,
+            low: range.low,
+            high: range.high,
+            street: street,
+            street_key: normalizeStreetName(street, options)
+        });
+    }
+
+    return spans;
+}
+
+/**
+ * Spans for a stored building; rows saved before spans existed are derived from the address string
+ */
+function getBuildingSpans(building) {
+    let spans = building.address_ranges;
+
+    if (typeof spans === 'string') {
+        try {
+            spans = JSON.parse(spans);
+        } catch (error) {
+            spans = null;
+        }
+    }
+
+    // Street keys are recomputed so spans stored by older normalizers still compare equal
+    if (Array.isArray(spans) && spans.length > 0) {
+        return spans.map(span => ({
+            ...span,
+            street_key: normalizeStreetName(span.street, { borough: building.borough })
+        }));
+    }
+
+    const match = (building.address || '').toUpperCase().match(/^(\d+(?:-\d+)?[A-Z]?(?:\s+TO\s+\d+(?:-\d+)?[A-Z]?)?)\s+(.+)$/);
+    if (!match) return [];
+
+    const range = parseHouseNumberRange(match[1]);
+    return range ? [{
+        kind: 'primary',
+        low: range.low,
+        high: range.high,
+        street: match[2],
+        street_key: normalizeStreetName(match[2], { borough: building.borough })
+    }] : [];
+}
+
+/**
+ * Check whether a parsed listing address falls inside a span (same street, same side of the block)
+ */
+function spanContainsAddress(span, parsedAddress) {
+    if (!span || !parsedAddress) return false;
+    if ((span.street_key || normalizeStreetName(span.street)) !== parsedAddress.streetKey) return false;
+
+    const key = houseNumberKey(parsedAddress.houseNumber);
+    const low = houseNumberKey(span.low);
+    const high = houseNumberKey(span.high);
+    if (key === null || low === null || high === null) return false;
+
+    const [from, to] = low <= high ? [low, high] : [high, low];
+    if (key < from || key > to) return false;
+
+    // Ranges list one side of the street, so odd/even must agree when both ends share parity
+    if (from !== to && from % 2 === to % 2 && key % 2 !== from % 2) return false;
+
+    return true;
+}
+
+/**
+ * Match a listing address against a building's spans; returns the matching span and its similarity
+ */
+function matchBuildingSpans(building, parsedAddress) {
+    for (const span of getBuildingSpans(building)) {
+        if (!spanContainsAddress(span, parsedAddress)) continue;
+
+        const exactNumber = houseNumberKey(span.low) === houseNumberKey(span.high);
+        let similarity = exactNumber ? 1.0 : 0.95;
+        if (span.kind === 'corner') similarity -= 0.05;
+
+        return { span, similarity };
+    }
+
+    return null;
+}
+
+module.exports = {
+    parseHouseNumberRange,
+    houseNumberKey,
+    parseStreetAddress,
+    buildAddressSpans,
+    getBuildingSpans,
+    spanContainsAddress,
+    matchBuildingSpans
+};
@@ -0,0 +1,207 @@
+// analysis-cache.js
+// CLAUDE ANALYSIS CACHE - reuse a stored analysis while the listing and its comparables are unchanged
+//
+// Re-fetched and re-priced rentals were sent to Claude again even when nothing Claude sees had
+// changed. The validated Claude output is now stored in claude_analysis_cache under
+//   analysisCacheKey() = sha256 of { analysis type, model, threshold, price, beds, baths, sqft,
+//                                    amenities, description, comparable-set fingerprint }
+// so an unchanged listing reuses its analysis, while a new price, a different comparable set or a
+// model change misses and is analyzed again. Only Claude's answer is cached - the discount,
+// confidence and stabilization fields are still computed from it on every run.
+//
+// CLAUDE_ANALYSIS_CACHE_TTL_HOURS (default 168) bounds how long an entry is used;
+// CLAUDE_ANALYSIS_CACHE_REFRESH=true (or forceRefresh) re-analyzes everything and overwrites the entries.
+// Cache read/write errors are logged and treated as a miss - they never fail an analysis.
+require('dotenv').config();
+
+const crypto = require('crypto');
+
+// Bump when the prompt or schema changes in a way that makes stored analyses stale
+const ANALYSIS_CACHE_VERSION = 1;
+const DEFAULT_TTL_HOURS = 168;
+
+function sha256(value) {
+    return crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex');
+}
+
+function numberOrNull(value) {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+function normalizeAmenities(amenities) {
+    const list = Array.isArray(amenities) ? amenities : [];
+    return [...new Set(list.map(amenity => String(amenity).trim().toLowerCase()).filter(Boolean))].sort();
+}
+
+/**
+ * The listing fields an analysis depends on, in a stable form
+ */
+function listingFingerprint(listing = {}) {
+    return {
+        price: numberOrNull(listing.price ?? listing.monthlyRent ?? listing.salePrice),
+        bedrooms: numberOrNull(listing.bedrooms),
+        bathrooms: numberOrNull(listing.bathrooms),
+        sqft: numberOrNull(listing.sqft),
+        amenities: normalizeAmenities(listing.amenities),
+        description: String(listing.description || '').replace(/\s+/g, ' ').trim()
+    };
+}
+
+/**
+ * Hash of the comparable set (order-independent) - adding, removing or re-pricing a comparable changes it
+ */
+function comparablesFingerprint(comparables = []) {
+    const entries = comparables.map(comparable => [
+        String(comparable.id ?? comparable.listing_id ?? comparable.address ?? ''),
+        numberOrNull(comparable.price ?? comparable.salePrice),
+        numberOrNull(comparable.bedrooms),
+        numberOrNull(comparable.bathrooms),
+        numberOrNull(comparable.sqft)
+    ]).sort((a, b) => JSON.stringify(a).localeCompare(JSON.stringify(b)));
+    return sha256(entries);
+}
+
+/**
+ * Cache key for one analysis: { analysisType, model, threshold, listing, comparables }
+ */
+function analysisCacheKey({ analysisType, model = null, threshold = null, listing, comparables = [] }) {
+    return sha256({
+        version: ANALYSIS_CACHE_VERSION,
+        analysisType,
+        model,
+        threshold: numberOrNull(threshold),
+        listing: listingFingerprint(listing),
+        comparables: comparablesFingerprint(comparables)
+    });
+}
+
+class AnalysisCache {
+    /**
+     * @param {Object} storage - storage.js backend (Supabase or SQLite)
+     * @param {Object} options - { ttlHours, forceRefresh, enabled, now }
+     */
+    constructor(storage, options = {}) {
+        this.storage = storage;
+        this.ttlHours = options.ttlHours ?? (parseFloat(process.env.CLAUDE_ANALYSIS_CACHE_TTL_HOURS) || DEFAULT_TTL_HOURS);
+        this.forceRefresh = options.forceRefresh ?? process.env.CLAUDE_ANALYSIS_CACHE_REFRESH === 'true';
+        this.enabled = options.enabled ?? process.env.CLAUDE_ANALYSIS_CACHE !== 'false';
+        this.now = options.now || (() => new Date());
+        this.resetStats();
+    }
+
+    resetStats() {
+        this.stats = { hits: 0, misses: 0, refreshed: 0, stored: 0, errors: 0 };
+    }
+
+    /**
+     * Stored analysis for a key, or null when missing, expired, refreshing or the cache is off
+     */
+    async get(key, options = {}) {
+        if (!this.enabled) return null;
+        if (options.forceRefresh ?? this.forceRefresh) {
+            this.stats.refreshed++;
+            return null;
+        }
+
+        try {
+            const now = this.now().toISOString();
+            const { data, error } = await this.storage
+                .from('claude_analysis_cache')
+                .select('cache_key, analysis, hit_count')
+                .eq('cache_key', key)
+                .gt('expires_at', now)
+                .maybeSingle();
+
+            if (error) throw error;
+            if (!data) {
+                this.stats.misses++;
+                return null;
+            }
+
+            this.stats.hits++;
+            await this.storage
+                .from('claude_analysis_cache')
+                .update({ hit_count: (data.hit_count || 0) + 1, last_hit_at: now })
+                .eq('cache_key', key);
+            return data.analysis;
+
+        } catch (error) {
+            console.warn(`   ⚠️ Analysis cache read failed: ${error.message}`);
+            this.stats.errors++;
+            this.stats.misses++;
+            return null;
+        }
+    }
+
+    /**
+     * Store a validated analysis: entry = { analysisType, listingId, neighborhood, model, analysis }
+     */
+    async set(key, entry) {
+        if (!this.enabled) return;
+
+        try {
+            const now = this.now();
+            const { error } = await this.storage
+                .from('claude_analysis_cache')
+                .upsert({
+                    cache_key: key,
+                    analysis_type: entry.analysisType,
+                    listing_id: entry.listingId != null ? String(entry.listingId) : null,
+                    neighborhood: entry.neighborhood || null,
+                    model: entry.model || null,
+                    analysis: entry.analysis,
+                    hit_count: 0,
+                    last_hit_at: null,
+                    expires_at: new Date(now.getTime() + this.ttlHours * 3600000).toISOString(),
+                    created_at: now.toISOString()
+                }, { onConflict: 'cache_key' });
+
+            if (error) throw error;
+            this.stats.stored++;
+
+        } catch (error) {
+            console.warn(`   ⚠️ Analysis cache write failed: ${error.message}`);
+            this.stats.errors++;
+        }
+    }
+
+    /**
+     * Delete expired entries - returns how many were removed
+     */
+    async prune() {
+        const { data, error } = await this.storage
+            .from('claude_analysis_cache')
+            .delete()
+            .lte('expires_at', this.now().toISOString())
+            .select('cache_key');
+
+        if (error) throw error;
+        return (data || []).length;
+    }
+
+    /**
+     * Hit / miss counters since the cache was created (one pipeline run)
+     */
+    getStats() {
+        const lookups = this.stats.hits + this.stats.misses;
+        return { ...this.stats, hitRate: lookups > 0 ? Math.round(this.stats.hits / lookups * 100) : 0 };
+    }
+}
+
+/**
+ * One-line summary of cache stats for run logs
+ */
+function formatAnalysisCacheStats(stats) {
+    return `${stats.hits} hits, ${stats.misses} misses (${stats.hitRate}% reused), ${stats.stored} stored` +
+        (stats.refreshed > 0 ? `, ${stats.refreshed} forced refreshes` : '') +
+        (stats.errors > 0 ? `, ${stats.errors} errors` : '');
+}
+
+module.exports = AnalysisCache;
+module.exports.AnalysisCache = AnalysisCache;
+module.exports.ANALYSIS_CACHE_VERSION = ANALYSIS_CACHE_VERSION;
+module.exports.analysisCacheKey = analysisCacheKey;
+module.exports.listingFingerprint = listingFingerprint;
+module.exports.comparablesFingerprint = comparablesFingerprint;
+module.exports.formatAnalysisCacheStats = formatAnalysisCacheStats;
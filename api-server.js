@@ -8,8 +8,18 @@ const cors = require('cors');
 const rateLimit = require('express-rate-limit');
 const helmet = require('helmet');
 const compression = require('compression');
-const axios = require('axios');
-const { createClient } = require('@supabase/supabase-js');
+const { createStorage } = require('./storage.js');
+const { createListingSource } = require('./listing-sources.js');
+const { httpClientFromEnv } = require('./http-cassette.js');
+const { createLLMClient } = require('./llm-client.js');
+const JobQueue = require('./job-queue.js');
+const WebhookDelivery = require('./webhook-delivery.js');
+const PriceHistory = require('./price-history.js');
+const ListingDeduplicator = require('./listing-dedup.js');
+const RentalAbsorption = require('./rental-absorption.js');
+const { parseLookbackDays, MAX_LOOKBACK_DAYS } = require('./rental-absorption.js');
+const ComparableSets = require('./comparable-sets.js');
+const { LISTING_TYPES } = PriceHistory;
 require('dotenv').config();
 
 class SmartCacheFirstAPI {
@@ -18,16 +28,30 @@ class SmartCacheFirstAPI {
         this.port = process.env.PORT || 3000;
         this.apiKey = process.env.VC_API_KEY || 'your-secure-api-key';
         this.rapidApiKey = process.env.RAPIDAPI_KEY;
-        this.claudeApiKey = process.env.ANTHROPIC_API_KEY;
+        this.http = httpClientFromEnv('api-server');   // axios, or a cassette (HTTP_CASSETTE_MODE)
+        this.listingSource = createListingSource(process.env.LISTING_SOURCE, { apiKey: this.rapidApiKey, http: this.http });
+        this.llm = null;   // created on the first Claude call (getLLMClient) - the other routes need no key
         
-        // Initialize Supabase
-        this.supabase = createClient(
-            process.env.SUPABASE_URL,
-            process.env.SUPABASE_ANON_KEY
-        );
+        // Initialize storage (Supabase, or local SQLite when STORAGE_BACKEND=sqlite)
+        this.storage = createStorage({ key: process.env.SUPABASE_ANON_KEY });
+        
+        // Durable job queue (api_jobs) - jobs and results survive a restart or deploy
+        // callbackUrl webhooks are queued on it when a job finishes (webhook-delivery.js)
+        this.webhooks = new WebhookDelivery(this.storage);
+        this.jobQueue = new JobQueue(this.storage, {
+            handlers: { smart_search: (params, job) => this.runSmartSearch(params, job) },
+            onFinished: job => this.webhooks.jobFinished(job)
+        });
+        this.webhooks.attach(this.jobQueue);
         
-        this.activeJobs = new Map();
-        this.jobResults = new Map();
+        // Per-listing price events recorded by the rentals / sales pipelines (price-history.js)
+        this.priceHistory = new PriceHistory(this.storage);
+        // Earlier IDs of relisted units, so a history covers the unit and not just its latest ID (listing-dedup.js)
+        this.deduplicator = new ListingDeduplicator(this.storage);
+        // Days-to-rent analytics over the rented verdicts (rental-absorption.js)
+        this.absorption = new RentalAbsorption(this.storage);
+        // Comparables, hierarchy tier and adjustments behind each saved analysis (comparable-sets.js)
+        this.comparableSets = new ComparableSets(this.storage);
         
         // Cache settings
         this.cacheMaxAgeDays = 30; // Consider properties from last 30 days as fresh
@@ -96,7 +120,8 @@ class SmartCacheFirstAPI {
                     'instagram_dm_ready',
                     'comprehensive_analysis'
                 ],
-                activeJobs: this.activeJobs.size,
+                activeJobs: this.jobQueue.getStats().running,
+                jobConcurrency: this.jobQueue.concurrency,
                 queueStatus: 'operational'
             });
         });
@@ -118,17 +143,25 @@ class SmartCacheFirstAPI {
                 endpoints: {
                     'POST /api/search/smart': 'Smart property search (MAIN ENDPOINT)',
                     'GET /api/cache/stats': 'Cache performance statistics',
+                    'GET /api/jobs': 'List jobs (?status=queued|processing|completed|failed|cancelled&type=&limit=&offset=)',
                     'GET /api/jobs/:jobId': 'Get job status',
-                    'GET /api/results/:jobId': 'Get job results'
+                    'DELETE /api/jobs/:jobId': 'Cancel a queued or running job',
+                    'GET /api/results/:jobId': 'Get job results',
+                    'GET /api/listings/:id/history': 'Price events and cut metrics for a listing and its earlier IDs when relisted (?type=rental|sale)',
+                    'GET /api/analytics/absorption': 'Median days to rent by bedrooms and discount, 7/14/30-day rented shares per neighborhood (?neighborhood=&days=180)',
+                    'GET /api/analysis/:listingId/comparables': 'Comparables, hierarchy tier and adjustments behind a saved valuation (?type=rental|sale)'
                 },
                 authentication: 'Required: X-API-Key header',
+                callbacks: 'Optional callbackUrl: the final results are POSTed there, signed with X-Webhook-Signature ' +
+                    '(sha256=HMAC of "<X-Webhook-Timestamp>.<body>"), retried with backoff on failure',
                 example_request: {
                     "neighborhood": "bushwick",
                     "propertyType": "rental",
                     "bedrooms": 2,
                     "maxPrice": 4000,
                     "undervaluationThreshold": 15,
-                    "maxResults": 1
+                    "maxResults": 1,
+                    "callbackUrl": "https://example.com/hooks/smart-search"
                 }
             });
         });
@@ -158,7 +191,10 @@ class SmartCacheFirstAPI {
     
     // Advanced filtering
     maxHoa,
-    maxTax
+    maxTax,
+
+    // Webhook: POST the final results here instead of polling
+    callbackUrl
 } = req.body;
 
                 if (!neighborhood) {
@@ -169,10 +205,18 @@ class SmartCacheFirstAPI {
                     });
                 }
 
+                const callbackProblem = callbackUrl ? this.webhooks.validateCallbackUrl(callbackUrl) : null;
+                if (callbackProblem) {
+                    return res.status(400).json({
+                        error: 'Bad Request',
+                        message: callbackProblem
+                    });
+                }
+
                 const jobId = this.generateJobId();
                 
-                // Start smart search job
-                this.startSmartSearch(jobId, {
+                // Queue smart search job
+                await this.jobQueue.enqueue('smart_search', {
                     neighborhood: neighborhood.toLowerCase().replace(/\s+/g, '-'),
                     propertyType,
                     bedrooms: bedrooms ? parseInt(bedrooms) : undefined,
@@ -181,8 +225,9 @@ class SmartCacheFirstAPI {
                     minPrice: minPrice ? parseInt(minPrice) : undefined,
                     maxPrice: maxPrice ? parseInt(maxPrice) : undefined,
                     maxResults: Math.min(parseInt(maxResults), 10), // Cap at 10 for performance
-                    noFee
-                });
+                    noFee,
+                    callbackUrl
+                }, { jobId });
 
                 res.status(202).json({
                     success: true,
@@ -193,7 +238,9 @@ class SmartCacheFirstAPI {
                         parameters: req.body,
                         estimatedDuration: '4-8 seconds (cache-first + Instagram optimized)',
                         checkStatusUrl: `/api/jobs/${jobId}`,
-                        getResultsUrl: `/api/results/${jobId}`
+                        getResultsUrl: `/api/results/${jobId}`,
+                        cancelUrl: `/api/jobs/${jobId}`,
+                        callbackUrl: callbackUrl || null
                     }
                 });
 
@@ -210,7 +257,7 @@ class SmartCacheFirstAPI {
         // Cache statistics endpoint
         this.app.get('/api/cache/stats', async (req, res) => {
             try {
-                const { data, error } = await this.supabase
+                const { data, error } = await this.storage
                     .rpc('get_ai_agent_cache_stats', { days_back: 7 });
 
                 if (error) throw error;
@@ -234,50 +281,223 @@ class SmartCacheFirstAPI {
             }
         });
 
+        // Job listing endpoint
+        this.app.get('/api/jobs', async (req, res) => {
+            try {
+                const { status, type, limit, offset } = req.query;
+                const jobs = await this.jobQueue.list({ status, type, limit, offset });
+
+                res.json({
+                    success: true,
+                    data: {
+                        jobs: jobs.map(job => this.formatJobStatus(job)),
+                        count: jobs.length
+                    }
+                });
+
+            } catch (error) {
+                if (error.code === 'JOB_BAD_STATUS') {
+                    return res.status(400).json({
+                        error: 'Bad Request',
+                        message: error.message
+                    });
+                }
+                console.error('Job listing error:', error);
+                res.status(500).json({
+                    error: 'Internal Server Error',
+                    message: 'Failed to list jobs'
+                });
+            }
+        });
+
         // Job status endpoint
-        this.app.get('/api/jobs/:jobId', (req, res) => {
-            const { jobId } = req.params;
-            const job = this.activeJobs.get(jobId);
-            
-            if (!job) {
-                return res.status(404).json({
-                    error: 'Not Found',
-                    message: 'Job ID not found'
+        this.app.get('/api/jobs/:jobId', async (req, res) => {
+            try {
+                const { jobId } = req.params;
+                const job = await this.jobQueue.get(jobId);
+                
+                if (!job) {
+                    return res.status(404).json({
+                        error: 'Not Found',
+                        message: 'Job ID not found'
+                    });
+                }
+
+                res.json({
+                    success: true,
+                    data: this.formatJobStatus(job)
+                });
+
+            } catch (error) {
+                console.error('Job status error:', error);
+                res.status(500).json({
+                    error: 'Internal Server Error',
+                    message: 'Failed to fetch job status'
                 });
             }
+        });
 
-            res.json({
-                success: true,
-                data: {
-                    jobId: jobId,
-                    status: job.status,
-                    progress: job.progress || 0,
-                    startTime: job.startTime,
-                    lastUpdate: job.lastUpdate,
-                    message: job.message,
-                    cacheHits: job.cacheHits || 0,
-                    thresholdUsed: job.thresholdUsed || job.originalThreshold,
-                    thresholdLowered: job.thresholdLowered || false,
-                    error: job.error || null
+        // Job cancellation endpoint
+        this.app.delete('/api/jobs/:jobId', async (req, res) => {
+            try {
+                const { jobId } = req.params;
+                const job = await this.jobQueue.cancel(jobId);
+
+                if (!job) {
+                    return res.status(404).json({
+                        error: 'Not Found',
+                        message: 'Job ID not found'
+                    });
                 }
-            });
+
+                res.json({
+                    success: true,
+                    data: this.formatJobStatus(job)
+                });
+
+            } catch (error) {
+                if (error.code === 'JOB_FINISHED') {
+                    return res.status(409).json({
+                        error: 'Conflict',
+                        message: error.message
+                    });
+                }
+                console.error('Job cancellation error:', error);
+                res.status(500).json({
+                    error: 'Internal Server Error',
+                    message: 'Failed to cancel job'
+                });
+            }
         });
 
 // Job results endpoint
-        this.app.get('/api/results/:jobId', (req, res) => {
-            const { jobId } = req.params;
-            const results = this.jobResults.get(jobId);
-            
-            if (!results) {
-                return res.status(404).json({
-                    error: 'Not Found',
-                    message: 'Results not found for this job ID'
+        this.app.get('/api/results/:jobId', async (req, res) => {
+            try {
+                const { jobId } = req.params;
+                const job = await this.jobQueue.get(jobId);
+                
+                if (!job || job.status !== 'completed' || !job.result) {
+                    return res.status(404).json({
+                        error: 'Not Found',
+                        message: job ? `Job is ${job.status}, results not available` : 'Results not found for this job ID',
+                        status: job?.status
+                    });
+                }
+                res.json({
+                    success: true,
+                    data: job.result
+                });
+
+            } catch (error) {
+                console.error('Job results error:', error);
+                res.status(500).json({
+                    error: 'Internal Server Error',
+                    message: 'Failed to fetch job results'
+                });
+            }
+        });
+
+        // Listing price history endpoint
+        this.app.get('/api/listings/:id/history', async (req, res) => {
+            try {
+                const { id } = req.params;
+                const { type } = req.query;
+
+                if (type && !LISTING_TYPES.includes(type)) {
+                    return res.status(400).json({
+                        error: 'Bad Request',
+                        message: `type must be one of: ${LISTING_TYPES.join(', ')}`
+                    });
+                }
+
+                const incarnations = await this.deduplicator.getIncarnations(id, { listingType: type });
+                const timeline = await this.priceHistory.getTimeline(id, {
+                    listingType: type,
+                    listingIds: incarnations.map(incarnation => incarnation.listingId)
+                });
+                if (!timeline) {
+                    return res.status(404).json({
+                        error: 'Not Found',
+                        message: 'No price history for this listing ID'
+                    });
+                }
+
+                res.json({
+                    success: true,
+                    data: { ...timeline, incarnations }
+                });
+
+            } catch (error) {
+                console.error('Price history error:', error);
+                res.status(500).json({
+                    error: 'Internal Server Error',
+                    message: 'Failed to fetch price history'
+                });
+            }
+        });
+
+        // Rental absorption analytics endpoint
+        this.app.get('/api/analytics/absorption', async (req, res) => {
+            try {
+                const { neighborhood } = req.query;
+                const lookbackDays = parseLookbackDays(req.query.days);
+
+                if (lookbackDays === null) {
+                    return res.status(400).json({
+                        error: 'Bad Request',
+                        message: `days must be a whole number from 1 to ${MAX_LOOKBACK_DAYS}`
+                    });
+                }
+
+                const report = await this.absorption.getReport(neighborhood || null, { lookbackDays });
+
+                res.json({
+                    success: true,
+                    data: report
+                });
+
+            } catch (error) {
+                console.error('Absorption analytics error:', error);
+                res.status(500).json({
+                    error: 'Internal Server Error',
+                    message: 'Failed to build absorption report'
+                });
+            }
+        });
+
+        // Valuation comparables endpoint
+        this.app.get('/api/analysis/:listingId/comparables', async (req, res) => {
+            try {
+                const { listingId } = req.params;
+                const { type } = req.query;
+
+                if (type && !LISTING_TYPES.includes(type)) {
+                    return res.status(400).json({
+                        error: 'Bad Request',
+                        message: `type must be one of: ${LISTING_TYPES.join(', ')}`
+                    });
+                }
+
+                const comparableSet = await this.comparableSets.get(listingId, { listingType: type });
+                if (!comparableSet) {
+                    return res.status(404).json({
+                        error: 'Not Found',
+                        message: 'No saved analysis with comparables for this listing ID'
+                    });
+                }
+
+                res.json({
+                    success: true,
+                    data: comparableSet
+                });
+
+            } catch (error) {
+                console.error('Valuation comparables error:', error);
+                res.status(500).json({
+                    error: 'Internal Server Error',
+                    message: 'Failed to fetch valuation comparables'
                 });
             }
-            res.json({
-                success: true,
-                data: results
-            });
         });
 
         // NEW ENDPOINT: Trigger full API from Railway Function
@@ -303,16 +523,24 @@ class SmartCacheFirstAPI {
                     maxPrice: searchParams.maxPrice
                 });
                 
+                const callbackProblem = searchParams.callbackUrl ? this.webhooks.validateCallbackUrl(searchParams.callbackUrl) : null;
+                if (callbackProblem) {
+                    return res.status(400).json({
+                        error: 'Bad Request',
+                        message: callbackProblem
+                    });
+                }
+
                 // Use existing smart search logic
                 const jobId = this.generateJobId();
                 
-                // Start smart search with fallback-optimized settings
-                this.startSmartSearch(jobId, {
+                // Queue smart search with fallback-optimized settings
+                await this.jobQueue.enqueue('smart_search', {
                     ...searchParams,
                     neighborhood: searchParams.neighborhood?.toLowerCase().replace(/\s+/g, '-'),
                     maxResults: Math.min(parseInt(searchParams.maxResults || 1), 5), // Limit for triggered searches
                     source: 'railway_function_fallback'
-                });
+                }, { jobId });
 
                 res.status(202).json({
                     success: true,
@@ -323,6 +551,7 @@ class SmartCacheFirstAPI {
                         estimatedDuration: '2-5 minutes (fresh scraping + analysis)',
                         checkStatusUrl: `/api/jobs/${jobId}`,
                         getResultsUrl: `/api/results/${jobId}`,
+                        cancelUrl: `/api/jobs/${jobId}`,
                         source: 'railway_function_fallback'
                     }
                 });
@@ -358,39 +587,32 @@ class SmartCacheFirstAPI {
 
     // CORE SMART SEARCH LOGIC
 
-    async startSmartSearch(jobId, params) {
+    /**
+     * smart_search job handler (job-queue.js) - resolves to the results served by /api/results/:jobId.
+     * Progress goes through job.update(); a throw is retried by the queue up to JOB_MAX_ATTEMPTS.
+     */
+    async runSmartSearch(params, job) {
         const startTime = Date.now();
-        const job = {
-            status: 'processing',
-            progress: 0,
-            startTime: new Date().toISOString(),
-            lastUpdate: new Date().toISOString(),
-            message: 'Starting smart cache-first search...',
-            originalThreshold: params.undervaluationThreshold,
-            cacheHits: 0,
-            thresholdLowered: false
-        };
-        
-        this.activeJobs.set(jobId, job);
+        let fetchRecord = null;
 
         try {
-            // Create fetch record
-            const fetchRecord = await this.createFetchRecord(jobId, params);
+            await job.update({
+                progress: 0,
+                message: 'Starting smart cache-first search...',
+                meta: { originalThreshold: params.undervaluationThreshold, cacheHits: 0, thresholdLowered: false }
+            });
+
+            // Create fetch record (upserted, so a retried job reuses its row)
+            fetchRecord = await this.createFetchRecord(job.jobId, params);
 
             // STEP 1: Smart cache lookup
-            job.progress = 20;
-            job.message = 'Checking cache for existing matches...';
-            job.lastUpdate = new Date().toISOString();
+            await job.update({ progress: 20, message: 'Checking cache for existing matches...' });
 
             const cacheResults = await this.smartCacheSearch(params);
-            job.cacheHits = cacheResults.length;
+            await job.update({ meta: { cacheHits: cacheResults.length } });
 
             if (cacheResults.length >= params.maxResults) {
                 // Cache satisfied the request completely
-                job.status = 'completed';
-                job.progress = 100;
-                job.message = `Found ${cacheResults.length} properties from cache (instant results!)`;
-                
                 await this.updateFetchRecord(fetchRecord.id, {
                     status: 'completed',
                     completed_at: new Date().toISOString(),
@@ -401,9 +623,11 @@ class SmartCacheFirstAPI {
                     total_properties_found: cacheResults.length
                 });
 
-                // ✅ UPDATE G: Enhanced jobResults with Instagram formatting
-                this.jobResults.set(jobId, {
-                    jobId: jobId,
+                await job.update({ message: `Found ${cacheResults.length} properties from cache (instant results!)` });
+
+                // ✅ UPDATE G: Enhanced job results with Instagram formatting
+                return {
+                    jobId: job.jobId,
                     type: 'smart_search',
                     source: 'cache_only',
                     parameters: params,
@@ -431,22 +655,18 @@ class SmartCacheFirstAPI {
                         processingTimeMs: Date.now() - startTime
                     },
                     completedAt: new Date().toISOString()
-                });
-                return;
+                };
             }
 
             // STEP 2: Fallback to StreetEasy with threshold lowering
-            job.progress = 40;
-            job.message = `Found ${cacheResults.length} cached properties, fetching more from StreetEasy...`;
-            job.lastUpdate = new Date().toISOString();
+            await job.update({
+                progress: 40,
+                message: `Found ${cacheResults.length} cached properties, fetching more from StreetEasy...`
+            });
 
             const streetEasyResults = await this.fetchWithThresholdFallback(params, fetchRecord.id);
             
             if (streetEasyResults.properties.length === 0 && cacheResults.length === 0) {
-                job.status = 'completed';
-                job.progress = 100;
-                job.message = 'No properties found matching criteria';
-                
                 await this.updateFetchRecord(fetchRecord.id, {
                     status: 'completed',
                     completed_at: new Date().toISOString(),
@@ -454,8 +674,10 @@ class SmartCacheFirstAPI {
                     total_properties_found: 0
                 });
 
-                this.jobResults.set(jobId, {
-                    jobId: jobId,
+                await job.update({ message: 'No properties found matching criteria' });
+
+                return {
+                    jobId: job.jobId,
                     type: 'smart_search',
                     source: 'no_results',
                     parameters: params,
@@ -476,24 +698,17 @@ class SmartCacheFirstAPI {
                         processingTimeMs: Date.now() - startTime
                     },
                     completedAt: new Date().toISOString()
-                });
-                return;
+                };
             }
 
             // STEP 3: Combine cache + new results
-            job.progress = 90;
-            job.message = 'Combining cached and new results...';
-            job.lastUpdate = new Date().toISOString();
+            await job.update({
+                progress: 90,
+                message: 'Combining cached and new results...',
+                meta: { thresholdUsed: streetEasyResults.thresholdUsed, thresholdLowered: streetEasyResults.thresholdLowered }
+            });
 
             const combinedResults = this.combineResults(cacheResults, streetEasyResults.properties, params.maxResults);
-            job.thresholdUsed = streetEasyResults.thresholdUsed;
-            job.thresholdLowered = streetEasyResults.thresholdLowered;
-
-            // Complete the job
-            job.status = 'completed';
-            job.progress = 100;
-            job.message = `Found ${combinedResults.length} total properties (${cacheResults.length} cached + ${streetEasyResults.properties.length} new)`;
-            job.lastUpdate = new Date().toISOString();
 
             await this.updateFetchRecord(fetchRecord.id, {
                 status: 'completed',
@@ -514,9 +729,14 @@ class SmartCacheFirstAPI {
                 claude_cost_usd: streetEasyResults.claudeCost
             });
 
-            // ✅ UPDATE G: Enhanced jobResults with Instagram formatting
-            this.jobResults.set(jobId, {
-                jobId: jobId,
+            // Complete the job
+            await job.update({
+                message: `Found ${combinedResults.length} total properties (${cacheResults.length} cached + ${streetEasyResults.properties.length} new)`
+            });
+
+            // ✅ UPDATE G: Enhanced job results with Instagram formatting
+            return {
+                jobId: job.jobId,
                 type: 'smart_search',
                 source: 'cache_and_fresh',
                 parameters: params,
@@ -548,20 +768,18 @@ class SmartCacheFirstAPI {
                     claudeCostUsd: streetEasyResults.claudeCost
                 },
                 completedAt: new Date().toISOString()
-            });
+            };
 
         } catch (error) {
-            job.status = 'failed';
-            job.error = error.message;
-            job.lastUpdate = new Date().toISOString();
-            console.error(`Smart search job ${jobId} failed:`, error);
+            console.error(`Smart search job ${job.jobId} (attempt ${job.attempt}) failed:`, error.message);
 
             await this.updateFetchRecord(fetchRecord?.id, {
-                status: 'failed',
+                status: error.code === 'JOB_NOT_RUNNING' ? 'cancelled' : 'failed',
                 completed_at: new Date().toISOString(),
                 processing_duration_ms: Date.now() - startTime,
                 error_message: error.message
             });
+            throw error;
         }
     }
 
@@ -573,7 +791,7 @@ class SmartCacheFirstAPI {
             const priceColumn = params.propertyType === 'rental' ? 'monthly_rent' : 'price';
             const cutoffDate = new Date(Date.now() - (this.cacheMaxAgeDays * 24 * 60 * 60 * 1000));
 
-            let query = this.supabase
+            let query = this.storage
                 .from(tableName)
                 .select('*')
                 .eq('neighborhood', params.neighborhood)
@@ -670,26 +888,16 @@ class SmartCacheFirstAPI {
     try {
         console.log(`📡 OPTIMIZED StreetEasy fetch: ${params.neighborhood}, threshold: ${threshold}%`);
         
-        // Build smart API URL with filters
-        const apiUrl = params.propertyType === 'rental' 
-            ? 'https://streeteasy-api.p.rapidapi.com/rentals/search'
-            : 'https://streeteasy-api.p.rapidapi.com/sales/search';
-        
         // 🚀 OPTIMIZATION: Use StreetEasy filters instead of fetching everything
-        const apiParams = {
-            areas: params.neighborhood,
-            limit: Math.min(20, params.maxResults * 4), // Fetch only what we need
-            offset: 0
-        };
+        const apiParams = {};
+        const pageSize = Math.min(20, params.maxResults * 4); // Fetch only what we need
 
         // 🎯 SMART FILTERING: Add user-specified filters to API call
         if (params.minPrice) {
-            apiParams.minPrice = params.minPrice;
             console.log(`🔍 Filtering: minPrice = $${params.minPrice.toLocaleString()}`);
         }
         
         if (params.maxPrice) {
-            apiParams.maxPrice = params.maxPrice;
             console.log(`🔍 Filtering: maxPrice = $${params.maxPrice.toLocaleString()}`);
         }
         
@@ -737,27 +945,20 @@ class SmartCacheFirstAPI {
             console.log(`🔍 Filtering: property types = ${params.propertyTypes.join(', ')}`);
         }
 
-        console.log(`📊 Optimized API call with ${Object.keys(apiParams).length} filters`);
+        // Price bounds go to searchArea as minPrice / maxPrice rather than through apiParams
+        const appliedFilters = [...['minPrice', 'maxPrice'].filter(key => params[key]), ...Object.keys(apiParams)];
+        console.log(`📊 Optimized API call with ${appliedFilters.length} filters${appliedFilters.length > 0 ? ` (${appliedFilters.join(', ')})` : ''}`);
         console.log(`🎯 Expected results: Much more targeted and relevant`);
 
-        const response = await axios.get(apiUrl, {
-            params: apiParams,
-            headers: {
-                'X-RapidAPI-Key': this.rapidApiKey,
-                'X-RapidAPI-Host': 'streeteasy-api.p.rapidapi.com'
-            },
-            timeout: 30000
+        const listings = await this.listingSource.searchArea(params.neighborhood, {
+            type: params.propertyType === 'rental' ? 'rental' : 'sale',
+            pageSize,
+            maxListings: pageSize,
+            minPrice: params.minPrice,
+            maxPrice: params.maxPrice,
+            filters: apiParams
         });
 
-        let listings = [];
-        if (response.data?.results && Array.isArray(response.data.results)) {
-            listings = response.data.results;
-        } else if (response.data?.listings && Array.isArray(response.data.listings)) {
-            listings = response.data.listings;
-        } else if (Array.isArray(response.data)) {
-            listings = response.data;
-        }
-
         console.log(`📊 StreetEasy returned ${listings.length} PRE-FILTERED listings`);
         console.log(`⚡ OPTIMIZATION IMPACT: Analyzing only relevant properties`);
 
@@ -818,31 +1019,34 @@ class SmartCacheFirstAPI {
     }
 }
 
+    /**
+     * The LLM client (models per task: llm-client.js), built on first use - throws when no
+     * ANTHROPIC_API_KEY / CLAUDE_API_KEY is set, failing that Claude call instead of server start-up
+     */
+    getLLMClient() {
+        if (!this.llm) {
+            this.llm = createLLMClient({ apiKey: process.env.ANTHROPIC_API_KEY, http: this.http });
+        }
+        return this.llm;
+    }
+
     async analyzePropertyBatchWithClaude(properties, params, threshold) {
         const prompt = this.buildDetailedClaudePrompt(properties, params, threshold);
 
         try {
-            const response = await axios.post('https://api.anthropic.com/v1/messages', {
-                model: 'claude-3-haiku-20240307',
-                max_tokens: 2000, // Reduced for single property analysis
-                temperature: 0.1,
+            const response = await this.getLLMClient().complete({
+                task: 'deep_analysis',
                 messages: [
                     {
                         role: 'user',
                         content: prompt
                     }
                 ]
-            }, {
-                headers: {
-                    'Content-Type': 'application/json',
-                    'X-API-Key': this.claudeApiKey,
-                    'anthropic-version': '2023-06-01'
-                }
             });
 
-            const analysis = JSON.parse(response.data.content[0].text);
-            const tokensUsed = response.data.usage?.input_tokens + response.data.usage?.output_tokens || 1500;
-            const cost = (tokensUsed / 1000000) * 1.25; // Approximate Claude Haiku cost
+            const analysis = JSON.parse(response.text);
+            const tokensUsed = response.usage.inputTokens + response.usage.outputTokens;
+            const cost = response.cost || 0;
 
             const qualifyingProperties = properties
                 .map((prop, i) => {
@@ -894,8 +1098,8 @@ Property ${i + 1}:
 - Square Feet: ${prop.sqft || 'Not listed'}
 - Description: ${prop.description?.substring(0, 300) || 'None'}...
 - Amenities: ${prop.amenities?.join(', ') || 'None listed'}
-- Building Year: ${prop.built_in || 'Unknown'}
-- Days on Market: ${prop.days_on_market || 'Unknown'}
+- Building Year: ${prop.builtIn || prop.built_in || 'Unknown'}
+- Days on Market: ${prop.daysOnMarket || prop.days_on_market || 'Unknown'}
 `).join('\n')}
 
 ANALYSIS REQUIREMENTS:
@@ -934,7 +1138,7 @@ Provide thorough, professional analysis with specific reasoning for each propert
                 try {
                     const dbProperty = this.formatPropertyForDatabase(property, propertyType, fetchRecordId);
                     
-                    const { data, error } = await this.supabase
+                    const { data, error } = await this.storage
                         .from(tableName)
                         .insert([dbProperty])
                         .select()
@@ -991,8 +1195,8 @@ Provide thorough, professional analysis with specific reasoning for each propert
             instagram_ready_images: extractedImages.instagramReady,
             
             listing_url: property.url || property.listing_url || '',
-            built_in: property.built_in || property.year_built || null,
-            days_on_market: property.days_on_market || 0,
+            built_in: property.builtIn || property.built_in || property.year_built || null,
+            days_on_market: property.daysOnMarket || property.days_on_market || 0,
             status: 'active'
         };
 
@@ -1020,9 +1224,9 @@ Provide thorough, professional analysis with specific reasoning for each propert
                 price: property.price || 0,
                 potential_savings: Math.round((property.price || 0) * (property.discount_percent || 0) / 100),
                 estimated_market_price: Math.round((property.price || 0) / (1 - (property.discount_percent || 0) / 100)),
-                monthly_hoa: property.monthly_hoa || null,
-                monthly_tax: property.monthly_tax || null,
-                property_type: property.property_type || 'unknown'
+                monthly_hoa: property.monthlyHoa || property.monthly_hoa || null,
+                monthly_tax: property.monthlyTax || property.monthly_tax || null,
+                property_type: property.propertyType || property.property_type || 'unknown'
             };
         }
     }
@@ -1198,9 +1402,9 @@ Provide thorough, professional analysis with specific reasoning for each propert
     }
 
     async createFetchRecord(jobId, params) {
-        const { data, error } = await this.supabase
+        const { data, error } = await this.storage
             .from('ai_agent_fetches')
-            .insert([{
+            .upsert([{
                 job_id: jobId,
                 neighborhood: params.neighborhood,
                 property_type: params.propertyType,
@@ -1213,7 +1417,7 @@ Provide thorough, professional analysis with specific reasoning for each propert
                 no_fee: params.noFee || false,
                 status: 'processing',
                 started_at: new Date().toISOString()
-            }])
+            }], { onConflict: 'job_id' })
             .select()
             .single();
 
@@ -1224,7 +1428,7 @@ Provide thorough, professional analysis with specific reasoning for each propert
     async updateFetchRecord(id, updates) {
         if (!id) return;
         
-        const { error } = await this.supabase
+        const { error } = await this.storage
             .from('ai_agent_fetches')
             .update(updates)
             .eq('id', id);
@@ -1262,6 +1466,32 @@ Provide thorough, professional analysis with specific reasoning for each propert
         return boroughMap[neighborhood.toLowerCase()] || 'Unknown';
     }
 
+    /**
+     * api_jobs row → the job status shape /api/jobs/:jobId has always returned
+     */
+    formatJobStatus(job) {
+        const meta = job.meta || {};
+        return {
+            jobId: job.job_id,
+            type: job.type,
+            status: job.status,
+            progress: job.progress || 0,
+            startTime: job.started_at || job.created_at,
+            lastUpdate: job.last_update,
+            message: job.message,
+            cacheHits: meta.cacheHits || 0,
+            thresholdUsed: meta.thresholdUsed || meta.originalThreshold || job.params?.undervaluationThreshold,
+            thresholdLowered: meta.thresholdLowered || false,
+            attempts: job.attempts,
+            maxAttempts: job.max_attempts,
+            createdAt: job.created_at,
+            completedAt: job.completed_at || null,
+            expiresAt: job.expires_at || null,
+            callbackUrl: job.params?.callbackUrl || null,
+            error: job.error || null
+        };
+    }
+
     generateJobId() {
         return `smart_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     }
@@ -1271,6 +1501,7 @@ Provide thorough, professional analysis with specific reasoning for each propert
     }
 
     start() {
+        this.jobQueue.start();   // picks up jobs queued or interrupted before this process started
         this.app.listen(this.port, () => {
             console.log(`🚀 Instagram-Optimized Smart Cache-First API Server running on port ${this.port}`);
             console.log(`📊 API Documentation: http://localhost:${this.port}/api`);
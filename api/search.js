@@ -2,7 +2,7 @@
 // FILE 1: api/search.js (Railway Function - Cache-Only)
 // =============================================================================
 
-import { createClient } from '@supabase/supabase-js';
+import { createStorage } from '../storage.js';
 
 export default async function handler(req, res) {
     const startTime = Date.now();
@@ -55,14 +55,11 @@ export default async function handler(req, res) {
         
         console.log(`🔍 Railway Function: Searching cache for ${neighborhood}...`);
         
-        // Initialize Supabase
-        const supabase = createClient(
-            process.env.SUPABASE_URL,
-            process.env.SUPABASE_ANON_KEY
-        );
+        // Initialize storage (Supabase, or local SQLite when STORAGE_BACKEND=sqlite)
+        const storage = createStorage({ key: process.env.SUPABASE_ANON_KEY });
         
         // Smart cache search
-        const cacheResults = await searchCache(supabase, {
+        const cacheResults = await searchCache(storage, {
             neighborhood: neighborhood.toLowerCase().replace(/\s+/g, '-'),
             propertyType,
             bedrooms,
@@ -156,14 +153,14 @@ export default async function handler(req, res) {
 }
 
 // Cache search function
-async function searchCache(supabase, params) {
+async function searchCache(storage, params) {
     try {
         const tableName = params.propertyType === 'rental' ? 'undervalued_rentals' : 'undervalued_sales';
         const priceColumn = params.propertyType === 'rental' ? 'monthly_rent' : 'price';
         const cacheMaxAgeDays = 30;
         const cutoffDate = new Date(Date.now() - (cacheMaxAgeDays * 24 * 60 * 60 * 1000));
 
-        let query = supabase
+        let query = storage
             .from(tableName)
             .select('*')
             .eq('neighborhood', params.neighborhood)
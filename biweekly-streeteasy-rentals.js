@@ -5,6 +5,11 @@
 require('dotenv').config();
 const axios = require('axios');
 const { createClient } = require('@supabase/supabase-js');
+const PriceHistory = require('./price-history.js');
+const { isExhaustiveSearch } = require('./price-history.js');
+const ListingDeduplicator = require('./listing-dedup.js');
+const ComparableSets = require('./comparable-sets.js');
+const { buildComparableSet } = require('./comparable-sets.js');
 
 const HIGH_PRIORITY_NEIGHBORHOODS = [
     'west-village', 'east-village', 'soho', 'tribeca', 'chelsea',
@@ -305,6 +310,7 @@ class AdvancedRentalValuationEngine {
             method: valuationResult.method,
             confidence: confidence,
             comparablesUsed: valuationResult.comparables.length,
+            comparables: valuationResult.comparables,
             reasoning: this.generateValuationReasoning(targetProperty, baseMarketValue, adjustedMarketValue, valuationResult)
         };
     }
@@ -944,6 +950,15 @@ class AdvancedRentalValuationEngine {
             method: valuation.method,
             comparablesUsed: valuation.comparablesUsed,
             adjustmentBreakdown: valuation.adjustmentBreakdown,
+            comparableSet: buildComparableSet({
+                target: targetProperty,
+                comparables: valuation.comparables,
+                tier: valuation.method,
+                adjustments: valuation.adjustmentBreakdown,
+                estimatedMarketValue: estimatedMarketRent,
+                baseMarketValue: valuation.baseMarketRent,
+                engine: 'valuation_engine'
+            }),
             reasoning: valuation.reasoning
         };
     }
@@ -959,6 +974,13 @@ class EnhancedBiWeeklyRentalAnalyzer {
         this.rapidApiKey = process.env.RAPIDAPI_KEY;
         this.apiCallsUsed = 0;
         
+        // Append-only rent history per listing - handleRentUpdatesInCache overwrites the cached rent
+        this.priceHistory = new PriceHistory(this.supabase);
+        // Relisted units (same apartment, new listing ID) are linked instead of counted as rented
+        this.deduplicator = new ListingDeduplicator(this.supabase);
+        // Comparables and adjustments behind each saved valuation (GET /api/analysis/:listingId/comparables)
+        this.comparableSets = new ComparableSets(this.supabase);
+        
         // Initialize the advanced valuation engine
         this.valuationEngine = new AdvancedRentalValuationEngine();
         
@@ -995,7 +1017,9 @@ class EnhancedBiWeeklyRentalAnalyzer {
             cacheHits: 0,
             newListingsToFetch: 0,
             apiCallsSaved: 0,
-            listingsMarkedRented: 0
+            listingsMarkedRented: 0,
+            listingsRelisted: 0,     // new IDs linked to a vanished listing of the same unit
+            rentedCorrected: 0       // of those, vanished listings already counted as rented
         };
     }
 
@@ -1191,6 +1215,7 @@ class EnhancedBiWeeklyRentalAnalyzer {
     /**
      * NEW: OPTIMIZED: Handle rent updates efficiently without refetching
      * Updates rent in cache and triggers reanalysis for undervaluation
+     * (the previous rent is kept in listing_price_events - see price-history.js)
      */
     async handleRentUpdatesInCache(listingIds, rentalsData, neighborhood) {
         if (!listingIds || listingIds.length === 0) return { completeListingIds: [], rentUpdatedIds: [] };
@@ -1287,6 +1312,7 @@ class EnhancedBiWeeklyRentalAnalyzer {
                 .select('listing_id')
                 .eq('neighborhood', neighborhood)
                 .not('listing_id', 'in', `(${currentListingIds.map(id => `"${id}"`).join(',')})`)
+                .neq('market_status', 'relisted')   // superseded by a new ID of the same unit
                 .lt('last_seen_in_search', threeDaysAgo.toISOString());
 
             if (missingError) {
@@ -1299,7 +1325,8 @@ class EnhancedBiWeeklyRentalAnalyzer {
             if (missingRentals && missingRentals.length > 0) {
                 const missingIds = missingRentals.map(r => r.listing_id);
                 
-                const { error: markRentedError } = await this.supabase
+                // Count only the rows this run changed - missing listings stay missing on every later run
+                const { data: markedRows, error: markRentedError } = await this.supabase
                     .from('undervalued_rentals')
                     .update({
                         status: 'likely_rented',
@@ -1307,11 +1334,13 @@ class EnhancedBiWeeklyRentalAnalyzer {
                         rented_detected_at: currentTime
                     })
                     .in('listing_id', missingIds)
-                    .eq('status', 'active');
+                    .eq('status', 'active')
+                    .select('listing_id');
 
                 if (!markRentedError) {
-                    markedRented = missingIds.length;
+                    markedRented = (markedRows || []).length;
                     this.apiUsageStats.listingsMarkedRented += markedRented;
+                    await this.priceHistory.recordClosed('rental', missingIds, { neighborhood });
                     console.log(`   🏠 Marked ${markedRented} rentals as likely rented (not seen in recent search)`);
                 } else {
                     console.warn('⚠️ Error marking rentals as rented:', markRentedError.message);
@@ -1595,6 +1624,7 @@ class EnhancedBiWeeklyRentalAnalyzer {
             console.log(`💾 API calls saved by cache: ${summary.apiCallsSaved}`);
             console.log(`📈 Cache hit rate: ${summary.cacheHitRate.toFixed(1)}%`);
             console.log(`🏠 Listings marked as rented: ${summary.listingsMarkedRented}`);
+            console.log(`🔁 Relisted under a new ID: ${summary.listingsRelisted} (not counted as rented)`);
             
             // Calculate efficiency metrics
             const totalPotentialCalls = summary.apiCallsUsed + summary.apiCallsSaved;
@@ -1794,6 +1824,7 @@ class EnhancedBiWeeklyRentalAnalyzer {
             apiCallsSaved: 0,
             cacheHitRate: 0,
             listingsMarkedRented: 0,
+            listingsRelisted: 0,
             errors: [],
             detailedStats: {
                 byNeighborhood: {},
@@ -1827,7 +1858,7 @@ class EnhancedBiWeeklyRentalAnalyzer {
                     }
                     
                     // Step 1: Get ALL active rentals with smart deduplication
-                    const { newRentals, totalFound, cacheHits } = await this.fetchActiveRentalsWithDeduplication(neighborhood);
+                    const { newRentals, totalFound, cacheHits, activeIds } = await this.fetchActiveRentalsWithDeduplication(neighborhood);
                     summary.totalActiveRentalsFound += totalFound;
                     this.apiUsageStats.totalListingsFound += totalFound;
                     this.apiUsageStats.cacheHits += cacheHits;
@@ -1835,6 +1866,7 @@ class EnhancedBiWeeklyRentalAnalyzer {
                     this.apiUsageStats.apiCallsSaved += cacheHits;
                     
                     if (newRentals.length === 0 && !this.initialBulkLoad) {
+                        await this.deduplicator.touch('rental', activeIds);
                         console.log(`   📊 All ${totalFound} rentals found in cache - 100% API savings!`);
                         continue;
                     }
@@ -1849,6 +1881,11 @@ class EnhancedBiWeeklyRentalAnalyzer {
                     summary.totalDetailsAttempted += newRentals.length;
                     summary.totalDetailsFetched += detailedRentals.length;
                     
+                    // Step 2b: New IDs that relist a vanished unit - cumulative days on market, rented verdict undone
+                    const relistings = await this.deduplicator.linkRelistings('rental', neighborhood, detailedRentals, { activeIds });
+                    this.apiUsageStats.listingsRelisted += relistings.linked;
+                    this.apiUsageStats.rentedCorrected += relistings.corrected;
+                    
                     // Step 3: ADVANCED MULTI-FACTOR ANALYSIS for undervaluation
                     const undervaluedRentals = this.analyzeForAdvancedRentalUndervaluation(detailedRentals, neighborhood);
                     summary.undervaluedFound += undervaluedRentals.length;
@@ -1869,6 +1906,7 @@ class EnhancedBiWeeklyRentalAnalyzer {
                         newRentals: newRentals.length,
                         detailsFetched: detailedRentals.length,
                         undervaluedFound: undervaluedRentals.length,
+                        relisted: relistings.linked,
                         apiCallsUsed: 1 + newRentals.length, // 1 search + detail calls
                         apiCallsSaved: cacheHits
                     };
@@ -1915,7 +1953,9 @@ class EnhancedBiWeeklyRentalAnalyzer {
             summary.apiCallsSaved = this.apiUsageStats.apiCallsSaved;
             summary.cacheHitRate = this.apiUsageStats.totalListingsFound > 0 ? 
                 (this.apiUsageStats.cacheHits / this.apiUsageStats.totalListingsFound * 100) : 0;
-            summary.listingsMarkedRented = this.apiUsageStats.listingsMarkedRented;
+            // Net of vanished listings that turned out to be relisted under a new ID
+            summary.listingsMarkedRented = Math.max(0, this.apiUsageStats.listingsMarkedRented - this.apiUsageStats.rentedCorrected);
+            summary.listingsRelisted = this.apiUsageStats.listingsRelisted;
             summary.adaptiveDelayChanges = this.apiUsageStats.adaptiveDelayChanges;
             summary.detailedStats.rateLimit = {
                 initialDelay: this.initialBulkLoad ? 8000 : 6000,
@@ -1941,16 +1981,17 @@ class EnhancedBiWeeklyRentalAnalyzer {
             console.log(`   📡 Fetching active rentals for ${neighborhood} with smart deduplication...`);
             
             // Step 1: Get basic neighborhood search (1 API call)
+            const searchParams = {
+                areas: neighborhood,
+                limit: 500,
+                minPrice: 1000,
+                maxPrice: 20000,
+                offset: 0
+            };
             const response = await axios.get(
                 'https://streeteasy-api.p.rapidapi.com/rentals/search',
                 {
-                    params: {
-                        areas: neighborhood,
-                        limit: 500,
-                        minPrice: 1000,
-                        maxPrice: 20000,
-                        offset: 0
-                    },
+                    params: searchParams,
                     headers: {
                         'X-RapidAPI-Key': this.rapidApiKey,
                         'X-RapidAPI-Host': 'streeteasy-api.p.rapidapi.com'
@@ -1976,6 +2017,17 @@ class EnhancedBiWeeklyRentalAnalyzer {
 
             console.log(`   ✅ Retrieved ${rentalData.length} total active rentals`);
 
+            // Record rent events (first seen, cuts, raises, relisted, delisted) before the cache is overwritten
+            // (delisted only when the search was not capped, and only inside its rent band)
+            await this.priceHistory.recordSearch('rental', neighborhood,
+                rentalData.map(rental => ({ id: rental.id, price: rental.price || rental.rent, address: rental.address })),
+                {
+                    source: 'streeteasy',
+                    complete: isExhaustiveSearch(rentalData, searchParams),
+                    minPrice: searchParams.minPrice,
+                    maxPrice: searchParams.maxPrice
+                });
+
             // Step 2: Check cache for complete details AND handle rent changes efficiently
             const listingIds = rentalData.map(rental => rental.id?.toString()).filter(Boolean);
             const { completeListingIds, rentUpdatedIds } = await this.handleRentUpdatesInCache(listingIds, rentalData, neighborhood);
@@ -1995,6 +2047,7 @@ class EnhancedBiWeeklyRentalAnalyzer {
             
             return {
                 newRentals,
+                activeIds: listingIds,
                 totalFound: rentalData.length,
                 cacheHits: cacheHits,
                 rentUpdates: rentUpdates
@@ -2253,6 +2306,7 @@ class EnhancedBiWeeklyRentalAnalyzer {
                         valuationMethod: analysis.method,
                         comparablesUsed: analysis.comparablesUsed,
                         adjustmentBreakdown: analysis.adjustmentBreakdown,
+                        comparableSet: analysis.comparableSet,
                         reasoning: analysis.reasoning,
                         
                         // Generate advanced score based on multiple factors
@@ -2353,6 +2407,8 @@ class EnhancedBiWeeklyRentalAnalyzer {
 
                         if (!updateError) {
                             console.log(`   🔄 Updated: ${rental.address} (score: ${existing.score} → ${rental.score})`);
+                            await this.comparableSets.save('rental', rental.id, rental.comparableSet,
+                                { neighborhood: rental.neighborhood || neighborhood, analysisTable: 'undervalued_rentals' });
                         }
                     } else {
                         console.log(`   ⏭️ Skipping duplicate: ${rental.address}`);
@@ -2445,6 +2501,8 @@ class EnhancedBiWeeklyRentalAnalyzer {
                     console.error(`   ❌ Error saving rental ${rental.address}:`, error.message);
                 } else {
                     console.log(`   ✅ Saved: ${rental.address} (${rental.discountPercent}% below market, Score: ${rental.score}, Method: ${rental.valuationMethod})`);
+                    await this.comparableSets.save('rental', rental.id, rental.comparableSet,
+                        { neighborhood: rental.neighborhood || neighborhood, analysisTable: 'undervalued_rentals' });
                     savedCount++;
                 }
             } catch (error) {
@@ -2672,6 +2730,7 @@ async function main() {
 
 // Export for use in other modules
 module.exports = EnhancedBiWeeklyRentalAnalyzer;
+module.exports.AdvancedRentalValuationEngine = AdvancedRentalValuationEngine;   // ANALYSIS_ENGINE=engine in claude-market-analyzer.js
 
 // Run if executed directly
 if (require.main === module) {
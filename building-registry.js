@@ -0,0 +1,237 @@
+// building-registry.js
+// BBL-KEYED RENT-STABILIZED BUILDING REGISTRY
+//
+// Buildings from the DHCR files are keyed by BBL (borough-block-lot, 10 digits: B BBBBB LLLL).
+// Listings are resolved to a BBL offline through an address table:
+//   1. Exact "house number + street" rows from an optional address→BBL CSV (PAD/PLUTO export)
+//   2. Address spans registered in the DHCR rows themselves (ranges and corner aliases)
+// An exact BBL hit is authoritative; fuzzy address matching is only a fallback.
+// Street names repeat across boroughs (BROADWAY, 5 AVE), so hits are kept to the listing's borough
+// (the BBL's first digit) and an address that matches in several boroughs without one is not resolved.
+
+const fs = require('fs').promises;
+const Papa = require('papaparse');
+const {
+    houseNumberKey,
+    parseStreetAddress,
+    getBuildingSpans,
+    spanContainsAddress
+} = require('./address-ranges.js');
+const { normalizeBorough, normalizeStreetName } = require('./address-normalizer.js');
+
+const BORO_CODES = { manhattan: '1', bronx: '2', brooklyn: '3', queens: '4', staten_island: '5' };
+
+/**
+ * Build a 10-digit BBL from borough code, block and lot (null when any part is missing)
+ */
+function formatBBL(boroCode, block, lot) {
+    const cleanBlock = (block || '').toString().replace(/[^0-9]/g, '');
+    const cleanLot = (lot || '').toString().replace(/[^0-9]/g, '');
+    const boro = parseInt(boroCode, 10);
+
+    if (!boro || !cleanBlock || !cleanLot || cleanBlock.length > 5 || cleanLot.length > 4) {
+        return null;
+    }
+
+    return `${boro}${cleanBlock.padStart(5, '0')}${cleanLot.padStart(4, '0')}`;
+}
+
+/**
+ * Normalize any BBL representation ("1-00722-0003", 1007220003) to the 10-digit string
+ */
+function normalizeBBL(bbl) {
+    const digits = (bbl || '').toString().replace(/[^0-9]/g, '');
+    return digits.length === 10 ? digits : null;
+}
+
+/**
+ * First hit, or null when the hits fall in more than one borough (the address is ambiguous)
+ */
+function singleBoroughHit(hits) {
+    const boroughs = new Set(hits.map(hit => hit.bbl[0]));
+    return boroughs.size === 1 ? hits[0] : null;
+}
+
+class BuildingRegistry {
+    constructor() {
+        this.buildingsByBBL = new Map();   // bbl → { bbl, borough, zipcode, addresses, buildings }
+        this.exactSpans = new Map();       // "houseKey|streetKey" → [{ span, bbl, zipcode }] (single-number spans)
+        this.spansByStreet = new Map();    // street key → [{ span, bbl, zipcode }] (house number ranges)
+        this.addressTable = new Map();     // "houseKey|streetKey" → [{ bbl, zipcode }]
+    }
+
+    /**
+     * Build a registry from building rows (DHCR ingestion output or rent_stabilized_buildings rows)
+     */
+    static fromBuildings(buildings) {
+        const registry = new BuildingRegistry();
+        registry.addBuildings(buildings);
+        return registry;
+    }
+
+    addBuildings(buildings) {
+        for (const building of buildings || []) {
+            this.addBuilding(building);
+        }
+        return this;
+    }
+
+    addBuilding(building) {
+        const bbl = normalizeBBL(building.bbl);
+        if (!bbl) return false;
+
+        let entry = this.buildingsByBBL.get(bbl);
+        if (!entry) {
+            entry = {
+                bbl,
+                borough: building.borough,
+                zipcode: building.zipcode,
+                addresses: [],
+                buildings: []
+            };
+            this.buildingsByBBL.set(bbl, entry);
+        }
+
+        entry.buildings.push(building);
+        if (building.address && !entry.addresses.includes(building.address)) {
+            entry.addresses.push(building.address);
+        }
+
+        for (const span of getBuildingSpans(building)) {
+            const streetKey = span.street_key || normalizeStreetName(span.street);
+            const low = houseNumberKey(span.low);
+            const key = low === houseNumberKey(span.high) ? `${low}|${streetKey}` : null;
+            const bucket = key ? this.exactSpans : this.spansByStreet;
+            const bucketKey = key || streetKey;
+
+            if (!bucket.has(bucketKey)) {
+                bucket.set(bucketKey, []);
+            }
+            bucket.get(bucketKey).push({ span, bbl, zipcode: building.zipcode });
+        }
+
+        return true;
+    }
+
+    get size() {
+        return this.buildingsByBBL.size;
+    }
+
+    getByBBL(bbl) {
+        return this.buildingsByBBL.get(normalizeBBL(bbl)) || null;
+    }
+
+    /**
+     * Load an offline address→BBL table (CSV with HOUSE_NUMBER, STREET, BBL and optional ZIP columns)
+     */
+    async loadAddressTable(filePath) {
+        const content = await fs.readFile(filePath, 'utf8');
+        const parsed = Papa.parse(content, {
+            header: true,
+            skipEmptyLines: true,
+            transformHeader: (header) => header.trim().toUpperCase().replace(/[^A-Z0-9]/g, '_')
+        });
+
+        let loaded = 0;
+        for (const row of parsed.data) {
+            const bbl = normalizeBBL(row.BBL);
+            const houseKey = houseNumberKey(row.HOUSE_NUMBER || row.HOUSENUM);
+            const streetKey = normalizeStreetName(row.STREET || row.STREET_NAME, { borough: row.BOROUGH || row.BORO });
+            if (!bbl || houseKey === null || !streetKey) continue;
+
+            this.addAddressTableEntry(houseKey, streetKey, bbl, row.ZIP || row.ZIPCODE || null);
+            loaded++;
+        }
+
+        console.log(`   📒 Loaded ${loaded} address→BBL rows from ${filePath}`);
+        return loaded;
+    }
+
+    addAddressTableEntry(houseKey, streetKey, bbl, zipcode = null) {
+        const key = `${houseKey}|${streetKey}`;
+        if (!this.addressTable.has(key)) {
+            this.addressTable.set(key, []);
+        }
+        this.addressTable.get(key).push({ bbl, zipcode });
+    }
+
+    /**
+     * Resolve a listing address to a BBL; returns { bbl, source } or null
+     * @param {Object} options - { bbl, zipcode, borough } - without a borough or zipcode, an address
+     *   found in more than one borough resolves to null
+     */
+    resolveBBL(address, options = {}) {
+        const explicit = normalizeBBL(options.bbl);
+        if (explicit) {
+            return { bbl: explicit, source: 'listing_bbl' };
+        }
+
+        const parsed = parseStreetAddress(address, { borough: options.borough });
+        if (!parsed) return null;
+
+        const zipcode = options.zipcode ? options.zipcode.toString() : null;
+        const sameZip = (candidateZip) => !zipcode || !candidateZip || candidateZip.toString() === zipcode;
+        const boroCode = BORO_CODES[normalizeBorough(options.borough)] || null;
+        const sameBorough = (bbl) => !boroCode || bbl[0] === boroCode;
+
+        const houseKey = houseNumberKey(parsed.houseNumber);
+        const tableHits = (this.addressTable.get(`${houseKey}|${parsed.streetKey}`) || [])
+            .filter(hit => sameZip(hit.zipcode) && sameBorough(hit.bbl));
+        if (tableHits.length > 0) {
+            const tableHit = singleBoroughHit(tableHits);
+            return tableHit ? { bbl: tableHit.bbl, source: 'address_table' } : null;
+        }
+
+        const spanHits = [
+            ...(this.exactSpans.get(`${houseKey}|${parsed.streetKey}`) || []),
+            ...(this.spansByStreet.get(parsed.streetKey) || [])
+        ].filter(candidate => sameZip(candidate.zipcode) && sameBorough(candidate.bbl) && spanContainsAddress(candidate.span, parsed));
+        const spanHit = singleBoroughHit(spanHits);
+        if (spanHit) {
+            return { bbl: spanHit.bbl, source: spanHit.span.kind === 'corner' ? 'dhcr_corner_alias' : 'dhcr_address_range' };
+        }
+
+        return null;
+    }
+
+    /**
+     * Resolve a listing to its registered building entry; returns { entry, bbl, source } or null
+     */
+    findRegisteredBuilding(property) {
+        const resolved = this.resolveBBL(property.address, {
+            bbl: property.bbl,
+            zipcode: property.zipcode,
+            borough: property.borough
+        });
+        if (!resolved) return null;
+
+        const entry = this.getByBBL(resolved.bbl);
+        return entry ? { entry, ...resolved } : null;
+    }
+
+    /**
+     * Persist the registry as JSON (buildings only; indexes are rebuilt on load)
+     */
+    async saveToFile(filePath) {
+        const buildings = [];
+        for (const entry of this.buildingsByBBL.values()) {
+            buildings.push(...entry.buildings);
+        }
+
+        await fs.writeFile(filePath, JSON.stringify({
+            generated_at: new Date().toISOString(),
+            building_count: this.size,
+            buildings
+        }));
+        console.log(`💾 Saved BBL registry (${this.size} lots) to ${filePath}`);
+    }
+
+    static async loadFromFile(filePath) {
+        const content = JSON.parse(await fs.readFile(filePath, 'utf8'));
+        return BuildingRegistry.fromBuildings(content.buildings || []);
+    }
+}
+
+module.exports = BuildingRegistry;
+module.exports.formatBBL = formatBBL;
+module.exports.normalizeBBL = normalizeBBL;
@@ -0,0 +1,182 @@
+// claude-batch-runner.js
+// CLAUDE BATCH RUNNER - one Message Batch per neighborhood instead of a call (and a delay) per listing
+//
+// Batch mode (CLAUDE_BATCH_MODE=true, or batchMode: true) hands every listing's prompt to run(),
+// which submits them as one batch, polls until it ends and returns the results by listing id:
+//   runner.run({ neighborhood, analysisType, requests: [{ listingId, cacheKey, task, system, messages }] })
+//     → Map(listingId → { type: 'succeeded', text, usage, cost } | { type: 'errored' | 'expired' | 'canceled', error })
+//
+// Each submitted batch is recorded in claude_batch_jobs (custom_id → listing id + analysis cache key)
+// before polling starts. If the process stops while a batch is running, the next run for that
+// neighborhood resumes polling it and uses its results for every listing whose cache key still
+// matches (same listing fields and comparables); only the rest go into a new batch.
+//
+// CLAUDE_BATCH_POLL_SECONDS (default 30) sets the poll interval; after CLAUDE_BATCH_MAX_WAIT_MINUTES
+// (default 120) run() throws BATCH_TIMEOUT and leaves the job to be resumed.
+require('dotenv').config();
+
+class ClaudeBatchRunner {
+    /**
+     * @param {Object} llm - LLMClient whose provider supports batches (anthropic or mock)
+     * @param {Object} storage - storage.js backend holding claude_batch_jobs
+     * @param {Object} options - { pollIntervalMs, maxWaitMs }
+     */
+    constructor(llm, storage, options = {}) {
+        this.llm = llm;
+        this.storage = storage;
+        this.pollIntervalMs = options.pollIntervalMs ?? (parseFloat(process.env.CLAUDE_BATCH_POLL_SECONDS) || 30) * 1000;
+        this.maxWaitMs = options.maxWaitMs ?? (parseFloat(process.env.CLAUDE_BATCH_MAX_WAIT_MINUTES) || 120) * 60000;
+        this.stats = { batchesSubmitted: 0, batchesResumed: 0, requestsSubmitted: 0, resultsReused: 0 };
+    }
+
+    /**
+     * Results for every request, from resumed batches first and then from one new batch
+     */
+    async run({ neighborhood, analysisType, requests }) {
+        const results = new Map();
+        const wanted = new Map(requests.map(request => [String(request.listingId), request]));
+
+        // STEP 1: Batches an earlier run submitted for this neighborhood and never collected
+        for (const job of await this.pendingJobs(neighborhood, analysisType)) {
+            console.log(`   ♻️ Resuming ${analysisType} batch ${job.batch_id} (${job.request_count} requests)`);
+            this.stats.batchesResumed++;
+
+            for (const result of await this.collect(job)) {
+                const entry = job.requests[result.customId];
+                const request = entry && wanted.get(String(entry.listingId));
+                if (request && request.cacheKey === entry.cacheKey && !results.has(String(entry.listingId))) {
+                    results.set(String(entry.listingId), result);
+                    this.stats.resultsReused++;
+                }
+            }
+        }
+
+        // STEP 2: Everything else as one new batch
+        const remaining = requests.filter(request => !results.has(String(request.listingId)));
+        if (remaining.length > 0) {
+            const job = await this.submit(neighborhood, analysisType, remaining);
+            for (const result of await this.collect(job)) {
+                results.set(String(job.requests[result.customId].listingId), result);
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Submit requests as a batch and record the job before polling starts
+     */
+    async submit(neighborhood, analysisType, requests) {
+        const entries = requests.map((request, index) => ({ customId: `req-${index}`, ...request }));
+        const batch = await this.llm.submitBatch(entries.map(entry => ({
+            customId: entry.customId,
+            task: entry.task,
+            system: entry.system,
+            messages: entry.messages
+        })));
+
+        const job = {
+            batch_id: batch.id,
+            provider: this.llm.provider.name,
+            neighborhood,
+            analysis_type: analysisType,
+            status: 'in_progress',
+            request_count: entries.length,
+            requests: Object.fromEntries(entries.map(entry => [entry.customId, {
+                listingId: String(entry.listingId),
+                cacheKey: entry.cacheKey || null,
+                task: entry.task
+            }])),
+            created_at: new Date().toISOString()
+        };
+
+        this.stats.batchesSubmitted++;
+        this.stats.requestsSubmitted += entries.length;
+        console.log(`   📦 Submitted ${analysisType} batch ${batch.id} (${entries.length} requests)`);
+
+        const { error } = await this.storage.from('claude_batch_jobs').insert(job);
+        if (error) {
+            console.warn(`   ⚠️ Could not record batch ${batch.id} - it cannot be resumed after a restart: ${error.message}`);
+        }
+        return job;
+    }
+
+    /**
+     * Wait for a job's batch to end and return its results ([] when the provider no longer has it)
+     */
+    async collect(job) {
+        let batch;
+        try {
+            batch = await this.waitForBatch(job.batch_id);
+        } catch (error) {
+            if (error.code !== 'BATCH_NOT_FOUND') throw error;
+            console.warn(`   ⚠️ Batch ${job.batch_id} no longer exists - its requests will be resubmitted`);
+            await this.updateJob(job.batch_id, { status: 'expired' });
+            return [];
+        }
+
+        const tasks = Object.fromEntries(Object.entries(job.requests).map(([customId, entry]) => [customId, entry.task]));
+        const results = await this.llm.getBatchResults(batch, tasks);
+        await this.updateJob(job.batch_id, {
+            status: 'collected',
+            ended_at: batch.endedAt || new Date().toISOString(),
+            collected_at: new Date().toISOString()
+        });
+
+        const counts = results.reduce((totals, result) => ({ ...totals, [result.type]: (totals[result.type] || 0) + 1 }), {});
+        console.log(`   ✅ Batch ${job.batch_id} ended: ${Object.entries(counts).map(([type, count]) => `${count} ${type}`).join(', ') || 'no results'}`);
+        return results;
+    }
+
+    /**
+     * Poll until the batch has ended - throws BATCH_TIMEOUT after maxWaitMs (the job stays resumable)
+     */
+    async waitForBatch(batchId) {
+        const startedAt = Date.now();
+
+        for (;;) {
+            const batch = await this.llm.getBatch(batchId);
+            if (batch.status === 'ended') return batch;
+
+            if (Date.now() - startedAt >= this.maxWaitMs) {
+                const error = new Error(`Batch ${batchId} still ${batch.status} after ${Math.round(this.maxWaitMs / 1000)}s - it will be resumed on the next run`);
+                error.code = 'BATCH_TIMEOUT';
+                throw error;
+            }
+
+            console.log(`   ⏳ Batch ${batchId} ${batch.status} (${batch.counts.processing ?? '?'} processing)`);
+            await this.delay(this.pollIntervalMs);
+        }
+    }
+
+    async pendingJobs(neighborhood, analysisType) {
+        const { data, error } = await this.storage
+            .from('claude_batch_jobs')
+            .select('*')
+            .eq('analysis_type', analysisType)
+            .eq('neighborhood', neighborhood)
+            .eq('status', 'in_progress')
+            .order('created_at', { ascending: true });
+
+        if (error) {
+            console.warn(`   ⚠️ Could not check for unfinished batches: ${error.message}`);
+            return [];
+        }
+        return data || [];
+    }
+
+    async updateJob(batchId, values) {
+        const { error } = await this.storage.from('claude_batch_jobs').update(values).eq('batch_id', batchId);
+        if (error) console.warn(`   ⚠️ Could not update batch ${batchId}: ${error.message}`);
+    }
+
+    getStats() {
+        return { ...this.stats };
+    }
+
+    delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
+
+module.exports = ClaudeBatchRunner;
@@ -9,26 +9,95 @@
 // ENVIRONMENT VARIABLES REQUIRED:
 // ANTHROPIC_API_KEY=your_claude_api_key
 //
+// ANALYSIS_ENGINE (or options.analysisEngine) picks who values rentals:
+//   claude  every rental goes to Claude (default)
+//   engine  AdvancedRentalValuationEngine's deterministic comparable valuation - no key needed
+//   auto    Claude, falling back to the engine when there is no key or a call fails (quota, outage)
+// Engine results have the same shape as Claude results (analysisEngine: 'valuation_engine');
+// engine-parity.js compares the two on a fixture set. Sales always need Claude.
+//
 // RAILWAY DEPLOYMENT READY: All field mappings verified against database constraints
 require('dotenv').config();
-const axios = require('axios');
+const { parseStreetAddress, matchBuildingSpans, houseNumberKey } = require('./address-ranges.js');
+const DHCRLookupIndex = require('./dhcr-lookup-index.js');
+const { zipcodeKey } = require('./dhcr-lookup-index.js');
+const { normalizeAddress: normalizeNYCAddress } = require('./address-normalizer.js');
+const { formatYearRanges } = require('./dhcr-registry-history.js');
+const { parseDHCRStatuses } = require('./dhcr-status-codes.js');
+const { httpClientFromEnv } = require('./http-cassette.js');
+const { createLLMClient, emptyUsageReport } = require('./llm-client.js');
+const { analysisCacheKey } = require('./analysis-cache.js');
+const {
+    CLAUDE_OUTPUT_SCHEMAS,
+    ANALYSIS_FAILURE_TYPES,
+    validateAgainstSchema,
+    checkClaudeOutput,
+    buildRepairPrompt,
+    createSchemaStats,
+    recordSchemaOutcome
+} = require('./claude-output-schemas.js');
+const { AdvancedRentalValuationEngine } = require('./biweekly-streeteasy-rentals.js');
+const { buildComparableSet } = require('./comparable-sets.js');
+
+// Which LLM task settings (model, max tokens, temperature) each analysis type runs with
+const ANALYSIS_TASKS = {
+    sales: 'quick_check',                 // stage 1 on every sale listing
+    rentals: 'deep_analysis',
+    dual_sales_analysis: 'dual_sales_memo'
+};
+
+const ANALYSIS_ENGINES = ['claude', 'engine', 'auto'];
+
+// Comparables written into each rentals / sales prompt (the rest of the filtered set is not shown)
+const PROMPT_COMPARABLES_LIMIT = 12;
 
 /**
  * Enhanced Claude-Powered Market Analysis Engine
  * Complete system with pre-filtering + Claude AI for all property types
  */
 class EnhancedClaudeMarketAnalyzer {
-    constructor() {
-        this.claudeApiKey = process.env.ANTHROPIC_API_KEY || process.env.CLAUDE_API_KEY;
+    /**
+     * @param {Object} options - { apiKey, http, llm, maxSchemaRepairs, analysisCache, analysisEngine, valuationEngine }
+     *   http: axios-compatible client for the Anthropic API (default axios, or a cassette via HTTP_CASSETTE_MODE)
+     *   llm: LLMClient (default createLLMClient() - provider and per-task models from LLM_* / CLAUDE_* env)
+     *   maxSchemaRepairs: re-asks allowed when a response fails its JSON Schema (default 2)
+     *   analysisCache: AnalysisCache reusing rental analyses of unchanged listings (default none)
+     *   analysisEngine: 'claude' | 'engine' | 'auto' (default ANALYSIS_ENGINE, else 'claude')
+     *   valuationEngine: AdvancedRentalValuationEngine for engine / auto mode
+     */
+    constructor(options = {}) {
+        this.analysisEngine = (options.analysisEngine || process.env.ANALYSIS_ENGINE || 'claude').toLowerCase();
+        if (!ANALYSIS_ENGINES.includes(this.analysisEngine)) {
+            throw new Error(`Unknown analysis engine "${this.analysisEngine}". Expected one of: ${ANALYSIS_ENGINES.join(', ')}`);
+        }
+        this.valuationEngine = options.valuationEngine || new AdvancedRentalValuationEngine();
+        this.engineStats = { valuations: 0, fallbacks: 0, insufficientData: 0 };
+
+        this.http = options.http || httpClientFromEnv('claude-analyzer');
+        this.llm = options.llm || this.createDefaultLLMClient(options);
         this.apiCallsUsed = 0;
+        this.maxSchemaRepairs = options.maxSchemaRepairs ?? parseInt(process.env.CLAUDE_MAX_SCHEMA_REPAIRS ?? '2');
+        this.schemaStats = createSchemaStats();
+        this.analysisCache = options.analysisCache || null;
         this.cacheTimeout = 3600000; // 1 hour cache for neighborhood analysis
         this.neighborhoodCache = new Map();
+        this.dhcrIndex = null;          // DHCR lookup index (with BBL registry), built once per run
+        this.dhcrIndexSource = null;    // buildings array the index was built from
         
-        if (!this.claudeApiKey) {
-            throw new Error('ANTHROPIC_API_KEY or CLAUDE_API_KEY environment variable is required');
+        console.log(`🤖 Enhanced Claude Market Analyzer initialized (All Tables Support${this.analysisEngine !== 'claude' ? `, ${this.analysisEngine} mode` : ''})`);
+    }
+
+    /**
+     * LLM client from env - in engine and auto mode a missing key leaves rentals to the valuation engine
+     */
+    createDefaultLLMClient(options) {
+        try {
+            return createLLMClient({ apiKey: options.apiKey, http: this.http });
+        } catch (error) {
+            if (this.analysisEngine === 'claude') throw error;
+            console.warn(`⚠️ No LLM client (${error.message}) - rentals use the deterministic valuation engine`);
+            return null;
         }
-        
-        console.log('🤖 Enhanced Claude Market Analyzer initialized (All Tables Support)');
     }
 
 /**
@@ -48,8 +117,21 @@ async analyzeRentalsUndervaluation(targetProperty, comparableProperties, neighbo
         // STEP 2: Build context with filtered comparables for Claude
         const enhancedContext = this.buildEnhancedRentalsContext(targetProperty, filteredComparables.selectedComparables, neighborhood, options);
         
-        // STEP 3: Let Claude analyze the specific comparables naturally
-        const claudeResponse = await this.callClaudeForEnhancedRentalsAnalysis(enhancedContext, threshold);
+        // STEP 3: Let Claude analyze the specific comparables naturally (or reuse the stored analysis
+        // when the listing and its comparables are unchanged)
+        // (options.claudeResponse: already answered by a Message Batch - see analyzeRentalsBatch)
+        let claudeResponse = options.claudeResponse || null;
+        if (!claudeResponse && this.usesClaudeForRentals()) {
+            claudeResponse = await this.withAnalysisCache('rentals', targetProperty, filteredComparables.selectedComparables,
+                { threshold, neighborhood, forceRefresh: options.forceRefresh },
+                () => this.callClaudeForEnhancedRentalsAnalysis(enhancedContext, threshold));
+        }
+        // ...or value it with the deterministic engine (engine mode, or auto mode without Claude)
+        if (this.needsValuationEngine(claudeResponse)) {
+            claudeResponse = this.valuationEngineResponse(targetProperty, comparableProperties, neighborhood, options);
+        }
+        const fromCache = Boolean(claudeResponse.fromCache);
+        const analysisEngine = claudeResponse.engine ? 'valuation_engine' : 'claude';
         
         if (!claudeResponse.success) {
             return {
@@ -60,6 +142,9 @@ async analyzeRentalsUndervaluation(targetProperty, comparableProperties, neighbo
                 confidence: 0,
                 method: 'claude_analysis_failed',
                 reasoning: claudeResponse.error || 'Analysis failed',
+                error: claudeResponse.error,
+                analysisFailure: claudeResponse.failure,
+                analysisEngine,
                 rentStabilizedProbability: 0,
                 rentStabilizedFactors: [],
                 rentStabilizedExplanation: 'Analysis failed'
@@ -68,15 +153,25 @@ async analyzeRentalsUndervaluation(targetProperty, comparableProperties, neighbo
         
         const analysis = claudeResponse.analysis;
         
-        // STEP 4: Simple validation (like working version)
-        if (!analysis.estimatedMarketRent || !analysis.percentBelowMarket) {
-            throw new Error('Invalid analysis structure from Claude');
-        }
+        // STEP 4: callClaude already validated the response against CLAUDE_OUTPUT_SCHEMAS.rentals
+        // (estimatedMarketRent > 0; a percentBelowMarket of 0 is a valid answer)
+
+        // The comparables and adjustments behind the estimate (the engine reports its own selection)
+        const comparableSet = claudeResponse.comparableSet || buildComparableSet({
+            target: targetProperty,
+            comparables: filteredComparables.selectedComparables,
+            tier: filteredComparables.method,
+            adjustments: analysis.adjustmentBreakdown,
+            estimatedMarketValue: analysis.estimatedMarketRent,
+            baseMarketValue: analysis.baseMarketRent,
+            engine: 'claude',
+            promptLimit: PROMPT_COMPARABLES_LIMIT
+        });
         
         // STEP 5: Calculate confidence from method (since Claude doesn't provide it)
         const calculatedConfidence = this.calculateConfidenceFromMethod(filteredComparables.method, filteredComparables.selectedComparables.length);
         
-        console.log(`   💰 Claude estimate: ${analysis.estimatedMarketRent?.toLocaleString()}/month`);
+        console.log(`   💰 ${claudeResponse.engine ? 'Engine' : 'Claude'} estimate: ${analysis.estimatedMarketRent?.toLocaleString()}/month`);
         console.log(`   📊 Below market: ${analysis.percentBelowMarket?.toFixed(1)}%`);
         
         // ✅ FIXED: Proper validation of discount percentage
@@ -102,7 +197,10 @@ async analyzeRentalsUndervaluation(targetProperty, comparableProperties, neighbo
                 undervaluationConfidence: calculatedConfidence,
                 rentStabilizedProbability: analysis.rentStabilizedProbability || 0,
                 rentStabilizedFactors: analysis.rentStabilizedFactors || [],
-                rentStabilizedExplanation: 'No analysis needed for overpriced property'
+                rentStabilizedExplanation: 'No analysis needed for overpriced property',
+                comparableSet,
+                analysisEngine,
+                fromCache
             };
         }
         
@@ -126,7 +224,10 @@ async analyzeRentalsUndervaluation(targetProperty, comparableProperties, neighbo
                 undervaluationConfidence: calculatedConfidence,
                 rentStabilizedProbability: analysis.rentStabilizedProbability || 0,
                 rentStabilizedFactors: analysis.rentStabilizedFactors || [],
-                rentStabilizedExplanation: 'No detailed analysis for market-rate property'
+                rentStabilizedExplanation: 'No detailed analysis for market-rate property',
+                comparableSet,
+                analysisEngine,
+                fromCache
             };
         }
         
@@ -170,7 +271,10 @@ async analyzeRentalsUndervaluation(targetProperty, comparableProperties, neighbo
             
             // Full enhanced data for database integration
             enhancedRentStabilization,
-            enhancedUndervaluation
+            enhancedUndervaluation,
+            comparableSet,
+            analysisEngine,
+            fromCache
         };
             
     } catch (error) {
@@ -211,8 +315,8 @@ async analyzeSalesUndervaluation(targetProperty, comparableProperties, neighborh
         // STEP 2: Build context with filtered comparables for Claude
         const enhancedContext = this.buildEnhancedSalesContext(targetProperty, filteredComparables.selectedComparables, neighborhood, options);
         
-        // STEP 3: Let Claude analyze the specific comparables naturally
-        const claudeResponse = await this.callClaudeForEnhancedSalesAnalysis(enhancedContext, threshold);
+        // STEP 3: Let Claude analyze the specific comparables naturally (unless a Message Batch already did)
+        const claudeResponse = options.claudeResponse || await this.callClaudeForEnhancedSalesAnalysis(enhancedContext, threshold);
         
         if (!claudeResponse.success) {
             return {
@@ -223,16 +327,25 @@ async analyzeSalesUndervaluation(targetProperty, comparableProperties, neighborh
                 confidence: 0,
                 method: 'claude_analysis_failed',
                 reasoning: claudeResponse.error || 'Analysis failed',
+                error: claudeResponse.error,
+                analysisFailure: claudeResponse.failure,
                 comparablesUsed: 0
             };
         }
         
         const analysis = claudeResponse.analysis;
         
-        // STEP 4: Simple validation (like working version)
-        if (!analysis.estimatedMarketPrice || !analysis.discountPercent) {
-            throw new Error('Invalid analysis structure from Claude');
-        }
+        // STEP 4: callClaude already validated the response against CLAUDE_OUTPUT_SCHEMAS.sales
+        const comparableSet = buildComparableSet({
+            target: targetProperty,
+            comparables: filteredComparables.selectedComparables,
+            tier: filteredComparables.method,
+            adjustments: analysis.adjustmentBreakdown,
+            estimatedMarketValue: analysis.estimatedMarketPrice,
+            baseMarketValue: analysis.baseMarketPrice,
+            engine: 'claude',
+            promptLimit: PROMPT_COMPARABLES_LIMIT
+        });
 
         // ✅ STEP 5: VALIDATE CLAUDE'S CALCULATION - THIS IS THE FIX
         const actualPrice = targetProperty.salePrice || targetProperty.price;
@@ -253,7 +366,8 @@ async analyzeSalesUndervaluation(targetProperty, comparableProperties, neighborh
                 confidence: 0,
                 method: 'claude_analysis_overpriced',
                 reasoning: `Property is overpriced by ${overvaluedPercent.toFixed(1)}% above market value`,
-                comparablesUsed: filteredComparables.selectedComparables.length
+                comparablesUsed: filteredComparables.selectedComparables.length,
+                comparableSet
             };
         }
         
@@ -278,7 +392,8 @@ async analyzeSalesUndervaluation(targetProperty, comparableProperties, neighborh
             // Enhanced metrics for compatibility
             detailedAnalysis: analysis.detailedAnalysis || {},
             adjustmentBreakdown: analysis.adjustmentBreakdown || {},
-            valuationMethod: filteredComparables.method
+            valuationMethod: filteredComparables.method,
+            comparableSet
         };
         
     } catch (error) {
@@ -752,7 +867,7 @@ Amenities: ${target.amenities.join(', ') || 'None listed'}
 Description: ${target.description}
 
 FILTERED COMPARABLE PROPERTIES (${enhancedContext.valuationMethod}):
-${comparables.slice(0, 12).map((comp, i) => 
+${comparables.slice(0, PROMPT_COMPARABLES_LIMIT).map((comp, i) => 
   `${i+1}. ${comp.address} - $${comp.price?.toLocaleString()}/month | ${comp.bedrooms}BR/${comp.bathrooms}BA | ${comp.sqft || 'N/A'} sqft | No Fee: ${comp.noFee ? 'YES' : 'NO'} | Amenities: ${comp.amenities?.slice(0, 4).join(', ') || 'None'}`
 ).join('\n')}
 
@@ -795,7 +910,7 @@ Amenities: ${target.amenities.join(', ') || 'None listed'}
 Description: ${target.description}
 
 FILTERED COMPARABLE SALES (${enhancedContext.valuationMethod}):
-${comparables.slice(0, 12).map((comp, i) => 
+${comparables.slice(0, PROMPT_COMPARABLES_LIMIT).map((comp, i) => 
   `${i+1}. ${comp.address} - $${comp.salePrice?.toLocaleString() || comp.price?.toLocaleString()} | ${comp.bedrooms}BR/${comp.bathrooms}BA | ${comp.sqft || 'N/A'} sqft | Built: ${comp.builtIn || 'N/A'} | Amenities: ${comp.amenities?.slice(0, 4).join(', ') || 'None'}`
 ).join('\n')}
 
@@ -954,142 +1069,371 @@ valuationMethod: 'claude_hierarchical_analysis'
      */
 
     /**
-     * Core Claude API call with enhanced error handling and retry logic
+     * Core Claude API call: retries failed requests with backoff, and re-asks (up to
+     * this.maxSchemaRepairs times) when the response does not match the analysis type's JSON Schema.
+     * Resolves to { success: true, analysis } or { success: false, error, failure } where failure is
+     * { type, analysisType, errors, repairs } - never to values guessed from a malformed response.
+     * conversation ({ messages, repairs }) continues a re-ask started elsewhere (batch results).
      */
-    async callClaude(systemPrompt, userPrompt, analysisType) {
+    async callClaude(systemPrompt, userPrompt, analysisType, conversation = null) {
+        if (!this.llm) return this.missingLLMFailure(analysisType);
+
         const maxRetries = 3;
+        const messages = conversation ? conversation.messages : [{ role: 'user', content: userPrompt }];
         let attempt = 0;
+        let repairs = conversation ? conversation.repairs : 0;
+        let lastError = null;
         
         while (attempt < maxRetries) {
+            let responseText;
             try {
                 this.apiCallsUsed++;
-                console.log(`   🤖 Claude API call #${this.apiCallsUsed} (${analysisType}, attempt ${attempt + 1})`);
+                console.log(`   🤖 Claude API call #${this.apiCallsUsed} (${analysisType}, attempt ${attempt + 1}${repairs > 0 ? `, re-ask ${repairs}` : ''})`);
                 
-                const response = await axios.post(
-                    'https://api.anthropic.com/v1/messages',
-                    {
-                        model: 'claude-3-haiku-20240307',
-                        max_tokens: 2000,
-                        temperature: 0.1,
-                        system: systemPrompt,
-                        messages: [{
-                            role: 'user',
-                            content: userPrompt
-                        }]
-                    },
-                    {
-                        headers: {
-                            'Content-Type': 'application/json',
-                            'x-api-key': this.claudeApiKey,
-                            'anthropic-version': '2023-06-01'
-                        },
-                        timeout: 65000
-                    }
-                );
+                const response = await this.llm.complete({
+                    task: ANALYSIS_TASKS[analysisType] || 'deep_analysis',
+                    system: systemPrompt,
+                    messages
+                });
                 
-                const responseText = response.data.content[0].text;
+                responseText = response.text;
                 console.log(`   ✅ Claude response received (${responseText.length} chars)`);
                 
-                // Enhanced JSON parsing with better error handling
-                try {
-                    const jsonMatch = responseText.match(/\{[\s\S]*\}/);
-                    if (!jsonMatch) {
-                        throw new Error('No JSON found in response');
-                    }
-                    
-                    let jsonString = jsonMatch[0];
-                    
-                    // Clean common JSON issues
-                    jsonString = jsonString
-                        .replace(/[\u0000-\u001F\u007F-\u009F]/g, "") // Remove control characters
-                        .replace(/\\(?!["\\/bfnrt]|u[0-9a-fA-F]{4})/g, "\\\\") // Fix invalid escapes
-                        .replace(/\n/g, "\\n") // Escape newlines properly
-                        .replace(/\r/g, "\\r") // Escape carriage returns
-                        .replace(/\t/g, "\\t") // Escape tabs
-                        .replace(/([{,]\s*)([a-zA-Z_][a-zA-Z0-9_]*)\s*:/g, '$1"$2":') // Quote unquoted keys
-                        .replace(/:\s*([a-zA-Z_][a-zA-Z0-9_]*)\s*([,}])/g, ': "$1"$2') // Quote unquoted string values
-                        .replace(/,\s*([}\]])/g, '$1'); // Remove trailing commas
-                    
-                    const analysis = JSON.parse(jsonString);
-                    return { success: true, analysis };
-                    
-                } catch (parseError) {
-                    console.warn(`   ⚠️ JSON parse error: ${parseError.message}`);
-                    
-                    // Fallback: extract key-value pairs manually
-                    const extractedData = this.extractDataFromResponse(responseText);
-                    if (extractedData && Object.keys(extractedData).length > 3) {
-                        return { success: true, analysis: extractedData };
-                    }
-                    
-                    throw new Error('Could not parse Claude response as JSON');
-                }
-                
             } catch (error) {
                 attempt++;
+                lastError = error;
                 console.warn(`   ⚠️ Claude API error (attempt ${attempt}): ${error.message}`);
                 
-                if (attempt >= maxRetries) {
-                    return { 
-                        success: false, 
-                        error: `Analysis failed after ${maxRetries} attempts: ${error.message}` 
-                    };
-                }
+                // A cassette miss or an exhausted mock will not start answering on a retry
+                if (attempt >= maxRetries || ['CASSETTE_MISS', 'MOCK_NO_RESPONSE'].includes(error.code)) break;
                 
                 // Exponential backoff
                 await this.delay(2000 * Math.pow(2, attempt - 1));
+                continue;
+            }
+            
+            const { analysis, failureType, errors } = checkClaudeOutput(responseText, analysisType);
+            if (!failureType) {
+                recordSchemaOutcome(this.schemaStats, analysisType, { repairs });
+                return { success: true, analysis };
             }
+            
+            console.warn(`   ⚠️ Claude ${analysisType} response failed ${failureType}: ${errors.slice(0, 3).join('; ')}`);
+            if (repairs >= this.maxSchemaRepairs) {
+                return this.analysisFailure(analysisType, failureType, errors, repairs);
+            }
+            
+            // Re-ask in the same conversation with the validation errors
+            repairs++;
+            messages.push(
+                { role: 'assistant', content: responseText },
+                { role: 'user', content: buildRepairPrompt(analysisType, errors) }
+            );
         }
+        
+        return this.analysisFailure(analysisType, ANALYSIS_FAILURE_TYPES.API_ERROR,
+            [`Analysis failed after ${attempt} attempts: ${lastError?.message}`], repairs);
     }
 
     /**
-     * Enhanced data extraction from malformed responses
+     * api_error failure for analyzers created without an LLM client (engine / auto mode, no key)
      */
-    extractDataFromResponse(responseText) {
-        try {
-            const extracted = {};
-            
-            // Extract key numerical values using regex patterns
-            const patterns = {
-                estimatedMarketRent: /(?:estimatedMarketRent|estimated.*rent|market.*rent)[\s\S]*?(\d{1,3}(?:,\d{3})*)/i,
-                estimatedMarketPrice: /(?:estimatedMarketPrice|estimated.*price|market.*price)[\s\S]*?(\d{1,3}(?:,\d{3})*)/i,
-                percentBelowMarket: /(?:percentBelowMarket|percent.*below|market.*position)[\s\S]*?(-?\d+(?:\.\d+)?)/i,
-                discountPercent: /(?:discountPercent|discount|below.*market)[\s\S]*?(-?\d+(?:\.\d+)?)/i,
-                rentStabilizedProbability: /(?:rentStabilizedProbability|rent.*stabilized|stabilization)[\s\S]*?(\d+(?:\.\d+)?)/i,
-                potentialSavings: /(?:potentialSavings|savings|save)[\s\S]*?(\d{1,3}(?:,\d{3})*)/i
+    missingLLMFailure(analysisType) {
+        return this.analysisFailure(analysisType, ANALYSIS_FAILURE_TYPES.API_ERROR,
+            ['No LLM client - set ANTHROPIC_API_KEY (the valuation engine covers rentals only)'], 0);
+    }
+
+    /**
+     * Typed failure for callClaude (counted in the run's schema stats)
+     */
+    analysisFailure(analysisType, type, errors, repairs) {
+        recordSchemaOutcome(this.schemaStats, analysisType, { repairs, failureType: type });
+        return {
+            success: false,
+            error: `${type}: ${errors.join('; ')}`,
+            failure: { type, analysisType, errors, repairs }
+        };
+    }
+
+    /**
+     * Run analyze() (a callClaude* call) unless this.analysisCache holds an analysis for the same
+     * listing fields, comparable set, model and threshold. Only validated analyses are stored.
+     * @param {Object} context - { threshold, neighborhood, forceRefresh }
+     */
+    async withAnalysisCache(analysisType, targetProperty, comparables, context, analyze) {
+        if (!this.analysisCache) return await analyze();
+
+        const key = this.analysisCacheKeyFor(analysisType, targetProperty, comparables, context.threshold);
+        const cached = await this.cachedAnalysis(analysisType, key, context);
+        if (cached) return cached;
+
+        const response = await analyze();
+        await this.storeAnalysis(analysisType, key, targetProperty, context, response);
+        return response;
+    }
+
+    analysisCacheKeyFor(analysisType, targetProperty, comparables, threshold) {
+        const model = this.llm.settingsFor(ANALYSIS_TASKS[analysisType] || 'deep_analysis').model;
+        return analysisCacheKey({ analysisType, model, threshold, listing: targetProperty, comparables });
+    }
+
+    async cachedAnalysis(analysisType, key, context) {
+        if (!this.analysisCache) return null;
+        const cached = await this.analysisCache.get(key, { forceRefresh: context.forceRefresh });
+        if (!cached) return null;
+
+        console.log(`   🗃️ Reusing cached ${analysisType} analysis (listing and comparables unchanged)`);
+        return { success: true, analysis: cached, fromCache: true };
+    }
+
+    async storeAnalysis(analysisType, key, targetProperty, context, response) {
+        if (!this.analysisCache || !response.success) return;
+        await this.analysisCache.set(key, {
+            analysisType,
+            listingId: targetProperty.id,
+            neighborhood: context.neighborhood,
+            model: this.llm.settingsFor(ANALYSIS_TASKS[analysisType] || 'deep_analysis').model,
+            analysis: response.analysis
+        });
+    }
+
+    /**
+     * ENGINE MODE - whether rentals go to Claude at all (not in engine mode, nor without an LLM client)
+     */
+    usesClaudeForRentals() {
+        return this.analysisEngine !== 'engine' && Boolean(this.llm);
+    }
+
+    /**
+     * Whether a rental is valued by the engine instead: always in engine mode, and in auto mode when
+     * Claude was not asked or the call itself failed (schema failures are Claude answers, not outages)
+     */
+    needsValuationEngine(claudeResponse) {
+        if (this.analysisEngine === 'claude') return false;
+        if (!claudeResponse) return true;
+        if (this.analysisEngine !== 'auto' || claudeResponse.success) return false;
+        if (claudeResponse.failure?.type !== ANALYSIS_FAILURE_TYPES.API_ERROR) return false;
+
+        console.warn(`   🧮 Claude unavailable (${claudeResponse.failure.errors[0]}) - falling back to the valuation engine`);
+        this.engineStats.fallbacks++;
+        return true;
+    }
+
+    /**
+     * Value a rental with AdvancedRentalValuationEngine and answer in the shape callClaude resolves to
+     * ({ success, analysis } or a typed failure), so the rest of analyzeRentalsUndervaluation is shared.
+     * The target is left out of its own comparables; the engine reads rents from monthlyRent.
+     */
+    valuationEngineResponse(targetProperty, comparableProperties, neighborhood, options = {}) {
+        const asEngineListing = listing => ({ ...listing, monthlyRent: listing.monthlyRent || listing.price });
+        const comparables = comparableProperties
+            .filter(comp => comp !== targetProperty && (comp.id == null || comp.id !== targetProperty.id))
+            .map(asEngineListing);
+
+        const valuation = this.valuationEngine.calculateTrueMarketValue(asEngineListing(targetProperty), comparables, neighborhood);
+        if (!valuation.success || !(valuation.estimatedMarketRent > 0)) {
+            const reason = valuation.success ? 'Valuation engine estimate was not positive' : valuation.reasoning;
+            this.engineStats.insufficientData++;
+            return {
+                success: false,
+                engine: true,
+                error: `${ANALYSIS_FAILURE_TYPES.INSUFFICIENT_COMPARABLES}: ${reason}`,
+                failure: { type: ANALYSIS_FAILURE_TYPES.INSUFFICIENT_COMPARABLES, analysisType: 'rentals', errors: [reason], repairs: 0 }
             };
-            
-            for (const [key, pattern] of Object.entries(patterns)) {
-                const match = responseText.match(pattern);
-                if (match) {
-                    let value = parseFloat(match[1].replace(/,/g, ''));
-                    if (!isNaN(value)) {
-                        extracted[key] = value;
-                    }
-                }
+        }
+
+        const actualRent = targetProperty.monthlyRent || targetProperty.price;
+        const stabilization = this.generateRentStabilizationAnalysis(targetProperty, options.rentStabilizedBuildings || []);
+        this.engineStats.valuations++;
+
+        return {
+            success: true,
+            engine: true,
+            analysis: {
+                estimatedMarketRent: valuation.estimatedMarketRent,
+                baseMarketRent: Math.round(valuation.baseMarketRent),
+                percentBelowMarket: (valuation.estimatedMarketRent - actualRent) / valuation.estimatedMarketRent * 100,
+                rentStabilizedProbability: stabilization.confidence_percentage || 0,
+                rentStabilizedFactors: stabilization.key_factors || [],
+                adjustmentBreakdown: Object.fromEntries(valuation.adjustmentBreakdown.map(adjustment => [adjustment.category, adjustment.amount])),
+                reasoning: `Deterministic valuation (${valuation.method}, ${valuation.confidence}% confidence, ${valuation.comparablesUsed} comparables): ${valuation.reasoning}`
+            },
+            comparableSet: buildComparableSet({
+                target: targetProperty,
+                comparables: valuation.comparables,
+                tier: valuation.method,
+                adjustments: valuation.adjustmentBreakdown,
+                estimatedMarketValue: valuation.estimatedMarketRent,
+                baseMarketValue: valuation.baseMarketRent,
+                engine: 'valuation_engine'
+            })
+        };
+    }
+
+    /**
+     * Engine valuations and auto-mode fallbacks since this analyzer was created (one pipeline run)
+     */
+    getEngineStats() {
+        return { mode: this.analysisEngine, ...this.engineStats };
+    }
+
+    /**
+     * BATCH MODE - analyze every rental in one Message Batch (options.batchRunner) and return
+     * Map(listing id → the same result analyzeRentalsUndervaluation gives for it)
+     */
+    async analyzeRentalsBatch(listings, comparableProperties, neighborhood, options = {}) {
+        if (!this.usesClaudeForRentals()) {
+            // Nothing to batch - the engine values each listing locally
+            const analyses = new Map();
+            for (const listing of listings) {
+                analyses.set(listing.id, await this.analyzeRentalsUndervaluation(listing, comparableProperties, neighborhood, options));
             }
-            
-            // Extract reasoning
-            const reasoningMatch = responseText.match(/(?:reasoning|analysis)[\s\S]*?[":]\s*["']?([^"'}\n]{20,500})/i);
-            if (reasoningMatch) {
-                extracted.reasoning = reasoningMatch[1].trim();
+            return analyses;
+        }
+
+        const threshold = options.undervaluationThreshold || 15;
+        const prompts = listings.map(listing => {
+            const filtered = this.filterComparablesUsingHierarchy(listing, comparableProperties);
+            const enhancedContext = this.buildEnhancedRentalsContext(listing, filtered.selectedComparables, neighborhood, options);
+            return {
+                listing,
+                comparables: filtered.selectedComparables,
+                systemPrompt: this.buildEnhancedRentalsSystemPrompt(),
+                userPrompt: this.buildEnhancedRentalsUserPrompt(enhancedContext, threshold)
+            };
+        });
+
+        const claudeResponses = await this.batchClaudeResponses('rentals', prompts, { ...options, threshold, neighborhood });
+        const analyses = new Map();
+        for (const listing of listings) {
+            analyses.set(listing.id, await this.analyzeRentalsUndervaluation(listing, comparableProperties, neighborhood,
+                { ...options, claudeResponse: claudeResponses.get(listing.id) }));
+        }
+        return analyses;
+    }
+
+    /**
+     * BATCH MODE - stage-1 sale checks for every listing in one Message Batch (see analyzeRentalsBatch)
+     */
+    async analyzeSalesBatch(listings, comparableProperties, neighborhood, options = {}) {
+        const threshold = options.undervaluationThreshold || 10;
+        const prompts = listings.map(listing => {
+            const filtered = this.filterSalesComparablesUsingHierarchy(listing, comparableProperties);
+            const enhancedContext = this.buildEnhancedSalesContext(listing, filtered.selectedComparables, neighborhood, options);
+            return {
+                listing,
+                comparables: filtered.selectedComparables,
+                systemPrompt: this.buildEnhancedSalesSystemPrompt(),
+                userPrompt: this.buildEnhancedSalesUserPrompt(enhancedContext, threshold)
+            };
+        });
+
+        const claudeResponses = await this.batchClaudeResponses('sales', prompts, { ...options, threshold, neighborhood });
+        const analyses = new Map();
+        for (const listing of listings) {
+            analyses.set(listing.id, await this.analyzeSalesUndervaluation(listing, comparableProperties, neighborhood,
+                { ...options, claudeResponse: claudeResponses.get(listing.id) }));
+        }
+        return analyses;
+    }
+
+    /**
+     * callClaude results for many prompts via one batch: cached analyses are reused, batch answers go
+     * through the same schema check (and re-ask, as a normal call) and requests the batch did not
+     * answer are retried one by one. Resolves to Map(listing id → { success, analysis } | failure).
+     * @param {Array} prompts - [{ listing, comparables, systemPrompt, userPrompt }]
+     * @param {Object} context - { batchRunner, threshold, neighborhood, forceRefresh }
+     */
+    async batchClaudeResponses(analysisType, prompts, context) {
+        if (!context.batchRunner) {
+            throw new Error('Batch mode needs a batchRunner (ClaudeBatchRunner)');
+        }
+        if (!this.llm) {
+            return new Map(prompts.map(prompt => [prompt.listing.id, this.missingLLMFailure(analysisType)]));
+        }
+
+        const task = ANALYSIS_TASKS[analysisType] || 'deep_analysis';
+        const responses = new Map();
+        const pending = [];
+
+        for (const prompt of prompts) {
+            const key = this.analysisCacheKeyFor(analysisType, prompt.listing, prompt.comparables, context.threshold);
+            const cached = await this.cachedAnalysis(analysisType, key, context);
+            if (cached) {
+                responses.set(prompt.listing.id, cached);
+            } else {
+                pending.push({ ...prompt, key });
             }
-            
-            // Set reasonable defaults if we extracted some data
-            if (Object.keys(extracted).length > 0) {
-                extracted.reasoning = extracted.reasoning || 'Analysis based on comparable properties';
-                extracted.rentStabilizedFactors = [];
-                extracted.rentStabilizedExplanation = extracted.rentStabilizedProbability >= 60 
-                    ? 'Building characteristics suggest potential stabilization' 
-                    : 'No clear stabilization indicators';
+        }
+        if (pending.length === 0) return responses;
+
+        const results = await context.batchRunner.run({
+            neighborhood: context.neighborhood,
+            analysisType,
+            requests: pending.map(prompt => ({
+                listingId: prompt.listing.id,
+                cacheKey: prompt.key,
+                task,
+                system: prompt.systemPrompt,
+                messages: [{ role: 'user', content: prompt.userPrompt }]
+            }))
+        });
+
+        for (const prompt of pending) {
+            const result = results.get(String(prompt.listing.id));
+            let response;
+
+            if (result?.type === 'succeeded') {
+                this.apiCallsUsed++;
+                response = await this.checkBatchResponse(prompt, analysisType, result.text);
+            } else {
+                console.warn(`   ⚠️ Batch ${result?.type || 'missing'} result for ${prompt.listing.address}${result?.error ? ` (${result.error})` : ''} - analyzing individually`);
+                response = await this.callClaude(prompt.systemPrompt, prompt.userPrompt, analysisType);
             }
-            
-            return Object.keys(extracted).length > 3 ? extracted : null;
-            
-        } catch (error) {
-            console.warn(`   ⚠️ Data extraction failed: ${error.message}`);
-            return null;
+
+            await this.storeAnalysis(analysisType, prompt.key, prompt.listing, context, response);
+            responses.set(prompt.listing.id, response);
         }
+        return responses;
+    }
+
+    /**
+     * Schema-check one batch answer; an invalid one is re-asked in a normal conversation
+     */
+    async checkBatchResponse(prompt, analysisType, responseText) {
+        const { analysis, failureType, errors } = checkClaudeOutput(responseText, analysisType);
+        if (!failureType) {
+            recordSchemaOutcome(this.schemaStats, analysisType, { repairs: 0 });
+            return { success: true, analysis };
+        }
+
+        console.warn(`   ⚠️ Batch ${analysisType} response for ${prompt.listing.address} failed ${failureType}: ${errors.slice(0, 3).join('; ')}`);
+        if (this.maxSchemaRepairs < 1) {
+            return this.analysisFailure(analysisType, failureType, errors, 0);
+        }
+
+        return await this.callClaude(prompt.systemPrompt, prompt.userPrompt, analysisType, {
+            messages: [
+                { role: 'user', content: prompt.userPrompt },
+                { role: 'assistant', content: responseText },
+                { role: 'user', content: buildRepairPrompt(analysisType, errors) }
+            ],
+            repairs: 1
+        });
+    }
+
+    /**
+     * Tokens and estimated cost of the Claude calls since this analyzer was created (one pipeline run)
+     */
+    getUsageReport() {
+        return this.llm ? this.llm.getUsageReport() : emptyUsageReport();
+    }
+
+    /**
+     * Schema validation counters since this analyzer was created (one pipeline run)
+     */
+    getSchemaStats() {
+        return JSON.parse(JSON.stringify(this.schemaStats));
     }
 
     /**
@@ -1208,19 +1552,20 @@ valuationMethod: 'claude_hierarchical_analysis'
     }
 
     findPotentialStabilizedMatches(targetProperty, rentStabilizedBuildings) {
-        if (!rentStabilizedBuildings || rentStabilizedBuildings.length === 0) {
+        const index = this.getDHCRIndex(rentStabilizedBuildings);
+        if (!index) {
             return [];
         }
         
-        const normalizedAddress = this.normalizeAddress(targetProperty.address);
+        const normalizedAddress = this.normalizeAddress(targetProperty.address, targetProperty.borough);
         const matches = [];
         
-        for (const building of rentStabilizedBuildings) {
-            const buildingAddress = this.normalizeAddress(building.address || '');
+        for (const building of index.getCandidates(targetProperty)) {
+            const buildingAddress = this.normalizeAddress(building.address || '', building.borough);
             if (!buildingAddress) continue;
             
             const similarity = this.calculateAddressSimilarity(normalizedAddress, buildingAddress);
-            if (similarity > 0.6) {
+            if (similarity >= 0.75) {
                 matches.push({
                     ...building,
                     confidence: Math.round(similarity * 100),
@@ -1327,35 +1672,52 @@ valuationMethod: 'claude_hierarchical_analysis'
     }
 
     /**
-     * Validation functions
+     * Validation functions (same JSON Schemas callClaude enforces)
      */
     validateEnhancedRentalsAnalysis(analysis) {
-        return analysis && 
-               (typeof analysis.estimatedMarketRent === 'number' || typeof analysis.estimatedMarketPrice === 'number') &&
-               typeof analysis.percentBelowMarket === 'number' &&
-               typeof analysis.rentStabilizedProbability === 'number';
+        return Boolean(analysis) && validateAgainstSchema(analysis, CLAUDE_OUTPUT_SCHEMAS.rentals).length === 0;
     }
 
     validateEnhancedSalesAnalysis(analysis) {
-        return analysis && 
-               typeof analysis.estimatedMarketPrice === 'number' &&
-               typeof analysis.discountPercent === 'number';
+        return Boolean(analysis) && validateAgainstSchema(analysis, CLAUDE_OUTPUT_SCHEMAS.sales).length === 0;
     }
 
     /**
      * Utility functions
      */
-    normalizeAddress(address) {
-        return address.toLowerCase()
-            .replace(/[^\w\s]/g, ' ')
-            .replace(/\s+/g, ' ')
-            .trim();
+    normalizeAddress(address, borough = null) {
+        return normalizeNYCAddress(address, { borough });
     }
 
     delay(ms) {
         return new Promise(resolve => setTimeout(resolve, ms));
     }
 	
+/**
+ * Registration history of a matched DHCR building: { years, first_year, last_year, label, ... }
+ * null when the building rows carry no registry years (older ingests)
+ */
+getRegistrationHistory(building, rentStabilizedBuildings = []) {
+    const years = (Array.isArray(building.registered_years) ? building.registered_years : [building.registry_year])
+        .map(year => parseInt(year, 10))
+        .filter(Boolean)
+        .sort((a, b) => a - b);
+    if (years.length === 0) return null;
+
+    const index = this.getDHCRIndex(rentStabilizedBuildings);
+    const latestRegistryYear = index ? index.latestRegistryYear : null;
+    const lastYear = years[years.length - 1];
+
+    return {
+        years,
+        first_year: years[0],
+        last_year: lastYear,
+        label: formatYearRanges(years),
+        latest_registry_year: latestRegistryYear,
+        dropped_from_latest: Boolean(latestRegistryYear && lastYear < latestRegistryYear)
+    };
+}
+
 /**
  * Generate comprehensive rent stabilization analysis - FIXED VERSION
  * ✅ REQUIRES DHCR address match as prerequisite - no more inflated values!
@@ -1390,8 +1752,12 @@ generateRentStabilizationAnalysis(property, rentStabilizedBuildings = []) {
         return this.createExplicitStabilizationResponse(property, buildingAge, unitCount, rentLevel, 'claude_description_analysis', claudeStabilizationCheck);
     }
     
-    // ✅ STEP 1: DHCR MATCH IS NOW REQUIRED - No exceptions! (UNCHANGED FROM YOUR VERSION)
-    const dhcrMatches = this.findDHCRMatches(property, rentStabilizedBuildings);
+    // ✅ STEP 1: DHCR MATCH IS NOW REQUIRED - No exceptions!
+    // Exact BBL hits first, fuzzy address matching only when the listing doesn't resolve to a registered lot
+    const registryMatches = this.findRegistryMatches(property, rentStabilizedBuildings);
+    const dhcrMatches = registryMatches.length > 0
+        ? registryMatches
+        : this.findDHCRMatches(property, rentStabilizedBuildings);
     
     // ✅ MANDATORY DHCR REQUIREMENT: If no DHCR match, immediately return low confidence
     if (dhcrMatches.length === 0) {
@@ -1449,6 +1815,58 @@ legalFactors.push(`Possible registry match: ${bestMatch.address} (${Math.round(b
 analysis += `This building may appear in the rent stabilization registry with a possible address match (${Math.round(bestMatch.similarity * 100)}% similarity), suggesting potential rent stabilization. `;
     }
     
+    if (bestMatch.bblMatch) {
+        legalFactors.push(`Exact BBL registry match: lot ${bestMatch.bblMatch.bbl} (resolved via ${bestMatch.bblMatch.source.replace(/_/g, ' ')})`);
+    }
+    
+    if (bestMatch.matchedSpan) {
+        const span = bestMatch.matchedSpan;
+        legalFactors.push(`Listing address falls within the registered ${span.kind === 'corner' ? 'corner alias' : 'address range'} ${span.low}-${span.high} ${span.street}`);
+    }
+    
+    // ✅ NEW: REGISTRATION HISTORY - which registry years list the building
+    const registrationHistory = this.getRegistrationHistory(bestMatch, rentStabilizedBuildings);
+    if (registrationHistory) {
+        legalFactors.push(`Registered with DHCR ${registrationHistory.label}`);
+        if (registrationHistory.dropped_from_latest) {
+            confidence -= 15;
+            factors.push(`Not in the latest ${registrationHistory.latest_registry_year} DHCR registry`);
+            legalFactors.push(`Missing from the ${registrationHistory.latest_registry_year} registry (last registered ${registrationHistory.last_year}) - possible deregistration or expired J-51/421-a benefits`);
+            analysis += `The building was last registered in ${registrationHistory.last_year} and does not appear in the ${registrationHistory.latest_registry_year} registry, so its units may no longer be stabilized. `;
+        } else {
+            analysis += `It has been registered with DHCR ${registrationHistory.label}. `;
+        }
+    }
+    
+    // ✅ NEW: DHCR STATUS CODES - tax benefits, co-op/condo conversions, supervised housing
+    const statusAnalysis = parseDHCRStatuses(bestMatch);
+    if (statusAnalysis.statuses.length > 0) {
+        confidence += statusAnalysis.confidence_adjustment;
+        legalFactors.push(...statusAnalysis.legal_factors);
+        
+        if (statusAnalysis.coop_condo) {
+            factors.push(`Co-op/condo conversion building (${statusAnalysis.statuses.join(', ')}) - stabilized units limited to holdover tenants`);
+            analysis += `The registry lists a co-op/condo conversion for this building, so only units still occupied by pre-conversion tenants are likely to be stabilized; a listed apartment is usually a sold or sponsor unit. `;
+        }
+        
+        if (statusAnalysis.tax_benefits.length > 0) {
+            factors.push(`Stabilization tied to ${statusAnalysis.tax_benefits.join(' / ')} tax benefit`);
+            if (registrationHistory && registrationHistory.dropped_from_latest) {
+                confidence -= 10;
+                legalFactors.push(`${statusAnalysis.tax_benefits.join(' / ')} building dropped out of the latest registry - the benefit has likely expired`);
+            }
+            analysis += `Its stabilization comes from a ${statusAnalysis.tax_benefits.join(' / ')} tax benefit, so units may deregulate when the benefit period ends. `;
+        }
+        
+        if (statusAnalysis.supervised) {
+            factors.push('Government-supervised housing (rents set by the supervising agency)');
+        }
+        
+        if (statusAnalysis.sro) {
+            factors.push('Registered hotel/rooming house (stabilized units are mostly SRO rooms)');
+        }
+    }
+    
     // BUILDING AGE ANALYSIS (Supporting Factor)
     if (buildingAge.isRentStabilizedEra) {
         if (buildingAge.era === 'prime_stabilization' && property.builtIn >= 1947 && property.builtIn <= 1973) {
@@ -1502,7 +1920,9 @@ factors.push('Traditional rental building (commonly rent-stabilized)');
     
     // Determine method based on DHCR match strength
     let method = 'dhcr_verified_analysis';
-    if (bestMatch.similarity >= 0.9) {
+    if (bestMatch.bblMatch) {
+        method = 'bbl_registry_verification';
+    } else if (bestMatch.similarity >= 0.9) {
         method = 'strong_dhcr_verification';
     } else if (bestMatch.similarity >= 0.7) {
         method = 'moderate_dhcr_verification';
@@ -1541,10 +1961,19 @@ factors.push('Traditional rental building (commonly rent-stabilized)');
             variance_from_market: rentLevel.variance,
             monthly_rent: property.price || property.monthlyRent
         },
+        registration_history: registrationHistory,
+        status_analysis: statusAnalysis,
         dhcr_matches: dhcrMatches.map(match => ({
             address: match.address,
             similarity: Math.round(match.similarity * 100),
-            status: match.status1 || 'Multiple Dwelling'
+            status: match.status1 || 'Multiple Dwelling',
+            statuses: parseDHCRStatuses(match).statuses,
+            bbl: match.bbl || null,
+            match_source: match.bblMatch ? match.bblMatch.source : (match.matchedSpan ? 'dhcr_address_span' : 'fuzzy_address'),
+            matched_span: match.matchedSpan ? {
+                kind: match.matchedSpan.kind,
+                range: `${match.matchedSpan.low}-${match.matchedSpan.high} ${match.matchedSpan.street}`
+            } : null
         }))
     };
 }
@@ -1961,28 +2390,86 @@ analyzeRentLevel(property) {
 }
 
 /**
- * FIXED: Proper DHCR address matching with real similarity calculation
- * Replace the existing findDHCRMatches function in claude-market-analyzer.js
+ * Use a prebuilt DHCR lookup index (e.g. one with an address→BBL table loaded)
  */
-findDHCRMatches(property, rentStabilizedBuildings) {
+setDHCRIndex(index, sourceBuildings = null) {
+    this.dhcrIndex = index;
+    this.dhcrIndexSource = sourceBuildings;
+}
+
+/**
+ * DHCR lookup index for the given buildings - built once per buildings array, not per listing
+ */
+getDHCRIndex(rentStabilizedBuildings) {
+    if (this.dhcrIndex && (!this.dhcrIndexSource || this.dhcrIndexSource === rentStabilizedBuildings)) {
+        return this.dhcrIndex;
+    }
+    
     if (!rentStabilizedBuildings || rentStabilizedBuildings.length === 0) {
-        return [];
+        return null;
     }
     
-    const propertyAddress = this.normalizeAddress(property.address || '');
+    this.dhcrIndex = DHCRLookupIndex.fromBuildings(rentStabilizedBuildings);
+    this.dhcrIndexSource = rentStabilizedBuildings;
+    return this.dhcrIndex;
+}
+
+/**
+ * NEW: Exact BBL lookup - resolves the listing to a lot and returns that lot's registered buildings
+ */
+findRegistryMatches(property, rentStabilizedBuildings) {
+    const index = this.getDHCRIndex(rentStabilizedBuildings);
+    if (!index || index.registry.size === 0) return [];
+    
+    const resolved = index.registry.findRegisteredBuilding(property);
+    if (!resolved) return [];
+    
+    return resolved.entry.buildings.slice(0, 3).map(building => ({
+        ...building,
+        similarity: 1.0,
+        bblMatch: { bbl: resolved.bbl, source: resolved.source }
+    }));
+}
+
+/**
+ * FIXED: Proper DHCR address matching with real similarity calculation
+ * Scores only the index candidates for this address instead of every registered building
+ */
+findDHCRMatches(property, rentStabilizedBuildings) {
+    const index = this.getDHCRIndex(rentStabilizedBuildings);
+    if (!index) return [];
+    
+    const propertyAddress = this.normalizeAddress(property.address || '', property.borough);
     if (!propertyAddress) return [];
     
+    const parsedAddress = parseStreetAddress(property.address, { borough: property.borough });
+    const propertyZipcode = zipcodeKey(property.zipcode);
     const matches = [];
     
-    for (const building of rentStabilizedBuildings) {
-        const buildingAddress = this.normalizeAddress(building.address || '');
+    for (const building of index.getCandidates(property)) {
+        // The same address in another zipcode is another building
+        const buildingZipcode = zipcodeKey(building.zipcode);
+        if (propertyZipcode && buildingZipcode && propertyZipcode !== buildingZipcode) continue;
+        
+        // Ranged lots and corner aliases: "109 Main St" is inside "101 TO 115 MAIN ST"
+        const spanMatch = parsedAddress ? matchBuildingSpans(building, parsedAddress) : null;
+        if (spanMatch) {
+            matches.push({
+                ...building,
+                similarity: spanMatch.similarity,
+                matchedSpan: spanMatch.span
+            });
+            continue;
+        }
+        
+        const buildingAddress = this.normalizeAddress(building.address || '', building.borough);
         if (!buildingAddress) continue;
         
         // Calculate REAL similarity using the existing function
         const similarity = this.calculateAddressSimilarity(propertyAddress, buildingAddress);
         
-        // Only include matches with meaningful similarity (60%+)
-        if (similarity >= 0.6) {
+        // Only include close matches (75%+) - near-miss addresses are different buildings
+        if (similarity >= 0.75) {
             matches.push({
                 ...building,
                 similarity: similarity // Use ACTUAL calculated similarity
@@ -1998,39 +2485,47 @@ findDHCRMatches(property, rentStabilizedBuildings) {
 
 /**
  * ENHANCED: More robust address similarity calculation
- * This improves the existing calculateAddressSimilarity function
+ * FIXED: Different house numbers or different numbered streets are different buildings (0, not 0.1)
  */
 calculateAddressSimilarity(addr1, addr2) {
     if (!addr1 || !addr2) return 0;
     
-    const words1 = addr1.split(' ').filter(word => word.length > 0);
-    const words2 = addr2.split(' ').filter(word => word.length > 0);
-    
-    if (words1.length === 0 || words2.length === 0) return 0;
+    const parsed1 = parseStreetAddress(addr1);
+    const parsed2 = parseStreetAddress(addr2);
     
-    // Extract street numbers
-    const num1 = words1.find(word => /^\d+$/.test(word));
-    const num2 = words2.find(word => /^\d+$/.test(word));
-    
-    // If street numbers don't match, similarity is very low
-    if (num1 && num2 && num1 !== num2) {
-        return 0.1; // Very low similarity for different street numbers
+    // Without house numbers on both sides only word overlap is available - no boost
+    if (!parsed1 || !parsed2) {
+        const words1 = addr1.split(' ').filter(word => word.length > 0);
+        const words2 = addr2.split(' ').filter(word => word.length > 0);
+        if (words1.length === 0 || words2.length === 0) return 0;
+        
+        const intersection = words1.filter(word => words2.includes(word));
+        const union = [...new Set([...words1, ...words2])];
+        return intersection.length / union.length;
     }
     
-    // Calculate word overlap
-    const intersection = words1.filter(word => words2.includes(word));
-    const union = [...new Set([...words1, ...words2])];
+    if (houseNumberKey(parsed1.houseNumber) !== houseNumberKey(parsed2.houseNumber)) {
+        return 0;
+    }
     
-    if (union.length === 0) return 0;
+    if (parsed1.streetKey === parsed2.streetKey) {
+        return 1.0;
+    }
     
-    const basicSimilarity = intersection.length / union.length;
+    const tokens1 = parsed1.streetKey.split(' ');
+    const tokens2 = parsed2.streetKey.split(' ');
     
-    // Boost similarity if street numbers match
-    if (num1 && num2 && num1 === num2) {
-        return Math.min(1.0, basicSimilarity + 0.3);
+    // "W 30 ST" vs "W 31 ST" or "E 30 ST" shares most words but is a different street
+    const identifying = (tokens) => tokens.filter(token => /^\d+$/.test(token) || ['N', 'S', 'E', 'W'].includes(token)).join(' ');
+    if (identifying(tokens1) !== identifying(tokens2)) {
+        return 0;
     }
     
-    return basicSimilarity;
+    // Same house number - street word overlap decides (boosted for the matching number)
+    const intersection = tokens1.filter(token => tokens2.includes(token));
+    const union = [...new Set([...tokens1, ...tokens2])];
+    
+    return Math.min(1.0, intersection.length / union.length + 0.3);
 }
 
 /**
@@ -0,0 +1,250 @@
+// claude-output-schemas.js
+// CLAUDE OUTPUT SCHEMAS - JSON Schema for each analysis type and a strict validator
+//
+// callClaude() used to regex-repair malformed JSON (quoting keys and values) and then scrape numbers
+// out of free text, which could turn any digit near "below market" into percentBelowMarket.
+// Responses are now parsed as-is and validated against the schema for their analysis type; the
+// errors from validateAgainstSchema() go back to Claude in a re-ask, and a response that never
+// validates becomes a typed failure instead of guessed values.
+//
+// The schemas are plain JSON Schema (draft-07). validateAgainstSchema() covers the keywords they
+// use: type, required, properties, additionalProperties, items, enum, minimum, maximum,
+// exclusiveMinimum, minLength.
+
+const ANALYSIS_FAILURE_TYPES = {
+    INVALID_JSON: 'invalid_json',           // no parseable JSON object in the response
+    SCHEMA_VALIDATION: 'schema_validation', // JSON parsed but did not match the schema
+    API_ERROR: 'api_error',                 // the request itself failed
+    INSUFFICIENT_COMPARABLES: 'insufficient_comparables'   // valuation engine (ANALYSIS_ENGINE) had too few comparables
+};
+
+const reasoningText = { type: 'string', minLength: 1 };
+const numberMap = { type: 'object', additionalProperties: { type: 'number' } };
+const textMap = { type: 'object', additionalProperties: { type: 'string' } };
+
+const CLAUDE_OUTPUT_SCHEMAS = {
+    rentals: {
+        $schema: 'http://json-schema.org/draft-07/schema#',
+        title: 'Rental undervaluation analysis',
+        type: 'object',
+        required: ['estimatedMarketRent', 'percentBelowMarket', 'rentStabilizedProbability', 'reasoning'],
+        properties: {
+            estimatedMarketRent: { type: 'number', exclusiveMinimum: 0 },
+            percentBelowMarket: { type: 'number', minimum: -100, maximum: 100 },
+            baseMarketRent: { type: 'number', exclusiveMinimum: 0 },
+            potentialSavings: { type: 'number' },
+            reasoning: reasoningText,
+            rentStabilizedProbability: { type: 'number', minimum: 0, maximum: 100 },
+            rentStabilizedFactors: { type: 'array', items: { type: 'string' } },
+            rentStabilizedExplanation: { type: 'string' },
+            detailedAnalysis: textMap,
+            adjustmentBreakdown: numberMap
+        }
+    },
+
+    sales: {
+        $schema: 'http://json-schema.org/draft-07/schema#',
+        title: 'Sale undervaluation analysis',
+        type: 'object',
+        required: ['estimatedMarketPrice', 'discountPercent', 'reasoning'],
+        properties: {
+            estimatedMarketPrice: { type: 'number', exclusiveMinimum: 0 },
+            discountPercent: { type: 'number', minimum: -100, maximum: 100 },
+            baseMarketPrice: { type: 'number', exclusiveMinimum: 0 },
+            potentialSavings: { type: 'number' },
+            reasoning: reasoningText,
+            detailedAnalysis: textMap,
+            adjustmentBreakdown: numberMap
+        }
+    },
+
+    // Stage 2 of the sales pipeline (ClaudePoweredSalesSystem#generateTwoTierSalesAnalysis)
+    dual_sales_analysis: {
+        $schema: 'http://json-schema.org/draft-07/schema#',
+        title: 'Consumer + investor sale analysis',
+        type: 'object',
+        required: ['consumerReasoning', 'investmentReasoning'],
+        properties: {
+            consumerReasoning: reasoningText,
+            investmentReasoning: reasoningText
+        }
+    }
+};
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Validate a value against a schema - returns a list of "path: problem" strings (empty when valid)
+ */
+function validateAgainstSchema(value, schema, pointer = '') {
+    const at = pointer || '(root)';
+    const errors = [];
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            return [`${at}: expected ${types.join(' or ')}, got ${typeOf(value)}`];
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${at}: must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+    }
+
+    if (typeof value === 'number') {
+        if (!Number.isFinite(value)) errors.push(`${at}: must be a finite number`);
+        if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at}: must be >= ${schema.minimum}, got ${value}`);
+        if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at}: must be <= ${schema.maximum}, got ${value}`);
+        if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+            errors.push(`${at}: must be > ${schema.exclusiveMinimum}, got ${value}`);
+        }
+    }
+
+    if (typeof value === 'string' && schema.minLength !== undefined && value.trim().length < schema.minLength) {
+        errors.push(`${at}: must not be empty`);
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, index) => errors.push(...validateAgainstSchema(item, schema.items, `${pointer}/${index}`)));
+    }
+
+    if (typeOf(value) === 'object') {
+        (schema.required || [])
+            .filter(key => value[key] === undefined)
+            .forEach(key => errors.push(`${pointer}/${key}: is required`));
+
+        for (const [key, propertyValue] of Object.entries(value)) {
+            const propertySchema = schema.properties?.[key];
+            if (propertySchema) {
+                errors.push(...validateAgainstSchema(propertyValue, propertySchema, `${pointer}/${key}`));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${pointer}/${key}: is not allowed`);
+            } else if (typeof schema.additionalProperties === 'object') {
+                errors.push(...validateAgainstSchema(propertyValue, schema.additionalProperties, `${pointer}/${key}`));
+            }
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Parse the JSON object in a Claude response without repairing it. Markdown fences and text
+ * around the object are ignored; anything else malformed is an error for the re-ask.
+ */
+function parseClaudeJson(responseText) {
+    const text = String(responseText || '');
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+
+    if (start === -1 || end < start) {
+        const error = new Error('No JSON object found in response');
+        error.code = ANALYSIS_FAILURE_TYPES.INVALID_JSON;
+        throw error;
+    }
+
+    try {
+        return JSON.parse(text.slice(start, end + 1));
+    } catch (parseError) {
+        const error = new Error(`Response is not valid JSON: ${parseError.message}`);
+        error.code = ANALYSIS_FAILURE_TYPES.INVALID_JSON;
+        throw error;
+    }
+}
+
+/**
+ * Parse and validate one response: { analysis, failureType, errors } (errors empty when valid)
+ */
+function checkClaudeOutput(responseText, analysisType) {
+    let analysis;
+    try {
+        analysis = parseClaudeJson(responseText);
+    } catch (error) {
+        return { analysis: null, failureType: ANALYSIS_FAILURE_TYPES.INVALID_JSON, errors: [error.message] };
+    }
+
+    const schema = CLAUDE_OUTPUT_SCHEMAS[analysisType];
+    const errors = schema ? validateAgainstSchema(analysis, schema) : [];
+    return {
+        analysis,
+        failureType: errors.length > 0 ? ANALYSIS_FAILURE_TYPES.SCHEMA_VALIDATION : null,
+        errors
+    };
+}
+
+/**
+ * Follow-up user message asking Claude to fix its previous response
+ */
+function buildRepairPrompt(analysisType, errors) {
+    const schema = CLAUDE_OUTPUT_SCHEMAS[analysisType];
+    return `Your previous response could not be used:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Reply with only the corrected JSON object - no markdown and no text before or after it. Numbers must be plain JSON numbers (no $, % or commas).${schema ? `
+It must match this JSON Schema:
+${JSON.stringify(schema)}` : ''}`;
+}
+
+/**
+ * Per-run counters for schema validation (kept on the analyzer, reported in run results)
+ */
+function createSchemaStats() {
+    return {
+        validated: 0,       // responses that matched their schema (first try or after a re-ask)
+        repaired: 0,        // ...of which needed at least one re-ask
+        repairAttempts: 0,  // re-asks sent
+        failed: 0,          // analyses given up on
+        failuresByType: {},
+        byAnalysisType: {}
+    };
+}
+
+function recordSchemaOutcome(stats, analysisType, { repairs = 0, failureType = null }) {
+    const perType = stats.byAnalysisType[analysisType] = stats.byAnalysisType[analysisType] ||
+        { validated: 0, repaired: 0, failed: 0 };
+
+    stats.repairAttempts += repairs;
+    if (failureType) {
+        stats.failed++;
+        perType.failed++;
+        stats.failuresByType[failureType] = (stats.failuresByType[failureType] || 0) + 1;
+    } else {
+        stats.validated++;
+        perType.validated++;
+        if (repairs > 0) {
+            stats.repaired++;
+            perType.repaired++;
+        }
+    }
+}
+
+/**
+ * One-line summary of the stats for run logs
+ */
+function formatSchemaStats(stats) {
+    const failures = Object.entries(stats.failuresByType).map(([type, count]) => `${count} ${type}`);
+    return `${stats.validated} valid (${stats.repaired} after a re-ask), ${stats.failed} failed` +
+        (failures.length > 0 ? ` [${failures.join(', ')}]` : '');
+}
+
+module.exports = {
+    CLAUDE_OUTPUT_SCHEMAS,
+    ANALYSIS_FAILURE_TYPES,
+    validateAgainstSchema,
+    parseClaudeJson,
+    checkClaudeOutput,
+    buildRepairPrompt,
+    createSchemaStats,
+    recordSchemaOutcome,
+    formatSchemaStats
+};
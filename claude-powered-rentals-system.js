@@ -12,21 +12,64 @@
 // 9. RAILWAY FIX: Proper error handling for enhanced analysis
 
 require('dotenv').config();
-const axios = require('axios');
-const { createClient } = require('@supabase/supabase-js');
+const { createStorage } = require('./storage.js');
 const EnhancedClaudeMarketAnalyzer = require('./claude-market-analyzer.js');
+const { formatSchemaStats } = require('./claude-output-schemas.js');
+const { formatUsageReport } = require('./llm-client.js');
+const AnalysisCache = require('./analysis-cache.js');
+const ClaudeBatchRunner = require('./claude-batch-runner.js');
+const { formatAnalysisCacheStats } = AnalysisCache;
+const DHCRLookupIndex = require('./dhcr-lookup-index.js');
+const LegalRentEstimator = require('./legal-rent-estimator.js');
+const { createListingSource } = require('./listing-sources.js');
+const { httpClientFromEnv } = require('./http-cassette.js');
+const PriceHistory = require('./price-history.js');
+const { isExhaustiveSearch } = require('./price-history.js');
+const ListingDeduplicator = require('./listing-dedup.js');
+const ComparableSets = require('./comparable-sets.js');
+
+/**
+ * Search options for a neighborhood's active rentals
+ */
+function activeRentalSearch(maxListings) {
+    return {
+        type: 'rental',
+        pageSize: Math.min(500, maxListings), // API limit is 500
+        maxListings: maxListings || 2000,
+        minPrice: 1000,
+        maxPrice: 20000
+    };
+}
 
 class ClaudePoweredRentalsSystem {
-    constructor() {
-        // Supabase configuration
-        this.supabase = createClient(
-            process.env.SUPABASE_URL,
-              process.env.SUPABASE_SERVICE_ROLE_KEY
-        );
+    constructor(options = {}) {
+        // Storage: Supabase, or local SQLite when STORAGE_BACKEND=sqlite / no SUPABASE_URL
+        this.storage = options.storage || createStorage({ key: process.env.SUPABASE_SERVICE_ROLE_KEY });
         
         // API configuration - FIXED: Remove non-existent rapid API
         this.rapidApiKey = process.env.RAPIDAPI_KEY;
-        this.claudeAnalyzer = new EnhancedClaudeMarketAnalyzer();
+        this.http = options.http || httpClientFromEnv('rentals');   // axios, or a cassette (HTTP_CASSETTE_MODE)
+        this.listingSource = options.listingSource || createListingSource(options.listingSourceName, { apiKey: this.rapidApiKey, http: this.http });
+        // Unchanged listings reuse their stored Claude analysis (refreshAnalysis / CLAUDE_ANALYSIS_CACHE_REFRESH=true re-analyzes)
+        this.analysisCache = options.analysisCache || new AnalysisCache(this.storage, { forceRefresh: options.refreshAnalysis });
+        // LLM_PROVIDER=mock runs offline; ANALYSIS_ENGINE=engine / auto values rentals without (or when out of) Claude
+        this.claudeAnalyzer = new EnhancedClaudeMarketAnalyzer({
+            http: this.http,
+            llm: options.llm,
+            analysisCache: this.analysisCache,
+            analysisEngine: options.analysisEngine
+        });
+        
+        // Batch mode: one Message Batch per neighborhood instead of a call per listing (CLAUDE_BATCH_MODE=true)
+        this.batchMode = options.batchMode ?? process.env.CLAUDE_BATCH_MODE === 'true';
+        this.batchRunner = options.batchRunner || new ClaudeBatchRunner(this.claudeAnalyzer.llm, this.storage);
+        this.legalRentEstimator = new LegalRentEstimator();
+        // Append-only rent history per listing (listing_price_events) - the cache only keeps the latest rent
+        this.priceHistory = options.priceHistory || new PriceHistory(this.storage);
+        // Links a unit relisted under a new ID to the old one instead of counting the old one as rented
+        this.deduplicator = options.deduplicator || new ListingDeduplicator(this.storage);
+        // The comparables and adjustments behind each saved analysis (valuation_comparables)
+        this.comparableSets = options.comparableSets || new ComparableSets(this.storage);
         
         // Analysis thresholds
         this.stabilizationThreshold = parseInt(process.env.RENT_STABILIZED_CONFIDENCE_THRESHOLD) || 60;
@@ -48,6 +91,7 @@ class ClaudePoweredRentalsSystem {
         console.log(`   🎯 Stabilization threshold: ${this.stabilizationThreshold}%`);
         console.log(`   💰 Undervaluation threshold: ${this.undervaluationThreshold}%`);
         console.log(`   🔒 Stabilized undervaluation threshold: ${this.stabilizedUndervaluationThreshold}%`);
+        console.log(`   📡 Listing source: ${this.listingSource.name}`);
     }
 
   /**
@@ -63,7 +107,7 @@ class ClaudePoweredRentalsSystem {
             threeDaysAgo.setDate(threeDaysAgo.getDate() - 3);
 
             // Get rent-stabilized listings in this neighborhood that weren't in current search
-            const { data: missingRentStabilized, error: missingError } = await this.supabase
+            const { data: missingRentStabilized, error: missingError } = await this.storage
                 .from('undervalued_rent_stabilized')
                 .select('listing_id')
                 .eq('neighborhood', neighborhood)
@@ -81,7 +125,7 @@ class ClaudePoweredRentalsSystem {
             if (missingRentStabilized && missingRentStabilized.length > 0) {
                 const missingIds = missingRentStabilized.map(r => r.listing_id);
                 
-                const { error: markRentedError } = await this.supabase
+                const { error: markRentedError } = await this.storage
                     .from('undervalued_rent_stabilized')
                     .update({
                         display_status: 'rented',
@@ -119,7 +163,7 @@ class ClaudePoweredRentalsSystem {
                 if (!listing.id) continue;
                 
                 try {
-                    const { error } = await this.supabase
+                    const { error } = await this.storage
                         .from('undervalued_rent_stabilized')
                         .update({
                             last_seen_in_search: currentTime,
@@ -163,7 +207,10 @@ class ClaudePoweredRentalsSystem {
     savedCount: 0,
     skippedCount: 0,
     errors: [],
-    rentedDetection: { markedRented: 0, updated: 0 }
+    analysisFailures: [],   // typed Claude failures (invalid JSON / schema) - nothing is saved for these
+    rentedDetection: { markedRented: 0, updated: 0 },
+    priceEvents: {},        // price-history.js event counts for this search
+    relistings: { linked: 0, corrected: 0 }   // new IDs linked to vanished ones (listing-dedup.js)
 };
     
     try {
@@ -176,6 +223,16 @@ class ClaudePoweredRentalsSystem {
             return results;
         }
         
+        // Record first seen / rent cuts and raises / relisted / delisted before the cache is overwritten
+        // (delisted only when the search was not capped, and only inside its rent band)
+        const search = activeRentalSearch(this.maxListingsPerNeighborhood);
+        results.priceEvents = await this.priceHistory.recordSearch('rental', neighborhood, activeListings, {
+            source: this.listingSource.name,
+            complete: isExhaustiveSearch(activeListings, search),
+            minPrice: search.minPrice,
+            maxPrice: search.maxPrice
+        });
+        
         // FIXED STEP 2: Get cached listings for comparison
         const cachedListings = await this.getCachedNeighborhoodListings(neighborhood);
         console.log(`   📦 Found ${cachedListings.length} cached listings`);
@@ -199,6 +256,12 @@ const detailedListings = await this.fetchDetailedListingsWithCache(needFetch.sli
 
 console.log(`   ✅ Got detailed data for ${detailedListings.length} properties`);
 
+// Relisted units: link the new ID to the vanished one (cumulative days on market) and undo its "rented"
+const { linked, corrected } = await this.deduplicator.linkRelistings('rental', neighborhood, detailedListings, {
+    activeIds: activeListings.map(l => l.id)
+});
+results.relistings = { linked, corrected };
+
 // STEP 6: Now analyze with Claude using COMPLETE data (with real addresses)
 const analyzedProperties = [];
 
@@ -206,6 +269,21 @@ const analyzedProperties = [];
 const totalListings = results.totalListings || detailedListings.length;
 const dynamicThreshold = this.calculateDynamicThreshold(totalListings, neighborhood);
 
+// Batch mode: every listing with an address goes to Claude as one Message Batch up front
+const batchAnalyses = (options.batchMode ?? this.batchMode)
+    ? await this.claudeAnalyzer.analyzeRentalsBatch(
+        detailedListings.filter(listing => listing.address && listing.address !== 'Address not available'),
+        detailedListings,
+        neighborhood,
+        {
+            undervaluationThreshold: dynamicThreshold,
+            rentStabilizedBuildings: options.rentStabilizedBuildings || [],
+            forceRefresh: options.refreshAnalysis,
+            batchRunner: this.batchRunner
+        }
+    )
+    : null;
+
 for (const listing of detailedListings) {
     try {
         console.log(`🤖 Enhanced Claude analyzing rental: ${listing.address}`);
@@ -219,14 +297,15 @@ for (const listing of detailedListings) {
         // Get rent stabilization data for context
         const rentStabilizedBuildings = options.rentStabilizedBuildings || [];
         
-        // Call Claude for comprehensive analysis
-        const analysis = await this.claudeAnalyzer.analyzeRentalsUndervaluation(
+        // Call Claude for comprehensive analysis (already done for the whole neighborhood in batch mode)
+        const analysis = batchAnalyses ? batchAnalyses.get(listing.id) : await this.claudeAnalyzer.analyzeRentalsUndervaluation(
             listing,
             detailedListings, // Use detailed listings as comparables (not activeListings)
             neighborhood,
             { 
                 undervaluationThreshold: dynamicThreshold, // ← This will pass 10 or 15
-                rentStabilizedBuildings
+                rentStabilizedBuildings,
+                forceRefresh: options.refreshAnalysis
             }
         );
         
@@ -262,10 +341,11 @@ for (const listing of detailedListings) {
                 isUndervaluedStabilized: isUndervalued && isStabilized,
                 
                 // Analysis metadata
-                analysisMethod: 'claude_ai',
+                analysisMethod: analysis.analysisEngine === 'valuation_engine' ? 'valuation_engine' : 'claude_ai',
                 reasoning: cleanAnalysis.reasoning,
                 comparablesUsed: detailedListings.length,
-                fromCache: false
+                comparableSet: analysis.comparableSet || null,
+                fromCache: Boolean(analysis.fromCache)   // Claude analysis reused from claude_analysis_cache
             };
             
             analyzedProperties.push(analyzedProperty);
@@ -281,6 +361,9 @@ for (const listing of detailedListings) {
             console.log(`     ✅ ${listing.address}: ${cleanAnalysis.percentBelowMarket}% below market, ${cleanAnalysis.rentStabilizedProbability}% stabilized`);
         } else {
             console.log(`     ⚠️ Analysis failed for ${listing.address}: ${analysis?.error || 'Unknown error'}`);
+            if (analysis?.analysisFailure) {
+                results.analysisFailures.push({ listingId: listing.id, address: listing.address, ...analysis.analysisFailure });
+            }
         }
         
     } catch (error) {
@@ -290,8 +373,8 @@ for (const listing of detailedListings) {
     
     results.totalAnalyzed++;
     
-    // Rate limiting between properties
-    await this.delay(100);
+    // Rate limiting between properties (batch mode made no per-listing calls)
+    if (!batchAnalyses) await this.delay(100);
 }
         
         // FIXED STEP 6: Save results using separate thresholds
@@ -313,7 +396,7 @@ for (const listing of detailedListings) {
      */
     async getCachedNeighborhoodListings(neighborhood) {
         try {
-            const { data, error } = await this.supabase
+            const { data, error } = await this.storage
                 .from('rental_market_cache')
                 .select('*')
                 .eq('neighborhood', neighborhood)
@@ -346,84 +429,18 @@ for (const listing of detailedListings) {
     }
 
 /**
- * FIXED: Fetch active listings from StreetEasy API using correct parameters
+ * FIXED: Fetch active listings from the configured listing source (StreetEasy by default)
  */
 async fetchActiveListings(neighborhood) {
     try {
-        console.log(`   🔍 Fetching active listings for ${neighborhood}...`);
-        
-        let allRentals = [];
-        let offset = 0;
-        const limit = Math.min(500, this.maxListingsPerNeighborhood); // API limit is 500
-        const maxListings = this.maxListingsPerNeighborhood || 2000;
-        let hasMoreData = true;
+        console.log(`   🔍 Fetching active listings for ${neighborhood} (${this.listingSource.name})...`);
         
-        while (hasMoreData && allRentals.length < maxListings) {
-            const response = await axios.get('https://streeteasy-api.p.rapidapi.com/rentals/search', {
-                params: {
-                    areas: neighborhood,  // FIXED: Use "areas" not "neighborhood"
-                    limit: limit,
-                    minPrice: 1000,
-                    maxPrice: 20000,
-                    offset: offset  // ✅ ONLY CHANGE: Now properly increments!
-                },
-                headers: {
-                    'X-RapidAPI-Key': this.rapidApiKey,
-                    'X-RapidAPI-Host': 'streeteasy-api.p.rapidapi.com'
-                },
-                timeout: 30000
-            });
-            
-            this.apiCallsUsed++;
-            
-            // Handle response structure (from working biweekly code)
-            let rentalData = [];
-            if (response.data) {
-                if (response.data.results && Array.isArray(response.data.results)) {
-                    rentalData = response.data.results;
-                } else if (response.data.listings && Array.isArray(response.data.listings)) {
-                    rentalData = response.data.listings;
-                } else if (response.data.rentals && Array.isArray(response.data.rentals)) {
-                    rentalData = response.data.rentals;
-                } else if (Array.isArray(response.data)) {
-                    rentalData = response.data;
-                }
-            }
-            
-            // Add to total
-            allRentals = allRentals.concat(rentalData);
-            
-            // Check if we should continue
-            if (rentalData.length < limit) {
-                // Got fewer than limit, means we've reached the end
-                hasMoreData = false;
-            } else if (allRentals.length >= maxListings) {
-                // Hit our per-neighborhood limit
-                hasMoreData = false;
-            } else {
-                // Increment offset for next batch
-                offset += limit;
-            }
-        }
+        const requestsBefore = this.listingSource.requestCount;
+        const listings = await this.listingSource.searchArea(neighborhood, activeRentalSearch(this.maxListingsPerNeighborhood));
+        this.apiCallsUsed += this.listingSource.requestCount - requestsBefore;
         
-        console.log(`   ✅ Found ${allRentals.length} active listings`);
-        
-        return allRentals.map(listing => ({
-            id: listing.id?.toString(),
-            address: listing.address || 'Address not available',
-            price: listing.price || listing.monthlyRent || 0,
-            bedrooms: listing.bedrooms || 0,
-            bathrooms: listing.bathrooms || 0,
-            sqft: listing.sqft || 0,
-            neighborhood: neighborhood,
-            amenities: listing.amenities || [],
-            description: listing.description || '',
-            noFee: listing.noFee || false,
-            zipcode: listing.zipcode,
-            builtIn: listing.builtIn,
-            propertyType: listing.propertyType || 'apartment',
-            url: listing.url || `https://streeteasy.com/rental/${listing.id}`
-        }));
+        console.log(`   ✅ Found ${listings.length} active listings`);
+        return listings;
         
     } catch (error) {
         console.warn(`   ⚠️ Failed to fetch active listings: ${error.message}`);
@@ -462,18 +479,11 @@ cleanAnalysisData(analysis) {
             try {
                 this.apiCallsUsed++;
                 
-                const response = await axios.get(`https://streeteasy-api.p.rapidapi.com/rentals/${listing.id}`, {
-                    headers: {
-                        'X-RapidAPI-Key': this.rapidApiKey,
-                        'X-RapidAPI-Host': 'streeteasy-api.p.rapidapi.com'
-                    },
-                    timeout: 15000
-                });
+                const details = await this.listingSource.fetchDetails(listing, { type: 'rental' });
                 
-                if (response.data) {
+                if (details) {
                     const detailedListing = {
-                        ...listing,
-                        ...response.data,
+                        ...details,
                         neighborhood: neighborhood
                     };
                     
@@ -527,7 +537,7 @@ cleanAnalysisData(analysis) {
                 times_seen: 1
             };
                 
-            const { error } = await this.supabase
+            const { error } = await this.storage
                 .from('rental_market_cache')
                 .upsert(cacheData, { onConflict: 'listing_id' });
             
@@ -577,12 +587,12 @@ async markMissingListingsAsRented(currentListingIds, neighborhood) {
         let hasMoreData = true;
         
         while (hasMoreData) {
-            const { data, error } = await this.supabase
+            const { data, error } = await this.storage
                 .from('rental_market_cache')
                 .select('listing_id')
                 .eq('neighborhood', neighborhood)
                 .not('address', 'is', null)
-                .neq('market_status', 'likely_rented')
+                .not('market_status', 'in', '(likely_rented,relisted)')   // relisted: superseded by a new ID
                 .range(offset, offset + limit - 1);
             
             if (error) throw error;
@@ -603,7 +613,7 @@ async markMissingListingsAsRented(currentListingIds, neighborhood) {
         // ... rest of function stays exactly the same
         if (missingIds.length > 0) {
             // Mark as likely rented in cache
-            const { error: updateError } = await this.supabase
+            const { error: updateError } = await this.storage
                 .from('rental_market_cache')
                 .update({ 
                     market_status: 'likely_rented',
@@ -612,9 +622,10 @@ async markMissingListingsAsRented(currentListingIds, neighborhood) {
                 .in('listing_id', missingIds);
             
             if (updateError) throw updateError;
+            await this.priceHistory.recordClosed('rental', missingIds, { neighborhood });
 
             // Mark corresponding entries in undervalued_rentals as likely rented
-            const { error: markRentalsError } = await this.supabase
+            const { error: markRentalsError } = await this.storage
                 .from('undervalued_rentals')
                 .update({
                     status: 'likely_rented',
@@ -643,8 +654,8 @@ async markMissingListingsAsRented(currentListingIds, neighborhood) {
         try {
             // Remove from both tables - simpler than updating status
             await Promise.all([
-                this.supabase.from('undervalued_rentals').delete().in('listing_id', listingIds),
-                this.supabase.from('undervalued_rent_stabilized').delete().in('listing_id', listingIds)
+                this.storage.from('undervalued_rentals').delete().in('listing_id', listingIds),
+                this.storage.from('undervalued_rent_stabilized').delete().in('listing_id', listingIds)
             ]);
             
             console.log(`   🗑️ Removed ${listingIds.length} rented properties from analysis tables`);
@@ -654,7 +665,9 @@ async markMissingListingsAsRented(currentListingIds, neighborhood) {
     }
 
     /**
-     * Handle price change updates (re-analyze and update tables)
+     * Handle price change updates (re-analyze and update tables). The price is part of the analysis
+     * cache key, so a re-priced listing always gets a fresh Claude analysis. The old rent survives in
+     * listing_price_events (recorded by priceHistory.recordSearch before this overwrite).
      */
     async handlePriceChangeUpdates(priceUpdates, analyzedProperties) {
         for (const update of priceUpdates) {
@@ -666,7 +679,7 @@ async markMissingListingsAsRented(currentListingIds, neighborhood) {
                 console.log(`   🔄 Updating analysis for ${property.address} (price: ${update.oldPrice} → ${update.newPrice})`);
                 
                 // Update cache with new price
-                await this.supabase
+                await this.storage
                     .from('rental_market_cache')
                     .update({ 
                         monthly_rent: update.newPrice,
@@ -676,8 +689,8 @@ async markMissingListingsAsRented(currentListingIds, neighborhood) {
                 
                 // Remove old analysis (if exists) and re-save with new analysis
                 await Promise.all([
-                    this.supabase.from('undervalued_rentals').delete().eq('listing_id', update.id),
-                    this.supabase.from('undervalued_rent_stabilized').delete().eq('listing_id', update.id)
+                    this.storage.from('undervalued_rentals').delete().eq('listing_id', update.id),
+                    this.storage.from('undervalued_rent_stabilized').delete().eq('listing_id', update.id)
                 ]);
                 
                 // Re-save will happen in normal save flow with updated analysis
@@ -732,12 +745,16 @@ async saveAnalyzedProperties(properties, neighborhood, results) {
             if (isStabilized && stabilizedMeetsThreshold) {
                 // Save to rent-stabilized table with FIXED constraint handling
                 await this.saveToRentStabilizedTable(property, neighborhood);
+                await this.comparableSets.save('rental', property.id, property.comparableSet,
+                    { neighborhood, analysisTable: 'undervalued_rent_stabilized' });
                 savedToStabilized++;
                 console.log(`     🔒 STABILIZED: ${property.address} (${property.rentStabilizedProbability}% confidence, ${property.percentBelowMarket?.toFixed(1)}% market position)`);
                 
             } else if (!isStabilized && isUndervalued) {
                 // Save to regular undervalued table - FIXED: Use Supabase instead of net.http_post
                 await this.saveToUndervaluedRentalsTable(property, neighborhood);
+                await this.comparableSets.save('rental', property.id, property.comparableSet,
+                    { neighborhood, analysisTable: 'undervalued_rentals' });
                 savedToUndervalued++;
                 console.log(`     💰 UNDERVALUED: ${property.address} (${property.percentBelowMarket?.toFixed(1)}% below market)`);
                 
@@ -802,6 +819,12 @@ async saveAnalyzedProperties(properties, neighborhood, results) {
             const validRentStabilizedMethod = this.mapEnhancedMethodToDbConstraint(finalRentStabilizedMethod);
             const validUndervaluationMethod = this.mapEnhancedMethodToDbConstraint(finalUndervaluationMethod);
             
+            // Legal regulated rent range (only when a registered/legal rent is known for the unit)
+            const legalRentEstimate = this.estimateLegalRent(property);
+            if (legalRentEstimate?.overcharge_flag) {
+                console.log(`     🚩 Possible overcharge: $${property.price} asked vs legal max ~$${legalRentEstimate.legal_rent_high}`);
+            }
+            
             const saveData = {
                 listing_id: property.id?.toString(),
                 listing_url: property.url || `https://streeteasy.com/rental/${property.id}`,
@@ -858,6 +881,7 @@ async saveAnalyzedProperties(properties, neighborhood, results) {
                     legal_indicators: this.extractLegalIndicators(property),
                     building_criteria: this.buildingCriteriaAnalysis(property),
                     dhcr_building_match: this.hasDHCRMatch(property),
+                    legal_rent_estimate: legalRentEstimate,
                     confidence_breakdown: {
                         building_age: property.builtIn && property.builtIn < 1974 ? 30 : 0,
                         rent_level: property.percentBelowMarket > 10 ? 25 : 0,
@@ -878,13 +902,13 @@ deal_quality_score: this.safeInt(this.calculateDealQualityScore(property)),
 ranking_in_neighborhood: null,
 neighborhood_median_rent: null,
 comparable_properties_in_area: this.safeInt(property.comparablesUsed, null),
-risk_factors: this.identifyRiskFactors(property),
+risk_factors: this.identifyRiskFactors(property, legalRentEstimate),
 opportunity_score: this.safeInt(this.calculateOpportunityScore(property)),
 
 // Status and metadata
 display_status: 'active',
 admin_notes: null,
-tags: this.generatePropertyTags(property),
+tags: this.generatePropertyTags(property, legalRentEstimate),
 
 // Classification with BULLETPROOF conversion
 market_classification: this.classifyRentStabilizedProperty(property),
@@ -897,7 +921,7 @@ last_verified: new Date().toISOString(),
 analysis_date: new Date().toISOString()
             };
             
-            const { error } = await this.supabase
+            const { error } = await this.storage
                 .from('undervalued_rent_stabilized')
                 .upsert(saveData, { onConflict: 'listing_id' });
             
@@ -985,12 +1009,44 @@ analysis_date: new Date().toISOString()
             ) : false;
     }
 
+    /**
+     * NEW: Legal regulated rent range from the last registered rent
+     * Uses property.lastRegisteredRent/lastRegisteredYear when known, otherwise a legal rent quoted
+     * in the description (assumed registered for the previous lease year). null when neither exists.
+     */
+    estimateLegalRent(property) {
+        const leaseStartYear = LegalRentEstimator.guidelineYearFor(property.availableFrom || new Date()) ||
+            LegalRentEstimator.guidelineYearFor(new Date());
+        const quoted = LegalRentEstimator.extractLegalRentFromDescription(property.description);
+        const registeredRent = property.lastRegisteredRent || quoted.legal_rent;
+        const registeredYear = property.lastRegisteredYear || leaseStartYear - 1;
+
+        if (!registeredRent || !property.price || registeredYear >= leaseStartYear) {
+            return null;
+        }
+
+        try {
+            return this.legalRentEstimator.estimate({
+                askingRent: property.price,
+                registeredRent,
+                registeredYear,
+                leaseStart: leaseStartYear
+            });
+        } catch (error) {
+            console.warn(`     ⚠️ Legal rent estimate skipped for ${property.address}: ${error.message}`);
+            return null;
+        }
+    }
+
     /**
      * Identify risk factors
      */
-    identifyRiskFactors(property) {
+    identifyRiskFactors(property, legalRentEstimate = null) {
         const risks = [];
         
+        if (legalRentEstimate?.overcharge_flag) {
+            risks.push('possible_rent_overcharge');
+        }
         if (!property.sqft || property.sqft === 0) {
             risks.push('missing_square_footage');
         }
@@ -1084,7 +1140,7 @@ analysis_date: new Date().toISOString()
                 times_seen_in_search: 1
             };
             
-            const { error } = await this.supabase
+            const { error } = await this.storage
                 .from('undervalued_rentals')
                 .upsert(saveData, { onConflict: 'listing_id' });
             
@@ -1264,9 +1320,10 @@ analysis_date: new Date().toISOString()
     /**
      * Generate property tags
      */
-    generatePropertyTags(property) {
+    generatePropertyTags(property, legalRentEstimate = null) {
         const tags = [];
         
+        if (legalRentEstimate?.overcharge_flag) tags.push('possible_overcharge');
         if (property.isUndervaluedStabilized) tags.push('goldmine_deal');
         if (property.isUndervalued) tags.push('undervalued');
         if (property.isRentStabilized) tags.push('rent_stabilized');
@@ -1351,7 +1408,7 @@ getBoroughFromNeighborhood(neighborhood) {
             while (hasMoreData) {
                 console.log(`   📊 Loading batch starting at offset ${offset}...`);
                 
-                const { data, error } = await this.supabase
+                const { data, error } = await this.storage
                     .from('rent_stabilized_buildings')
                     .select('*')
                     .range(offset, offset + batchSize - 1)
@@ -1386,6 +1443,7 @@ getBoroughFromNeighborhood(neighborhood) {
             }
             
             console.log(`   ✅ Loaded ${allBuildings.length} total rent-stabilized buildings`);
+            await this.attachDHCRIndex(allBuildings);
             return allBuildings;
             
         } catch (error) {
@@ -1395,6 +1453,25 @@ getBoroughFromNeighborhood(neighborhood) {
         }
     }
 
+    /**
+     * Build the DHCR lookup index once per run (plus the optional offline address→BBL table)
+     * and hand it to the analyzer - every listing then does bucketed lookups, not a full scan
+     */
+    async attachDHCRIndex(buildings) {
+        const index = DHCRLookupIndex.fromBuildings(buildings);
+
+        if (process.env.BBL_ADDRESS_TABLE) {
+            try {
+                await index.registry.loadAddressTable(process.env.BBL_ADDRESS_TABLE);
+            } catch (error) {
+                console.error(`   ⚠️ Could not load address→BBL table: ${error.message}`);
+            }
+        }
+
+        this.claudeAnalyzer.setDHCRIndex(index, buildings);
+        return index;
+    }
+
     /**
      * RESTORED: Main comprehensive analysis entry point (NEEDED for Railway)
      */
@@ -1410,6 +1487,12 @@ getBoroughFromNeighborhood(neighborhood) {
             totalAnalyzed: 0,
             neighborhoodsProcessed: 0,
             apiCallsUsed: 0,
+            llmUsage: null,
+            estimatedCost: 0,
+            schemaStats: null,
+            analysisCache: null,
+            batchStats: null,
+            engineStats: null,
             errors: [],
             cacheEfficiency: 0
         };
@@ -1434,7 +1517,9 @@ getBoroughFromNeighborhood(neighborhood) {
                     console.log(`\n📍 Analyzing ${neighborhood}...`);
                     
                     const neighborhoodResults = await this.analyzeNeighborhoodForRentStabilized(neighborhood, {
-                        rentStabilizedBuildings
+                        rentStabilizedBuildings,
+                        refreshAnalysis: options.refreshAnalysis,
+                        batchMode: options.batchMode
                     });
                     
                     // Update totals
@@ -1458,6 +1543,13 @@ getBoroughFromNeighborhood(neighborhood) {
             // Final results
             const duration = (Date.now() - startTime) / 1000;
             results.apiCallsUsed = this.claudeAnalyzer.apiCallsUsed;
+            results.llmUsage = this.claudeAnalyzer.getUsageReport();
+            results.estimatedCost = results.llmUsage.estimatedCost;
+            results.schemaStats = this.claudeAnalyzer.getSchemaStats();
+            results.analysisCache = this.analysisCache.getStats();
+            results.cacheEfficiency = results.analysisCache.hitRate;
+            results.batchStats = this.batchRunner.getStats();
+            results.engineStats = this.claudeAnalyzer.getEngineStats();
             
             console.log('\n🎉 CLAUDE ANALYSIS COMPLETE!');
             console.log('=' .repeat(60));
@@ -1467,7 +1559,10 @@ getBoroughFromNeighborhood(neighborhood) {
             console.log(`🔒 Rent-stabilized found: ${results.rentStabilizedFound}`);
             console.log(`💎 Undervalued + Stabilized: ${results.undervaluedStabilized}`);
             console.log(`🤖 Claude API calls: ${results.apiCallsUsed}`);
-            console.log(`💰 Estimated cost: ${(results.apiCallsUsed * 0.0006).toFixed(3)}`);
+            console.log(`🧾 Claude output: ${formatSchemaStats(results.schemaStats)}`);
+            console.log(`💰 Claude usage: ${formatUsageReport(results.llmUsage)}`);
+            console.log(`🗃️ Analysis cache: ${formatAnalysisCacheStats(results.analysisCache)}`);
+            this.logEngineStats(results.engineStats);
             
             return results;
             
@@ -1567,7 +1662,7 @@ getHighPriorityNeighborhoods() {
     async getAnalysisSummary() {
         try {
             // Get undervalued rentals from the general table
-            const { data: undervalued, error: undervaluedError } = await this.supabase
+            const { data: undervalued, error: undervaluedError } = await this.storage
                 .from('undervalued_rentals')
                 .select('*')
                 .eq('status', 'active')
@@ -1576,7 +1671,7 @@ getHighPriorityNeighborhoods() {
                 .limit(10);
 
             // Get rent-stabilized properties from the specialized table
-            const { data: stabilized, error: stabilizedError } = await this.supabase
+            const { data: stabilized, error: stabilizedError } = await this.storage
                 .from('undervalued_rent_stabilized')
                 .select('*')
                 .eq('display_status', 'active')
@@ -1585,7 +1680,7 @@ getHighPriorityNeighborhoods() {
                 .limit(10);
 
             // Get GOLDMINE DEALS - both undervalued AND rent-stabilized
-            const { data: goldmine, error: goldmineError } = await this.supabase
+            const { data: goldmine, error: goldmineError } = await this.storage
                 .from('undervalued_rent_stabilized')
                 .select('*')
                 .eq('display_status', 'active')
@@ -1612,7 +1707,9 @@ getHighPriorityNeighborhoods() {
     getUsageStats() {
         return {
             apiCallsUsed: this.claudeAnalyzer.apiCallsUsed,
-            estimatedCost: this.claudeAnalyzer.apiCallsUsed * 0.0006,
+            estimatedCost: this.claudeAnalyzer.getUsageReport().estimatedCost,
+            llmUsage: this.claudeAnalyzer.getUsageReport(),
+            schemaStats: this.claudeAnalyzer.getSchemaStats(),
             cacheEfficiency: 0 // Can be enhanced later
         };
     }
@@ -1634,7 +1731,8 @@ getHighPriorityNeighborhoods() {
             savedCount: 0,
             neighborhoodResults: [],
             startTime: new Date(),
-            errors: []
+            errors: [],
+            analysisFailures: []
         };
         
         for (const neighborhood of neighborhoods) {
@@ -1649,6 +1747,7 @@ getHighPriorityNeighborhoods() {
                 overallResults.savedCount += result.savedCount;
                 overallResults.neighborhoodResults.push(result);
                 overallResults.errors.push(...result.errors);
+                overallResults.analysisFailures.push(...result.analysisFailures);
                 
             } catch (error) {
                 console.error(`❌ Failed to analyze ${neighborhood}: ${error.message}`);
@@ -1661,11 +1760,25 @@ getHighPriorityNeighborhoods() {
         
         overallResults.endTime = new Date();
         overallResults.duration = Math.round((overallResults.endTime - overallResults.startTime) / 1000);
+        overallResults.llmUsage = this.claudeAnalyzer.getUsageReport();
+        overallResults.schemaStats = this.claudeAnalyzer.getSchemaStats();
+        overallResults.analysisCache = this.analysisCache.getStats();
+        overallResults.batchStats = this.batchRunner.getStats();
+        overallResults.engineStats = this.claudeAnalyzer.getEngineStats();
         
         this.printFinalResults(overallResults);
         return overallResults;
     }
 
+    /**
+     * Valuation engine line for run logs (only when ANALYSIS_ENGINE is not claude)
+     */
+    logEngineStats(engineStats) {
+        if (!engineStats || engineStats.mode === 'claude') return;
+        console.log(`🧮 Valuation engine (${engineStats.mode}): ${engineStats.valuations} valuations, ` +
+            `${engineStats.fallbacks} Claude fallbacks, ${engineStats.insufficientData} with too few comparables`);
+    }
+
     /**
      * Print final analysis results
      */
@@ -1679,6 +1792,10 @@ getHighPriorityNeighborhoods() {
         console.log(`💎 Undervalued + Stabilized: ${results.undervaluedStabilizedCount}`);
         console.log(`💾 Total saved: ${results.savedCount}`);
         console.log(`🤖 Claude API calls: ${this.claudeAnalyzer.apiCallsUsed}`);
+        console.log(`💰 Claude usage: ${formatUsageReport(results.llmUsage)}`);
+        console.log(`🧾 Claude output: ${formatSchemaStats(results.schemaStats)}`);
+        console.log(`🗃️ Analysis cache: ${formatAnalysisCacheStats(results.analysisCache)}`);
+        this.logEngineStats(results.engineStats);
         
         if (results.errors.length > 0) {
             console.log(`⚠️ Errors: ${results.errors.length}`);
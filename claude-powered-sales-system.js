@@ -10,21 +10,53 @@
 // 6. Dynamic undervaluation thresholds
 
 require('dotenv').config();
-const axios = require('axios');
-const { createClient } = require('@supabase/supabase-js');
+const { createStorage } = require('./storage.js');
 const EnhancedClaudeMarketAnalyzer = require('./claude-market-analyzer.js');
+const { formatSchemaStats } = require('./claude-output-schemas.js');
+const { formatUsageReport } = require('./llm-client.js');
+const ClaudeBatchRunner = require('./claude-batch-runner.js');
+const DHCRLookupIndex = require('./dhcr-lookup-index.js');
+const { createListingSource } = require('./listing-sources.js');
+const { httpClientFromEnv } = require('./http-cassette.js');
+const PriceHistory = require('./price-history.js');
+const { isExhaustiveSearch } = require('./price-history.js');
+const ListingDeduplicator = require('./listing-dedup.js');
+const ComparableSets = require('./comparable-sets.js');
+
+/**
+ * Search options for a neighborhood's active sales
+ */
+function activeSalesSearch(maxListings) {
+    return {
+        type: 'sale',
+        pageSize: Math.min(500, maxListings),
+        maxListings: maxListings || 2000,
+        minPrice: 100000,
+        maxPrice: 50000000
+    };
+}
 
 class ClaudePoweredSalesSystem {
-    constructor() {
-        // Supabase configuration
-        this.supabase = createClient(
-            process.env.SUPABASE_URL,
-            process.env.SUPABASE_SERVICE_ROLE_KEY
-        );
+    constructor(options = {}) {
+        // Storage: Supabase, or local SQLite when STORAGE_BACKEND=sqlite / no SUPABASE_URL
+        this.storage = options.storage || createStorage({ key: process.env.SUPABASE_SERVICE_ROLE_KEY });
         
         // API configuration
         this.rapidApiKey = process.env.RAPIDAPI_KEY;
-        this.claudeAnalyzer = new EnhancedClaudeMarketAnalyzer();
+        this.http = options.http || httpClientFromEnv('sales');   // axios, or a cassette (HTTP_CASSETTE_MODE)
+        this.listingSource = options.listingSource || createListingSource(options.listingSourceName, { apiKey: this.rapidApiKey, http: this.http });
+        this.claudeAnalyzer = new EnhancedClaudeMarketAnalyzer({ http: this.http, llm: options.llm });   // LLM_PROVIDER=mock runs offline
+        
+        // Batch mode: stage-1 quick checks as one Message Batch per neighborhood (CLAUDE_BATCH_MODE=true);
+        // stage-2 memos stay individual calls since only undervalued sales get one
+        this.batchMode = options.batchMode ?? process.env.CLAUDE_BATCH_MODE === 'true';
+        this.batchRunner = options.batchRunner || new ClaudeBatchRunner(this.claudeAnalyzer.llm, this.storage);
+        // Append-only asking price history per listing (listing_price_events) - the cache only keeps the latest price
+        this.priceHistory = options.priceHistory || new PriceHistory(this.storage);
+        // Links a unit relisted under a new ID to the old one instead of counting the old one as sold
+        this.deduplicator = options.deduplicator || new ListingDeduplicator(this.storage);
+        // The comparables and adjustments behind each saved analysis (valuation_comparables)
+        this.comparableSets = options.comparableSets || new ComparableSets(this.storage);
         
         // Analysis thresholds - SALES SPECIFIC
         this.undervaluationThreshold = parseInt(process.env.SALES_UNDERVALUATION_THRESHOLD) || 15;
@@ -46,6 +78,7 @@ class ClaudePoweredSalesSystem {
         console.log(`   🎯 Base undervaluation threshold: ${this.undervaluationThreshold}%`);
         console.log(`   📊 Low inventory threshold: ${this.lowInventoryThreshold}% (for small neighborhoods)`);
         console.log(`   🔢 Inventory breakpoint: ${this.inventoryBreakpoint} listings`);
+        console.log(`   📡 Listing source: ${this.listingSource.name}`);
     }
 
     /**
@@ -64,7 +97,10 @@ class ClaudePoweredSalesSystem {
             quickChecks: 0,
             detailedAnalyses: 0,
             apiCallsSaved: 0,
-            errors: []
+            errors: [],
+            analysisFailures: [],   // typed Claude failures (invalid JSON / schema) - nothing is saved for these
+            priceEvents: {},        // price-history.js event counts for this search
+            relistings: { linked: 0, corrected: 0 }   // new IDs linked to vanished ones (listing-dedup.js)
         };
         
         try {
@@ -77,6 +113,16 @@ class ClaudePoweredSalesSystem {
                 return results;
             }
             
+            // Record first seen / price cuts and raises / relisted / delisted before the cache is overwritten
+            // (delisted only when the search was not capped, and only inside its price band)
+            const search = activeSalesSearch(this.maxListingsPerNeighborhood);
+            results.priceEvents = await this.priceHistory.recordSearch('sale', neighborhood, activeListings, {
+                source: this.listingSource.name,
+                complete: isExhaustiveSearch(activeListings, search),
+                minPrice: search.minPrice,
+                maxPrice: search.maxPrice
+            });
+            
             // STEP 2: Get cached listings for comparison
             const cachedListings = await this.getCachedNeighborhoodSales(neighborhood);
             console.log(`   📦 Found ${cachedListings.length} cached sales`);
@@ -95,6 +141,12 @@ class ClaudePoweredSalesSystem {
             const detailedSales = await this.fetchDetailedSalesWithCache(needFetch.slice(0, this.maxListingsPerNeighborhood), neighborhood);
             console.log(`   ✅ Got detailed data for ${detailedSales.length} properties`);
             
+            // Relisted units: link the new ID to the vanished one (cumulative days on market) and undo its "sold"
+            const { linked, corrected } = await this.deduplicator.linkRelistings('sale', neighborhood, detailedSales, {
+                activeIds: activeListings.map(l => l.id)
+            });
+            results.relistings = { linked, corrected };
+            
             // STEP 6: TWO-STAGE CLAUDE ANALYSIS with dynamic threshold
             const analyzedProperties = [];
             const totalListings = results.totalListings || detailedSales.length;
@@ -105,6 +157,20 @@ class ClaudePoweredSalesSystem {
                 this.rentStabilizedBuildings = await this.loadRentStabilizedBuildings();
             }
             
+            // Batch mode: every stage-1 quick check goes to Claude as one Message Batch up front
+            const batchQuickChecks = (options.batchMode ?? this.batchMode)
+                ? await this.claudeAnalyzer.analyzeSalesBatch(
+                    detailedSales.filter(listing => listing.address && listing.address !== 'Address not available'),
+                    detailedSales,
+                    neighborhood,
+                    {
+                        undervaluationThreshold: dynamicThreshold,
+                        skipDetailedReasoning: true,
+                        batchRunner: this.batchRunner
+                    }
+                )
+                : null;
+            
             for (const listing of detailedSales) {
                 try {
                     console.log(`🤖 Two-stage Claude analyzing sale: ${listing.address}`);
@@ -124,8 +190,8 @@ class ClaudePoweredSalesSystem {
                         this.rentStabilizedBuildings
                     );
                     
-                    // STAGE 1: Quick undervaluation check (no expensive reasoning)
-                    const quickCheck = await this.claudeAnalyzer.analyzeSalesUndervaluation(
+                    // STAGE 1: Quick undervaluation check (no expensive reasoning) - already run in batch mode
+                    const quickCheck = batchQuickChecks ? batchQuickChecks.get(listing.id) : await this.claudeAnalyzer.analyzeSalesUndervaluation(
                         listing,
                         detailedSales,
                         neighborhood,
@@ -136,6 +202,9 @@ class ClaudePoweredSalesSystem {
                     );
                     
                     results.quickChecks++;
+                    if (quickCheck?.analysisFailure) {
+                        results.analysisFailures.push({ listingId: listing.id, address: listing.address, ...quickCheck.analysisFailure });
+                    }
                     
                     if (quickCheck && quickCheck.isUndervalued) {
                         console.log(`     📝 STAGE 2: Generating detailed analysis (${quickCheck.discountPercent?.toFixed(1)}% below market)`);
@@ -143,6 +212,9 @@ class ClaudePoweredSalesSystem {
                         // STAGE 2: Detailed consumer + investor analysis (only for undervalued)
                         const detailedAnalysis = await this.generateTwoTierSalesAnalysis(listing, quickCheck, detailedSales, neighborhood);
                         results.detailedAnalyses++;
+                        if (detailedAnalysis.analysisFailure) {
+                            results.analysisFailures.push({ listingId: listing.id, address: listing.address, ...detailedAnalysis.analysisFailure });
+                        }
                         
                         // Clean and prepare analysis data
                         const cleanAnalysis = this.cleanSalesAnalysisData(quickCheck, detailedAnalysis);
@@ -170,6 +242,7 @@ class ClaudePoweredSalesSystem {
                             analysisMethod: 'claude_two_stage',
                             reasoning: cleanAnalysis.consumerReasoning, // Primary reasoning
                             comparablesUsed: detailedSales.length,
+                            comparableSet: quickCheck.comparableSet || null,
                             fromCache: false
                         };
                         
@@ -191,8 +264,8 @@ class ClaudePoweredSalesSystem {
                 
                 results.totalAnalyzed++;
                 
-                // Rate limiting between properties
-                await this.delay(100);
+                // Rate limiting between properties (batch mode made no per-listing quick-check calls)
+                if (!batchQuickChecks) await this.delay(100);
             }
             
             // Calculate API efficiency
@@ -225,7 +298,7 @@ class ClaudePoweredSalesSystem {
      */
     async getCachedNeighborhoodSales(neighborhood) {
         try {
-            const { data, error } = await this.supabase
+            const { data, error } = await this.storage
                 .from('sales_market_cache')
                 .select('*')
                 .eq('neighborhood', neighborhood)
@@ -259,88 +332,20 @@ class ClaudePoweredSalesSystem {
     }
 
     /**
-     * Fetch active sales listings from StreetEasy API
+     * Fetch active sales listings from the configured listing source (StreetEasy by default)
      */
     async fetchActiveSalesListings(neighborhood) {
         try {
-            console.log(`   🔍 Fetching active sales for ${neighborhood}...`);
-            
-            let allSales = [];
-            let offset = 0;
-            const limit = Math.min(500, this.maxListingsPerNeighborhood);
-            const maxListings = this.maxListingsPerNeighborhood || 2000;
-            let hasMoreData = true;
-            
-            while (hasMoreData && allSales.length < maxListings) {
-// ✅ ADD THIS LOGGING HERE:
-    console.log(`🔍 Starting API call for ${neighborhood} at ${new Date().toISOString()}`);
-    console.log(`📡 Calling: areas=${neighborhood}, limit=${limit}, offset=${offset}`);
-
-                const response = await axios.get('https://streeteasy-api.p.rapidapi.com/sales/search', {
-                    params: {
-                        areas: neighborhood,
-                        limit: limit,
-                        minPrice: 100000,
-                        maxPrice: 50000000,
-                        offset: offset
-                    },
-                    headers: {
-                        'X-RapidAPI-Key': this.rapidApiKey,
-                        'X-RapidAPI-Host': 'streeteasy-api.p.rapidapi.com'
-                    },
-                    timeout: 30000
-                });
-
- // ✅ ADD THIS LOGGING HERE:
-    console.log(`✅ API call completed for ${neighborhood} at ${new Date().toISOString()}`);
-    console.log(`📊 Got ${response.data?.results?.length || response.data?.length || 0} results`);
-                
-                this.apiCallsUsed++;
-                
-                // Handle response structure
-                let salesData = [];
-                if (response.data) {
-                    if (response.data.results && Array.isArray(response.data.results)) {
-                        salesData = response.data.results;
-                    } else if (response.data.listings && Array.isArray(response.data.listings)) {
-                        salesData = response.data.listings;
-                    } else if (Array.isArray(response.data)) {
-                        salesData = response.data;
-                    }
-                }
-                
-                // Add to total
-                allSales = allSales.concat(salesData);
-                
-                // Check if we should continue
-                if (salesData.length < limit) {
-                    hasMoreData = false;
-                } else if (allSales.length >= maxListings) {
-                    hasMoreData = false;
-                } else {
-                    offset += limit;
-                }
-            }
+            console.log(`   🔍 Fetching active sales for ${neighborhood} (${this.listingSource.name})...`);
+            console.log(`🔍 Starting API call for ${neighborhood} at ${new Date().toISOString()}`);
             
-            console.log(`   ✅ Found ${allSales.length} active sales`);
+            const requestsBefore = this.listingSource.requestCount;
+            const listings = await this.listingSource.searchArea(neighborhood, activeSalesSearch(this.maxListingsPerNeighborhood));
+            this.apiCallsUsed += this.listingSource.requestCount - requestsBefore;
             
-            return allSales.map(listing => ({
-                id: listing.id?.toString(),
-                address: listing.address || 'Address not available',
-                price: listing.price || 0,
-                bedrooms: listing.bedrooms || 0,
-                bathrooms: listing.bathrooms || 0,
-                sqft: listing.sqft || 0,
-                neighborhood: neighborhood,
-                amenities: listing.amenities || [],
-                description: listing.description || '',
-                zipcode: listing.zipcode,
-                builtIn: listing.builtIn,
-                propertyType: listing.propertyType || 'unknown',
-                url: listing.url || `https://streeteasy.com/sale/${listing.id}`,
-                latitude: listing.latitude,
-                longitude: listing.longitude
-            }));
+            console.log(`✅ API call completed for ${neighborhood} at ${new Date().toISOString()}`);
+            console.log(`   ✅ Found ${listings.length} active sales`);
+            return listings;
             
         } catch (error) {
             console.warn(`   ⚠️ Failed to fetch active sales: ${error.message}`);
@@ -396,10 +401,11 @@ async generateTwoTierSalesAnalysis(listing, quickCheck, comparables, neighborhoo
             };
         }
         
-        // Fallback if Claude call fails
+        // Fallback if Claude call fails (template text, no numbers beyond the validated quick check)
         return {
             consumerReasoning: this.generateFallbackConsumerAnalysis(listing, quickCheck),
-            investmentReasoning: this.generateFallbackInvestmentAnalysis(listing, quickCheck)
+            investmentReasoning: this.generateFallbackInvestmentAnalysis(listing, quickCheck),
+            analysisFailure: response.failure
         };
         
     } catch (error) {
@@ -621,30 +627,13 @@ generateFallbackInvestmentAnalysis(listing, quickCheck) {
             try {
                 this.apiCallsUsed++;
                 
-                const response = await axios.get(`https://streeteasy-api.p.rapidapi.com/sales/${listing.id}`, {
-                    headers: {
-                        'X-RapidAPI-Key': this.rapidApiKey,
-                        'X-RapidAPI-Host': 'streeteasy-api.p.rapidapi.com'
-                    },
-                    timeout: 15000
-                });
+                const details = await this.listingSource.fetchDetails(listing, { type: 'sale' });
                 
-                if (response.data) {
+                if (details) {
+                    // Detail records keep the full StreetEasy sales data (listedAt, ppsqft, building, agents, floorplans...)
                     const detailedListing = {
-                        ...listing,
-                        ...response.data,
-                        neighborhood: neighborhood,
-                        // Ensure we have the complete StreetEasy sales data
-                        listedAt: response.data.listedAt,
-                        daysOnMarket: response.data.daysOnMarket,
-                        ppsqft: response.data.ppsqft,
-                        monthlyHoa: response.data.monthlyHoa,
-                        monthlyTax: response.data.monthlyTax,
-                        building: response.data.building,
-                        agents: response.data.agents,
-                        images: response.data.images,
-                        videos: response.data.videos,
-                        floorplans: response.data.floorplans
+                        ...details,
+                        neighborhood: neighborhood
                     };
                     
                     detailed.push(detailedListing);
@@ -705,7 +694,7 @@ generateFallbackInvestmentAnalysis(listing, quickCheck) {
                 times_seen: 1
             };
                 
-            const { error } = await this.supabase
+            const { error } = await this.storage
                 .from('sales_market_cache')
                 .upsert(cacheData, { onConflict: 'listing_id' });
             
@@ -735,7 +724,7 @@ generateFallbackInvestmentAnalysis(listing, quickCheck) {
 
             // Batch update all analyzed properties
             for (const update of cacheUpdates) {
-                const { error } = await this.supabase
+                const { error } = await this.storage
                     .from('sales_market_cache')
                     .update({
                         market_status: update.market_status,
@@ -799,12 +788,12 @@ async markMissingListingsAsSold(currentListingIds, neighborhood) {
         let hasMoreData = true;
         
         while (hasMoreData) {
-            const { data, error } = await this.supabase
+            const { data, error } = await this.storage
                 .from('sales_market_cache')
                 .select('listing_id')
                 .eq('neighborhood', neighborhood)
                 .not('address', 'is', null)
-                .neq('market_status', 'likely_sold')
+                .not('market_status', 'in', '(likely_sold,relisted)')   // relisted: superseded by a new ID
                 .range(offset, offset + limit - 1);
             
             if (error) throw error;
@@ -825,7 +814,7 @@ async markMissingListingsAsSold(currentListingIds, neighborhood) {
         // ... rest of function stays exactly the same
         if (missingIds.length > 0) {
             // Mark as likely sold in cache
-            const { error: updateError } = await this.supabase
+            const { error: updateError } = await this.storage
                 .from('sales_market_cache')
                 .update({ 
                     market_status: 'likely_sold',
@@ -834,9 +823,10 @@ async markMissingListingsAsSold(currentListingIds, neighborhood) {
                 .in('listing_id', missingIds);
             
             if (updateError) throw updateError;
+            await this.priceHistory.recordClosed('sale', missingIds, { neighborhood });
 
             // Mark corresponding entries in undervalued_sales as likely sold
-            const { error: markSalesError } = await this.supabase
+            const { error: markSalesError } = await this.storage
                 .from('undervalued_sales')
                 .update({
                     status: 'likely_sold',
@@ -873,7 +863,7 @@ async markMissingListingsAsSold(currentListingIds, neighborhood) {
             while (hasMoreData) {
                 console.log(`   📊 Loading batch starting at offset ${offset}...`);
                 
-                const { data, error } = await this.supabase
+                const { data, error } = await this.storage
                     .from('rent_stabilized_buildings')
                     .select('*')
                     .range(offset, offset + batchSize - 1)
@@ -908,6 +898,7 @@ async markMissingListingsAsSold(currentListingIds, neighborhood) {
             }
             
             console.log(`   ✅ Loaded ${allBuildings.length} total rent-stabilized buildings`);
+            await this.attachDHCRIndex(allBuildings);
             return allBuildings;
             
         } catch (error) {
@@ -916,7 +907,26 @@ async markMissingListingsAsSold(currentListingIds, neighborhood) {
             return [];
         }
     }
-    
+
+    /**
+     * Build the DHCR lookup index once per run (plus the optional offline address→BBL table)
+     * and hand it to the analyzer - every listing then does bucketed lookups, not a full scan
+     */
+    async attachDHCRIndex(buildings) {
+        const index = DHCRLookupIndex.fromBuildings(buildings);
+
+        if (process.env.BBL_ADDRESS_TABLE) {
+            try {
+                await index.registry.loadAddressTable(process.env.BBL_ADDRESS_TABLE);
+            } catch (error) {
+                console.error(`   ⚠️ Could not load address→BBL table: ${error.message}`);
+            }
+        }
+
+        this.claudeAnalyzer.setDHCRIndex(index, buildings);
+        return index;
+    }
+
     /**
      * Handle price change updates for undervalued_sales table
      */
@@ -926,7 +936,7 @@ async markMissingListingsAsSold(currentListingIds, neighborhood) {
         try {
             for (const update of priceUpdates) {
                 // Update price in undervalued_sales if it exists
-                const { error } = await this.supabase
+                const { error } = await this.storage
                     .from('undervalued_sales')
                     .update({
                         price: update.newPrice,
@@ -952,7 +962,7 @@ async markMissingListingsAsSold(currentListingIds, neighborhood) {
     async removeSoldFromAnalysisTables(listingIds) {
         try {
             // Remove from undervalued_sales table
-            await this.supabase.from('undervalued_sales').delete().in('listing_id', listingIds);
+            await this.storage.from('undervalued_sales').delete().in('listing_id', listingIds);
             
             console.log(`   🗑️ Removed ${listingIds.length} sold properties from analysis tables`);
         } catch (error) {
@@ -961,7 +971,8 @@ async markMissingListingsAsSold(currentListingIds, neighborhood) {
     }
 
     /**
-     * Handle price change updates (re-analyze and update tables)
+     * Handle price change updates (re-analyze and update tables). The old price survives in
+     * listing_price_events (recorded by priceHistory.recordSearch before this overwrite).
      */
     async handlePriceChangeUpdates(priceUpdates, analyzedProperties) {
         for (const update of priceUpdates) {
@@ -973,7 +984,7 @@ async markMissingListingsAsSold(currentListingIds, neighborhood) {
                 console.log(`   🔄 Updating analysis for ${property.address} (price: ${update.oldPrice} → ${update.newPrice})`);
                 
                 // Update cache with new price
-                await this.supabase
+                await this.storage
                     .from('sales_market_cache')
                     .update({ 
                         sale_price: update.newPrice,
@@ -983,7 +994,7 @@ async markMissingListingsAsSold(currentListingIds, neighborhood) {
                     .eq('listing_id', update.id);
                 
                 // Remove old analysis (if exists) and re-save with new analysis
-                await this.supabase.from('undervalued_sales').delete().eq('listing_id', update.id);
+                await this.storage.from('undervalued_sales').delete().eq('listing_id', update.id);
                 
                 // Re-save will happen in normal save flow with updated analysis
                 
@@ -1032,6 +1043,8 @@ async markMissingListingsAsSold(currentListingIds, neighborhood) {
                 if (isUndervalued) {
                     // Save to undervalued_sales table
                     await this.saveToUndervaluedSalesTable(property, neighborhood);
+                    await this.comparableSets.save('sale', property.id, property.comparableSet,
+                        { neighborhood, analysisTable: 'undervalued_sales' });
                     savedCount++;
                     console.log(`     💰 SAVED: ${property.address} (${property.percentBelowMarket?.toFixed(1)}% below market, ${property.propertyType})`);
                 } else {
@@ -1129,7 +1142,7 @@ async markMissingListingsAsSold(currentListingIds, neighborhood) {
                 category_confidence: this.safeInt(property.undervaluationConfidence, 0)
             };
             
-            const { error } = await this.supabase
+            const { error } = await this.storage
                 .from('undervalued_sales')
                 .upsert(saveData, { onConflict: 'listing_id' });
             
@@ -1364,6 +1377,10 @@ determineInvestorPlanStatus(price) {
             neighborhoodsProcessed: 0,
             apiCallsUsed: 0,
             twoStageEfficiency: 0,
+            llmUsage: null,
+            estimatedCost: 0,
+            schemaStats: null,
+            batchStats: null,
             errors: []
         };
         
@@ -1380,7 +1397,9 @@ determineInvestorPlanStatus(price) {
                 try {
                     console.log(`\n📍 Analyzing ${neighborhood}...`);
                     
-                    const neighborhoodResults = await this.analyzeNeighborhoodForSalesOpportunities(neighborhood);
+                    const neighborhoodResults = await this.analyzeNeighborhoodForSalesOpportunities(neighborhood, {
+                        batchMode: options.batchMode
+                    });
                     
                     // Update totals
                     results.undervaluedSales += neighborhoodResults.undervaluedCount;
@@ -1401,6 +1420,10 @@ determineInvestorPlanStatus(price) {
             // Final results
             const duration = (Date.now() - startTime) / 1000;
             results.apiCallsUsed = this.claudeAnalyzer.apiCallsUsed;
+            results.llmUsage = this.claudeAnalyzer.getUsageReport();
+            results.estimatedCost = results.llmUsage.estimatedCost;
+            results.schemaStats = this.claudeAnalyzer.getSchemaStats();
+            results.batchStats = this.batchRunner.getStats();
             
             console.log('\n🎉 CLAUDE SALES ANALYSIS COMPLETE!');
             console.log('=' .repeat(60));
@@ -1408,7 +1431,8 @@ determineInvestorPlanStatus(price) {
             console.log(`📊 Total analyzed: ${results.totalAnalyzed} properties`);
             console.log(`🏠 Undervalued sales: ${results.undervaluedSales}`);
             console.log(`🤖 Claude API calls: ${results.apiCallsUsed}`);
-            console.log(`💰 Estimated cost: ${(results.apiCallsUsed * 0.0006).toFixed(3)}`);
+            console.log(`🧾 Claude output: ${formatSchemaStats(results.schemaStats)}`);
+            console.log(`💰 Claude usage: ${formatUsageReport(results.llmUsage)}`);
             
             return results;
             
@@ -1424,7 +1448,7 @@ determineInvestorPlanStatus(price) {
     async getAnalysisSummary() {
         try {
             // Get undervalued sales
-            const { data: undervalued, error: undervaluedError } = await this.supabase
+            const { data: undervalued, error: undervaluedError } = await this.storage
                 .from('undervalued_sales')
                 .select('*')
                 .eq('status', 'active')
@@ -1448,8 +1472,10 @@ determineInvestorPlanStatus(price) {
     getUsageStats() {
         return {
             apiCallsUsed: this.claudeAnalyzer.apiCallsUsed,
-            estimatedCost: this.claudeAnalyzer.apiCallsUsed * 0.0006,
-            twoStageEfficiency: this.twoStageCallsSaved
+            estimatedCost: this.claudeAnalyzer.getUsageReport().estimatedCost,
+            llmUsage: this.claudeAnalyzer.getUsageReport(),
+            twoStageEfficiency: this.twoStageCallsSaved,
+            schemaStats: this.claudeAnalyzer.getSchemaStats()
         };
     }
 
@@ -1468,7 +1494,8 @@ determineInvestorPlanStatus(price) {
             savedCount: 0,
             neighborhoodResults: [],
             startTime: new Date(),
-            errors: []
+            errors: [],
+            analysisFailures: []
         };
         
         for (const neighborhood of neighborhoods) {
@@ -1481,6 +1508,7 @@ determineInvestorPlanStatus(price) {
                 overallResults.savedCount += result.savedCount;
                 overallResults.neighborhoodResults.push(result);
                 overallResults.errors.push(...result.errors);
+                overallResults.analysisFailures.push(...result.analysisFailures);
                 
             } catch (error) {
                 console.error(`❌ Failed to analyze ${neighborhood}: ${error.message}`);
@@ -1493,6 +1521,9 @@ determineInvestorPlanStatus(price) {
         
         overallResults.endTime = new Date();
         overallResults.duration = Math.round((overallResults.endTime - overallResults.startTime) / 1000);
+        overallResults.llmUsage = this.claudeAnalyzer.getUsageReport();
+        overallResults.schemaStats = this.claudeAnalyzer.getSchemaStats();
+        overallResults.batchStats = this.batchRunner.getStats();
         
         this.printFinalResults(overallResults);
         return overallResults;
@@ -1509,6 +1540,8 @@ determineInvestorPlanStatus(price) {
         console.log(`🏠 Undervalued sales: ${results.undervaluedCount}`);
         console.log(`💾 Total saved: ${results.savedCount}`);
         console.log(`🤖 Claude API calls: ${this.claudeAnalyzer.apiCallsUsed}`);
+        console.log(`💰 Claude usage: ${formatUsageReport(results.llmUsage)}`);
+        console.log(`🧾 Claude output: ${formatSchemaStats(results.schemaStats)}`);
         
         if (results.errors.length > 0) {
             console.log(`⚠️ Errors: ${results.errors.length}`);
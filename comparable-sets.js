@@ -0,0 +1,202 @@
+// comparable-sets.js
+// COMPARABLE SETS - the comparables and adjustments behind every saved valuation
+//
+// undervalued_rentals / undervalued_rent_stabilized / undervalued_sales keep the resulting numbers
+// and a reasoning paragraph. When a client questions a "22% below market" claim we need the comps
+// themselves, so every saved analysis also stores its comparable set in valuation_comparables:
+//   tier          hierarchy tier the comparables came from (COMPARABLE_TIERS)
+//   comparables   listing id, address, price, layout and price per sqft of each comparable;
+//                 shownToModel marks the ones written into Claude's prompt (it lists the first 12)
+//   adjustments   each adjustment applied to the base value - the valuation engine's amenity /
+//                 square footage / quality / location adjustments, or Claude's adjustmentBreakdown
+// One row per listing and type, replaced when the listing is re-analyzed. Served by
+// GET /api/analysis/:listingId/comparables.
+//
+// Saving never throws - a storage problem is logged and the pipeline carries on.
+require('dotenv').config();
+
+const COMPARABLE_TIERS = {
+    exact_bed_bath_amenity_match: 'Exact bed/bath with similar amenities',
+    bed_bath_specific_pricing: 'Same bed/bath',
+    bed_specific_with_adjustments: 'Same bedroom count',
+    price_per_sqft_fallback: 'Price per sqft across the neighborhood'
+};
+
+const round1 = value => Math.round(value * 10) / 10;
+
+function median(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function toNumber(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const number = Number(value);
+    return isNaN(number) ? null : number;
+}
+
+// Sale price, rent (valuation engine listings) or the listing price
+const priceOf = listing => toNumber(listing.salePrice) || toNumber(listing.monthlyRent) || toNumber(listing.price);
+
+/**
+ * Adjustments as [{ category, amount, details }] from the engine's array or Claude's { category: amount } map
+ */
+function normalizeAdjustments(adjustments) {
+    if (Array.isArray(adjustments)) {
+        return adjustments
+            .filter(adjustment => toNumber(adjustment.amount) !== null)
+            .map(adjustment => ({
+                category: adjustment.category,
+                amount: Math.round(toNumber(adjustment.amount)),
+                details: adjustment.details ?? null
+            }));
+    }
+    return Object.entries(adjustments || {})
+        .filter(([, amount]) => toNumber(amount) !== null)
+        .map(([category, amount]) => ({ category, amount: Math.round(toNumber(amount)), details: null }));
+}
+
+/**
+ * The comparable set of one valuation
+ * @param {Object} valuation - { target, comparables, tier, adjustments, estimatedMarketValue, baseMarketValue,
+ *   engine ('claude' | 'valuation_engine'), promptLimit (comparables Claude was shown; default all) }
+ */
+function buildComparableSet(valuation) {
+    const { target, tier, engine } = valuation;
+    const promptLimit = valuation.promptLimit ?? Infinity;
+    const actualPrice = priceOf(target);
+    const estimatedMarketValue = toNumber(valuation.estimatedMarketValue);
+
+    const comparables = (valuation.comparables || []).map((comp, index) => {
+        const price = priceOf(comp);
+        const sqft = toNumber(comp.sqft);
+        return {
+            listingId: comp.id != null ? comp.id.toString() : null,
+            address: comp.address || null,
+            price,
+            bedrooms: toNumber(comp.bedrooms),
+            bathrooms: toNumber(comp.bathrooms),
+            sqft,
+            pricePerSqft: price && sqft > 0 ? round1(price / sqft) : null,
+            isTarget: comp === target || (comp.id != null && comp.id === target.id),
+            shownToModel: index < promptLimit
+        };
+    });
+    const prices = comparables.map(comp => comp.price).filter(price => price > 0);
+    const pricesPerSqft = comparables.map(comp => comp.pricePerSqft).filter(value => value > 0);
+    const medianPrice = median(prices);
+    const medianPricePerSqft = median(pricesPerSqft);
+
+    return {
+        tier,
+        tierLabel: COMPARABLE_TIERS[tier] || tier,
+        engine,
+        actualPrice,
+        estimatedMarketValue: estimatedMarketValue !== null ? Math.round(estimatedMarketValue) : null,
+        baseMarketValue: toNumber(valuation.baseMarketValue) !== null ? Math.round(toNumber(valuation.baseMarketValue)) : null,
+        percentBelowMarket: estimatedMarketValue > 0 && actualPrice ? round1((estimatedMarketValue - actualPrice) / estimatedMarketValue * 100) : null,
+        comparableCount: comparables.length,
+        medianPrice: medianPrice !== null ? Math.round(medianPrice) : null,
+        medianPricePerSqft: medianPricePerSqft !== null ? round1(medianPricePerSqft) : null,
+        comparables,
+        adjustments: normalizeAdjustments(valuation.adjustments)
+    };
+}
+
+class ComparableSets {
+    /**
+     * @param {Object} storage - storage.js backend (or a supabase-js client)
+     * @param {Object} options - { now }
+     */
+    constructor(storage, options = {}) {
+        this.storage = storage;
+        this.now = options.now || (() => new Date());
+    }
+
+    /**
+     * Store the comparable set of a saved analysis (replaces the listing's previous set)
+     * @param {Object} options - { neighborhood, analysisTable (the table the analysis was saved to) }
+     * @returns {boolean} whether it was stored
+     */
+    async save(listingType, listingId, comparableSet, options = {}) {
+        if (!listingId || !comparableSet) return false;
+
+        try {
+            const { error } = await this.storage
+                .from('valuation_comparables')
+                .upsert({
+                    listing_id: listingId.toString(),
+                    listing_type: listingType,
+                    neighborhood: options.neighborhood || null,
+                    analysis_table: options.analysisTable || null,
+                    tier: comparableSet.tier,
+                    engine: comparableSet.engine,
+                    actual_price: comparableSet.actualPrice,
+                    estimated_market_value: comparableSet.estimatedMarketValue,
+                    base_market_value: comparableSet.baseMarketValue,
+                    percent_below_market: comparableSet.percentBelowMarket,
+                    comparable_count: comparableSet.comparableCount,
+                    median_price: comparableSet.medianPrice,
+                    median_price_per_sqft: comparableSet.medianPricePerSqft,
+                    comparables: comparableSet.comparables,
+                    adjustments: comparableSet.adjustments,
+                    analyzed_at: this.now().toISOString()
+                }, { onConflict: 'listing_id,listing_type' });
+
+            if (error) throw error;
+            return true;
+        } catch (error) {
+            console.warn(`⚠️ Comparable set not saved for ${listingId}:`, error.message);
+            return false;
+        }
+    }
+
+    /**
+     * The stored comparable set of a listing, or null (listingType narrows to rental or sale;
+     * otherwise the most recently analyzed one)
+     */
+    async get(listingId, options = {}) {
+        let query = this.storage
+            .from('valuation_comparables')
+            .select('*')
+            .eq('listing_id', listingId.toString());
+
+        if (options.listingType) query = query.eq('listing_type', options.listingType);
+
+        const { data, error } = await query
+            .order('analyzed_at', { ascending: false })
+            .limit(1);
+
+        if (error) throw new Error(`Could not read comparables for ${listingId}: ${error.message}`);
+        const row = data && data[0];
+        if (!row) return null;
+
+        return {
+            listingId: row.listing_id,
+            listingType: row.listing_type,
+            neighborhood: row.neighborhood,
+            analysisTable: row.analysis_table,
+            analyzedAt: row.analyzed_at,
+            tier: row.tier,
+            tierLabel: COMPARABLE_TIERS[row.tier] || row.tier,
+            engine: row.engine,
+            actualPrice: toNumber(row.actual_price),
+            estimatedMarketValue: toNumber(row.estimated_market_value),
+            baseMarketValue: toNumber(row.base_market_value),
+            percentBelowMarket: toNumber(row.percent_below_market),
+            comparableCount: row.comparable_count,
+            medianPrice: toNumber(row.median_price),
+            medianPricePerSqft: toNumber(row.median_price_per_sqft),
+            comparables: row.comparables || [],
+            adjustments: row.adjustments || []
+        };
+    }
+}
+
+module.exports = ComparableSets;
+module.exports.ComparableSets = ComparableSets;
+module.exports.buildComparableSet = buildComparableSet;
+module.exports.normalizeAdjustments = normalizeAdjustments;
+module.exports.COMPARABLE_TIERS = COMPARABLE_TIERS;
@@ -0,0 +1,781 @@
+#!/usr/bin/env node
+
+/**
+ * DHCR INGESTION
+ *
+ * One configurable converter for every RGB/DHCR "Buildings Containing Stabilized Units" file.
+ * Replaces the per-borough manhattan/brooklyn/bronx/queens converters.
+ *
+ * The RGB CSV exports are PDF table dumps:
+ * - Every page repeats the title row, the ZIP,BLDGNO1,STREET1... header row and a "Source:" footer
+ * - Header columns are padded with empty cells and their positions shift from page to page
+ * - Values sit in the header column they belong to (or in one of its padding cells)
+ *
+ * Rows are tokenized with a real CSV parser (quoted fields, embedded commas, CRLF), the column
+ * layout is rebuilt from every header row, and each borough is validated against its own profile.
+ * Both address columns are kept as matchable spans (address_ranges) - see address-ranges.js.
+ * BLOCK/LOT are kept and combined with the borough code into a BBL key - see building-registry.js.
+ * Each file is one registry vintage (year); history across vintages lives in dhcr-registry-history.js.
+ */
+
+require('dotenv').config();
+const fs = require('fs').promises;
+const path = require('path');
+const { createStorage } = require('./storage.js');
+const Papa = require('papaparse');
+const { buildAddressSpans } = require('./address-ranges.js');
+const { normalizeAddress } = require('./address-normalizer.js');
+const BuildingRegistry = require('./building-registry.js');
+const DHCRRegistryHistory = require('./dhcr-registry-history.js');
+const { canonicalStatus } = require('./dhcr-status-codes.js');
+const { formatBBL } = BuildingRegistry;
+
+/**
+ * Columns published in the DHCR building file (in file order)
+ */
+const DHCR_COLUMNS = [
+    'ZIP', 'BLDGNO1', 'STREET1', 'STSUFX1', 'BLDGNO2', 'STREET2', 'STSUFX2',
+    'COUNTY', 'CITY', 'STATUS1', 'STATUS2', 'STATUS3', 'BLOCK', 'LOT'
+];
+
+/**
+ * Per-borough validation profiles
+ * countyCode: DHCR COUNTY column, boroCode: NYC borough code (used for BBL keys)
+ */
+const BOROUGH_PROFILES = {
+    manhattan: {
+        name: 'manhattan',
+        label: 'Manhattan',
+        countyCode: '62',
+        boroCode: 1,
+        zipPrefixes: ['100', '101', '102'],
+        fileName: '2023-DHCR-Bldg-File-Manhattan.csv'
+    },
+    bronx: {
+        name: 'bronx',
+        label: 'Bronx',
+        countyCode: '60',
+        boroCode: 2,
+        zipPrefixes: ['104'],
+        fileName: '2023-DHCR-Bldg-File-Bronx.csv'
+    },
+    brooklyn: {
+        name: 'brooklyn',
+        label: 'Brooklyn',
+        countyCode: '61',
+        boroCode: 3,
+        zipPrefixes: ['112'],
+        fileName: '2023-DHCR-Bldg-File-Brooklyn.csv'
+    },
+    queens: {
+        name: 'queens',
+        label: 'Queens',
+        countyCode: '63',
+        boroCode: 4,
+        zipPrefixes: ['110', '111', '113', '114', '116'],
+        fileName: '2023-DHCR-Bldg-File-Queens.csv'
+    },
+    staten_island: {
+        name: 'staten_island',
+        label: 'Staten Island',
+        countyCode: '64',
+        boroCode: 5,
+        zipPrefixes: ['103'],
+        fileName: '2023-DHCR-Bldg-File-StatenIsland.csv'
+    }
+};
+
+/**
+ * Long coop/condo statuses run into the BLOCK column in the PDF dump
+ * ("NON-EVICT COOP/CON2471", "COOP/CONDO PLANFI 408") - BLOCK is then empty
+ */
+const MERGED_BLOCK_STATUSES = [
+    { pattern: /^(NON-EVICT COOP\/CON)(?:DO)?\s?(\d{1,5})$/, status: 'NON-EVICT COOP/CONDO' },
+    { pattern: /^(EVICT COOP\/CON)(?:DO)?\s?(\d{1,5})$/, status: 'EVICT COOP/CONDO' },
+    { pattern: /^(COOP\/CONDO PLANFI)(?:LE)?\s?(\d{1,5})$/, status: 'COOP/CONDO PLAN FILE' },
+    { pattern: /^(SECTION\s?610 OF PHFL)\s?(\d{1,5})$/, status: 'SECTION 610 OF PHFL' }
+];
+
+/**
+ * Tokenize CSV content into rows of cells
+ * Handles quoted fields, escaped quotes, embedded commas/newlines and CRLF line endings
+ */
+function tokenizeCSV(content) {
+    const parsed = Papa.parse(content, {
+        header: false,
+        delimiter: ',',
+        skipEmptyLines: 'greedy'
+    });
+
+    return parsed.data;
+}
+
+class DHCRIngestion {
+    constructor(options = {}) {
+        this.profiles = options.profiles || BOROUGH_PROFILES;
+        this.storage = options.storage || null;
+    }
+
+    /**
+     * Convert a DHCR CSV for any borough to Supabase format
+     */
+    async convertFile(inputPath, options = {}) {
+        console.log('🔄 DHCR INGESTION');
+        console.log('=' .repeat(50));
+        console.log(`📁 Input: ${inputPath}`);
+
+        try {
+            const csvContent = await fs.readFile(inputPath, 'utf8');
+            console.log(`📊 File size: ${Math.round(csvContent.length / 1024)}KB`);
+
+            const rows = tokenizeCSV(csvContent);
+            console.log(`📋 Total rows: ${rows.length}`);
+
+            const profile = this.resolveProfile(inputPath, rows, options.borough);
+            console.log(`🏙️ Borough profile: ${profile.label} (county ${profile.countyCode})`);
+
+            const registryYear = this.resolveRegistryYear(inputPath, rows, options.year);
+            console.log(`📅 Registry year: ${registryYear || 'unknown (pass --year=<yyyy>)'}`);
+
+            const { buildings, stats } = this.convertRows(rows, profile);
+
+            console.log(`📝 Header rows found: ${stats.headerRows}`);
+            console.log(`✅ Converted: ${buildings.length}, Skipped: ${stats.skipped}`);
+            if (stats.countyMismatches > 0) {
+                console.log(`⚠️ Unexpected county codes: ${stats.countyMismatches} rows`);
+            }
+
+            return await this.finishConversion(buildings, { ...options, registryYear });
+
+        } catch (error) {
+            console.error('❌ Conversion failed:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Convert a DHCR PDF by rebuilding the table from text positions (see improved-dhcr-parser.js)
+     */
+    async convertPDF(inputPath, options = {}) {
+        console.log('🔄 DHCR INGESTION (PDF)');
+        console.log('=' .repeat(50));
+        console.log(`📁 Input: ${inputPath}`);
+
+        try {
+            // Required here - the parser builds on this module
+            const ImprovedDHCRParser = require('./improved-dhcr-parser.js');
+            const parser = new ImprovedDHCRParser();
+
+            const { buildings, registryYear } = await parser.extractPDFTableBuildings(inputPath, {
+                borough: options.borough,
+                year: options.year
+            });
+            console.log(`✅ Converted: ${buildings.length}`);
+            console.log(`📅 Registry year: ${registryYear || 'unknown (pass --year=<yyyy>)'}`);
+
+            return await this.finishConversion(buildings, { ...options, registryYear });
+
+        } catch (error) {
+            console.error('❌ PDF conversion failed:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Shared tail of CSV and PDF conversion: vintage tagging, dedupe, registry, optional CSV/DB output
+     */
+    async finishConversion(buildings, options = {}) {
+        const registryYear = options.registryYear || null;
+        buildings.forEach(building => {
+            building.registry_year = registryYear;
+        });
+
+        // Deduplicate buildings
+        const uniqueBuildings = this.deduplicateBuildings(buildings);
+
+        // Registration history: every vintage seen so far, or just this one
+        if (options.history && registryYear) {
+            options.history.addVintage(registryYear, uniqueBuildings);
+            options.history.annotateBuildings(uniqueBuildings);
+        } else {
+            uniqueBuildings.forEach(building => {
+                building.registered_years = registryYear ? [registryYear] : [];
+                building.first_registered_year = registryYear;
+                building.last_registered_year = registryYear;
+            });
+        }
+
+        // Show sample data
+        if (uniqueBuildings.length > 0) {
+            console.log('\n📍 Sample converted data:');
+            uniqueBuildings.slice(0, 5).forEach((building, index) => {
+                console.log(`${index + 1}. ${building.address} (${building.borough}, ${building.zipcode})`);
+            });
+        }
+
+        // Register every lot by BBL (duplicate addresses on one lot are aliases, keep them all)
+        if (options.registry) {
+            options.registry.addBuildings(buildings);
+            console.log(`🗂️ BBL registry: ${options.registry.size} lots`);
+        }
+
+        // Save to file if requested
+        if (options.outputPath) {
+            await this.saveConvertedCSV(uniqueBuildings, options.outputPath);
+        }
+
+        // Save to database if requested
+        if (process.env.SAVE_TO_DB === 'true') {
+            await this.saveToDatabase(uniqueBuildings);
+            if (options.history && registryYear) {
+                await this.saveHistoryToDatabase(options.history, registryYear, uniqueBuildings);
+            }
+        }
+
+        return uniqueBuildings;
+    }
+
+    /**
+     * Convert tokenized rows to building records using the given borough profile
+     * @param {Object} options - { source: 'csv' | 'pdf' (default 'csv'), recorded as dhcr_source }
+     */
+    convertRows(rows, profile, options = {}) {
+        const buildings = [];
+        const stats = { headerRows: 0, dataRows: 0, skipped: 0, countyMismatches: 0 };
+        let columns = null;
+
+        for (const cells of rows) {
+            if (this.isHeaderRow(cells)) {
+                // Page layouts shift, so every header row resets the column spans
+                columns = this.buildColumnSpans(cells);
+                stats.headerRows++;
+                continue;
+            }
+
+            if (!columns) continue; // Title rows before the first header
+
+            const row = this.mapCellsToColumns(cells, columns);
+            if (!row.ZIP && !row.STREET1) continue; // Title rows
+            if (/^source:/i.test(row.ZIP || '')) continue; // Page footer rows
+
+            stats.dataRows++;
+            this.splitMergedBlock(row);
+
+            try {
+                const building = this.convertRow(row, profile, stats, options);
+                if (building) {
+                    buildings.push(building);
+                } else {
+                    stats.skipped++;
+                }
+            } catch (error) {
+                stats.skipped++;
+            }
+        }
+
+        return { buildings, stats };
+    }
+
+    /**
+     * Check whether a row is a DHCR column header row
+     */
+    isHeaderRow(cells) {
+        const values = cells.map(cell => (cell || '').trim().toUpperCase());
+        return values.includes('ZIP') && values.includes('BLDGNO1') && values.includes('STREET1');
+    }
+
+    /**
+     * Build column spans from a header row: each column owns the cells up to the next header
+     */
+    buildColumnSpans(cells) {
+        const columns = [];
+
+        cells.forEach((cell, index) => {
+            const name = (cell || '').trim().toUpperCase();
+            if (name && DHCR_COLUMNS.includes(name) && !columns.some(c => c.name === name)) {
+                columns.push({ name, start: index });
+            }
+        });
+
+        return columns;
+    }
+
+    /**
+     * Map the non-empty cells of a data row to the header column span they fall in
+     */
+    mapCellsToColumns(cells, columns) {
+        const row = {};
+
+        cells.forEach((cell, index) => {
+            const value = (cell || '').trim();
+            if (!value || index < columns[0].start) return;
+
+            let column = columns[0];
+            for (const candidate of columns) {
+                if (candidate.start <= index) column = candidate;
+            }
+
+            row[column.name] = row[column.name] ? `${row[column.name]} ${value}` : value;
+        });
+
+        return row;
+    }
+
+    /**
+     * Recover BLOCK digits that were merged into the last STATUS cell
+     */
+    splitMergedBlock(row) {
+        if (row.BLOCK) return row;
+
+        for (const column of ['STATUS3', 'STATUS2', 'STATUS1']) {
+            const value = (row[column] || '').toUpperCase();
+            const merged = MERGED_BLOCK_STATUSES.find(entry => entry.pattern.test(value));
+            if (!merged) continue;
+
+            row.BLOCK = value.match(merged.pattern)[2];
+            row[column] = merged.status;
+            break;
+        }
+
+        return row;
+    }
+
+    /**
+     * Convert a single mapped DHCR row to a building record
+     * @param {Object} options - { source: 'csv' | 'pdf' (default 'csv') }
+     */
+    convertRow(row, profile, stats = {}, options = {}) {
+        const bldgNo1 = row.BLDGNO1 || '';
+        const street1 = row.STREET1 || '';
+        const suffix1 = row.STSUFX1 || '';
+
+        // Build address
+        const address = [bldgNo1, street1, suffix1]
+            .filter(Boolean)
+            .join(' ')
+            .replace(/\s+/g, ' ')
+            .trim()
+            .toUpperCase();
+
+        if (!address || address.length < 3) {
+            return null;
+        }
+
+        // Must have at least a street name
+        if (street1.length < 2) {
+            return null;
+        }
+
+        // Validate zip code against the borough profile
+        const cleanZip = this.normalizeZipcode(row.ZIP);
+        if (cleanZip.length !== 5) {
+            return null;
+        }
+
+        // County code should match the profile; count mismatches instead of rejecting
+        const countyCode = (row.COUNTY || '').replace(/[^0-9]/g, '');
+        const countyMatches = countyCode === profile.countyCode;
+        if (countyCode && !countyMatches) {
+            stats.countyMismatches = (stats.countyMismatches || 0) + 1;
+        }
+
+        // Out-of-range zips are kept only when the county code vouches for them (Marble Hill uses 10463)
+        if (!countyMatches && !profile.zipPrefixes.some(prefix => cleanZip.startsWith(prefix))) {
+            return null;
+        }
+
+        return {
+            address: address,
+            normalized_address: normalizeAddress(address, { borough: profile.name }),
+            borough: profile.name,
+            zipcode: cleanZip,
+            address_ranges: buildAddressSpans(row, { borough: profile.name }),
+            // Canonical STATUS text as printed in the PDF releases ("MULTIPLE DWELLINGA" → "MULTIPLE DWELLING A")
+            status1: canonicalStatus(row.STATUS1) || null,
+            status2: canonicalStatus(row.STATUS2) || null,
+            status3: canonicalStatus(row.STATUS3) || null,
+            block: row.BLOCK || null,
+            lot: row.LOT || null,
+            bbl: formatBBL(profile.boroCode, row.BLOCK, row.LOT),
+            building_id: null,
+            unit_count: null,
+            registration_id: null,
+            dhcr_source: options.source || 'csv',
+            confidence_score: bldgNo1 ? 95 : 85,
+            verification_status: 'unverified',
+            parsed_at: new Date().toISOString(),
+            created_at: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Pick the borough profile: explicit option → file name → title row → county codes
+     */
+    resolveProfile(inputPath, rows, boroughOption = null) {
+        if (boroughOption) {
+            const profile = this.getProfile(boroughOption);
+            if (!profile) {
+                throw new Error(`Unknown borough: ${boroughOption}. Expected one of: ${Object.keys(this.profiles).join(', ')}`);
+            }
+            return profile;
+        }
+
+        const fromName = this.matchProfileInText(path.basename(inputPath || ''));
+        if (fromName) return fromName;
+
+        // Title rows read like "ListofBronxBuildings Containing StabilizedUnits"
+        for (const cells of rows.slice(0, 10)) {
+            const fromTitle = this.matchProfileInText(cells.join(' '));
+            if (fromTitle) return fromTitle;
+        }
+
+        let columns = null;
+        for (const cells of rows) {
+            if (this.isHeaderRow(cells)) {
+                columns = this.buildColumnSpans(cells);
+                continue;
+            }
+            if (!columns) continue;
+
+            const countyCode = (this.mapCellsToColumns(cells, columns).COUNTY || '').replace(/[^0-9]/g, '');
+            const fromCounty = Object.values(this.profiles).find(p => p.countyCode === countyCode);
+            if (fromCounty) return fromCounty;
+        }
+
+        throw new Error('Could not determine borough - pass --borough=<name>');
+    }
+
+    /**
+     * Registry year (vintage): explicit option → file name ("2023-DHCR-...") → "Source: 2023 HCR" footer
+     */
+    resolveRegistryYear(inputPath, rows, yearOption = null) {
+        if (yearOption) {
+            const year = parseInt(yearOption, 10);
+            if (!year || year < 1990 || year > 2100) {
+                throw new Error(`Invalid registry year: ${yearOption}`);
+            }
+            return year;
+        }
+
+        const fromName = path.basename(inputPath || '').match(/(?:^|[^0-9])((?:19|20)\d{2})(?=[^0-9]|$)/);
+        if (fromName) return parseInt(fromName[1], 10);
+
+        for (const cells of rows) {
+            const fromSource = cells.join(' ').match(/source:\s*((?:19|20)\d{2})\s*HCR/i);
+            if (fromSource) return parseInt(fromSource[1], 10);
+        }
+
+        return null;
+    }
+
+    /**
+     * Look up a profile by key or label ("staten-island", "Staten Island", "queens")
+     */
+    getProfile(borough) {
+        const key = borough.toString().toLowerCase().trim().replace(/[\s-]+/g, '_');
+        return this.profiles[key] || null;
+    }
+
+    /**
+     * Find a borough label inside free text (file names, title rows)
+     */
+    matchProfileInText(text) {
+        const compact = text.toLowerCase().replace(/[^a-z]/g, '');
+        return Object.values(this.profiles).find(profile =>
+            compact.includes(profile.label.toLowerCase().replace(/[^a-z]/g, ''))
+        ) || null;
+    }
+
+    /**
+     * Normalize zipcode
+     */
+    normalizeZipcode(zipcode) {
+        if (!zipcode) return '';
+
+        const zip = zipcode.toString().replace(/[^0-9]/g, '');
+        return zip.length >= 5 ? zip.substring(0, 5) : zip;
+    }
+
+    /**
+     * Remove duplicate buildings
+     */
+    deduplicateBuildings(buildings) {
+        const seen = new Set();
+        const unique = [];
+
+        for (const building of buildings) {
+            const key = `${building.normalized_address}-${building.borough}`;
+
+            if (!seen.has(key)) {
+                seen.add(key);
+                unique.push(building);
+            }
+        }
+
+        console.log(`   🔄 Deduplicated: ${buildings.length} → ${unique.length} buildings`);
+        return unique;
+    }
+
+    /**
+     * Save converted data to new CSV file
+     */
+    async saveConvertedCSV(buildings, outputPath) {
+        console.log(`💾 Saving converted CSV to: ${outputPath}`);
+
+        const csv = Papa.unparse(buildings, {
+            header: true,
+            columns: [
+                'address',
+                'normalized_address',
+                'borough',
+                'zipcode',
+                'bbl',
+                'registry_year',
+                'status1',
+                'status2',
+                'status3',
+                'dhcr_source',
+                'confidence_score'
+            ]
+        });
+
+        await fs.writeFile(outputPath, csv);
+        console.log(`✅ Saved ${buildings.length} buildings to ${outputPath}`);
+    }
+
+    /**
+     * Save to the configured storage (Supabase, or local SQLite)
+     */
+    async saveToDatabase(buildings) {
+        if (buildings.length === 0) {
+            console.log('📊 No buildings to save to database');
+            return;
+        }
+
+        if (!this.storage) {
+            this.storage = createStorage({ key: process.env.SUPABASE_ANON_KEY });
+        }
+
+        try {
+            console.log(`💾 Saving ${buildings.length} buildings to ${this.storage.backend}...`);
+
+            const batchSize = 500;
+            let saved = 0;
+
+            for (let i = 0; i < buildings.length; i += batchSize) {
+                const batch = buildings.slice(i, i + batchSize);
+
+                const { error } = await this.storage
+                    .from('rent_stabilized_buildings')
+                    .upsert(batch, {
+                        onConflict: 'normalized_address,borough',
+                        ignoreDuplicates: false
+                    });
+
+                if (error) {
+                    console.error(`   ❌ Batch ${Math.floor(i/batchSize) + 1} failed:`, error.message);
+                    continue;
+                }
+
+                saved += batch.length;
+                console.log(`   ✅ Saved batch ${Math.floor(i/batchSize) + 1}: ${saved}/${buildings.length}`);
+            }
+
+            console.log(`🎉 Successfully saved ${saved} buildings to database!`);
+            return saved;
+
+        } catch (error) {
+            console.error('❌ Database save failed:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Save this vintage's history rows (one per building per registry year)
+     */
+    async saveHistoryToDatabase(history, registryYear, buildings) {
+        const boroughs = new Set(buildings.map(building => building.borough));
+        const rows = history.toDatabaseRows()
+            .filter(row => row.registry_year === registryYear && boroughs.has(row.borough));
+
+        const batchSize = 500;
+        for (let i = 0; i < rows.length; i += batchSize) {
+            const { error } = await this.storage
+                .from('rent_stabilized_building_history')
+                .upsert(rows.slice(i, i + batchSize), {
+                    onConflict: 'building_key,registry_year',
+                    ignoreDuplicates: false
+                });
+
+            if (error) {
+                console.error(`   ❌ History batch ${Math.floor(i/batchSize) + 1} failed:`, error.message);
+            }
+        }
+
+        console.log(`📚 Saved ${rows.length} registry history rows for ${registryYear}`);
+    }
+
+    /**
+     * Auto-detect and process DHCR file
+     */
+    async processFile(inputPath, options = {}) {
+        console.log(`🔍 Processing file: ${path.basename(inputPath)}`);
+
+        const ext = path.extname(inputPath).toLowerCase();
+
+        if (ext === '.csv') {
+            return await this.convertFile(inputPath, options);
+        } else if (ext === '.pdf') {
+            return await this.convertPDF(inputPath, options);
+        } else {
+            throw new Error(`Unsupported file type: ${ext}. Expected a DHCR .csv or .pdf file.`);
+        }
+    }
+}
+
+// Main execution
+async function main() {
+    const ingestion = new DHCRIngestion();
+    const args = process.argv.slice(2);
+    const flags = Object.fromEntries(
+        args.filter(arg => arg.startsWith('--'))
+            .map(arg => arg.slice(2).split('='))
+            .map(([key, value]) => [key, value === undefined ? true : value])
+    );
+    const files = args.filter(arg => !arg.startsWith('--'));
+    const historyPath = typeof flags.history === 'string' ? flags.history : null;
+    const wantsDiff = Boolean(flags.diff || flags.report);
+
+    if (flags.all) {
+        const dhcrDir = path.join(process.cwd(), 'data', 'dhcr');
+        const entries = await fs.readdir(dhcrDir);
+        const csvFiles = entries.filter(name => name.toLowerCase().endsWith('.csv'));
+        // PDFs are only read when the release has no CSV export
+        const pdfOnly = entries.filter(name => name.toLowerCase().endsWith('.pdf') &&
+            !csvFiles.includes(name.replace(/\.pdf$/i, '.csv')));
+        files.push(...[...csvFiles, ...pdfOnly].map(name => path.join(dhcrDir, name)));
+    }
+
+    // Oldest vintage first so history and diffs build up in registry order
+    files.sort((a, b) => (ingestion.resolveRegistryYear(a, []) || 0) - (ingestion.resolveRegistryYear(b, []) || 0));
+
+    if (files.length === 0 && !(historyPath && wantsDiff)) {
+        console.error('❌ Please provide a DHCR CSV file to convert');
+        console.log('');
+        console.log('Usage:');
+        console.log('  node dhcr-ingestion.js <dhcr-file.csv>                      # Convert only (borough auto-detected)');
+        console.log('  node dhcr-ingestion.js <dhcr-file.pdf>                      # Convert a PDF-only release');
+        console.log('  node dhcr-ingestion.js <file> --borough=staten-island       # Force a borough profile');
+        console.log('  node dhcr-ingestion.js <file> --out=<converted.csv>         # Write converted CSV');
+        console.log('  node dhcr-ingestion.js --all                                # Every CSV in data/dhcr (PDF when no CSV)');
+        console.log('  node dhcr-ingestion.js --all --registry=<registry.json>     # Also write the BBL registry');
+        console.log('  node dhcr-ingestion.js <file> --year=2023                   # Registry year when not in the file name');
+        console.log('  node dhcr-ingestion.js --all --history=<history.json>       # Keep registration history across years');
+        console.log('  node dhcr-ingestion.js --history=<history.json> --diff      # Diff the last two registry years');
+        console.log('  node dhcr-ingestion.js --history=<h.json> --diff=2022:2023 --report=<diff.json>');
+        console.log('  SAVE_TO_DB=true node dhcr-ingestion.js <file>               # Convert and save to DB');
+        console.log('');
+        console.log(`Boroughs: ${Object.keys(BOROUGH_PROFILES).join(', ')}`);
+        return;
+    }
+
+    try {
+        let total = 0;
+        const registry = typeof flags.registry === 'string' ? new BuildingRegistry() : null;
+        const history = await loadHistory(historyPath, wantsDiff);
+
+        for (const inputPath of files) {
+            const buildings = await ingestion.processFile(inputPath, {
+                borough: typeof flags.borough === 'string' ? flags.borough : null,
+                year: typeof flags.year === 'string' ? flags.year : null,
+                outputPath: files.length === 1 && typeof flags.out === 'string' ? flags.out : null,
+                registry,
+                history
+            });
+            total += buildings.length;
+        }
+
+        if (registry) {
+            await registry.saveToFile(flags.registry);
+        }
+
+        if (historyPath && files.length > 0) {
+            await history.saveToFile(historyPath);
+        }
+
+        if (wantsDiff) {
+            await reportRegistryDiff(history, flags);
+        }
+
+        console.log('\n🎉 DHCR INGESTION COMPLETE!');
+        console.log('=' .repeat(50));
+        console.log(`✅ Successfully converted ${total} buildings from ${files.length} file(s)`);
+
+        if (!process.env.SAVE_TO_DB) {
+            console.log('');
+            console.log('💡 To save to database, run:');
+            console.log(`   SAVE_TO_DB=true node dhcr-ingestion.js ${args.join(' ')}`);
+        }
+
+    } catch (error) {
+        console.error('💥 DHCR ingestion failed:', error.message);
+        process.exit(1);
+    }
+}
+
+/**
+ * Registration history for the CLI: load --history file when it exists, else start empty
+ */
+async function loadHistory(historyPath, required) {
+    if (historyPath) {
+        try {
+            await fs.access(historyPath);
+            const history = await DHCRRegistryHistory.loadFromFile(historyPath);
+            console.log(`📚 Loaded registry history: ${history.years.join(', ') || 'no years'}`);
+            return history;
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+    }
+
+    return historyPath || required ? new DHCRRegistryHistory() : null;
+}
+
+/**
+ * Print (and optionally write) the year-over-year diff; --diff=2022:2023 or the last two years
+ */
+async function reportRegistryDiff(history, flags) {
+    const years = history.years;
+    let fromYear = years[years.length - 2];
+    let toYear = years[years.length - 1];
+
+    if (typeof flags.diff === 'string') {
+        [fromYear, toYear] = flags.diff.split(':').map(year => parseInt(year, 10));
+    }
+
+    if (!fromYear || !toYear) {
+        console.log('⚠️ Registry diff needs two registry years (have: ' + (years.join(', ') || 'none') + ')');
+        return null;
+    }
+
+    const diff = history.diff(fromYear, toYear);
+    console.log('\n' + history.formatDiffReport(diff));
+
+    if (typeof flags.report === 'string') {
+        await fs.writeFile(flags.report, JSON.stringify(diff, null, 2));
+        console.log(`💾 Diff report written to ${flags.report}`);
+    }
+
+    return diff;
+}
+
+// Export for use in other modules
+module.exports = DHCRIngestion;
+module.exports.BOROUGH_PROFILES = BOROUGH_PROFILES;
+module.exports.DHCR_COLUMNS = DHCR_COLUMNS;
+module.exports.tokenizeCSV = tokenizeCSV;
+
+// Run if executed directly
+if (require.main === module) {
+    main();
+}
@@ -0,0 +1,139 @@
+// dhcr-lookup-index.js
+// IN-MEMORY DHCR LOOKUP INDEX - built once per run from loadRentStabilizedBuildings()
+//
+// findDHCRMatches used to compare every listing against every registered building
+// (2,000 listings x 100,000 buildings = ~100M string comparisons per neighborhood).
+// The index buckets buildings by street + house number (exact addresses), by street (house
+// number ranges) and by zipcode + house number (fuzzy candidates), so a listing only ever looks at
+// the handful of buildings that can possibly match. A building in another zipcode than the listing
+// is never a candidate. Scoring is unchanged - callers rank candidates.
+
+const {
+    houseNumberKey,
+    parseStreetAddress,
+    getBuildingSpans
+} = require('./address-ranges.js');
+const { normalizeStreetName } = require('./address-normalizer.js');
+const BuildingRegistry = require('./building-registry.js');
+
+/**
+ * Five-digit zipcode, or null when missing / malformed (ZIP+4 and numeric zipcodes accepted)
+ */
+function zipcodeKey(zipcode) {
+    const match = (zipcode === null || zipcode === undefined ? '' : zipcode.toString()).trim().match(/^\d{5}/);
+    return match ? match[0] : null;
+}
+
+/**
+ * Fuzzy bucket key: the leading number only, so "37-12" shares a bucket with "37"
+ * (a superset of what calculateAddressSimilarity can accept - it never matches different numbers)
+ */
+function leadingHouseNumber(houseNumber) {
+    return parseInt(houseNumber, 10);
+}
+
+class DHCRLookupIndex {
+    constructor(buildings = []) {
+        this.buildings = buildings;
+        this.registry = BuildingRegistry.fromBuildings(buildings);
+
+        this.exactByAddress = new Map();   // "streetKey|houseKey" → building positions (single-number spans)
+        this.rangesByStreet = new Map();   // street key → building positions (house number ranges)
+        this.byHouseNumber = new Map();    // leading house number → building positions (fuzzy candidates)
+        this.byZipHouseNumber = new Map(); // "zipcode|leading house number" → building positions ("|n" without a zipcode)
+        this.byStreet = new Map();         // street key → building positions (listings without a house number)
+        this.unparsed = [];                // buildings whose address has no house number
+        this.latestRegistryYear = null;    // newest registry vintage among the loaded buildings
+
+        buildings.forEach((building, position) => this.addBuilding(building, position));
+    }
+
+    /**
+     * Build the index for the buildings loaded this run
+     */
+    static fromBuildings(buildings) {
+        const index = new DHCRLookupIndex(buildings || []);
+        console.log(`   🗂️ DHCR lookup index: ${index.size} buildings, ${index.registry.size} BBL lots`);
+        return index;
+    }
+
+    get size() {
+        return this.buildings.length;
+    }
+
+    addBuilding(building, position) {
+        const year = parseInt(building.last_registered_year || building.registry_year, 10);
+        if (year && (!this.latestRegistryYear || year > this.latestRegistryYear)) {
+            this.latestRegistryYear = year;
+        }
+
+        for (const span of getBuildingSpans(building)) {
+            const streetKey = span.street_key || normalizeStreetName(span.street);
+            const low = houseNumberKey(span.low);
+            const high = houseNumberKey(span.high);
+            if (low === null || high === null) continue;
+
+            if (low === high) {
+                this.push(this.exactByAddress, `${streetKey}|${low}`, position);
+            } else {
+                this.push(this.rangesByStreet, streetKey, position);
+            }
+        }
+
+        const parsed = parseStreetAddress(building.address, { borough: building.borough });
+        if (parsed) {
+            this.push(this.byHouseNumber, leadingHouseNumber(parsed.houseNumber), position);
+            this.push(this.byZipHouseNumber, `${zipcodeKey(building.zipcode) || ''}|${leadingHouseNumber(parsed.houseNumber)}`, position);
+            this.push(this.byStreet, parsed.streetKey, position);
+        } else {
+            this.unparsed.push(position);
+        }
+    }
+
+    push(map, key, position) {
+        if (!map.has(key)) {
+            map.set(key, []);
+        }
+        const positions = map.get(key);
+        if (positions[positions.length - 1] !== position) {
+            positions.push(position);
+        }
+    }
+
+    /**
+     * Buildings that could match the listing address, in load order
+     * (span hits on the same street plus fuzzy candidates sharing the house number). With a listing
+     * zipcode the fuzzy candidates come from its zipcode bucket (plus buildings without a zipcode),
+     * and buildings registered under another zipcode are dropped.
+     */
+    getCandidates(property) {
+        const positions = new Set(this.unparsed);
+        const parsed = parseStreetAddress(property.address, { borough: property.borough });
+        const zipcode = zipcodeKey(property.zipcode);
+
+        if (parsed) {
+            const houseKey = houseNumberKey(parsed.houseNumber);
+            const leading = leadingHouseNumber(parsed.houseNumber);
+            const fuzzy = zipcode
+                ? [this.byZipHouseNumber.get(`${zipcode}|${leading}`), this.byZipHouseNumber.get(`|${leading}`)]
+                : [this.byHouseNumber.get(leading)];
+            const buckets = [
+                ...fuzzy,
+                this.exactByAddress.get(`${parsed.streetKey}|${houseKey}`),
+                this.rangesByStreet.get(parsed.streetKey)
+            ];
+            buckets.forEach(bucket => (bucket || []).forEach(position => positions.add(position)));
+        } else {
+            (this.byStreet.get(normalizeStreetName(property.address, { borough: property.borough })) || [])
+                .forEach(position => positions.add(position));
+        }
+
+        return [...positions]
+            .sort((a, b) => a - b)
+            .map(position => this.buildings[position])
+            .filter(building => !zipcode || !zipcodeKey(building.zipcode) || zipcodeKey(building.zipcode) === zipcode);
+    }
+}
+
+module.exports = DHCRLookupIndex;
+module.exports.zipcodeKey = zipcodeKey;
@@ -0,0 +1,280 @@
+// dhcr-registry-history.js
+// DHCR REGISTRY VINTAGES - which registry years each building appears in
+//
+// Every RGB release ("2023-DHCR-Bldg-File-*.csv") is one vintage of the registry.
+// Keeping the vintages side by side gives each building a registration history
+// ("registered 2019–2023") and a year-over-year diff:
+//   added          - buildings new to the registry
+//   dropped        - buildings that fell out (possible deregistration, expiring J-51/421-a benefits)
+//   statusChanges  - STATUS1..3 changes for buildings present in both years
+
+const fs = require('fs').promises;
+
+/**
+ * Stable key for a building across vintages: BBL when known, otherwise address + borough
+ */
+function buildingKey(building) {
+    if (building.bbl) {
+        return `bbl:${building.bbl}|${building.normalized_address}`;
+    }
+    return `addr:${building.normalized_address}|${building.borough}`;
+}
+
+/**
+ * Statuses of a building record as a sorted list ("J-51", "MULTIPLE DWELLING A")
+ */
+function buildingStatuses(building) {
+    return [building.status1, building.status2, building.status3]
+        .filter(Boolean)
+        .sort();
+}
+
+/**
+ * Compress registry years into ranges: [2019, 2020, 2021, 2023] → "2019–2021, 2023"
+ */
+function formatYearRanges(years) {
+    const sorted = [...new Set(years)].sort((a, b) => a - b);
+    const ranges = [];
+
+    for (const year of sorted) {
+        const last = ranges[ranges.length - 1];
+        if (last && year === last[1] + 1) {
+            last[1] = year;
+        } else {
+            ranges.push([year, year]);
+        }
+    }
+
+    return ranges.map(([from, to]) => from === to ? `${from}` : `${from}–${to}`).join(', ');
+}
+
+class DHCRRegistryHistory {
+    constructor() {
+        this.vintages = new Map();   // year → Map(buildingKey → snapshot)
+    }
+
+    get years() {
+        return [...this.vintages.keys()].sort((a, b) => a - b);
+    }
+
+    get latestYear() {
+        const years = this.years;
+        return years.length > 0 ? years[years.length - 1] : null;
+    }
+
+    /**
+     * Add (or replace the borough's part of) one registry vintage
+     */
+    addVintage(year, buildings) {
+        if (!this.vintages.has(year)) {
+            this.vintages.set(year, new Map());
+        }
+        const vintage = this.vintages.get(year);
+
+        // Re-ingesting a borough for a year replaces that borough's snapshot
+        const boroughs = new Set(buildings.map(building => building.borough));
+        for (const [key, snapshot] of vintage) {
+            if (boroughs.has(snapshot.borough)) vintage.delete(key);
+        }
+
+        for (const building of buildings) {
+            vintage.set(buildingKey(building), {
+                address: building.address,
+                normalized_address: building.normalized_address,
+                borough: building.borough,
+                zipcode: building.zipcode,
+                bbl: building.bbl || null,
+                statuses: buildingStatuses(building)
+            });
+        }
+
+        return this;
+    }
+
+    /**
+     * Registration history for one building: { years, first_year, last_year, label, status_by_year }
+     */
+    getHistory(building) {
+        const key = buildingKey(building);
+        const years = [];
+        const statusByYear = {};
+
+        for (const year of this.years) {
+            const snapshot = this.vintages.get(year).get(key);
+            if (snapshot) {
+                years.push(year);
+                statusByYear[year] = snapshot.statuses;
+            }
+        }
+
+        return {
+            years,
+            first_year: years.length > 0 ? years[0] : null,
+            last_year: years.length > 0 ? years[years.length - 1] : null,
+            label: formatYearRanges(years),
+            status_by_year: statusByYear
+        };
+    }
+
+    /**
+     * Tag building records with their registration history (registered_years, first/last year)
+     */
+    annotateBuildings(buildings) {
+        for (const building of buildings) {
+            const history = this.getHistory(building);
+            building.registered_years = history.years;
+            building.first_registered_year = history.first_year;
+            building.last_registered_year = history.last_year;
+        }
+        return buildings;
+    }
+
+    /**
+     * Year-over-year diff; boroughs missing from either vintage are left out instead of reported as dropped
+     */
+    diff(fromYear, toYear) {
+        const from = this.vintages.get(fromYear);
+        const to = this.vintages.get(toYear);
+        if (!from || !to) {
+            throw new Error(`Registry years not loaded: ${[fromYear, toYear].filter(year => !this.vintages.has(year)).join(', ')}`);
+        }
+
+        const boroughsIn = (vintage) => new Set([...vintage.values()].map(snapshot => snapshot.borough));
+        const fromBoroughs = boroughsIn(from);
+        const toBoroughs = boroughsIn(to);
+        const comparable = (snapshot) => fromBoroughs.has(snapshot.borough) && toBoroughs.has(snapshot.borough);
+
+        const added = [];
+        const dropped = [];
+        const statusChanges = [];
+
+        for (const [key, snapshot] of to) {
+            if (!comparable(snapshot)) continue;
+
+            const previous = from.get(key);
+            if (!previous) {
+                added.push(snapshot);
+                continue;
+            }
+
+            const before = previous.statuses.join(', ');
+            const after = snapshot.statuses.join(', ');
+            if (before !== after) {
+                statusChanges.push({
+                    ...snapshot,
+                    removed_statuses: previous.statuses.filter(status => !snapshot.statuses.includes(status)),
+                    added_statuses: snapshot.statuses.filter(status => !previous.statuses.includes(status))
+                });
+            }
+        }
+
+        for (const [key, snapshot] of from) {
+            if (comparable(snapshot) && !to.has(key)) {
+                dropped.push(snapshot);
+            }
+        }
+
+        return {
+            from_year: fromYear,
+            to_year: toYear,
+            boroughs: [...fromBoroughs].filter(borough => toBoroughs.has(borough)).sort(),
+            added,
+            dropped,
+            status_changes: statusChanges,
+            summary: {
+                added: added.length,
+                dropped: dropped.length,
+                status_changes: statusChanges.length,
+                // Dropped buildings whose last statuses carried tax benefits that expire
+                dropped_with_tax_benefits: dropped.filter(snapshot =>
+                    snapshot.statuses.some(status => /^(J-51|421-A)/.test(status))
+                ).length
+            }
+        };
+    }
+
+    /**
+     * Human-readable diff report
+     */
+    formatDiffReport(diff, limit = 25) {
+        const lines = [];
+        const describe = (snapshot) => `${snapshot.address} (${snapshot.borough}${snapshot.bbl ? `, BBL ${snapshot.bbl}` : ''})`;
+
+        lines.push(`📊 DHCR REGISTRY DIFF ${diff.from_year} → ${diff.to_year}`);
+        lines.push('='.repeat(50));
+        lines.push(`Boroughs compared: ${diff.boroughs.join(', ') || 'none'}`);
+        lines.push(`➕ Added: ${diff.summary.added}`);
+        lines.push(`➖ Dropped: ${diff.summary.dropped} (${diff.summary.dropped_with_tax_benefits} with J-51/421-a status)`);
+        lines.push(`🔁 Status changes: ${diff.summary.status_changes}`);
+
+        const section = (title, entries, format) => {
+            if (entries.length === 0) return;
+            lines.push('');
+            lines.push(title);
+            entries.slice(0, limit).forEach(entry => lines.push(`   ${format(entry)}`));
+            if (entries.length > limit) lines.push(`   ... and ${entries.length - limit} more`);
+        };
+
+        section('➕ Added to the registry:', diff.added, describe);
+        section('➖ Dropped from the registry (possible deregistration / expiring benefits):', diff.dropped,
+            snapshot => `${describe(snapshot)} - last status: ${snapshot.statuses.join(', ') || 'n/a'}`);
+        section('🔁 Status changes:', diff.status_changes, change => {
+            const parts = [];
+            if (change.added_statuses.length) parts.push(`+${change.added_statuses.join(', +')}`);
+            if (change.removed_statuses.length) parts.push(`-${change.removed_statuses.join(', -')}`);
+            return `${describe(change)}: ${parts.join(' ')}`;
+        });
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Rows for the rent_stabilized_building_history table (one per building per registry year)
+     */
+    toDatabaseRows() {
+        const rows = [];
+        for (const year of this.years) {
+            for (const [key, snapshot] of this.vintages.get(year)) {
+                rows.push({
+                    building_key: key,
+                    registry_year: year,
+                    normalized_address: snapshot.normalized_address,
+                    borough: snapshot.borough,
+                    bbl: snapshot.bbl,
+                    statuses: snapshot.statuses
+                });
+            }
+        }
+        return rows;
+    }
+
+    async saveToFile(filePath) {
+        const vintages = {};
+        for (const year of this.years) {
+            vintages[year] = [...this.vintages.get(year).values()];
+        }
+
+        await fs.writeFile(filePath, JSON.stringify({ generated_at: new Date().toISOString(), vintages }));
+        console.log(`💾 Saved registry history (${this.years.join(', ')}) to ${filePath}`);
+    }
+
+    static async loadFromFile(filePath) {
+        const history = new DHCRRegistryHistory();
+        const content = JSON.parse(await fs.readFile(filePath, 'utf8'));
+
+        for (const [year, snapshots] of Object.entries(content.vintages || {})) {
+            history.addVintage(parseInt(year, 10), snapshots.map(snapshot => ({
+                ...snapshot,
+                status1: snapshot.statuses[0],
+                status2: snapshot.statuses[1],
+                status3: snapshot.statuses[2]
+            })));
+        }
+
+        return history;
+    }
+}
+
+module.exports = DHCRRegistryHistory;
+module.exports.buildingKey = buildingKey;
+module.exports.formatYearRanges = formatYearRanges;
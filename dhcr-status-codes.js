@@ -0,0 +1,151 @@
+// dhcr-status-codes.js
+// DHCR STATUS CODES - what STATUS1..3 on a registry row mean for a listing
+//
+// The registry lists every building with at least one registered stabilized unit, but the
+// STATUS columns say a lot about how many units are still stabilized and for how long:
+//   tax_benefit      - 421-a / J-51 / 421-g: stabilization tied to a tax benefit that expires
+//   coop_condo       - conversion plans: usually only holdover tenants remain stabilized
+//   supervised       - Mitchell-Lama / HDFC / HUD-era programs: rents set by a supervising agency
+//   dwelling_class   - Multiple Dwelling class A (permanent) / B (transient), garden complexes
+//   sro              - hotels and rooming houses (stabilized SRO units)
+
+/**
+ * Known codes, in the canonical PDF spelling
+ * confidence_adjustment is applied once per category (the strongest code in a category wins)
+ */
+const STATUS_CODES = {
+    'MULTIPLE DWELLING A': {
+        category: 'dwelling_class', flag: 'multiple_dwelling_a', confidence_adjustment: 5,
+        legal_factor: 'Class A multiple dwelling (permanent residences) - the typical stabilized rental building'
+    },
+    'MULTIPLE DWELLING B': {
+        category: 'dwelling_class', flag: 'multiple_dwelling_b', confidence_adjustment: -5,
+        legal_factor: 'Class B multiple dwelling (transient occupancy) - few apartments rented as permanent units'
+    },
+    'GARDEN COMPLEX': {
+        category: 'dwelling_class', flag: 'garden_complex', confidence_adjustment: 5,
+        legal_factor: 'Registered garden complex - stabilization applies across the complex'
+    },
+    '421-A (1-15)': {
+        category: 'tax_benefit', flag: 'tax_421a', program: '421-a', confidence_adjustment: 0,
+        legal_factor: '421-a tax benefit (years 1-15) - units are stabilized while the benefit runs and may deregulate when it expires'
+    },
+    '421-A (16)': {
+        category: 'tax_benefit', flag: 'tax_421a', program: '421-a (16) Affordable New York', confidence_adjustment: 5,
+        legal_factor: '421-a(16) Affordable New York benefit - affordable units carry a 35-year stabilization commitment'
+    },
+    '421-G': {
+        category: 'tax_benefit', flag: 'tax_421g', program: '421-g', confidence_adjustment: 0,
+        legal_factor: '421-g (Lower Manhattan conversion) benefit - units are stabilized only for the benefit period'
+    },
+    'J-51': {
+        category: 'tax_benefit', flag: 'tax_j51', program: 'J-51', confidence_adjustment: 0,
+        legal_factor: 'J-51 tax benefit - units are stabilized at least until the benefit expires'
+    },
+    'NON-EVICT COOP/CONDO': {
+        category: 'coop_condo', flag: 'non_eviction_conversion', confidence_adjustment: -25,
+        legal_factor: 'Non-eviction co-op/condo conversion - only remaining holdover tenants are stabilized, sold units are not'
+    },
+    'EVICT COOP/CONDO': {
+        category: 'coop_condo', flag: 'eviction_conversion', confidence_adjustment: -30,
+        legal_factor: 'Eviction co-op/condo conversion - stabilized units are rare after the plan was declared effective'
+    },
+    'COOP/CONDO PLAN FILE': {
+        category: 'coop_condo', flag: 'conversion_plan_filed', confidence_adjustment: -10,
+        legal_factor: 'Co-op/condo conversion plan filed - stabilized tenants keep their rights, new sales are unregulated'
+    },
+    'ARTICLE 11': {
+        category: 'supervised', flag: 'article_11', confidence_adjustment: -5,
+        legal_factor: 'Article 11 (HDFC) building - rents are set under a regulatory agreement with HPD'
+    },
+    'ARTICLES 14 & 15': {
+        category: 'supervised', flag: 'articles_14_15', confidence_adjustment: -5,
+        legal_factor: 'Articles 14 & 15 (redevelopment company) building - supervised rents rather than RGB increases'
+    },
+    'SEC 608': {
+        category: 'supervised', flag: 'section_608', confidence_adjustment: -5,
+        legal_factor: 'Section 608 (federal housing) building - rents may be supervised by HUD'
+    },
+    'SECTION 610 OF PHFL': {
+        category: 'supervised', flag: 'section_610', confidence_adjustment: -5,
+        legal_factor: 'Section 610 of the Private Housing Finance Law - supervised housing company'
+    },
+    'HOTEL': {
+        category: 'sro', flag: 'hotel', confidence_adjustment: -10,
+        legal_factor: 'Registered hotel - stabilized units are typically SRO/hotel rooms, not full apartments'
+    },
+    'ROOMING HOUSE': {
+        category: 'sro', flag: 'rooming_house', confidence_adjustment: -10,
+        legal_factor: 'Registered rooming house - stabilized units are typically single rooms'
+    }
+};
+
+/**
+ * Known code for a status as stored (older rows keep the CSV spelling "MULTIPLE DWELLINGA")
+ */
+function canonicalStatus(status) {
+    const text = (status || '').toString().toUpperCase().replace(/\s+/g, ' ').trim();
+    const compact = text.replace(/\s/g, '');
+    return Object.keys(STATUS_CODES).find(known => known.replace(/\s/g, '') === compact) || text;
+}
+
+/**
+ * Statuses of a building row, in STATUS1..3 order without blanks/duplicates
+ */
+function getBuildingStatuses(building) {
+    const statuses = [building.status1, building.status2, building.status3]
+        .map(canonicalStatus)
+        .filter(status => status && status !== 'X');
+    return [...new Set(statuses)];
+}
+
+/**
+ * Structured flags for a building's STATUS1..3
+ * { statuses, flags, tax_benefits, coop_condo, supervised, sro, confidence_adjustment, legal_factors, unknown }
+ */
+function parseDHCRStatuses(building) {
+    const statuses = getBuildingStatuses(building || {});
+    const adjustments = {};   // category → strongest adjustment
+    const result = {
+        statuses,
+        flags: {},
+        tax_benefits: [],
+        coop_condo: null,
+        supervised: false,
+        sro: false,
+        confidence_adjustment: 0,
+        legal_factors: [],
+        unknown: []
+    };
+
+    for (const status of statuses) {
+        const code = STATUS_CODES[status];
+        if (!code) {
+            result.unknown.push(status);
+            continue;
+        }
+
+        result.flags[code.flag] = true;
+        result.legal_factors.push(code.legal_factor);
+
+        if (code.category === 'tax_benefit') result.tax_benefits.push(code.program);
+        if (code.category === 'coop_condo' && !result.coop_condo) result.coop_condo = code.flag;
+        if (code.category === 'supervised') result.supervised = true;
+        if (code.category === 'sro') result.sro = true;
+
+        const current = adjustments[code.category];
+        if (current === undefined || Math.abs(code.confidence_adjustment) > Math.abs(current)) {
+            adjustments[code.category] = code.confidence_adjustment;
+        }
+    }
+
+    result.confidence_adjustment = Object.values(adjustments).reduce((sum, value) => sum + value, 0);
+    return result;
+}
+
+module.exports = {
+    STATUS_CODES,
+    canonicalStatus,
+    getBuildingStatuses,
+    parseDHCRStatuses
+};
@@ -0,0 +1,190 @@
+// engine-parity.js
+// ENGINE PARITY - where the deterministic valuation engine and Claude disagree on the same rentals
+//
+// ANALYSIS_ENGINE=engine serves analyzeRentalsUndervaluation from AdvancedRentalValuationEngine with the
+// same result shape as Claude. This harness runs both over a fixture neighborhood (each rental valued
+// against the others, as the rentals pipeline does) and reports every listing where they disagree on:
+//   discount  percentBelowMarket differs by more than --tolerance percentage points (default 5)
+//   grade     the undervalued_rentals grade (calculateScoreFromAnalysis → calculateGradeFromScore)
+//   verdict   one calls the rental undervalued and the other does not
+//   failed    one side produced no valuation (Claude failure, too few comparables for the engine)
+// Claude's side replays the fixture's claudeAnswers through the mock provider; --live asks Claude.
+//   node engine-parity.js [fixture.json] [--tolerance=5] [--live] [--json] [--strict]
+// --strict exits 1 when any listing disagrees.
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const { createLLMClient } = require('./llm-client.js');
+const EnhancedClaudeMarketAnalyzer = require('./claude-market-analyzer.js');
+
+const DEFAULT_FIXTURE = path.join(__dirname, 'fixtures', 'rental-parity.json');
+const DEFAULT_TOLERANCE = 5;
+
+/**
+ * Fixture: { neighborhood, undervaluationThreshold, rentals: [...], claudeAnswers: { listing id → answer } }
+ */
+function loadParityFixture(file = DEFAULT_FIXTURE) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Mock LLM client answering each rental's prompt with its claudeAnswers entry
+ */
+function replayLLMClient(fixture) {
+    return createLLMClient({
+        provider: 'mock',
+        config: {},
+        respond: request => {
+            const prompt = request.messages[0].content;
+            const rental = fixture.rentals.find(candidate => prompt.includes(`Address: ${candidate.address}\n`));
+            return rental ? fixture.claudeAnswers?.[rental.id] : undefined;
+        }
+    });
+}
+
+/**
+ * Run fn with console.log / console.warn silenced (the analyzers log every step)
+ */
+async function withQuietConsole(quiet, fn) {
+    if (!quiet) return await fn();
+
+    const { log, warn } = console;
+    console.log = () => {};
+    console.warn = () => {};
+    try {
+        return await fn();
+    } finally {
+        console.log = log;
+        console.warn = warn;
+    }
+}
+
+/**
+ * The fields parity is judged on, graded the way undervalued_rentals rows are
+ */
+function paritySide(analyzer, result, filteredComparables) {
+    if (result.method === 'claude_analysis_failed') {
+        return { failed: true, error: result.error || result.reasoning };
+    }
+
+    const score = analyzer.calculateScoreFromAnalysis(result, filteredComparables);
+    return {
+        failed: false,
+        estimatedMarketRent: result.estimatedMarketRent,
+        discount: Math.round(result.percentBelowMarket * 10) / 10,
+        isUndervalued: result.isUndervalued,
+        score,
+        grade: analyzer.calculateGradeFromScore(score)
+    };
+}
+
+/**
+ * Analyze every fixture rental with Claude and with the engine and compare the results
+ * @param {Object} options - { fixture, tolerance, llm (Claude side; default replays claudeAnswers), quiet }
+ */
+async function runEngineParity(options = {}) {
+    const fixture = options.fixture || loadParityFixture();
+    const tolerance = options.tolerance ?? DEFAULT_TOLERANCE;
+    const llm = options.llm || replayLLMClient(fixture);
+    const neighborhood = fixture.neighborhood;
+    const analysisOptions = { undervaluationThreshold: fixture.undervaluationThreshold || 15 };
+
+    const rows = [];
+    await withQuietConsole(options.quiet ?? true, async () => {
+        const claudeAnalyzer = new EnhancedClaudeMarketAnalyzer({ llm, analysisEngine: 'claude' });
+        const engineAnalyzer = new EnhancedClaudeMarketAnalyzer({ llm, analysisEngine: 'engine' });
+
+        for (const rental of fixture.rentals) {
+            const filtered = claudeAnalyzer.filterComparablesUsingHierarchy(rental, fixture.rentals);
+            const claude = paritySide(claudeAnalyzer,
+                await claudeAnalyzer.analyzeRentalsUndervaluation(rental, fixture.rentals, neighborhood, analysisOptions), filtered);
+            const engine = paritySide(engineAnalyzer,
+                await engineAnalyzer.analyzeRentalsUndervaluation(rental, fixture.rentals, neighborhood, analysisOptions), filtered);
+
+            const row = { listingId: rental.id, address: rental.address, actualRent: rental.price, claude, engine, discountDelta: null, disagreements: [] };
+            if (claude.failed || engine.failed) {
+                row.disagreements.push('failed');
+            } else {
+                row.discountDelta = Math.round((engine.discount - claude.discount) * 10) / 10;
+                if (Math.abs(row.discountDelta) > tolerance) row.disagreements.push('discount');
+                if (engine.grade !== claude.grade) row.disagreements.push('grade');
+                if (engine.isUndervalued !== claude.isUndervalued) row.disagreements.push('verdict');
+            }
+            rows.push(row);
+        }
+    });
+
+    const compared = rows.filter(row => row.discountDelta !== null);
+    const count = type => rows.filter(row => row.disagreements.includes(type)).length;
+    return {
+        neighborhood,
+        tolerance,
+        listings: rows.length,
+        agreeing: rows.filter(row => row.disagreements.length === 0).length,
+        disagreements: { discount: count('discount'), grade: count('grade'), verdict: count('verdict'), failed: count('failed') },
+        meanAbsoluteDiscountDelta: compared.length > 0
+            ? Math.round(compared.reduce((sum, row) => sum + Math.abs(row.discountDelta), 0) / compared.length * 10) / 10
+            : null,
+        rows
+    };
+}
+
+/**
+ * Human-readable parity report: a line per disagreeing listing, then the totals
+ */
+function formatParityReport(report) {
+    const lines = [`🧮 Engine vs Claude parity - ${report.neighborhood} (${report.listings} rentals, ±${report.tolerance} pt discount tolerance)`];
+
+    for (const row of report.rows.filter(candidate => candidate.disagreements.length > 0)) {
+        if (row.disagreements.includes('failed')) {
+            const side = row.claude.failed ? `Claude failed: ${row.claude.error}` : `engine failed: ${row.engine.error}`;
+            lines.push(`   ❌ ${row.address}: ${side}`);
+            continue;
+        }
+        lines.push(`   ⚠️ ${row.address} ($${row.actualRent.toLocaleString()}): ` +
+            `Claude ${row.claude.discount}% / ${row.claude.grade}${row.claude.isUndervalued ? ' undervalued' : ''} vs ` +
+            `engine ${row.engine.discount}% / ${row.engine.grade}${row.engine.isUndervalued ? ' undervalued' : ''} ` +
+            `(Δ ${row.discountDelta > 0 ? '+' : ''}${row.discountDelta} pts; ${row.disagreements.join(', ')})`);
+    }
+
+    const { discount, grade, verdict, failed } = report.disagreements;
+    lines.push(`📊 ${report.agreeing}/${report.listings} agree - ${discount} discount, ${grade} grade, ${verdict} verdict disagreements, ${failed} failed` +
+        (report.meanAbsoluteDiscountDelta !== null ? `; mean |Δ discount| ${report.meanAbsoluteDiscountDelta} pts` : ''));
+    return lines.join('\n');
+}
+
+// Main execution
+async function main() {
+    const args = process.argv.slice(2);
+    const flags = Object.fromEntries(
+        args.filter(arg => arg.startsWith('--'))
+            .map(arg => arg.slice(2).split('='))
+            .map(([key, value]) => [key, value === undefined ? true : value])
+    );
+    const fixtureFile = args.find(arg => !arg.startsWith('--')) || DEFAULT_FIXTURE;
+
+    const report = await runEngineParity({
+        fixture: loadParityFixture(fixtureFile),
+        tolerance: flags.tolerance !== undefined ? parseFloat(flags.tolerance) : DEFAULT_TOLERANCE,
+        llm: flags.live ? createLLMClient() : null
+    });
+
+    console.log(flags.json ? JSON.stringify(report, null, 2) : formatParityReport(report));
+    if (flags.strict && report.agreeing < report.listings) process.exitCode = 1;
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('💥 Engine parity run failed:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    runEngineParity,
+    formatParityReport,
+    loadParityFixture,
+    withQuietConsole,
+    DEFAULT_TOLERANCE
+};
@@ -0,0 +1,247 @@
+// http-cassette.js
+// HTTP CASSETTES - record real StreetEasy / Redfin / Anthropic responses once, replay them offline
+//
+// Every pipeline takes its HTTP client from httpClientFromEnv(), which is plain axios unless
+// HTTP_CASSETTE_MODE is set:
+//   record  - real requests go out; each request/response pair is written to the cassette
+//   replay  - nothing goes out; responses come from the cassette (a miss is an error)
+// Cassettes live in fixtures/cassettes/<name>.json (HTTP_CASSETTE picks the name) and are meant
+// to be committed, so tests and dev runs replay the same responses every time.
+//
+// Cassette format (version 1):
+//   { version, name, recorded_at, interactions: [
+//       { request: { method, url, params, body_hash }, response: { status, headers, data } } ] }
+// Request headers are never written (they carry the RapidAPI / Anthropic keys); request bodies
+// are stored as a hash only.
+
+const path = require('path');
+const fs = require('fs').promises;
+const crypto = require('crypto');
+const axios = require('axios');
+
+const CASSETTE_VERSION = 1;
+const DEFAULT_CASSETTE_DIR = path.join(__dirname, 'fixtures', 'cassettes');
+const CASSETTE_MODES = ['record', 'replay'];
+
+// Response headers worth keeping in a cassette (cookies and request ids are left out)
+const RECORDED_RESPONSE_HEADERS = ['content-type'];
+
+// Cassettes already opened in this process, by file path (rentals + analyzer share one file)
+const openCassettes = new Map();
+
+function sortedParams(params) {
+    if (!params || typeof params !== 'object') return {};
+    return Object.fromEntries(
+        Object.keys(params).sort()
+            .filter(key => params[key] !== undefined)
+            .map(key => [key, params[key]])
+    );
+}
+
+function hashBody(body) {
+    if (body === undefined || body === null) return null;
+    const text = typeof body === 'string' ? body : JSON.stringify(body);
+    return crypto.createHash('sha256').update(text).digest('hex').slice(0, 16);
+}
+
+/**
+ * Error shaped like an axios error, so callers checking error.response.status behave as live
+ */
+function responseError(response, config) {
+    const error = new Error(`Request failed with status code ${response.status}`);
+    error.config = config;
+    error.response = response;
+    error.isAxiosError = true;
+    return error;
+}
+
+class HttpCassette {
+    constructor(name, options = {}) {
+        this.name = name;
+        this.mode = options.mode || process.env.HTTP_CASSETTE_MODE || 'replay';
+        this.directory = options.directory || process.env.HTTP_CASSETTE_DIR || DEFAULT_CASSETTE_DIR;
+        this.filePath = path.join(this.directory, `${name}.json`);
+        this.interactions = null;
+        this.used = new Set();
+        this.saving = Promise.resolve();
+
+        if (!CASSETTE_MODES.includes(this.mode)) {
+            throw new Error(`Unknown HTTP_CASSETTE_MODE "${this.mode}". Expected one of: ${CASSETTE_MODES.join(', ')}`);
+        }
+    }
+
+    /**
+     * Shared cassette for a name - every client wrapping it records into / replays from one file
+     */
+    static open(name, options = {}) {
+        const cassette = new HttpCassette(name, options);
+        if (!openCassettes.has(cassette.filePath)) {
+            openCassettes.set(cassette.filePath, cassette);
+        }
+        return openCassettes.get(cassette.filePath);
+    }
+
+    /**
+     * Interactions from disk (replay) or a fresh list (record overwrites the cassette)
+     */
+    async load() {
+        if (this.interactions) return this.interactions;
+
+        if (this.mode === 'record') {
+            this.interactions = [];
+            return this.interactions;
+        }
+
+        let cassette;
+        try {
+            cassette = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            throw new Error(`No cassette "${this.name}" at ${this.filePath} - record it with HTTP_CASSETTE_MODE=record`);
+        }
+
+        if (cassette.version !== CASSETTE_VERSION) {
+            throw new Error(`Cassette "${this.name}" is version ${cassette.version}, expected ${CASSETTE_VERSION} - re-record it`);
+        }
+
+        this.interactions = cassette.interactions || [];
+        console.log(`📼 Replaying cassette "${this.name}" (${this.interactions.length} interactions)`);
+        return this.interactions;
+    }
+
+    async save() {
+        const cassette = {
+            version: CASSETTE_VERSION,
+            name: this.name,
+            recorded_at: new Date().toISOString(),
+            interactions: this.interactions
+        };
+
+        // Writes are chained so concurrent requests never interleave on disk
+        this.saving = this.saving.then(async () => {
+            await fs.mkdir(this.directory, { recursive: true });
+            await fs.writeFile(this.filePath, JSON.stringify(cassette, null, 2) + '\n');
+        });
+        return this.saving;
+    }
+
+    requestKey(config) {
+        return {
+            method: (config.method || 'get').toUpperCase(),
+            url: config.url,
+            params: sortedParams(config.params),
+            body_hash: hashBody(config.data)
+        };
+    }
+
+    /**
+     * Recorded interaction for a request: exact match first, then the next unused one for the
+     * same method + URL (prompts embed dates, so Anthropic bodies rarely hash the same twice)
+     */
+    findInteraction(request) {
+        const sameEndpoint = (interaction, index) => !this.used.has(index) &&
+            interaction.request.method === request.method &&
+            interaction.request.url === request.url;
+        const sameParams = (interaction) =>
+            JSON.stringify(interaction.request.params || {}) === JSON.stringify(request.params);
+
+        let index = this.interactions.findIndex((interaction, i) => sameEndpoint(interaction, i) &&
+            sameParams(interaction) && interaction.request.body_hash === request.body_hash);
+        if (index === -1) {
+            index = this.interactions.findIndex((interaction, i) => sameEndpoint(interaction, i) && sameParams(interaction));
+        }
+        if (index === -1 && request.body_hash) {
+            index = this.interactions.findIndex(sameEndpoint);
+        }
+
+        if (index === -1) return null;
+        this.used.add(index);
+        return this.interactions[index];
+    }
+
+    /**
+     * Run one request through the cassette
+     * @param {Object} client - axios or an axios instance (used for real requests and its validateStatus)
+     * @param {Object} config - axios request config ({ method, url, params, data, headers, ... })
+     */
+    async request(client, config) {
+        await this.load();
+        const request = this.requestKey(config);
+        const validateStatus = config.validateStatus ||
+            (client.defaults && client.defaults.validateStatus) ||
+            (status => status >= 200 && status < 300);
+
+        if (this.mode === 'replay') {
+            const interaction = this.findInteraction(request);
+            if (!interaction) {
+                const error = new Error(`Cassette "${this.name}" has no recorded response for ${request.method} ${request.url} - re-record with HTTP_CASSETTE_MODE=record`);
+                error.code = 'CASSETTE_MISS';
+                throw error;
+            }
+
+            const response = {
+                status: interaction.response.status,
+                statusText: '',
+                headers: interaction.response.headers || {},
+                data: interaction.response.data,
+                config
+            };
+            if (!validateStatus(response.status)) throw responseError(response, config);
+            return response;
+        }
+
+        // record: real request, keep whatever status came back (errors replay as errors)
+        let response;
+        let failure = null;
+        try {
+            response = await client.request(config);
+        } catch (error) {
+            if (!error.response) throw error;   // network errors are not recorded
+            response = error.response;
+            failure = error;
+        }
+
+        const headers = {};
+        for (const header of RECORDED_RESPONSE_HEADERS) {
+            if (response.headers && response.headers[header]) headers[header] = response.headers[header];
+        }
+        this.interactions.push({
+            request,
+            response: { status: response.status, headers, data: response.data }
+        });
+        await this.save();
+
+        if (failure) throw failure;
+        return response;
+    }
+
+    /**
+     * axios-compatible client (get/post/request) backed by this cassette
+     */
+    wrap(client = axios) {
+        const cassette = this;
+        return {
+            cassette,
+            defaults: client.defaults,
+            request: (config) => cassette.request(client, config),
+            get: (url, config = {}) => cassette.request(client, { ...config, method: 'get', url }),
+            post: (url, data, config = {}) => cassette.request(client, { ...config, method: 'post', url, data })
+        };
+    }
+}
+
+/**
+ * HTTP client for a pipeline: the given client as-is, or wrapped in a cassette when
+ * HTTP_CASSETTE_MODE is record/replay (cassette name from HTTP_CASSETTE, else defaultName)
+ */
+function httpClientFromEnv(defaultName, client = axios) {
+    const mode = process.env.HTTP_CASSETTE_MODE;
+    if (!mode || mode === 'off') return client;
+
+    return HttpCassette.open(process.env.HTTP_CASSETTE || defaultName, { mode }).wrap(client);
+}
+
+module.exports = HttpCassette;
+module.exports.httpClientFromEnv = httpClientFromEnv;
+module.exports.CASSETTE_VERSION = CASSETTE_VERSION;
+module.exports.DEFAULT_CASSETTE_DIR = DEFAULT_CASSETTE_DIR;
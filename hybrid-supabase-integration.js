@@ -1,12 +1,14 @@
 // hybrid-supabase-integration.js
 // Weekly public data analysis with targeted description enhancement
 
-const { createClient } = require('@supabase/supabase-js');
+const path = require('path');
+const { createStorage, storageBackendFromEnv } = require('./storage.js');
+const { listMigrations } = require('./migration-runner.js');
 const HybridRedfinAnalyzer = require('./hybrid-redfin-analyzer.js');
 
 class HybridPropertyTracker {
-    constructor(supabaseUrl, supabaseKey) {
-        this.supabase = createClient(supabaseUrl, supabaseKey);
+    constructor(supabaseUrl, supabaseKey, options = {}) {
+        this.storage = options.storage || createStorage({ url: supabaseUrl, key: supabaseKey });
         this.analyzer = new HybridRedfinAnalyzer();
     }
 
@@ -91,7 +93,7 @@ class HybridPropertyTracker {
         for (const property of properties) {
             try {
                 // Check if property already exists (by location + price)
-                const { data: existing } = await this.supabase
+                const { data: existing } = await this.storage
                     .from('listings')
                     .select('id, score')
                     .eq('address', property.location)
@@ -123,7 +125,7 @@ class HybridPropertyTracker {
                 if (existing) {
                     // Update existing property if score improved
                     if (property.finalScore > existing.score) {
-                        const { error } = await this.supabase
+                        const { error } = await this.storage
                             .from('listings')
                             .update(listingData)
                             .eq('id', existing.id);
@@ -139,7 +141,7 @@ class HybridPropertyTracker {
                     }
                 } else {
                     // Insert new property
-                    const { error } = await this.supabase
+                    const { error } = await this.storage
                         .from('listings')
                         .insert([listingData]);
 
@@ -178,7 +180,7 @@ class HybridPropertyTracker {
                 total_neighborhoods: Object.keys(marketAverages.neighborhoodLevel).length
             };
 
-            const { error } = await this.supabase
+            const { error } = await this.storage
                 .from('market_analysis')
                 .insert([marketData]);
 
@@ -198,7 +200,7 @@ class HybridPropertyTracker {
      */
     async saveAnalysisSummary(summary) {
         try {
-            const { error } = await this.supabase
+            const { error } = await this.storage
                 .from('analysis_runs')
                 .insert([{
                     run_date: summary.startTime,
@@ -228,7 +230,7 @@ class HybridPropertyTracker {
      */
     async getLatestProperties(limit = 50, minScore = 40) {
         try {
-            const { data, error } = await this.supabase
+            const { data, error } = await this.storage
                 .from('listings')
                 .select('*')
                 .gte('score', minScore)
@@ -251,7 +253,7 @@ class HybridPropertyTracker {
      */
     async getPropertiesWithDistressSignals(limit = 20) {
         try {
-            const { data, error } = await this.supabase
+            const { data, error } = await this.storage
                 .from('listings')
                 .select('*')
                 .not('distress_signals', 'eq', '{}')
@@ -278,7 +280,7 @@ class HybridPropertyTracker {
             const cutoffDate = new Date();
             cutoffDate.setDate(cutoffDate.getDate() - days);
 
-            const { data, error } = await this.supabase
+            const { data, error } = await this.storage
                 .from('market_analysis')
                 .select('*')
                 .gte('analysis_date', cutoffDate.toISOString())
@@ -300,7 +302,7 @@ class HybridPropertyTracker {
      */
     async getAnalysisMetrics() {
         try {
-            const { data: runs, error: runsError } = await this.supabase
+            const { data: runs, error: runsError } = await this.storage
                 .from('analysis_runs')
                 .select('*')
                 .order('run_date', { ascending: false })
@@ -310,7 +312,7 @@ class HybridPropertyTracker {
                 throw runsError;
             }
 
-            const { data: listings, error: listingsError } = await this.supabase
+            const { data: listings, error: listingsError } = await this.storage
                 .from('listings')
                 .select('score, percent_below_market, has_description, analysis_date');
 
@@ -340,160 +342,23 @@ class HybridPropertyTracker {
     }
 
     /**
-     * Setup enhanced database schema
+     * Setup enhanced database schema (listings, market_analysis and analysis_runs migrations)
      */
     async setupEnhancedDatabase() {
         console.log('🔧 Setting up enhanced database schema...');
 
         try {
-            // Enhanced listings table
-            const enhancedListingsSchema = `
-                -- Enhanced listings table with hybrid analysis fields
-                CREATE TABLE IF NOT EXISTS listings (
-                    id uuid DEFAULT uuid_generate_v4() PRIMARY KEY,
-                    address text,
-                    price text,
-                    beds text,
-                    sqft text,
-                    zip text,
-                    link text,
-                    score int,
-                    percent_below_market real,
-                    warning_tags text[],
-                    created_at timestamp DEFAULT now(),
-                    
-                    -- Enhanced hybrid analysis fields
-                    expected_price real,
-                    days_on_market int,
-                    distress_signals text[],
-                    comparison_level text,
-                    reasoning text,
-                    has_description boolean DEFAULT false,
-                    description_snippet text,
-                    analysis_date timestamp DEFAULT now()
-                );
-            `;
-
-            // Market analysis table
-            const marketAnalysisSchema = `
-                CREATE TABLE IF NOT EXISTS market_analysis (
-                    id uuid DEFAULT uuid_generate_v4() PRIMARY KEY,
-                    analysis_date timestamp DEFAULT now(),
-                    analysis_type text,
-                    city_averages jsonb,
-                    zip_averages jsonb,
-                    neighborhood_averages jsonb,
-                    total_cities int,
-                    total_zips int,
-                    total_neighborhoods int
-                );
-            `;
-
-            // Analysis runs table
-            const analysisRunsSchema = `
-                CREATE TABLE IF NOT EXISTS analysis_runs (
-                    id uuid DEFAULT uuid_generate_v4() PRIMARY KEY,
-                    run_date timestamp DEFAULT now(),
-                    analysis_type text,
-                    criteria jsonb,
-                    total_properties_analyzed int,
-                    undervalued_found int,
-                    new_listings_added int,
-                    descriptions_enhanced int,
-                    duration_minutes int,
-                    errors jsonb,
-                    completed boolean DEFAULT true
-                );
-            `;
-
-            // Execute schema creation
-            const schemas = [enhancedListingsSchema, marketAnalysisSchema, analysisRunsSchema];
-            
-            for (const schema of schemas) {
-                try {
-                    await this.supabase.rpc('exec_sql', { sql: schema });
-                    console.log('✅ Schema created/updated');
-                } catch (error) {
-                    console.warn('⚠️ Schema may already exist:', error.message);
-                }
-            }
-
-            // Create enhanced indexes
-            const indexes = [
-                'CREATE INDEX IF NOT EXISTS idx_listings_analysis_date ON listings(analysis_date);',
-                'CREATE INDEX IF NOT EXISTS idx_listings_score_desc ON listings(score DESC);',
-                'CREATE INDEX IF NOT EXISTS idx_listings_percent_below ON listings(percent_below_market DESC);',
-                'CREATE INDEX IF NOT EXISTS idx_listings_has_description ON listings(has_description);',
-                'CREATE INDEX IF NOT EXISTS idx_market_analysis_date ON market_analysis(analysis_date);',
-                'CREATE INDEX IF NOT EXISTS idx_analysis_runs_date ON analysis_runs(run_date);'
-            ];
-
-            for (const indexSql of indexes) {
-                try {
-                    await this.supabase.rpc('exec_sql', { sql: indexSql });
-                    console.log('✅ Index created');
-                } catch (error) {
-                    console.warn('⚠️ Index may already exist:', error.message);
-                }
-            }
-
+            const { applied } = await this.storage.migrate();
+            console.log(applied.length > 0
+                ? `✅ Applied migrations: ${applied.join(', ')}`
+                : '✅ Database schema is up to date');
             console.log('✅ Enhanced database setup complete');
-
         } catch (error) {
             console.error('❌ Database setup error:', error.message);
-            console.log('\n💡 Manual setup required. Run this SQL in your Supabase dashboard:');
-            console.log(`
--- Enhanced listings table
-CREATE TABLE IF NOT EXISTS listings (
-    id uuid DEFAULT uuid_generate_v4() PRIMARY KEY,
-    address text,
-    price text,
-    beds text,
-    sqft text,
-    zip text,
-    link text,
-    score int,
-    percent_below_market real,
-    warning_tags text[],
-    created_at timestamp DEFAULT now(),
-    expected_price real,
-    days_on_market int,
-    distress_signals text[],
-    comparison_level text,
-    reasoning text,
-    has_description boolean DEFAULT false,
-    description_snippet text,
-    analysis_date timestamp DEFAULT now()
-);
-
--- Market analysis table
-CREATE TABLE IF NOT EXISTS market_analysis (
-    id uuid DEFAULT uuid_generate_v4() PRIMARY KEY,
-    analysis_date timestamp DEFAULT now(),
-    analysis_type text,
-    city_averages jsonb,
-    zip_averages jsonb,
-    neighborhood_averages jsonb,
-    total_cities int,
-    total_zips int,
-    total_neighborhoods int
-);
-
--- Analysis runs table
-CREATE TABLE IF NOT EXISTS analysis_runs (
-    id uuid DEFAULT uuid_generate_v4() PRIMARY KEY,
-    run_date timestamp DEFAULT now(),
-    analysis_type text,
-    criteria jsonb,
-    total_properties_analyzed int,
-    undervalued_found int,
-    new_listings_added int,
-    descriptions_enhanced int,
-    duration_minutes int,
-    errors jsonb,
-    completed boolean DEFAULT true
-);
-            `);
+            if (this.storage.backend === 'supabase') {
+                console.log('\n💡 Manual setup required. Run these files in your Supabase SQL editor, in order:');
+                listMigrations().forEach(migration => console.log(`   ${path.relative(process.cwd(), migration.up)}`));
+            }
         }
     }
 
@@ -506,14 +371,14 @@ CREATE TABLE IF NOT EXISTS analysis_runs (
             cutoffDate.setDate(cutoffDate.getDate() - daysOld);
 
             // Clean old listings
-            const { data: oldListings, error: listingsError } = await this.supabase
+            const { data: oldListings, error: listingsError } = await this.storage
                 .from('listings')
                 .delete()
                 .lt('analysis_date', cutoffDate.toISOString())
                 .select();
 
             // Clean old market analysis
-            const { data: oldAnalysis, error: analysisError } = await this.supabase
+            const { data: oldAnalysis, error: analysisError } = await this.storage
                 .from('market_analysis')
                 .delete()
                 .lt('analysis_date', cutoffDate.toISOString())
@@ -539,9 +404,9 @@ async function main() {
     const supabaseUrl = process.env.SUPABASE_URL;
     const supabaseKey = process.env.SUPABASE_ANON_KEY;
     
-    if (!supabaseUrl || !supabaseKey) {
+    if (storageBackendFromEnv() === 'supabase' && (!supabaseUrl || !supabaseKey)) {
         console.error('❌ Missing Supabase environment variables');
-        console.error('   Set SUPABASE_URL and SUPABASE_ANON_KEY in .env file');
+        console.error('   Set SUPABASE_URL and SUPABASE_ANON_KEY in .env file (or STORAGE_BACKEND=sqlite)');
         process.exit(1);
     }
 
@@ -4,9 +4,9 @@
  * IMPROVED DHCR PDF PARSER
  * 
  * This version tries multiple PDF parsing approaches:
- * 1. pdf-parse (current method)
- * 2. pdf2pic + OCR (for scanned PDFs)
- * 3. Alternative PDF libraries
+ * 1. Table layout from text positions (same records as dhcr-ingestion.js CSV conversion)
+ * 2. pdf-parse (flattened text)
+ * 3. pdftotext
  * 4. Manual regex patterns for DHCR format
  */
 
@@ -14,13 +14,31 @@ require('dotenv').config();
 const fs = require('fs').promises;
 const path = require('path');
 const { createClient } = require('@supabase/supabase-js');
+const { normalizeAddress } = require('./address-normalizer.js');
+const DHCRIngestion = require('./dhcr-ingestion.js');
+const { DHCR_COLUMNS } = DHCRIngestion;
+
+/**
+ * Text items closer than this (PDF points) share a table row / column edge
+ */
+const ROW_TOLERANCE = 2;
+const COLUMN_TOLERANCE = 2;
+
+/**
+ * Page furniture printed on every page of the RGB building files
+ */
+const PAGE_FURNITURE_PATTERNS = [
+    /^list\s*of\s*.*buildings/i,
+    /^source:/i,
+    /^page\s+\d+\s+of\s+\d+/i,
+    /^https?:\/\//i
+];
 
 class ImprovedDHCRParser {
     constructor() {
-        this.supabase = createClient(
-            process.env.SUPABASE_URL,
-            process.env.SUPABASE_ANON_KEY
-        );
+        this.supabase = null;
+        this.ingestion = new DHCRIngestion();
+        this.lastPDFReport = null;
     }
 
     /**
@@ -47,6 +65,7 @@ class ImprovedDHCRParser {
      */
     async parsePDFWithFallbacks(filePath) {
         const methods = [
+            () => this.parsePDFTableLayout(filePath), // Text positions → table columns
             () => this.parsePDFMethod1(filePath), // pdf-parse
             () => this.parsePDFMethod2(filePath), // pdf2json
             () => this.parsePDFMethod3(filePath), // Manual patterns
@@ -72,6 +91,153 @@ class ImprovedDHCRParser {
         return [];
     }
 
+    /**
+     * Method 0: Rebuild the DHCR table from text positions
+     * Returns the same building records as the CSV conversion in dhcr-ingestion.js
+     */
+    async parsePDFTableLayout(filePath, options = {}) {
+        const { buildings } = await this.extractPDFTableBuildings(filePath, options);
+        return this.ingestion.deduplicateBuildings(buildings);
+    }
+
+    /**
+     * Extract building records page by page; returns { buildings, profile, registryYear, pages }
+     * pages[] reports per page how many rows were converted and which rows could not be placed
+     */
+    async extractPDFTableBuildings(filePath, options = {}) {
+        const pages = await this.extractPDFTablePages(filePath);
+        const allRows = pages.flatMap(page => page.rows);
+        const profile = this.ingestion.resolveProfile(filePath, allRows, options.borough);
+        const registryYear = this.ingestion.resolveRegistryYear(filePath, allRows, options.year);
+        console.log(`     🏙️ Borough profile: ${profile.label} (county ${profile.countyCode})`);
+
+        const buildings = [];
+        for (const page of pages) {
+            const converted = this.ingestion.convertRows(page.rows, profile, { source: 'pdf' });
+            buildings.push(...converted.buildings);
+
+            page.converted = converted.buildings.length;
+            page.rejected = converted.stats.skipped;
+            page.headerFound = converted.stats.headerRows > 0;
+            delete page.rows;
+        }
+
+        const report = {
+            file: path.basename(filePath),
+            borough: profile.name,
+            pages: pages.length,
+            converted: buildings.length,
+            rejected: pages.reduce((sum, page) => sum + page.rejected, 0),
+            unplaced: pages.reduce((sum, page) => sum + page.unplaced.length, 0),
+            pageDetails: pages
+        };
+        this.lastPDFReport = report;
+
+        console.log(`     📑 ${report.pages} pages → ${report.converted} rows converted, ${report.rejected} rejected, ${report.unplaced} unplaced`);
+        pages.filter(page => page.unplaced.length > 0 || !page.headerFound).forEach(page => {
+            console.log(`     ⚠️ Page ${page.page}: ${page.headerFound ? '' : 'no header row, '}${page.unplaced.length} unplaced row(s)`);
+            page.unplaced.slice(0, 3).forEach(row => console.log(`        - [${row.reason}] ${row.text}`));
+        });
+
+        return { buildings, profile, registryYear, pages };
+    }
+
+    /**
+     * Read every page's positioned text items and lay them out as table rows
+     * Each row is a cell array in the same shape dhcr-ingestion.js gets from the CSV exports
+     */
+    async extractPDFTablePages(filePath) {
+        const pdf = require('pdf-parse');
+        const dataBuffer = await fs.readFile(filePath);
+        const pages = [];
+
+        await pdf(dataBuffer, {
+            pagerender: async (pageData) => {
+                const content = await pageData.getTextContent({
+                    normalizeWhitespace: true,
+                    disableCombineTextItems: false
+                });
+                const items = content.items
+                    .filter(item => item.str && item.str.trim())
+                    .map(item => ({ text: item.str.trim(), x: item.transform[4], y: item.transform[5] }));
+
+                pages.push({ page: pages.length + 1, ...this.layoutPageItems(items) });
+                return '';
+            }
+        });
+
+        console.log(`     📑 PDF pages: ${pages.length}`);
+        return pages;
+    }
+
+    /**
+     * Group text items into lines by y, then assign each item to the header column at or left of its x
+     */
+    layoutPageItems(items) {
+        const lines = [];
+        const sorted = [...items].sort((a, b) => (b.y - a.y) || (a.x - b.x));
+
+        for (const item of sorted) {
+            const line = lines[lines.length - 1];
+            if (line && Math.abs(line.y - item.y) <= ROW_TOLERANCE) {
+                line.items.push(item);
+            } else {
+                lines.push({ y: item.y, items: [item] });
+            }
+        }
+
+        const rows = [];
+        const unplaced = [];
+        let columns = null;
+
+        for (const line of lines) {
+            line.items.sort((a, b) => a.x - b.x);
+            const text = line.items.map(item => item.text).join(' ');
+
+            if (PAGE_FURNITURE_PATTERNS.some(pattern => pattern.test(text))) {
+                rows.push([text]); // Title rows still identify the borough
+                continue;
+            }
+
+            const headerItems = line.items.filter(item => DHCR_COLUMNS.includes(item.text.toUpperCase()));
+            if (headerItems.length >= 3 && headerItems.some(item => item.text.toUpperCase() === 'ZIP')) {
+                columns = headerItems.map(item => ({ name: item.text.toUpperCase(), x: item.x }));
+                rows.push(columns.map(column => column.name));
+                continue;
+            }
+
+            if (!columns) {
+                unplaced.push({ text, reason: 'no_header' });
+                continue;
+            }
+
+            const cells = new Array(columns.length).fill('');
+            const offGrid = [];
+
+            for (const item of line.items) {
+                let index = -1;
+                columns.forEach((column, i) => {
+                    if (column.x <= item.x + COLUMN_TOLERANCE) index = i;
+                });
+
+                if (index === -1) {
+                    offGrid.push(item.text);
+                    continue;
+                }
+                cells[index] = cells[index] ? `${cells[index]} ${item.text}` : item.text;
+            }
+
+            if (offGrid.length > 0) {
+                unplaced.push({ text, reason: 'left_of_first_column' });
+                continue;
+            }
+
+            rows.push(cells);
+        }
+
+        return { rows, unplaced };
+    }
+
     /**
      * Method 1: Original pdf-parse approach
      */
@@ -174,7 +340,7 @@ class ImprovedDHCRParser {
                     if (address && address.length > 5) {
                         buildings.push({
                             address: address,
-                            normalized_address: address.toLowerCase().replace(/[^a-z0-9\s]/g, ''),
+                            normalized_address: this.normalizeAddress(address, borough),
                             borough: borough,
                             zipcode: zipcode,
                             dhcr_source: 'pdf',
@@ -232,7 +398,7 @@ class ImprovedDHCRParser {
                 
                 buildings.push({
                     address: address,
-                    normalized_address: address.toLowerCase().replace(/[^a-z0-9\s]/g, ''),
+                    normalized_address: this.normalizeAddress(address, this.normalizeBoroughName(borough)),
                     borough: this.normalizeBoroughName(borough),
                     dhcr_source: 'pdf',
                     confidence_score: 85,
@@ -307,10 +473,14 @@ class ImprovedDHCRParser {
      * Normalize building data to standard format
      */
     normalizeBuildingData(rawData, source) {
+        const address = (rawData.address || rawData.building_address || rawData.street_address || '')
+            .toString().trim().toUpperCase().replace(/\s+/g, ' ');
+        const borough = this.normalizeBoroughName(rawData.borough || rawData.boro || 'manhattan');
+        
         return {
-            address: this.normalizeAddress(rawData.address || rawData.building_address || rawData.street_address || ''),
-            normalized_address: this.normalizeAddress(rawData.address || rawData.building_address || rawData.street_address || '').toLowerCase(),
-            borough: this.normalizeBoroughName(rawData.borough || rawData.boro || 'manhattan'),
+            address: address,
+            normalized_address: this.normalizeAddress(address, borough),
+            borough: borough,
             zipcode: this.normalizeZipcode(rawData.zipcode || rawData.zip || rawData.postal_code || ''),
             building_id: rawData.building_id || rawData.id || null,
             unit_count: parseInt(rawData.unit_count || rawData.units || 0) || null,
@@ -322,17 +492,10 @@ class ImprovedDHCRParser {
     }
 
     /**
-     * Normalize address format
+     * Normalize address format (shared NYC normalizer - see address-normalizer.js)
      */
-    normalizeAddress(address) {
-        if (!address) return '';
-        
-        return address
-            .toString()
-            .trim()
-            .toUpperCase()
-            .replace(/\s+/g, ' ')
-            .replace(/[^A-Z0-9\s]/g, '');
+    normalizeAddress(address, borough = null) {
+        return normalizeAddress(address, { borough });
     }
 
     /**
@@ -400,6 +563,13 @@ class ImprovedDHCRParser {
             return;
         }
         
+        if (!this.supabase) {
+            this.supabase = createClient(
+                process.env.SUPABASE_URL,
+                process.env.SUPABASE_ANON_KEY
+            );
+        }
+        
         try {
             console.log(`💾 Saving ${buildings.length} buildings to database...`);
             
@@ -0,0 +1,525 @@
+// job-queue.js
+// DURABLE JOB QUEUE - API jobs kept in storage (api_jobs) instead of process-local Maps
+//
+// SmartCacheFirstAPI kept activeJobs / jobResults in Maps, so every deploy lost its jobs and
+// GET /api/jobs/:jobId answered 404 for work that had actually run. Jobs now live in api_jobs
+// (Supabase, or SQLite with STORAGE_BACKEND=sqlite) and move through
+//   queued → processing → completed | failed | cancelled
+//
+// - JOB_CONCURRENCY (default 2) jobs run at once per process; the rest wait queued
+// - a run that throws is retried up to JOB_MAX_ATTEMPTS (default 3) times, JOB_RETRY_DELAY_SECONDS
+//   (default 30, doubling) apart
+// - cancel() stops a queued job at once and a running one at its next progress update
+// - finished jobs and their results expire JOB_TTL_HOURS (default 24) after they end; a job still
+//   queued JOB_QUEUED_TTL_HOURS (default 24) after it was queued (or re-queued) expires unrun, so
+//   searches queued behind a long outage are dropped instead of run for a client long gone
+// - running jobs heartbeat; one whose process died (no heartbeat for JOB_STALE_SECONDS, default 120)
+//   is queued again, so a deploy delays a job instead of losing it
+// - a run whose outcome cannot be stored (storage outage) keeps it in memory and stores it on a later
+//   tick - the handler already ran, so the job is not run again for it
+//
+// Handlers: queue.register(type, async (params, job) => result), where job.update({ progress,
+// message, meta }) records progress and throws JOB_NOT_RUNNING once the job was cancelled.
+// options.onFinished(job) runs after a job is stored as completed or failed for good (webhooks).
+require('dotenv').config();
+
+const os = require('os');
+
+const JOB_STATUSES = ['queued', 'processing', 'completed', 'failed', 'cancelled'];
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+const MAINTENANCE_INTERVAL_MS = 60000;   // stale-job recovery and expiry pruning
+
+function jobError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+class JobQueue {
+    /**
+     * @param {Object} storage - storage.js backend holding api_jobs
+     * @param {Object} options - { handlers, onFinished, concurrency, maxAttempts, retryDelayMs, ttlHours, queuedTtlHours, staleMs, pollIntervalMs, now }
+     */
+    constructor(storage, options = {}) {
+        this.storage = storage;
+        this.handlers = { ...(options.handlers || {}) };
+        this.onFinished = options.onFinished || null;
+        this.concurrency = options.concurrency ?? (parseInt(process.env.JOB_CONCURRENCY) || 2);
+        this.maxAttempts = options.maxAttempts ?? (parseInt(process.env.JOB_MAX_ATTEMPTS) || 3);
+        this.retryDelayMs = options.retryDelayMs ?? (parseFloat(process.env.JOB_RETRY_DELAY_SECONDS) || 30) * 1000;
+        this.ttlHours = options.ttlHours ?? (parseFloat(process.env.JOB_TTL_HOURS) || 24);
+        this.queuedTtlHours = options.queuedTtlHours ?? (parseFloat(process.env.JOB_QUEUED_TTL_HOURS) || 24);
+        this.staleMs = options.staleMs ?? (parseFloat(process.env.JOB_STALE_SECONDS) || 120) * 1000;
+        this.pollIntervalMs = options.pollIntervalMs ?? (parseFloat(process.env.JOB_POLL_SECONDS) || 5) * 1000;
+        this.now = options.now || (() => new Date());
+
+        this.workerId = `${os.hostname()}-${process.pid}-${Math.random().toString(36).slice(2, 8)}`;
+        this.running = new Map();   // job_id → run promise (this process only)
+        this.unrecorded = new Map();   // job_id → { job, outcome } whose outcome could not be stored yet
+        this.pumping = null;
+        this.pumpAgain = false;
+        this.timer = null;
+        this.lastMaintenance = 0;
+    }
+
+    register(type, handler) {
+        this.handlers[type] = handler;
+        return this;
+    }
+
+    /**
+     * Queue a job and start it if a slot is free - resolves to the stored row
+     * @param {Object} options - { jobId, maxAttempts }
+     */
+    async enqueue(type, params = {}, options = {}) {
+        if (!this.handlers[type]) {
+            throw new Error(`No job handler registered for "${type}"`);
+        }
+
+        const now = this.now().toISOString();
+        const { data, error } = await this.storage
+            .from('api_jobs')
+            .insert({
+                job_id: options.jobId || `job_${Date.now()}_${Math.random().toString(36).slice(2, 11)}`,
+                type,
+                status: 'queued',
+                params,
+                progress: 0,
+                message: 'Queued',
+                meta: options.meta || {},
+                attempts: 0,
+                max_attempts: options.maxAttempts ?? this.maxAttempts,
+                run_after: now,
+                created_at: now,
+                last_update: now,
+                ...this.queuedUntil()
+            })
+            .select()
+            .single();
+
+        if (error) throw new Error(`Could not queue ${type} job: ${error.message}`);
+        this.pump();
+        return data;
+    }
+
+    /**
+     * A job by id, or null when it does not exist or has expired
+     */
+    async get(jobId) {
+        const { data, error } = await this.storage
+            .from('api_jobs')
+            .select('*')
+            .eq('job_id', jobId)
+            .maybeSingle();
+
+        if (error) throw new Error(`Could not read job ${jobId}: ${error.message}`);
+        if (!data || this.isExpired(data)) return null;
+        return data;
+    }
+
+    /**
+     * Jobs newest first, without their results: { status, type, limit (default 50), offset }
+     */
+    async list(filters = {}) {
+        if (filters.status && !JOB_STATUSES.includes(filters.status)) {
+            throw jobError(`Unknown job status "${filters.status}". Expected one of: ${JOB_STATUSES.join(', ')}`, 'JOB_BAD_STATUS');
+        }
+
+        const limit = Math.min(Math.max(parseInt(filters.limit) || 50, 1), 200);
+        const offset = Math.max(parseInt(filters.offset) || 0, 0);
+        let query = this.storage
+            .from('api_jobs')
+            .select('job_id, type, status, params, progress, message, meta, error, attempts, max_attempts, created_at, started_at, last_update, completed_at, expires_at');
+
+        if (filters.status) query = query.eq('status', filters.status);
+        if (filters.type) query = query.eq('type', filters.type);
+
+        const { data, error } = await query
+            .order('created_at', { ascending: false })
+            .range(offset, offset + limit - 1);
+
+        if (error) throw new Error(`Could not list jobs: ${error.message}`);
+        return (data || []).filter(job => !this.isExpired(job));
+    }
+
+    /**
+     * Cancel a queued or running job - resolves to the cancelled row, or null when there is no such
+     * job. Throws JOB_FINISHED for jobs that already completed, failed or were cancelled.
+     */
+    async cancel(jobId) {
+        const job = await this.get(jobId);
+        if (!job) return null;
+        if (FINISHED_STATUSES.includes(job.status)) {
+            throw jobError(`Job ${jobId} already ${job.status}`, 'JOB_FINISHED');
+        }
+
+        const { data, error } = await this.storage
+            .from('api_jobs')
+            .update({ status: 'cancelled', message: 'Cancelled', ...this.finishedAt() })
+            .eq('job_id', jobId)
+            .in('status', ['queued', 'processing'])
+            .select();
+
+        if (error) throw new Error(`Could not cancel job ${jobId}: ${error.message}`);
+        if (!data || data.length === 0) {
+            const current = await this.get(jobId);
+            throw jobError(`Job ${jobId} already ${current?.status || 'finished'}`, 'JOB_FINISHED');
+        }
+
+        console.log(`🛑 Job ${jobId} cancelled (was ${job.status})`);
+        return data[0];
+    }
+
+    /**
+     * Poll for queued jobs (and run maintenance) until stop()
+     */
+    start() {
+        if (this.timer) return this;
+        this.timer = setInterval(() => this.tick(), this.pollIntervalMs);
+        this.timer.unref?.();
+        this.tick();
+        console.log(`📋 Job queue started (worker ${this.workerId}, concurrency ${this.concurrency})`);
+        return this;
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    async tick() {
+        if (Date.now() - this.lastMaintenance >= MAINTENANCE_INTERVAL_MS) {
+            this.lastMaintenance = Date.now();
+            try {
+                await this.recoverStaleJobs();
+                await this.pruneExpired();
+            } catch (error) {
+                console.warn(`⚠️ Job queue maintenance failed: ${error.message}`);
+            }
+        }
+        await this.recordPendingOutcomes();
+        await this.pump();
+    }
+
+    /**
+     * Start queued jobs until the concurrency limit is reached (errors are logged, never thrown)
+     */
+    pump() {
+        if (this.pumping) {
+            this.pumpAgain = true;
+            return this.pumping;
+        }
+
+        // cleared in .finally() so a pass that never awaits cannot leave a settled promise behind
+        this.pumping = this.startJobs().finally(() => { this.pumping = null; });
+        return this.pumping;
+    }
+
+    async startJobs() {
+        try {
+            do {
+                this.pumpAgain = false;
+                while (this.running.size < this.concurrency) {
+                    const job = await this.claimNext();
+                    if (!job) break;
+                    this.run(job);
+                }
+            } while (this.pumpAgain && this.running.size < this.concurrency);
+        } catch (error) {
+            console.warn(`⚠️ Job queue could not start jobs: ${error.message}`);
+        }
+    }
+
+    /**
+     * Take the oldest runnable queued job - the status/attempts guard means only one worker wins it
+     */
+    async claimNext() {
+        const now = this.now().toISOString();
+        const { data: candidates, error } = await this.storage
+            .from('api_jobs')
+            .select('job_id, attempts, expires_at')
+            .eq('status', 'queued')
+            .lte('run_after', now)
+            .order('created_at', { ascending: true })
+            .limit(this.concurrency + this.running.size);
+
+        if (error) throw error;
+
+        for (const candidate of candidates || []) {
+            if (this.running.has(candidate.job_id) || this.isExpired(candidate)) continue;
+
+            const { data: claimed, error: claimError } = await this.storage
+                .from('api_jobs')
+                .update({
+                    status: 'processing',
+                    attempts: (candidate.attempts || 0) + 1,
+                    worker_id: this.workerId,
+                    started_at: now,
+                    last_update: now,
+                    expires_at: null,
+                    error: null
+                })
+                .eq('job_id', candidate.job_id)
+                .eq('status', 'queued')
+                .eq('attempts', candidate.attempts || 0)
+                .select();
+
+            if (claimError) throw claimError;
+            if (claimed && claimed.length === 1) return claimed[0];
+        }
+        return null;
+    }
+
+    /**
+     * Run a claimed job's handler and record how it ended (never rejects - nothing awaits it)
+     */
+    run(job) {
+        const heartbeat = setInterval(() => this.heartbeat(job.job_id), Math.max(1000, this.staleMs / 3));
+        heartbeat.unref?.();
+
+        const promise = (async () => {
+            try {
+                const outcome = await this.runHandler(job);
+                if (outcome) await this.recordOutcome(job, outcome);
+            } finally {
+                clearInterval(heartbeat);
+                this.running.delete(job.job_id);
+                this.pump();
+            }
+        })().catch(error => {
+            console.error(`❌ Job ${job.job_id} run failed unexpectedly: ${error.message}`);
+        });
+
+        this.running.set(job.job_id, promise);
+        return promise;
+    }
+
+    /**
+     * Run the handler - resolves to the outcome to store ({ finish } or { retry }), or null when the
+     * job was cancelled or taken over while it ran
+     */
+    async runHandler(job) {
+        const handler = this.handlers[job.type];
+        if (!handler) {
+            return { finish: { status: 'failed', error: `No job handler registered for "${job.type}"`, message: 'Failed' } };
+        }
+
+        console.log(`▶️ Job ${job.job_id} (${job.type}) started, attempt ${job.attempts}/${job.max_attempts}`);
+        try {
+            const result = await handler(job.params || {}, this.jobContext(job));
+            return { finish: { status: 'completed', progress: 100, result: result ?? null } };
+        } catch (error) {
+            return this.failureOutcome(job, error);
+        }
+    }
+
+    /**
+     * The job object handlers receive: { jobId, attempt, meta, update({ progress, message, meta }) }
+     */
+    jobContext(job) {
+        const context = {
+            jobId: job.job_id,
+            attempt: job.attempts,
+            meta: { ...(job.meta || {}) },
+            update: async (values = {}) => {
+                if (values.meta) context.meta = { ...context.meta, ...values.meta };
+                const changes = { meta: context.meta, last_update: this.now().toISOString() };
+                if (values.progress !== undefined) changes.progress = values.progress;
+                if (values.message !== undefined) changes.message = values.message;
+
+                const updated = await this.updateRunning(job.job_id, changes);
+                if (!updated) {
+                    throw jobError(`Job ${job.job_id} is no longer running here (cancelled or taken over)`, 'JOB_NOT_RUNNING');
+                }
+            }
+        };
+        return context;
+    }
+
+    /**
+     * Retry a failed run later, or fail the job once its attempts are used up
+     */
+    failureOutcome(job, error) {
+        if (error.code === 'JOB_NOT_RUNNING') {
+            console.log(`⏹️ Job ${job.job_id} stopped: ${error.message}`);
+            return null;
+        }
+
+        if (job.attempts < job.max_attempts) {
+            const delayMs = this.retryDelayMs * Math.pow(2, job.attempts - 1);
+            const runAfter = new Date(this.now().getTime() + delayMs).toISOString();
+            console.warn(`⚠️ Job ${job.job_id} attempt ${job.attempts} failed: ${error.message} - retrying in ${Math.round(delayMs / 1000)}s`);
+            return {
+                retry: {
+                    status: 'queued',
+                    run_after: runAfter,
+                    error: error.message,
+                    message: `Attempt ${job.attempts} failed, retrying`,
+                    last_update: this.now().toISOString(),
+                    ...this.queuedUntil()
+                }
+            };
+        }
+
+        console.error(`❌ Job ${job.job_id} failed after ${job.attempts} attempts: ${error.message}`);
+        return { finish: { status: 'failed', error: error.message, message: `Failed after ${job.attempts} attempts` } };
+    }
+
+    /**
+     * Store a run's outcome. A storage error is logged and the outcome kept for the next tick instead
+     * of treating it as a failed run - that would queue a job whose handler already finished.
+     */
+    async recordOutcome(job, outcome) {
+        try {
+            if (outcome.retry) {
+                await this.updateRunning(job.job_id, outcome.retry);
+            } else {
+                await this.finish(job, outcome.finish);
+            }
+            this.unrecorded.delete(job.job_id);
+        } catch (error) {
+            console.error(`❌ Job ${job.job_id} outcome not stored: ${error.message} - trying again on the next tick`);
+            this.unrecorded.set(job.job_id, { job, outcome });
+        }
+    }
+
+    async recordPendingOutcomes() {
+        for (const { job, outcome } of [...this.unrecorded.values()]) {
+            await this.recordOutcome(job, outcome);
+        }
+    }
+
+    async finish(job, values) {
+        const finished = { ...values, ...this.finishedAt() };
+        const updated = await this.updateRunning(job.job_id, finished);
+        if (!updated) {
+            console.log(`⏹️ Job ${job.job_id} finished after it was cancelled or taken over - result discarded`);
+            return;
+        }
+        await this.notifyFinished({ ...job, ...finished });
+    }
+
+    async notifyFinished(job) {
+        if (!this.onFinished) return;
+        try {
+            await this.onFinished(job);
+        } catch (error) {
+            console.warn(`⚠️ Job ${job.job_id} finish hook failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Update a job only while this worker still runs it - false when it was cancelled or re-queued
+     */
+    async updateRunning(jobId, values) {
+        const { data, error } = await this.storage
+            .from('api_jobs')
+            .update(values)
+            .eq('job_id', jobId)
+            .eq('status', 'processing')
+            .eq('worker_id', this.workerId)
+            .select('job_id');
+
+        if (error) throw new Error(`Could not update job ${jobId}: ${error.message}`);
+        return Boolean(data && data.length > 0);
+    }
+
+    async heartbeat(jobId) {
+        try {
+            await this.updateRunning(jobId, { last_update: this.now().toISOString() });
+        } catch (error) {
+            console.warn(`⚠️ Job ${jobId} heartbeat failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Re-queue processing jobs whose worker stopped heartbeating (or fail them when out of attempts)
+     * - resolves to the number recovered
+     */
+    async recoverStaleJobs() {
+        const cutoff = new Date(this.now().getTime() - this.staleMs).toISOString();
+        const { data, error } = await this.storage
+            .from('api_jobs')
+            .select('*')
+            .eq('status', 'processing')
+            .lt('last_update', cutoff);
+
+        if (error) throw error;
+
+        let recovered = 0;
+        for (const job of data || []) {
+            if (this.running.has(job.job_id) || this.unrecorded.has(job.job_id)) continue;
+
+            const outOfAttempts = job.attempts >= job.max_attempts;
+            const { data: updated, error: updateError } = await this.storage
+                .from('api_jobs')
+                .update(outOfAttempts
+                    ? { status: 'failed', error: 'Worker stopped while running the job', message: `Failed after ${job.attempts} attempts`, ...this.finishedAt() }
+                    : { status: 'queued', run_after: this.now().toISOString(), message: 'Re-queued after its worker stopped', last_update: this.now().toISOString(), ...this.queuedUntil() })
+                .eq('job_id', job.job_id)
+                .eq('status', 'processing')
+                .eq('last_update', job.last_update)
+                .select();
+
+            if (updateError) throw updateError;
+            if (updated && updated.length > 0) {
+                console.log(`♻️ Job ${job.job_id} ${outOfAttempts ? 'failed' : 're-queued'} - its worker stopped`);
+                if (outOfAttempts) await this.notifyFinished(updated[0]);
+                recovered++;
+            }
+        }
+        return recovered;
+    }
+
+    /**
+     * Delete jobs past their expiry - resolves to how many were removed
+     */
+    async pruneExpired() {
+        const { data, error } = await this.storage
+            .from('api_jobs')
+            .delete()
+            .lte('expires_at', this.now().toISOString())
+            .select('job_id');
+
+        if (error) throw error;
+        return (data || []).length;
+    }
+
+    /**
+     * Resolves once nothing is being claimed or run in this process
+     */
+    async idle() {
+        while (this.pumping || this.running.size > 0) {
+            await Promise.allSettled([this.pumping, ...this.running.values()]);
+        }
+    }
+
+    finishedAt() {
+        const now = this.now();
+        return {
+            completed_at: now.toISOString(),
+            last_update: now.toISOString(),
+            expires_at: new Date(now.getTime() + this.ttlHours * 3600000).toISOString()
+        };
+    }
+
+    /**
+     * Expiry of a job waiting in the queue - cleared when a worker claims it
+     */
+    queuedUntil() {
+        return { expires_at: new Date(this.now().getTime() + this.queuedTtlHours * 3600000).toISOString() };
+    }
+
+    isExpired(job) {
+        return Boolean(job.expires_at) && job.expires_at <= this.now().toISOString();
+    }
+
+    getStats() {
+        return { workerId: this.workerId, running: this.running.size, concurrency: this.concurrency };
+    }
+}
+
+module.exports = JobQueue;
+module.exports.JobQueue = JobQueue;
+module.exports.JOB_STATUSES = JOB_STATUSES;
+module.exports.FINISHED_STATUSES = FINISHED_STATUSES;
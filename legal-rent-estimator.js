@@ -0,0 +1,248 @@
+// legal-rent-estimator.js
+// LEGAL REGULATED RENT ESTIMATOR - what a stabilized apartment may legally rent for
+//
+// Starting from an (assumed) last-registered rent, every renewal since then could have been a
+// one- or two-year lease under that year's Rent Guidelines Board order (rgb-orders.json).
+// Walking every lease sequence gives the lowest and highest legal rent for a lease starting now:
+//   low  - lowest guideline increase at every renewal
+//   high - highest increase at every renewal, one pre-HSTPA vacancy allowance and an
+//          individual apartment improvement (IAI) allowance on top
+// An asking rent above the high end exceeds any plausible legal rent → possible overcharge.
+
+const path = require('path');
+const fs = require('fs').promises;
+
+const DEFAULT_ORDERS_FILE = path.join(__dirname, 'rgb-orders.json');
+
+// Post-HSTPA IAI cap: $15,000 over 15 years ≈ $89/month (buildings with 35 or fewer units)
+const DEFAULT_IMPROVEMENT_ALLOWANCE = 89;
+
+/**
+ * RGB guideline year for a lease start: orders run October 1 → September 30
+ */
+function guidelineYearFor(date) {
+    if (typeof date === 'number') return date;
+
+    const start = new Date(date);
+    if (isNaN(start.getTime())) return null;
+    return start.getMonth() >= 9 ? start.getFullYear() : start.getFullYear() - 1;
+}
+
+/**
+ * Legal rent stated in a listing description ("Legal rent $3,450, preferential rent $2,900")
+ */
+function extractLegalRentFromDescription(description) {
+    const text = (description || '').toString();
+    const amount = (pattern) => {
+        const match = text.match(pattern);
+        return match ? parseInt(match[1].replace(/,/g, ''), 10) : null;
+    };
+
+    return {
+        legal_rent: amount(/legal(?:\s+regulated)?\s+rent[^$\d]{0,20}\$?\s*([\d,]{3,6})/i),
+        preferential_rent: amount(/preferential\s+rent[^$\d]{0,20}\$?\s*([\d,]{3,6})/i)
+    };
+}
+
+class LegalRentEstimator {
+    constructor(table = require(DEFAULT_ORDERS_FILE)) {
+        this.orders = new Map(table.orders.map(order => [order.guideline_year, order]));
+        this.years = [...this.orders.keys()].sort((a, b) => a - b);
+        this.vacancyAllowance = table.vacancy_allowance || null;
+    }
+
+    /**
+     * Load a different RGB table (same shape as rgb-orders.json)
+     */
+    static async fromFile(filePath = DEFAULT_ORDERS_FILE) {
+        return new LegalRentEstimator(JSON.parse(await fs.readFile(filePath, 'utf8')));
+    }
+
+    /**
+     * RGB order for a guideline year; years outside the table fall back to the nearest order
+     */
+    getOrder(year, warnings = []) {
+        if (this.orders.has(year)) return this.orders.get(year);
+
+        const first = this.years[0];
+        const last = this.years[this.years.length - 1];
+        const fallback = year > last ? last : first;
+        const message = `No RGB order for ${year}-${(year + 1).toString().slice(2)} in the table - using Order #${this.orders.get(fallback).order} (${fallback})`;
+        if (!warnings.includes(message)) warnings.push(message);
+        return this.orders.get(fallback);
+    }
+
+    /**
+     * Multiplier for a lease of `term` years: at lease start, or over the whole lease (for the next renewal)
+     */
+    leaseFactor(order, term, atStart = false) {
+        if (term === 1) {
+            const percent = atStart && order.one_year_start !== undefined ? order.one_year_start : order.one_year;
+            return 1 + percent / 100;
+        }
+
+        const steps = Array.isArray(order.two_year) ? order.two_year : [order.two_year];
+        const applied = atStart ? steps.slice(0, 1) : steps;
+        return applied.reduce((factor, percent) => factor * (1 + percent / 100), 1);
+    }
+
+    vacancyAllowed(year) {
+        return Boolean(this.vacancyAllowance) && year <= this.vacancyAllowance.last_guideline_year;
+    }
+
+    /**
+     * Legal rent range for a lease starting in leaseStartYear and the overcharge flag for the asking rent
+     *
+     * @param {Object} input
+     * @param {number} input.askingRent
+     * @param {number} input.registeredRent       Last-registered legal rent (assumed)
+     * @param {number} input.registeredYear       Guideline year the registered lease started
+     * @param {number|string|Date} [input.leaseStart]  Lease start (date or guideline year), default today
+     * @param {number} [input.improvementAllowance]    Monthly IAI allowance added to the high end
+     * @param {number} [input.tolerancePercent]        Slack above the high end before flagging
+     */
+    estimate(input) {
+        const askingRent = Number(input.askingRent);
+        const registeredRent = Number(input.registeredRent);
+        const registeredYear = parseInt(input.registeredYear, 10);
+        const leaseStartYear = guidelineYearFor(input.leaseStart || new Date());
+        const improvementAllowance = input.improvementAllowance ?? DEFAULT_IMPROVEMENT_ALLOWANCE;
+        const tolerancePercent = input.tolerancePercent || 0;
+        const warnings = [];
+
+        if (!registeredRent || registeredRent <= 0 || !registeredYear) {
+            throw new Error('A registered rent and registration year are required');
+        }
+        if (!leaseStartYear || leaseStartYear <= registeredYear) {
+            throw new Error(`Lease start (${leaseStartYear}) must be after the registered lease (${registeredYear})`);
+        }
+
+        // base[year] = legal rent range in effect just before a lease starting in that guideline year
+        // (the registered lease may have been for one or two years)
+        const base = new Map();
+        const reach = (year, min, max, maxWithVacancy) => {
+            if (year > leaseStartYear) return;
+            const current = base.get(year) || { min: Infinity, max: -Infinity, maxWithVacancy: -Infinity };
+            base.set(year, {
+                min: Math.min(current.min, min),
+                max: Math.max(current.max, max),
+                maxWithVacancy: Math.max(current.maxWithVacancy, maxWithVacancy)
+            });
+        };
+        reach(registeredYear + 1, registeredRent, registeredRent, -Infinity);
+        reach(registeredYear + 2, registeredRent, registeredRent, -Infinity);
+
+        for (let year = registeredYear + 1; year < leaseStartYear; year++) {
+            const state = base.get(year);
+            if (!state) continue;
+
+            const order = this.getOrder(year, warnings);
+            const vacancy = this.vacancyAllowed(year) ? 1 + this.vacancyAllowance.percent / 100 : 1;
+
+            for (const term of [1, 2]) {
+                const factor = this.leaseFactor(order, term);
+                reach(year + term,
+                    state.min * factor,
+                    state.max * factor,
+                    Math.max(state.maxWithVacancy * factor, vacancy > 1 ? state.max * factor * vacancy : -Infinity));
+            }
+        }
+
+        // The listed lease itself: one- or two-year, a vacancy lease (allowance only before the HSTPA)
+        const state = base.get(leaseStartYear);
+        const order = this.getOrder(leaseStartYear, warnings);
+        const startFactors = [this.leaseFactor(order, 1, true), this.leaseFactor(order, 2, true)];
+        const newLeaseVacancy = this.vacancyAllowed(leaseStartYear) ? 1 + this.vacancyAllowance.percent / 100 : 1;
+
+        const low = state.min * Math.min(...startFactors);
+        const high = Math.max(state.max * newLeaseVacancy, state.maxWithVacancy) * Math.max(...startFactors)
+            + improvementAllowance;
+        const threshold = high * (1 + tolerancePercent / 100);
+
+        let status = 'within_legal_range';
+        if (askingRent > threshold) {
+            status = 'possible_overcharge';
+        } else if (askingRent < low) {
+            status = 'below_legal_minimum';
+        }
+
+        return {
+            asking_rent: askingRent,
+            registered_rent: registeredRent,
+            registered_year: registeredYear,
+            lease_start_year: leaseStartYear,
+            legal_rent_low: Math.round(low),
+            legal_rent_high: Math.round(high),
+            status,
+            overcharge_flag: status === 'possible_overcharge',
+            overcharge_amount: status === 'possible_overcharge' ? Math.round(askingRent - high) : 0,
+            overcharge_percent: status === 'possible_overcharge' ? Math.round(((askingRent - high) / high) * 1000) / 10 : 0,
+            orders_applied: this.years.filter(year => year > registeredYear && year <= leaseStartYear)
+                .map(year => this.orders.get(year).order),
+            assumptions: [
+                `Last registered rent $${registeredRent.toLocaleString()} for a lease starting in ${registeredYear}-${(registeredYear + 1).toString().slice(2)}`,
+                'Every renewal since then was a one- or two-year lease at the RGB guideline increase',
+                `High end includes one pre-HSTPA vacancy allowance (through ${this.vacancyAllowance ? this.vacancyAllowance.last_guideline_year : 'n/a'}) and a $${improvementAllowance}/month IAI allowance`,
+                'MCI increases and preferential rents are not modelled'
+            ],
+            warnings
+        };
+    }
+}
+
+// Main execution
+async function main() {
+    const flags = Object.fromEntries(
+        process.argv.slice(2)
+            .filter(arg => arg.startsWith('--'))
+            .map(arg => arg.slice(2).split('='))
+            .map(([key, value]) => [key, value === undefined ? true : value])
+    );
+
+    if (!flags.asking || !flags.registered || !flags['registered-year']) {
+        console.log('Usage:');
+        console.log('  node legal-rent-estimator.js --asking=3200 --registered=2100 --registered-year=2017');
+        console.log('  node legal-rent-estimator.js ... --lease-start=2025-11-01   # Default: today');
+        console.log('  node legal-rent-estimator.js ... --orders=<rgb-orders.json> --iai=0 --tolerance=5');
+        return;
+    }
+
+    try {
+        const estimator = await LegalRentEstimator.fromFile(flags.orders || DEFAULT_ORDERS_FILE);
+        const leaseStart = flags['lease-start'];
+        const result = estimator.estimate({
+            askingRent: flags.asking,
+            registeredRent: flags.registered,
+            registeredYear: flags['registered-year'],
+            leaseStart: /^\d{4}$/.test(leaseStart || '') ? parseInt(leaseStart, 10) : leaseStart,
+            improvementAllowance: flags.iai !== undefined ? Number(flags.iai) : undefined,
+            tolerancePercent: Number(flags.tolerance || 0)
+        });
+
+        console.log('⚖️ LEGAL REGULATED RENT ESTIMATE');
+        console.log('='.repeat(50));
+        console.log(`   Legal rent range (${result.lease_start_year}-${(result.lease_start_year + 1).toString().slice(2)} lease): $${result.legal_rent_low.toLocaleString()} - $${result.legal_rent_high.toLocaleString()}`);
+        console.log(`   Asking rent: $${result.asking_rent.toLocaleString()}`);
+        if (result.overcharge_flag) {
+            console.log(`   🚩 POSSIBLE OVERCHARGE: $${result.overcharge_amount.toLocaleString()}/month (${result.overcharge_percent}%) above the highest plausible legal rent`);
+        } else if (result.status === 'below_legal_minimum') {
+            console.log('   💡 Asking rent is below the legal range (likely a preferential rent)');
+        } else {
+            console.log('   ✅ Asking rent is within the plausible legal range');
+        }
+        result.warnings.forEach(warning => console.log(`   ⚠️ ${warning}`));
+
+    } catch (error) {
+        console.error('💥 Legal rent estimate failed:', error.message);
+        process.exit(1);
+    }
+}
+
+module.exports = LegalRentEstimator;
+module.exports.guidelineYearFor = guidelineYearFor;
+module.exports.extractLegalRentFromDescription = extractLegalRentFromDescription;
+
+// Run if executed directly
+if (require.main === module) {
+    main();
+}
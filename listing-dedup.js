@@ -0,0 +1,463 @@
+// listing-dedup.js
+// LISTING DEDUPLICATION - relisting detection across listing IDs
+//
+// Brokers pull a unit and relist it under a new ID to reset its days on market. The pipelines saw a
+// vanished ID (marked likely rented / sold) plus a brand-new listing, which inflated the rented
+// counts and lost the unit's history. Every listing with details is now fingerprinted in
+// listing_fingerprints - normalized address, unit, beds/baths, sqft and photo keys - and a new ID is
+// linked to a recently vanished ID of the same unit when they match on:
+//   unit            same address and unit number, compatible beds/baths/sqft
+//   photos          at least 2 of the same photos (half of the smaller set when larger), same bedrooms
+//   address_layout  same unit-less address (townhouses, single units) with identical beds/baths/sqft
+// A linked listing carries over the unit's cumulative days on market (daysOnMarket, previousListingId
+// and canonicalListingId are set on it) and its price history (getIncarnations() → the ids
+// PriceHistory.getTimeline() merges), and the vanished ID's likely rented / sold verdict is reversed
+// to 'relisted' so it no longer counts as rented.
+//
+// Only IDs missing from the current search and seen within RELIST_WINDOW_DAYS (default 90) are
+// candidates - a unit back on the market months later is a new tenancy, not a relisting.
+// Linking never throws - a storage problem is logged and the pipeline carries on.
+require('dotenv').config();
+
+const { normalizeAddress, extractUnit } = require('./address-normalizer.js');
+
+const MATCH_REASONS = ['unit', 'photos', 'address_layout'];   // strongest first
+const MIN_SHARED_PHOTOS = 2;
+const UNIT_SQFT_TOLERANCE = 0.1;      // same unit, re-measured or rounded by a different broker
+const LAYOUT_SQFT_TOLERANCE = 0.03;   // no unit number - the layout has to carry the match
+const RELISTED_STATUS = 'relisted';
+const ID_CHUNK_SIZE = 200;            // listing ids per .in() filter (PostgREST URL length)
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Where each listing type records a rented / sold verdict
+ */
+const CLOSED_VERDICTS = {
+    rental: {
+        cacheTable: 'rental_market_cache',
+        closedStatus: 'likely_rented',
+        analysisTables: [
+            { table: 'undervalued_rentals', statusColumn: 'status', closedStatus: 'likely_rented', flag: 'likely_rented', detectedAt: 'rented_detected_at' },
+            { table: 'undervalued_rent_stabilized', statusColumn: 'display_status', closedStatus: 'rented', flag: 'likely_rented', detectedAt: 'rented_detected_at' }
+        ]
+    },
+    sale: {
+        cacheTable: 'sales_market_cache',
+        closedStatus: 'likely_sold',
+        analysisTables: [
+            { table: 'undervalued_sales', statusColumn: 'status', closedStatus: 'likely_sold', flag: 'likely_sold', detectedAt: 'sold_detected_at' }
+        ]
+    }
+};
+
+function chunk(items, size) {
+    const chunks = [];
+    for (let index = 0; index < items.length; index += size) {
+        chunks.push(items.slice(index, index + size));
+    }
+    return chunks;
+}
+
+function toNumber(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const number = Number(value);
+    return isNaN(number) ? null : number;
+}
+
+/**
+ * Stable key for a listing photo: the file name without extension or size suffix, so the same photo
+ * served at another size or from another CDN path still matches ("…/abc123-se_large_800_400.webp" → "abc123")
+ */
+function photoKey(image) {
+    const url = typeof image === 'string' ? image : image?.url || image?.src || image?.href;
+    if (!url) return null;
+
+    const segments = url.toString().split(/[?#]/)[0].split('/').filter(Boolean);
+    const key = (segments.pop() || '').toLowerCase()
+        .replace(/\.[a-z0-9]+$/, '')
+        .replace(/(?:[-_](?:se_\w+|\d+x\d+|\d+_\d+|large|medium|small|thumb))+$/, '');
+
+    // Short names ("1.jpg") are only unique within their folder
+    if (key.length < 8 && segments.length > 0) return `${segments.pop().toLowerCase()}/${key}`;
+    return key || null;
+}
+
+/**
+ * Fingerprint of one listing (search result merged with its details)
+ */
+function fingerprintListing(listing) {
+    const address = listing.address && listing.address !== 'Address not available' ? listing.address : null;
+    const sqft = toNumber(listing.sqft);
+
+    return {
+        listingId: (listing.id ?? listing.listing_id)?.toString() || null,
+        address,
+        addressKey: address ? normalizeAddress(address, { borough: listing.borough }) || null : null,
+        unit: listing.unit ? extractUnit(`#${listing.unit}`) : extractUnit(address),
+        bedrooms: toNumber(listing.bedrooms),
+        bathrooms: toNumber(listing.bathrooms),
+        sqft: sqft > 0 ? Math.round(sqft) : null,
+        photoKeys: [...new Set((listing.images || listing.photos || []).map(photoKey).filter(Boolean))]
+    };
+}
+
+function layoutMatches(a, b, sqftTolerance) {
+    const compatible = (left, right) => left === null || right === null || left === right;
+    if (!compatible(a.bedrooms, b.bedrooms) || !compatible(a.bathrooms, b.bathrooms)) return false;
+    if (a.sqft === null || b.sqft === null) return true;
+    return Math.abs(a.sqft - b.sqft) <= Math.max(a.sqft, b.sqft) * sqftTolerance;
+}
+
+/**
+ * Why two fingerprints are the same unit ('unit', 'photos', 'address_layout'), or null
+ */
+function matchFingerprints(a, b) {
+    const sameAddress = Boolean(a.addressKey) && a.addressKey === b.addressKey;
+    if (sameAddress && a.unit && b.unit && a.unit !== b.unit) return null;   // another unit in the building
+
+    if (sameAddress && a.unit && a.unit === b.unit && layoutMatches(a, b, UNIT_SQFT_TOLERANCE)) return 'unit';
+
+    // Building photos (lobby, roof, gym) are shared between units, so it takes several of the same
+    const shared = a.photoKeys.filter(key => b.photoKeys.includes(key)).length;
+    const needed = Math.max(MIN_SHARED_PHOTOS, Math.ceil(Math.min(a.photoKeys.length, b.photoKeys.length) / 2));
+    const sameBedrooms = a.bedrooms === null || b.bedrooms === null || a.bedrooms === b.bedrooms;
+    if (shared >= needed && sameBedrooms) return 'photos';
+
+    if (sameAddress && !a.unit && !b.unit && a.bedrooms !== null && a.bathrooms !== null &&
+        a.sqft !== null && b.sqft !== null && layoutMatches(a, b, LAYOUT_SQFT_TOLERANCE) &&
+        a.bedrooms === b.bedrooms && a.bathrooms === b.bathrooms) {
+        return 'address_layout';
+    }
+    return null;
+}
+
+/**
+ * listing_fingerprints row → fingerprint
+ */
+function rowFingerprint(row) {
+    return {
+        listingId: row.listing_id,
+        address: row.address,
+        addressKey: row.address_key,
+        unit: row.unit,
+        bedrooms: toNumber(row.bedrooms),
+        bathrooms: toNumber(row.bathrooms),
+        sqft: toNumber(row.sqft),
+        photoKeys: Array.isArray(row.photo_keys) ? row.photo_keys : []
+    };
+}
+
+/**
+ * When the listing went on the market: listedAt from the details, else back-dated by its days on market
+ */
+function listedAtOf(listing, nowMs) {
+    const listedAt = listing.listedAt ? new Date(listing.listedAt) : null;
+    if (listedAt && !isNaN(listedAt.getTime())) return listedAt.toISOString();
+
+    const daysOnMarket = toNumber(listing.daysOnMarket ?? listing.days_on_market);
+    return new Date(nowMs - Math.max(daysOnMarket || 0, 0) * DAY_MS).toISOString();
+}
+
+function earliest(...timestamps) {
+    const valid = timestamps.filter(Boolean).map(value => new Date(value).toISOString());
+    return valid.length > 0 ? valid.sort()[0] : null;
+}
+
+class ListingDeduplicator {
+    /**
+     * @param {Object} storage - storage.js backend (or a supabase-js client)
+     * @param {Object} options - { now, windowDays }
+     */
+    constructor(storage, options = {}) {
+        this.storage = storage;
+        this.now = options.now || (() => new Date());
+        this.windowDays = options.windowDays ?? (parseInt(process.env.RELIST_WINDOW_DAYS) || 90);
+    }
+
+    /**
+     * Fingerprint the detailed listings of one neighborhood search and link every new ID to the
+     * vanished ID it relists. Linked listings get previousListingId, canonicalListingId and the
+     * cumulative daysOnMarket set on them; the vanished IDs' rented / sold verdicts are reversed.
+     * @param {Array} listings - listings with details ({ id, address, bedrooms, bathrooms, sqft, images, daysOnMarket })
+     * @param {Object} options - { activeIds: every ID in the search - those are never a predecessor }
+     * @returns {Object} { linked, corrected (verdicts reversed), links: [{ listingId, previousListingId, canonicalId, reason }] }
+     */
+    async linkRelistings(listingType, neighborhood, listings, options = {}) {
+        const outcome = { linked: 0, corrected: 0, links: [] };
+
+        try {
+            const nowMs = this.now().getTime();
+            const observedAt = new Date(nowMs).toISOString();
+            const activeIds = new Set((options.activeIds || []).filter(Boolean).map(id => id.toString()));
+            await this.touch(listingType, [...activeIds]);
+
+            const fingerprinted = (listings || [])
+                .map(listing => ({ listing, fingerprint: fingerprintListing(listing) }))
+                .filter(({ fingerprint }) => fingerprint.listingId);
+            if (fingerprinted.length === 0) return outcome;
+            fingerprinted.forEach(({ fingerprint }) => activeIds.add(fingerprint.listingId));
+
+            const existing = await this.loadRows(listingType, fingerprinted.map(({ fingerprint }) => fingerprint.listingId));
+            const addressKeys = [...new Set(fingerprinted.map(({ fingerprint }) => fingerprint.addressKey).filter(Boolean))];
+            const since = new Date(nowMs - this.windowDays * DAY_MS).toISOString();
+            const candidates = (await this.loadCandidates(listingType, neighborhood, addressKeys, since))
+                .filter(row => !activeIds.has(row.listing_id));
+
+            const rows = [];
+            const claimed = new Set();
+
+            for (const { listing, fingerprint } of fingerprinted) {
+                const row = existing.get(fingerprint.listingId);
+                // Only IDs seen for the first time are linked - a known ID keeps the links it has
+                const match = row ? null : this.findPredecessor(fingerprint, candidates, claimed);
+                const previous = match?.row || null;
+
+                const fresh = {
+                    listing_id: fingerprint.listingId,
+                    listing_type: listingType,
+                    neighborhood,
+                    address: fingerprint.address,
+                    address_key: fingerprint.addressKey,
+                    unit: fingerprint.unit,
+                    bedrooms: fingerprint.bedrooms,
+                    bathrooms: fingerprint.bathrooms,
+                    sqft: fingerprint.sqft,
+                    photo_keys: fingerprint.photoKeys,
+                    listed_at: earliest(row?.listed_at, previous?.listed_at, listedAtOf(listing, nowMs)),
+                    first_seen_at: row?.first_seen_at || observedAt,
+                    last_seen_at: observedAt,
+                    canonical_id: row?.canonical_id || previous?.canonical_id || fingerprint.listingId,
+                    previous_listing_id: row ? row.previous_listing_id : previous?.listing_id || null,
+                    superseded_by: row?.superseded_by || null,
+                    match_reason: row ? row.match_reason : match?.reason || null,
+                    linked_at: row ? row.linked_at : (previous ? observedAt : null)
+                };
+                rows.push(fresh);
+
+                if (previous) {
+                    claimed.add(previous.listing_id);
+                    rows.push({ ...previous, superseded_by: fingerprint.listingId });
+                    outcome.links.push({
+                        listingId: fingerprint.listingId,
+                        previousListingId: previous.listing_id,
+                        canonicalId: fresh.canonical_id,
+                        reason: match.reason
+                    });
+                }
+
+                // Linked now or on an earlier run: the unit's days on market did not start over
+                if (fresh.previous_listing_id) {
+                    listing.previousListingId = fresh.previous_listing_id;
+                    listing.canonicalListingId = fresh.canonical_id;
+                    listing.daysOnMarket = Math.max(toNumber(listing.daysOnMarket) || 0,
+                        Math.floor((nowMs - new Date(fresh.listed_at).getTime()) / DAY_MS));
+                }
+            }
+
+            await this.upsertRows(rows);
+
+            if (outcome.links.length > 0) {
+                outcome.linked = outcome.links.length;
+                outcome.corrected = await this.reverseClosedVerdicts(listingType, outcome.links.map(link => link.previousListingId));
+                console.log(`   🔁 Relistings (${neighborhood}): ${outcome.linked} new IDs linked to earlier listings, ` +
+                    `${outcome.corrected} ${listingType === 'sale' ? 'sold' : 'rented'} verdicts reversed`);
+            }
+        } catch (error) {
+            console.warn(`⚠️ Relisting detection skipped for ${neighborhood}:`, error.message);
+        }
+        return outcome;
+    }
+
+    /**
+     * Mark fingerprinted IDs as seen in a search (keeps them out of the relisting window's cut-off)
+     */
+    async touch(listingType, listingIds) {
+        const lastSeenAt = this.now().toISOString();
+        for (const ids of chunk(listingIds.map(id => id.toString()), ID_CHUNK_SIZE)) {
+            const { error } = await this.storage
+                .from('listing_fingerprints')
+                .update({ last_seen_at: lastSeenAt })
+                .eq('listing_type', listingType)
+                .in('listing_id', ids);
+
+            if (error) throw error;
+        }
+    }
+
+    /**
+     * Every ID the unit was listed under, oldest first ([] when the listing was never fingerprinted)
+     * @returns {Array} [{ listingId, previousListingId, matchReason, firstSeenAt, lastSeenAt, linkedAt }]
+     */
+    async getIncarnations(listingId, options = {}) {
+        let query = this.storage
+            .from('listing_fingerprints')
+            .select('listing_type, canonical_id')
+            .eq('listing_id', listingId.toString());
+
+        if (options.listingType) query = query.eq('listing_type', options.listingType);
+
+        const { data: found, error } = await query.limit(1);
+        if (error) throw new Error(`Could not read fingerprints for ${listingId}: ${error.message}`);
+        if (!found || found.length === 0) return [];
+
+        const { data, error: chainError } = await this.storage
+            .from('listing_fingerprints')
+            .select('listing_id, previous_listing_id, match_reason, first_seen_at, last_seen_at, linked_at')
+            .eq('listing_type', found[0].listing_type)
+            .eq('canonical_id', found[0].canonical_id)
+            .order('first_seen_at', { ascending: true });
+
+        if (chainError) throw new Error(`Could not read fingerprints for ${listingId}: ${chainError.message}`);
+        return (data || []).map(row => ({
+            listingId: row.listing_id,
+            previousListingId: row.previous_listing_id,
+            matchReason: row.match_reason,
+            firstSeenAt: row.first_seen_at,
+            lastSeenAt: row.last_seen_at,
+            linkedAt: row.linked_at
+        }));
+    }
+
+    /**
+     * Strongest unclaimed match, the most recently seen one on a tie
+     */
+    findPredecessor(fingerprint, candidates, claimed) {
+        let best = null;
+        for (const row of candidates) {
+            if (claimed.has(row.listing_id)) continue;
+
+            const reason = matchFingerprints(fingerprint, rowFingerprint(row));
+            if (!reason) continue;
+
+            const rank = MATCH_REASONS.indexOf(reason);
+            const newer = best && new Date(row.last_seen_at).getTime() > new Date(best.row.last_seen_at).getTime();
+            if (!best || rank < best.rank || (rank === best.rank && newer)) best = { row, reason, rank };
+        }
+        return best;
+    }
+
+    /**
+     * Vanished IDs become 'relisted' everywhere a rented / sold verdict lives; returns how many had one
+     */
+    async reverseClosedVerdicts(listingType, listingIds) {
+        const verdicts = CLOSED_VERDICTS[listingType];
+        const reversed = new Set();
+        const checkedAt = this.now().toISOString();
+
+        const { data: closed, error } = await this.storage
+            .from(verdicts.cacheTable)
+            .update({ market_status: RELISTED_STATUS, last_checked: checkedAt })
+            .in('listing_id', listingIds)
+            .eq('market_status', verdicts.closedStatus)
+            .select('listing_id');
+
+        if (error) throw error;
+        (closed || []).forEach(row => reversed.add(row.listing_id));
+
+        // Not called rented yet - still superseded, so markMissingListings* never gets to it
+        const { error: supersededError } = await this.storage
+            .from(verdicts.cacheTable)
+            .update({ market_status: RELISTED_STATUS, last_checked: checkedAt })
+            .in('listing_id', listingIds)
+            .neq('market_status', RELISTED_STATUS);
+
+        if (supersededError) throw supersededError;
+
+        for (const target of verdicts.analysisTables) {
+            const { data: rows, error: closedError } = await this.storage
+                .from(target.table)
+                .update({ [target.statusColumn]: RELISTED_STATUS, [target.flag]: false, [target.detectedAt]: null })
+                .in('listing_id', listingIds)
+                .eq(target.statusColumn, target.closedStatus)
+                .select('listing_id');
+
+            if (closedError) {
+                console.warn(`⚠️ Could not reverse ${target.table} verdicts:`, closedError.message);
+                continue;
+            }
+            (rows || []).forEach(row => reversed.add(row.listing_id));
+
+            const { error: activeError } = await this.storage
+                .from(target.table)
+                .update({ [target.statusColumn]: RELISTED_STATUS })
+                .in('listing_id', listingIds)
+                .eq(target.statusColumn, 'active');
+
+            if (activeError) console.warn(`⚠️ Could not retire relisted ${target.table} rows:`, activeError.message);
+        }
+
+        return reversed.size;
+    }
+
+    async loadRows(listingType, listingIds) {
+        const rows = new Map();
+        for (const ids of chunk(listingIds, ID_CHUNK_SIZE)) {
+            const { data, error } = await this.storage
+                .from('listing_fingerprints')
+                .select('*')
+                .eq('listing_type', listingType)
+                .in('listing_id', ids);
+
+            if (error) throw error;
+            (data || []).forEach(row => rows.set(row.listing_id, row));
+        }
+        return rows;
+    }
+
+    /**
+     * Unlinked fingerprints seen since the window start: the neighborhood's, plus any at the same addresses
+     */
+    async loadCandidates(listingType, neighborhood, addressKeys, since) {
+        const candidates = new Map();
+        const pageSize = 1000;
+
+        for (let offset = 0; ; offset += pageSize) {
+            const { data, error } = await this.storage
+                .from('listing_fingerprints')
+                .select('*')
+                .eq('listing_type', listingType)
+                .eq('neighborhood', neighborhood)
+                .is('superseded_by', null)
+                .gte('last_seen_at', since)
+                .order('listing_id', { ascending: true })
+                .range(offset, offset + pageSize - 1);
+
+            if (error) throw error;
+            (data || []).forEach(row => candidates.set(row.listing_id, row));
+            if (!data || data.length < pageSize) break;
+        }
+
+        // A broker may file the relisting under a neighboring area
+        for (const keys of chunk(addressKeys, ID_CHUNK_SIZE)) {
+            const { data, error } = await this.storage
+                .from('listing_fingerprints')
+                .select('*')
+                .eq('listing_type', listingType)
+                .in('address_key', keys)
+                .is('superseded_by', null)
+                .gte('last_seen_at', since);
+
+            if (error) throw error;
+            (data || []).forEach(row => candidates.set(row.listing_id, row));
+        }
+
+        return [...candidates.values()];
+    }
+
+    async upsertRows(rows) {
+        for (const batch of chunk(rows, ID_CHUNK_SIZE)) {
+            const { error } = await this.storage
+                .from('listing_fingerprints')
+                .upsert(batch, { onConflict: 'listing_id,listing_type' });
+
+            if (error) throw error;
+        }
+    }
+}
+
+module.exports = ListingDeduplicator;
+module.exports.ListingDeduplicator = ListingDeduplicator;
+module.exports.fingerprintListing = fingerprintListing;
+module.exports.matchFingerprints = matchFingerprints;
+module.exports.photoKey = photoKey;
+module.exports.RELISTED_STATUS = RELISTED_STATUS;
@@ -0,0 +1,341 @@
+// listing-sources.js
+// LISTING SOURCES - one interface for every place listings come from
+//
+// The rentals/sales pipelines and the API server used to make their own HTTP calls and guess
+// response shapes (results / listings / rentals). They now only talk to a ListingSource:
+//   searchArea(area, options)       → normalized listings for a neighborhood/area
+//   fetchDetails(listing, options)  → the listing merged with its detail record (null when missing)
+//   normalizeListing(raw, context)  → the one listing schema below
+// Adapters: StreetEasy (RapidAPI), Redfin (redfin-scraper.js) and local JSON fixtures, so whole
+// neighborhoods can be run offline with LISTING_SOURCE=fixture.
+//
+// Listing schema:
+//   { id, source, listingType: 'rental'|'sale', address, price, bedrooms, bathrooms, sqft,
+//     neighborhood, zipcode, amenities, description, noFee, builtIn, propertyType, url,
+//     latitude, longitude, daysOnMarket, monthlyHoa, monthlyTax, images }
+
+const path = require('path');
+const fs = require('fs').promises;
+const axios = require('axios');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, 'fixtures', 'listings');
+
+/**
+ * Listing array out of an API response, whatever key it comes under
+ */
+function extractListingArray(data) {
+    if (Array.isArray(data)) return data;
+    if (!data || typeof data !== 'object') return [];
+
+    for (const key of ['results', 'listings', 'rentals', 'sales']) {
+        if (Array.isArray(data[key])) return data[key];
+    }
+    return [];
+}
+
+function toNumber(value, fallback = 0) {
+    if (value === null || value === undefined || value === '') return fallback;
+    const number = typeof value === 'number' ? value : parseFloat(value.toString().replace(/[$,]/g, ''));
+    return isNaN(number) ? fallback : number;
+}
+
+/**
+ * Base class - adapters override requestSearchPage / requestDetails and the raw field mapping
+ */
+class ListingSource {
+    constructor(name, options = {}) {
+        this.name = name;
+        this.options = options;
+        this.requestCount = 0;   // upstream calls made (pipelines report API usage from this)
+    }
+
+    /**
+     * Search an area, paging until maxListings or a short page
+     * @param {string} area - neighborhood slug ("east-village") or area name
+     * @param {Object} options - { type, maxListings, pageSize, minPrice, maxPrice, filters }
+     */
+    async searchArea(area, options = {}) {
+        const type = options.type || 'rental';
+        const maxListings = options.maxListings || options.pageSize || 500;
+        const pageSize = Math.min(options.pageSize || 500, maxListings);
+        let offset = options.offset || 0;
+        let raw = [];
+
+        while (raw.length < maxListings) {
+            const page = await this.requestSearchPage(area, { ...options, type, limit: pageSize, offset });
+            raw = raw.concat(page);
+
+            if (page.length < pageSize) break;
+            offset += pageSize;
+        }
+
+        return raw.slice(0, maxListings)
+            .map(listing => this.normalizeListing(listing, { area, type }));
+    }
+
+    /**
+     * Detail record for a listing found by searchArea, merged over the search result
+     */
+    async fetchDetails(listing, options = {}) {
+        const type = options.type || listing.listingType || 'rental';
+        const details = await this.requestDetails(listing, { ...options, type });
+        if (!details) return null;
+
+        const merged = { ...listing, ...details };
+        return {
+            ...merged,
+            ...this.normalizeListing(merged, { area: listing.neighborhood, type })
+        };
+    }
+
+    async requestSearchPage() {
+        throw new Error(`${this.name} listing source does not implement searching`);
+    }
+
+    async requestDetails() {
+        throw new Error(`${this.name} listing source does not implement listing details`);
+    }
+
+    /**
+     * Map a raw record onto the listing schema (StreetEasy field names by default)
+     */
+    normalizeListing(raw, context = {}) {
+        const type = context.type || raw.listingType || 'rental';
+        const id = (raw.id ?? raw.listing_id ?? '').toString() || null;
+
+        return {
+            id,
+            source: this.name,
+            listingType: type,
+            address: raw.address || 'Address not available',
+            price: toNumber(raw.price ?? raw.monthlyRent),
+            bedrooms: toNumber(raw.bedrooms),
+            bathrooms: toNumber(raw.bathrooms),
+            sqft: toNumber(raw.sqft),
+            neighborhood: context.area || raw.neighborhood || null,
+            zipcode: raw.zipcode || raw.zip_code || null,
+            amenities: raw.amenities || [],
+            description: raw.description || '',
+            noFee: Boolean(raw.noFee ?? raw.no_fee),
+            builtIn: raw.builtIn ?? raw.built_in ?? null,
+            propertyType: raw.propertyType || raw.property_type || (type === 'rental' ? 'apartment' : 'unknown'),
+            url: raw.url || this.listingUrl(id, type),
+            latitude: raw.latitude ?? null,
+            longitude: raw.longitude ?? null,
+            daysOnMarket: raw.daysOnMarket ?? raw.days_on_market ?? null,
+            monthlyHoa: raw.monthlyHoa ?? raw.monthly_hoa ?? null,
+            monthlyTax: raw.monthlyTax ?? raw.monthly_tax ?? null,
+            images: raw.images || []
+        };
+    }
+
+    listingUrl() {
+        return null;
+    }
+}
+
+/**
+ * StreetEasy via RapidAPI (streeteasy-api.p.rapidapi.com)
+ */
+class StreetEasyListingSource extends ListingSource {
+    constructor(options = {}) {
+        super('streeteasy', options);
+        this.apiKey = options.apiKey || process.env.RAPIDAPI_KEY;
+        this.host = options.host || 'streeteasy-api.p.rapidapi.com';
+        this.http = options.http || axios;
+    }
+
+    get headers() {
+        return {
+            'X-RapidAPI-Key': this.apiKey,
+            'X-RapidAPI-Host': this.host
+        };
+    }
+
+    endpoint(type) {
+        return type === 'sale' ? 'sales' : 'rentals';
+    }
+
+    async requestSearchPage(area, options) {
+        const params = {
+            areas: area,
+            limit: options.limit,
+            offset: options.offset,
+            ...(options.minPrice && { minPrice: options.minPrice }),
+            ...(options.maxPrice && { maxPrice: options.maxPrice }),
+            ...(options.filters || {})
+        };
+
+        this.requestCount++;
+        const response = await this.http.get(`https://${this.host}/${this.endpoint(options.type)}/search`, {
+            params,
+            headers: this.headers,
+            timeout: 30000
+        });
+
+        return extractListingArray(response.data);
+    }
+
+    async requestDetails(listing, options) {
+        this.requestCount++;
+        const response = await this.http.get(`https://${this.host}/${this.endpoint(options.type)}/${listing.id}`, {
+            headers: this.headers,
+            timeout: 15000
+        });
+
+        return response.data || null;
+    }
+
+    listingUrl(id, type) {
+        return id ? `https://streeteasy.com/${type === 'sale' ? 'sale' : 'rental'}/${id}` : null;
+    }
+}
+
+/**
+ * Redfin through RedfinAPIScraper (CSV search + property pages)
+ */
+class RedfinListingSource extends ListingSource {
+    constructor(options = {}) {
+        super('redfin', options);
+        if (options.scraper) {
+            this.scraper = options.scraper;
+        } else {
+            const RedfinAPIScraper = require('./redfin-scraper.js');
+            this.scraper = new RedfinAPIScraper();
+        }
+    }
+
+    /**
+     * Redfin searches by location name: "east-village" → "East Village, New York, NY"
+     */
+    locationFor(area) {
+        if (area.includes(',')) return area;
+        const name = area.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+        return `${name}, New York, NY`;
+    }
+
+    async requestSearchPage(area, options) {
+        const page = Math.floor((options.offset || 0) / options.limit) + 1;
+        this.requestCount++;
+
+        const result = await this.scraper.searchProperties(this.locationFor(area), {
+            limit: options.limit,
+            page,
+            minPrice: options.minPrice,
+            maxPrice: options.maxPrice,
+            ...(options.filters || {})
+        });
+
+        return result.listings || [];
+    }
+
+    async requestDetails(listing) {
+        if (!listing.url) return null;
+
+        this.requestCount++;
+        const details = await this.scraper.getPropertyDetails(listing.url);
+        return details && details.data && typeof details.data === 'object'
+            ? { ...details.data, address: details.data.address || listing.address }
+            : null;
+    }
+
+    normalizeListing(raw, context = {}) {
+        // Redfin CSV headers arrive lower-cased with punctuation as "_" (see RedfinAPIScraper.parseCSV)
+        if (raw.source === this.name && raw.listingType) {
+            return super.normalizeListing(raw, context);
+        }
+
+        const urlKey = Object.keys(raw).find(key => key.startsWith('url'));
+        const url = raw.url || (urlKey ? raw[urlKey] : null);
+        const id = raw.mls_ || raw.id || url;
+
+        return super.normalizeListing({
+            ...raw,
+            id,
+            url,
+            price: raw.price,
+            bedrooms: raw.bedrooms ?? raw.beds,
+            bathrooms: raw.bathrooms ?? raw.baths,
+            sqft: raw.sqft ?? raw.square_feet,
+            zipcode: raw.zipcode || raw.zip_or_postal_code,
+            builtIn: raw.builtIn ?? (raw.year_built ? parseInt(raw.year_built, 10) : null),
+            propertyType: raw.propertyType || raw.property_type,
+            daysOnMarket: raw.daysOnMarket ?? (raw.days_on_market ? parseInt(raw.days_on_market, 10) : null),
+            monthlyHoa: raw.monthlyHoa ?? (raw.hoa_month ? toNumber(raw.hoa_month) : null),
+            neighborhood: raw.neighborhood || raw.location
+        }, { ...context, area: context.area || raw.location });
+    }
+}
+
+/**
+ * Local JSON fixtures: <directory>/<area>.json → { "rentals": [...], "sales": [...] }
+ * Records are full listings, so fetchDetails just returns the fixture record
+ */
+class FixtureListingSource extends ListingSource {
+    constructor(options = {}) {
+        super('fixture', options);
+        this.directory = options.directory || process.env.LISTING_FIXTURES_DIR || DEFAULT_FIXTURES_DIR;
+        this.areas = new Map();
+    }
+
+    async loadArea(area) {
+        if (!this.areas.has(area)) {
+            const filePath = path.join(this.directory, `${area}.json`);
+            try {
+                this.areas.set(area, JSON.parse(await fs.readFile(filePath, 'utf8')));
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+                console.warn(`   ⚠️ No listing fixture for ${area} (${filePath})`);
+                this.areas.set(area, {});
+            }
+        }
+        return this.areas.get(area);
+    }
+
+    async requestSearchPage(area, options) {
+        const fixture = await this.loadArea(area);
+        const listings = (options.type === 'sale' ? fixture.sales : fixture.rentals) || [];
+
+        return listings
+            .filter(listing => !options.minPrice || toNumber(listing.price) >= options.minPrice)
+            .filter(listing => !options.maxPrice || toNumber(listing.price) <= options.maxPrice)
+            .slice(options.offset, options.offset + options.limit);
+    }
+
+    async requestDetails(listing, options) {
+        const fixture = await this.loadArea(listing.neighborhood);
+        const listings = (options.type === 'sale' ? fixture.sales : fixture.rentals) || [];
+        return listings.find(record => (record.id ?? '').toString() === listing.id) || null;
+    }
+
+    listingUrl(id, type) {
+        return id ? `fixture://${type}/${id}` : null;
+    }
+}
+
+const LISTING_SOURCES = {
+    streeteasy: StreetEasyListingSource,
+    redfin: RedfinListingSource,
+    fixture: FixtureListingSource
+};
+
+/**
+ * Listing source by name (LISTING_SOURCE env var, default StreetEasy)
+ */
+function createListingSource(name = process.env.LISTING_SOURCE || 'streeteasy', options = {}) {
+    const Source = LISTING_SOURCES[name.toLowerCase()];
+    if (!Source) {
+        throw new Error(`Unknown listing source "${name}". Expected one of: ${Object.keys(LISTING_SOURCES).join(', ')}`);
+    }
+    return new Source(options);
+}
+
+module.exports = {
+    ListingSource,
+    StreetEasyListingSource,
+    RedfinListingSource,
+    FixtureListingSource,
+    LISTING_SOURCES,
+    createListingSource,
+    extractListingArray
+};
@@ -0,0 +1,460 @@
+// llm-client.js
+// LLM CLIENT - one place for model settings, provider calls and token accounting
+//
+// The Claude analyzer and the API server each posted to the Messages API with
+// 'claude-3-haiku-20240307', max_tokens 2000 and temperature 0.1 written inline. They now call
+//   llm.complete({ task, system, messages }) → { text, model, usage: { inputTokens, outputTokens }, cost }
+// where task picks the model settings:
+//   quick_check      stage-1 sale screening (every listing)
+//   deep_analysis    full rental analysis, API server batch analysis
+//   dual_sales_memo  stage-2 consumer + investor memo (undervalued sales only)
+//
+// Settings, lowest to highest precedence: built-in defaults → CLAUDE_MODEL / CLAUDE_MAX_TOKENS /
+// CLAUDE_TEMPERATURE → LLM_CONFIG file ({ provider, tasks: { quick_check: { model, maxTokens,
+// temperature } }, pricing }) → per-task env (CLAUDE_QUICK_CHECK_MODEL, CLAUDE_DEEP_ANALYSIS_MAX_TOKENS,
+// ...) → options passed to createLLMClient().
+//
+// Providers (LLM_PROVIDER): 'anthropic' (default) or 'mock', which answers from scripted responses
+// (LLM_MOCK_RESPONSES file, or options.responses) so tests and dev runs need no key or network.
+//
+// Message Batches: submitBatch() / getBatch() / getBatchResults() send many requests as one job
+// (claude-batch-runner.js polls and resumes them). Batch tokens are billed at BATCH_PRICE_FACTOR.
+require('dotenv').config();
+
+const fs = require('fs');
+const { httpClientFromEnv } = require('./http-cassette.js');
+
+const LLM_TASKS = ['quick_check', 'deep_analysis', 'dual_sales_memo'];
+
+const DEFAULT_TASK_SETTINGS = {
+    model: 'claude-3-haiku-20240307',
+    maxTokens: 2000,
+    temperature: 0.1
+};
+
+// USD per million tokens (input, output); LLM_CONFIG "pricing" adds or overrides models
+const MODEL_PRICING = {
+    'claude-3-haiku-20240307': { input: 0.25, output: 1.25 },
+    'claude-3-5-haiku-20241022': { input: 0.80, output: 4 },
+    'claude-3-5-sonnet-20241022': { input: 3, output: 15 },
+    'claude-3-7-sonnet-20250219': { input: 3, output: 15 },
+    'claude-sonnet-4-20250514': { input: 3, output: 15 },
+    'claude-opus-4-20250514': { input: 15, output: 75 }
+};
+
+// Message Batches API requests cost half the standard price
+const BATCH_PRICE_FACTOR = 0.5;
+
+function readJsonFile(file, envName) {
+    if (!file) return {};
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not read ${envName} ${file}: ${error.message}`);
+    }
+}
+
+function numberFromEnv(name) {
+    const value = process.env[name];
+    return value === undefined || value === '' ? undefined : parseFloat(value);
+}
+
+function definedOnly(settings = {}) {
+    return Object.fromEntries(Object.entries(settings).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * Model settings for every task, merged in precedence order (see header)
+ */
+function resolveTaskSettings(config = {}, overrides = {}) {
+    const globalEnv = definedOnly({
+        model: process.env.CLAUDE_MODEL || undefined,
+        maxTokens: numberFromEnv('CLAUDE_MAX_TOKENS'),
+        temperature: numberFromEnv('CLAUDE_TEMPERATURE')
+    });
+
+    return Object.fromEntries(LLM_TASKS.map(task => {
+        const prefix = `CLAUDE_${task.toUpperCase()}`;
+        const taskEnv = definedOnly({
+            model: process.env[`${prefix}_MODEL`] || undefined,
+            maxTokens: numberFromEnv(`${prefix}_MAX_TOKENS`),
+            temperature: numberFromEnv(`${prefix}_TEMPERATURE`)
+        });
+        return [task, {
+            ...DEFAULT_TASK_SETTINGS,
+            ...globalEnv,
+            ...definedOnly(config.tasks?.[task]),
+            ...taskEnv,
+            ...definedOnly(overrides[task])
+        }];
+    }));
+}
+
+function emptyUsage() {
+    return { calls: 0, inputTokens: 0, outputTokens: 0, cost: 0, unpricedCalls: 0 };
+}
+
+/**
+ * Anthropic Messages API over an axios-compatible client (a cassette when HTTP_CASSETTE_MODE is set)
+ */
+class AnthropicProvider {
+    constructor(options = {}) {
+        this.name = 'anthropic';
+        this.apiKey = options.apiKey || process.env.ANTHROPIC_API_KEY || process.env.CLAUDE_API_KEY;
+        this.http = options.http || httpClientFromEnv('llm');
+        this.baseUrl = options.baseUrl || 'https://api.anthropic.com';
+        this.timeout = options.timeout || 65000;
+
+        if (!this.apiKey) {
+            throw new Error('ANTHROPIC_API_KEY or CLAUDE_API_KEY environment variable is required');
+        }
+    }
+
+    requestConfig(extra = {}) {
+        return {
+            headers: {
+                'Content-Type': 'application/json',
+                'x-api-key': this.apiKey,
+                'anthropic-version': '2023-06-01'
+            },
+            timeout: this.timeout,
+            ...extra
+        };
+    }
+
+    messageParams({ model, maxTokens, temperature, system, messages }) {
+        const params = { model, max_tokens: maxTokens, temperature, messages };
+        if (system) params.system = system;
+        return params;
+    }
+
+    fromMessage(data, model) {
+        return {
+            text: (data.content || []).filter(block => block.type === undefined || block.type === 'text')
+                .map(block => block.text).join(''),
+            model: data.model || model,
+            inputTokens: data.usage?.input_tokens || 0,
+            outputTokens: data.usage?.output_tokens || 0,
+            stopReason: data.stop_reason || null
+        };
+    }
+
+    async send(request) {
+        const response = await this.http.post(`${this.baseUrl}/v1/messages`, this.messageParams(request), this.requestConfig());
+        return this.fromMessage(response.data, request.model);
+    }
+
+    /**
+     * POST /v1/messages/batches - requests already carry their task settings and customId
+     */
+    async createBatch(requests) {
+        const response = await this.http.post(`${this.baseUrl}/v1/messages/batches`, {
+            requests: requests.map(request => ({ custom_id: request.customId, params: this.messageParams(request) }))
+        }, this.requestConfig());
+        return this.fromBatch(response.data);
+    }
+
+    async retrieveBatch(batchId) {
+        try {
+            const response = await this.http.get(`${this.baseUrl}/v1/messages/batches/${batchId}`, this.requestConfig());
+            return this.fromBatch(response.data);
+        } catch (error) {
+            if (error.response?.status === 404) {
+                const notFound = new Error(`Message batch ${batchId} not found`);
+                notFound.code = 'BATCH_NOT_FOUND';
+                throw notFound;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Results of an ended batch - the results file is JSONL, one { custom_id, result } per line
+     */
+    async batchResults(batch) {
+        const url = batch.resultsUrl || `${this.baseUrl}/v1/messages/batches/${batch.id}/results`;
+        const response = await this.http.get(url, this.requestConfig({ responseType: 'text' }));
+        const lines = typeof response.data === 'string'
+            ? response.data.split('\n').filter(line => line.trim()).map(line => JSON.parse(line))
+            : [].concat(response.data || []);
+
+        return lines.map(({ custom_id: customId, result = {} }) => {
+            if (result.type === 'succeeded') {
+                return { customId, type: 'succeeded', ...this.fromMessage(result.message || {}) };
+            }
+            return { customId, type: result.type || 'errored', error: result.error?.error?.message || result.error?.message || result.type };
+        });
+    }
+
+    fromBatch(data) {
+        return {
+            id: data.id,
+            status: data.processing_status,     // in_progress | canceling | ended
+            counts: data.request_counts || {},
+            resultsUrl: data.results_url || null,
+            endedAt: data.ended_at || null
+        };
+    }
+}
+
+/**
+ * Offline provider. responses is an array answered in order, or { task: text | [texts] }
+ * (a single text answers every call for that task). respond(request) → text overrides both.
+ */
+class MockProvider {
+    constructor(options = {}) {
+        this.name = 'mock';
+        this.respond = options.respond || null;
+        this.responses = options.responses ||
+            (process.env.LLM_MOCK_RESPONSES ? readJsonFile(process.env.LLM_MOCK_RESPONSES, 'LLM_MOCK_RESPONSES') : []);
+        this.requests = [];
+    }
+
+    nextResponse(request) {
+        if (this.respond) return this.respond(request);
+        if (Array.isArray(this.responses)) return this.responses.shift();
+
+        const forTask = this.responses[request.task];
+        return Array.isArray(forTask) ? forTask.shift() : forTask;
+    }
+
+    async send(request) {
+        this.requests.push(request);
+        const answer = this.nextResponse(request);
+        if (answer === undefined) {
+            const error = new Error(`Mock LLM has no response left for ${request.task}`);
+            error.code = 'MOCK_NO_RESPONSE';
+            throw error;
+        }
+
+        const text = typeof answer === 'string' ? answer : JSON.stringify(answer);
+        const promptChars = JSON.stringify(request.messages).length + (request.system || '').length;
+        return {
+            text,
+            model: request.model,
+            inputTokens: Math.ceil(promptChars / 4),   // rough chars-per-token, enough for cost plumbing
+            outputTokens: Math.ceil(text.length / 4),
+            stopReason: 'end_turn'
+        };
+    }
+
+    /**
+     * Batches end immediately; a request with no response left comes back as errored
+     */
+    async createBatch(requests) {
+        this.batches = this.batches || new Map();
+        const id = `mock_batch_${this.batches.size + 1}`;
+        const results = [];
+        for (const request of requests) {
+            try {
+                results.push({ customId: request.customId, type: 'succeeded', ...(await this.send(request)) });
+            } catch (error) {
+                results.push({ customId: request.customId, type: 'errored', error: error.message });
+            }
+        }
+        this.batches.set(id, results);
+        return this.retrieveBatch(id);
+    }
+
+    async retrieveBatch(batchId) {
+        const results = this.batches?.get(batchId);
+        if (!results) {
+            const error = new Error(`Message batch ${batchId} not found`);
+            error.code = 'BATCH_NOT_FOUND';
+            throw error;
+        }
+        return {
+            id: batchId,
+            status: 'ended',
+            counts: {
+                succeeded: results.filter(result => result.type === 'succeeded').length,
+                errored: results.filter(result => result.type === 'errored').length
+            },
+            resultsUrl: null,
+            endedAt: new Date().toISOString()
+        };
+    }
+
+    async batchResults(batch) {
+        return this.batches.get(batch.id);
+    }
+}
+
+const LLM_PROVIDERS = {
+    anthropic: AnthropicProvider,
+    mock: MockProvider
+};
+
+class LLMClient {
+    /**
+     * @param {Object} provider - AnthropicProvider / MockProvider (anything with send(request))
+     * @param {Object} options - { tasks, pricing } already merged with config and env
+     */
+    constructor(provider, options = {}) {
+        this.provider = provider;
+        this.tasks = options.tasks || resolveTaskSettings();
+        this.pricing = { ...MODEL_PRICING, ...(options.pricing || {}) };
+        this.resetUsage();
+    }
+
+    settingsFor(task) {
+        const settings = this.tasks[task];
+        if (!settings) {
+            throw new Error(`Unknown LLM task "${task}". Expected one of: ${Object.keys(this.tasks).join(', ')}`);
+        }
+        return settings;
+    }
+
+    /**
+     * One model call for a task - provider errors are thrown to the caller (which owns retries)
+     */
+    async complete({ task, system, messages }) {
+        const settings = this.settingsFor(task);
+        const response = await this.provider.send({ task, system, messages, ...settings });
+        const usage = { inputTokens: response.inputTokens, outputTokens: response.outputTokens };
+        const cost = this.estimateCost(response.model, usage);
+
+        this.record(this.usage.total, usage, cost);
+        this.record(this.usage.byTask[task] = this.usage.byTask[task] || emptyUsage(), usage, cost);
+        this.record(this.usage.byModel[response.model] = this.usage.byModel[response.model] || emptyUsage(), usage, cost);
+
+        return { text: response.text, model: response.model, stopReason: response.stopReason, usage, cost };
+    }
+
+    /**
+     * Submit requests as one Message Batch: requests = [{ customId, task, system, messages }]
+     * Resolves to { id, status, counts, resultsUrl, endedAt }
+     */
+    async submitBatch(requests) {
+        this.requireBatches();
+        return await this.provider.createBatch(requests.map(request => ({
+            customId: request.customId,
+            task: request.task,
+            system: request.system,
+            messages: request.messages,
+            ...this.settingsFor(request.task)
+        })));
+    }
+
+    async getBatch(batchId) {
+        this.requireBatches();
+        return await this.provider.retrieveBatch(batchId);
+    }
+
+    /**
+     * Results of an ended batch, with usage accounted at the batch price.
+     * tasks maps customId → task (results do not carry it)
+     */
+    async getBatchResults(batch, tasks = {}) {
+        this.requireBatches();
+        const results = await this.provider.batchResults(batch);
+
+        return results.map(result => {
+            if (result.type !== 'succeeded') return result;
+
+            const task = tasks[result.customId] || 'batch';
+            const usage = { inputTokens: result.inputTokens, outputTokens: result.outputTokens };
+            const cost = this.estimateCost(result.model, usage, { batch: true });
+
+            this.record(this.usage.total, usage, cost);
+            this.record(this.usage.byTask[task] = this.usage.byTask[task] || emptyUsage(), usage, cost);
+            this.record(this.usage.byModel[result.model] = this.usage.byModel[result.model] || emptyUsage(), usage, cost);
+
+            return { customId: result.customId, type: 'succeeded', text: result.text, model: result.model, stopReason: result.stopReason, usage, cost };
+        });
+    }
+
+    requireBatches() {
+        if (typeof this.provider.createBatch !== 'function') {
+            throw new Error(`LLM provider "${this.provider.name}" does not support message batches`);
+        }
+    }
+
+    /**
+     * USD for a call from its token counts (null when the model has no pricing)
+     */
+    estimateCost(model, { inputTokens, outputTokens }, options = {}) {
+        const price = this.pricing[model];
+        if (!price) return null;
+        return (inputTokens * price.input + outputTokens * price.output) / 1000000 *
+            (options.batch ? BATCH_PRICE_FACTOR : 1);
+    }
+
+    record(bucket, usage, cost) {
+        bucket.calls++;
+        bucket.inputTokens += usage.inputTokens;
+        bucket.outputTokens += usage.outputTokens;
+        if (cost === null) {
+            bucket.unpricedCalls++;
+        } else {
+            bucket.cost += cost;
+        }
+    }
+
+    resetUsage() {
+        this.usage = { total: emptyUsage(), byTask: {}, byModel: {} };
+    }
+
+    /**
+     * Token and cost totals since the client was created (one pipeline run)
+     */
+    getUsageReport() {
+        return {
+            provider: this.provider.name,
+            ...this.usage.total,
+            estimatedCost: this.usage.total.cost,
+            byTask: JSON.parse(JSON.stringify(this.usage.byTask)),
+            byModel: JSON.parse(JSON.stringify(this.usage.byModel))
+        };
+    }
+}
+
+/**
+ * Usage report with no calls, for analyzers running without an LLM client (ANALYSIS_ENGINE=engine)
+ */
+function emptyUsageReport(provider = 'none') {
+    return { provider, ...emptyUsage(), estimatedCost: 0, byTask: {}, byModel: {} };
+}
+
+/**
+ * One-line summary of a usage report for run logs
+ */
+function formatUsageReport(report) {
+    const tasks = Object.entries(report.byTask).map(([task, usage]) => `${task} ${usage.calls}`);
+    return `${report.calls} calls (${tasks.join(', ') || 'none'}), ` +
+        `${report.inputTokens.toLocaleString()} in / ${report.outputTokens.toLocaleString()} out tokens, ` +
+        `~$${report.estimatedCost.toFixed(4)}` +
+        (report.unpricedCalls > 0 ? ` (+${report.unpricedCalls} calls on unpriced models)` : '');
+}
+
+/**
+ * LLM client from options, the LLM_CONFIG file and env
+ * @param {Object} options - { provider, apiKey, http, tasks, pricing, responses, respond, config }
+ */
+function createLLMClient(options = {}) {
+    const config = options.config || readJsonFile(process.env.LLM_CONFIG, 'LLM_CONFIG');
+    const name = (options.provider || process.env.LLM_PROVIDER || config.provider || 'anthropic').toLowerCase();
+    const Provider = LLM_PROVIDERS[name];
+    if (!Provider) {
+        throw new Error(`Unknown LLM provider "${name}". Expected one of: ${Object.keys(LLM_PROVIDERS).join(', ')}`);
+    }
+
+    return new LLMClient(new Provider(options), {
+        tasks: resolveTaskSettings(config, options.tasks),
+        pricing: { ...(config.pricing || {}), ...(options.pricing || {}) }
+    });
+}
+
+module.exports = {
+    LLMClient,
+    AnthropicProvider,
+    MockProvider,
+    LLM_PROVIDERS,
+    LLM_TASKS,
+    MODEL_PRICING,
+    BATCH_PRICE_FACTOR,
+    createLLMClient,
+    resolveTaskSettings,
+    emptyUsageReport,
+    formatUsageReport
+};
@@ -0,0 +1,298 @@
+// migration-runner.js
+// MIGRATIONS - versioned up/down schema migrations for every storage backend
+//
+// migrations/NNN_name.sql creates a table (or change), migrations/NNN_name.down.sql reverts it.
+// Applied versions are recorded in schema_migrations, so each file runs once per database.
+//   node migration-runner.js migrate [--to=NNN]            # apply pending migrations
+//   node migration-runner.js status                        # applied / pending per migration
+//   node migration-runner.js rollback [--steps=N|--to=NNN] # revert the latest N (default 1), or back to NNN
+//   node migration-runner.js check                         # every written column exists in the schema
+// --backend=sqlite|supabase overrides STORAGE_BACKEND.
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const { createStorage, MIGRATIONS_DIR } = require('./storage.js');
+
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.sql$/;
+const DOWN_SUFFIX = '.down.sql';
+
+const SCHEMA_MIGRATIONS_SQL = `CREATE TABLE IF NOT EXISTS schema_migrations (
+    version text PRIMARY KEY,
+    name text NOT NULL,
+    applied_at timestamptz DEFAULT now()
+);`;
+
+/**
+ * Migration files in version order: [{ version, name, up, down }] (down is null without a .down.sql)
+ */
+function listMigrations(directory = MIGRATIONS_DIR) {
+    return fs.readdirSync(directory)
+        .filter(file => !file.endsWith(DOWN_SUFFIX))
+        .map(file => file.match(MIGRATION_FILE))
+        .filter(Boolean)
+        .map(([file, version, name]) => {
+            const down = path.join(directory, file.replace(/\.sql$/, DOWN_SUFFIX));
+            return {
+                version,
+                name,
+                up: path.join(directory, file),
+                down: fs.existsSync(down) ? down : null
+            };
+        })
+        .sort((a, b) => a.version.localeCompare(b.version));
+}
+
+function quote(value) {
+    return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+class MigrationRunner {
+    constructor(storage, options = {}) {
+        this.storage = storage;
+        this.directory = options.directory || storage.migrationsDir || MIGRATIONS_DIR;
+    }
+
+    async ensureTable() {
+        await this.storage.execSql(SCHEMA_MIGRATIONS_SQL);
+    }
+
+    /**
+     * Every migration with its applied state, plus versions recorded in the database with no file
+     */
+    async status() {
+        await this.ensureTable();
+        const applied = new Map((await this.storage.appliedMigrations()).map(row => [row.version, row]));
+        const migrations = listMigrations(this.directory).map(migration => ({
+            ...migration,
+            applied: applied.has(migration.version),
+            applied_at: applied.get(migration.version)?.applied_at || null
+        }));
+        const known = new Set(migrations.map(migration => migration.version));
+        const orphaned = [...applied.values()].filter(row => !known.has(row.version));
+
+        return { migrations, orphaned };
+    }
+
+    /**
+     * Apply pending migrations in order, up to and including options.to
+     */
+    async migrate(options = {}) {
+        const { migrations } = await this.status();
+        const pending = migrations.filter(migration =>
+            !migration.applied && (!options.to || migration.version <= options.to));
+        const applied = [];
+
+        for (const migration of pending) {
+            // The migration and its schema_migrations row go in one call, so a failure records nothing
+            const sql = `${fs.readFileSync(migration.up, 'utf8')}\n` +
+                `INSERT INTO schema_migrations (version, name) VALUES (${quote(migration.version)}, ${quote(migration.name)});`;
+            try {
+                await this.storage.execSql(sql);
+            } catch (error) {
+                throw migrationError(migration, 'apply', error);
+            }
+            applied.push(migration.version);
+        }
+
+        return { applied };
+    }
+
+    /**
+     * Revert applied migrations newest first: the latest options.steps (default 1), or all above options.to
+     */
+    async rollback(options = {}) {
+        const { migrations } = await this.status();
+        const applied = migrations.filter(migration => migration.applied).reverse();
+        const targets = options.to
+            ? applied.filter(migration => migration.version > options.to)
+            : applied.slice(0, options.steps === undefined ? 1 : options.steps);
+        const rolledBack = [];
+
+        for (const migration of targets) {
+            if (!migration.down) {
+                throw new Error(`Migration ${migration.version}_${migration.name} has no ${DOWN_SUFFIX} file to roll back with`);
+            }
+            const sql = `${fs.readFileSync(migration.down, 'utf8')}\n` +
+                `DELETE FROM schema_migrations WHERE version = ${quote(migration.version)};`;
+            try {
+                await this.storage.execSql(sql);
+            } catch (error) {
+                throw migrationError(migration, 'roll back', error);
+            }
+            rolledBack.push(migration.version);
+        }
+
+        return { rolledBack };
+    }
+}
+
+function migrationError(migration, action, error) {
+    const wrapped = new Error(`Failed to ${action} migration ${migration.version}_${migration.name}: ${error.message}`);
+    wrapped.migration = migration.version;
+    wrapped.cause = error;
+    return wrapped;
+}
+
+/**
+ * Rows the pipelines write, captured by running their save methods against a recording storage
+ */
+async function captureWrittenRows() {
+    const ClaudePoweredRentalsSystem = require('./claude-powered-rentals-system.js');
+    const ClaudePoweredSalesSystem = require('./claude-powered-sales-system.js');
+    const writes = [];
+    const storage = {
+        from: table => ({
+            upsert: row => {
+                writes.push({ table, row });
+                return Promise.resolve({ data: null, error: null });
+            }
+        })
+    };
+    const property = {
+        id: 4521001, address: '327 E 12th St #4B', zipcode: '10003', price: 2450, bedrooms: 1, bathrooms: 1,
+        sqft: 550, builtIn: 1920, amenities: ['laundry'], percentBelowMarket: 21, estimatedMarketRent: 3100,
+        estimatedMarketPrice: 960000, potentialSavings: 650, rentStabilizedProbability: 80,
+        undervaluationConfidence: 70, comparablesUsed: 5, propertyType: 'condo'
+    };
+
+    const rentals = new ClaudePoweredRentalsSystem({ storage, listingSourceName: 'fixture' });
+    await rentals.saveToRentStabilizedTable(property, 'east-village');
+    const sales = new ClaudePoweredSalesSystem({ storage, listingSourceName: 'fixture' });
+    await sales.saveToUndervaluedSalesTable({ ...property, price: 849000 }, 'east-village');
+
+    return writes.map(({ table, row }) => ({
+        table,
+        source: table === 'undervalued_sales' ? 'saveToUndervaluedSalesTable' : 'saveToRentStabilizedTable',
+        columns: Object.keys(row)
+    }));
+}
+
+/**
+ * Tables named in .from(...) calls across the code (tests excluded)
+ */
+function referencedTables(root = __dirname) {
+    const files = fs.readdirSync(root)
+        .filter(file => file.endsWith('.js') && !file.startsWith('test-') && file !== 'storage.js')
+        .map(file => path.join(root, file));
+    const apiDir = path.join(root, 'api');
+    if (fs.existsSync(apiDir)) {
+        files.push(...fs.readdirSync(apiDir).filter(file => file.endsWith('.js')).map(file => path.join(apiDir, file)));
+    }
+
+    const tables = new Map();
+    for (const file of files) {
+        for (const [, table] of fs.readFileSync(file, 'utf8').matchAll(/\.from\(\s*'(\w+)'\s*\)/g)) {
+            if (!tables.has(table)) tables.set(table, new Set());
+            tables.get(table).add(path.relative(root, file));
+        }
+    }
+    return tables;
+}
+
+/**
+ * Build the schema from the migrations in memory and report tables and columns the code writes
+ * that it does not define. Generated columns are not writable, so they count as missing.
+ */
+async function checkSchema(options = {}) {
+    const storage = createStorage({
+        backend: 'sqlite',
+        filename: ':memory:',
+        migrationsDir: options.directory,
+        autoMigrate: false
+    });
+
+    try {
+        await storage.migrate();
+        const db = storage.db;
+        const columnsOf = table => new Set(db.prepare(`PRAGMA table_info("${table}")`).all().map(column => column.name));
+        const problems = [];
+
+        for (const [table, files] of referencedTables(options.root)) {
+            if (columnsOf(table).size === 0) {
+                problems.push(`Table ${table} (used in ${[...files].join(', ')}) has no migration`);
+            }
+        }
+
+        for (const { table, source, columns } of await captureWrittenRows()) {
+            const defined = columnsOf(table);
+            columns.filter(column => !defined.has(column)).forEach(column =>
+                problems.push(`Column ${table}.${column} (written by ${source}) is not in the schema`));
+        }
+
+        return { ok: problems.length === 0, problems };
+    } finally {
+        storage.close();
+    }
+}
+
+function parseArgs(argv) {
+    const flags = {};
+    argv.filter(arg => arg.startsWith('--')).forEach(arg => {
+        const [key, value] = arg.slice(2).split('=');
+        flags[key] = value === undefined ? true : value;
+    });
+    return { command: argv.find(arg => !arg.startsWith('--')) || 'status', flags };
+}
+
+async function main() {
+    const { command, flags } = parseArgs(process.argv.slice(2));
+
+    if (command === 'check') {
+        const { ok, problems } = await checkSchema();
+        if (ok) {
+            console.log('✅ Schema check passed: every table and written column has a migration');
+            return;
+        }
+        console.log(`❌ Schema check found ${problems.length} problem(s):`);
+        problems.forEach(problem => console.log(`   • ${problem}`));
+        process.exitCode = 1;
+        return;
+    }
+
+    const storage = createStorage({ backend: flags.backend, autoMigrate: false });
+    const runner = new MigrationRunner(storage);
+    console.log(`🗄️ Storage backend: ${storage.backend}`);
+
+    try {
+        if (command === 'migrate') {
+            const { applied } = await runner.migrate({ to: flags.to });
+            console.log(applied.length > 0
+                ? `✅ Applied migrations: ${applied.join(', ')}`
+                : '✅ Schema up to date, no pending migrations');
+        } else if (command === 'rollback') {
+            const steps = flags.steps === undefined ? undefined : parseInt(flags.steps);
+            const { rolledBack } = await runner.rollback({ steps, to: flags.to });
+            console.log(rolledBack.length > 0
+                ? `↩️ Rolled back migrations: ${rolledBack.join(', ')}`
+                : '✅ Nothing to roll back');
+        } else if (command === 'status') {
+            const { migrations, orphaned } = await runner.status();
+            migrations.forEach(migration => console.log(migration.applied
+                ? `   ✅ ${migration.version}_${migration.name} (applied ${migration.applied_at})`
+                : `   ⏳ ${migration.version}_${migration.name} (pending)`));
+            orphaned.forEach(row => console.log(`   ⚠️ ${row.version}_${row.name} applied, but its file is missing`));
+            const pending = migrations.filter(migration => !migration.applied).length;
+            console.log(`\n📊 ${migrations.length - pending} applied, ${pending} pending`);
+        } else {
+            console.log('Usage: node migration-runner.js migrate [--to=NNN] | status | rollback [--steps=N|--to=NNN] | check');
+            process.exitCode = 1;
+        }
+    } finally {
+        if (storage.close) storage.close();
+    }
+}
+
+module.exports = MigrationRunner;
+module.exports.MigrationRunner = MigrationRunner;
+module.exports.listMigrations = listMigrations;
+module.exports.checkSchema = checkSchema;
+module.exports.SCHEMA_MIGRATIONS_SQL = SCHEMA_MIGRATIONS_SQL;
+
+// Run the script (after the exports - storage.migrate() requires this module back)
+if (require.main === module) {
+    main().catch(error => {
+        console.error('💥 Migration failed:', error.message);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,5 @@
+-- 001_listings.down.sql
+-- Reverts 001_listings.sql
+
+DROP TABLE IF EXISTS scrape_runs;
+DROP TABLE IF EXISTS listings;
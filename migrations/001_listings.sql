@@ -0,0 +1,47 @@
+-- 001_listings.sql
+-- Undervalued listings (supabase-integration.js, hybrid-supabase-integration.js) and daily scrape runs
+
+CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+
+CREATE TABLE IF NOT EXISTS listings (
+    id uuid DEFAULT uuid_generate_v4() PRIMARY KEY,
+    address text,
+    price text,
+    beds text,
+    sqft text,
+    zip text,
+    link text,
+    score int,
+    percent_below_market real,
+    warning_tags text[] DEFAULT '{}',
+    created_at timestamptz DEFAULT now(),
+
+    -- Hybrid analysis fields
+    expected_price real,
+    days_on_market int,
+    distress_signals text[] DEFAULT '{}',
+    comparison_level text,
+    reasoning text,
+    has_description boolean DEFAULT false,
+    description_snippet text,
+    analysis_date timestamptz DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS scrape_runs (
+    id uuid DEFAULT uuid_generate_v4() PRIMARY KEY,
+    run_date timestamptz DEFAULT now(),
+    locations_count int,
+    total_listings_analyzed int,
+    undervalued_found int,
+    new_listings_added int,
+    duration_minutes int,
+    errors jsonb,
+    created_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_listings_score ON listings(score DESC);
+CREATE INDEX IF NOT EXISTS idx_listings_zip ON listings(zip);
+CREATE INDEX IF NOT EXISTS idx_listings_created_at ON listings(created_at);
+CREATE INDEX IF NOT EXISTS idx_listings_analysis_date ON listings(analysis_date);
+CREATE INDEX IF NOT EXISTS idx_listings_percent_below ON listings(percent_below_market DESC);
+CREATE INDEX IF NOT EXISTS idx_listings_has_description ON listings(has_description);
@@ -0,0 +1,5 @@
+-- 002_market_analysis.down.sql
+-- Reverts 002_market_analysis.sql
+
+DROP TABLE IF EXISTS analysis_runs;
+DROP TABLE IF EXISTS market_analysis;
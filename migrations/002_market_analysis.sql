@@ -0,0 +1,31 @@
+-- 002_market_analysis.sql
+-- Weekly hybrid analysis: market averages snapshots and run summaries (hybrid-supabase-integration.js)
+
+CREATE TABLE IF NOT EXISTS market_analysis (
+    id uuid DEFAULT uuid_generate_v4() PRIMARY KEY,
+    analysis_date timestamptz DEFAULT now(),
+    analysis_type text,
+    city_averages jsonb,
+    zip_averages jsonb,
+    neighborhood_averages jsonb,
+    total_cities int,
+    total_zips int,
+    total_neighborhoods int
+);
+
+CREATE TABLE IF NOT EXISTS analysis_runs (
+    id uuid DEFAULT uuid_generate_v4() PRIMARY KEY,
+    run_date timestamptz DEFAULT now(),
+    analysis_type text,
+    criteria jsonb,
+    total_properties_analyzed int,
+    undervalued_found int,
+    new_listings_added int,
+    descriptions_enhanced int,
+    duration_minutes int,
+    errors jsonb,
+    completed boolean DEFAULT true
+);
+
+CREATE INDEX IF NOT EXISTS idx_market_analysis_date ON market_analysis(analysis_date);
+CREATE INDEX IF NOT EXISTS idx_analysis_runs_date ON analysis_runs(run_date);
@@ -0,0 +1,5 @@
+-- 003_rent_stabilized_buildings.down.sql
+-- Reverts 003_rent_stabilized_buildings.sql
+
+DROP TABLE IF EXISTS rent_stabilized_building_history;
+DROP TABLE IF EXISTS rent_stabilized_buildings;
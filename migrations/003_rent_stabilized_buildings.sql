@@ -0,0 +1,45 @@
+-- 003_rent_stabilized_buildings.sql
+-- DHCR registered buildings (dhcr-ingestion.js and the converters) and one history row per registry year
+
+CREATE TABLE IF NOT EXISTS rent_stabilized_buildings (
+    id bigserial PRIMARY KEY,
+    address text NOT NULL,
+    normalized_address text NOT NULL,
+    borough text NOT NULL,
+    zipcode text,
+    address_ranges jsonb,
+    status1 text,
+    status2 text,
+    status3 text,
+    block text,
+    lot text,
+    bbl text,
+    building_id text,
+    unit_count int,
+    registration_id text,
+    registry_year int,
+    registered_years int[] DEFAULT '{}',
+    first_registered_year int,
+    last_registered_year int,
+    dhcr_source text,
+    confidence_score int,
+    verification_status text DEFAULT 'unverified',
+    parsed_at timestamptz,
+    created_at timestamptz DEFAULT now(),
+    UNIQUE (normalized_address, borough)
+);
+
+CREATE TABLE IF NOT EXISTS rent_stabilized_building_history (
+    id bigserial PRIMARY KEY,
+    building_key text NOT NULL,
+    registry_year int NOT NULL,
+    normalized_address text,
+    borough text,
+    bbl text,
+    statuses text[] DEFAULT '{}',
+    created_at timestamptz DEFAULT now(),
+    UNIQUE (building_key, registry_year)
+);
+
+CREATE INDEX IF NOT EXISTS idx_rent_stabilized_buildings_bbl ON rent_stabilized_buildings(bbl);
+CREATE INDEX IF NOT EXISTS idx_rent_stabilized_buildings_zipcode ON rent_stabilized_buildings(zipcode);
@@ -0,0 +1,4 @@
+-- 004_rental_market_cache.down.sql
+-- Reverts 004_rental_market_cache.sql
+
+DROP TABLE IF EXISTS rental_market_cache;
@@ -0,0 +1,29 @@
+-- 004_rental_market_cache.sql
+-- Every rental seen in a StreetEasy search, so unchanged listings are not re-fetched or re-analyzed
+
+CREATE TABLE IF NOT EXISTS rental_market_cache (
+    id bigserial PRIMARY KEY,
+    listing_id text NOT NULL UNIQUE,
+    address text,
+    neighborhood text,
+    borough text,
+    zipcode text,
+    monthly_rent int,
+    bedrooms numeric,
+    bathrooms numeric,
+    sqft int,
+    property_type text,
+    amenities text[] DEFAULT '{}',
+    description text,
+    no_fee boolean DEFAULT false,
+    built_in int,
+    market_status text DEFAULT 'pending',
+    times_seen int DEFAULT 1,
+    last_seen_in_search timestamptz DEFAULT now(),
+    last_checked timestamptz DEFAULT now(),
+    last_analyzed timestamptz,
+    created_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_rental_market_cache_neighborhood ON rental_market_cache(neighborhood, market_status);
+CREATE INDEX IF NOT EXISTS idx_rental_market_cache_last_seen ON rental_market_cache(last_seen_in_search);
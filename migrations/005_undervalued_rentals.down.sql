@@ -0,0 +1,4 @@
+-- 005_undervalued_rentals.down.sql
+-- Reverts 005_undervalued_rentals.sql
+
+DROP TABLE IF EXISTS undervalued_rentals;
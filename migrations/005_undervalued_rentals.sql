@@ -0,0 +1,65 @@
+-- 005_undervalued_rentals.sql
+-- Rentals priced below market (claude-powered-rentals-system.js, biweekly-streeteasy-rentals.js, api/search.js)
+
+CREATE TABLE IF NOT EXISTS undervalued_rentals (
+    id bigserial PRIMARY KEY,
+    listing_id text NOT NULL UNIQUE,
+    address text,
+    neighborhood text,
+    borough text,
+    zipcode text,
+
+    -- Pricing analysis
+    monthly_rent int,
+    discount_percent numeric(5,1),
+    potential_monthly_savings int,
+    annual_savings int,
+    rent_per_sqft numeric(10,2),
+
+    -- Property details
+    bedrooms int,
+    bathrooms numeric,
+    sqft int,
+    property_type text,
+    no_fee boolean DEFAULT false,
+    available_from timestamptz,
+    built_in int,
+
+    -- Building features
+    doorman_building boolean DEFAULT false,
+    elevator_building boolean DEFAULT false,
+    pet_friendly boolean DEFAULT false,
+    laundry_available boolean DEFAULT false,
+    gym_available boolean DEFAULT false,
+    rooftop_access boolean DEFAULT false,
+
+    -- Media and description
+    images jsonb DEFAULT '[]',
+    image_count int DEFAULT 0,
+    primary_image text,
+    instagram_ready_images jsonb,
+    description text,
+    amenities text[] DEFAULT '{}',
+    amenity_count int DEFAULT 0,
+
+    -- Analysis results
+    score int,
+    grade text,
+    deal_quality text,
+    reasoning text,
+    comparison_group text,
+    comparison_method text,
+    reliability_score int,
+
+    -- Status
+    status text DEFAULT 'active',
+    likely_rented boolean DEFAULT false,
+    rented_detected_at timestamptz,
+    last_seen_in_search timestamptz DEFAULT now(),
+    times_seen_in_search int DEFAULT 1,
+    analysis_date timestamptz DEFAULT now(),
+    created_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_undervalued_rentals_search ON undervalued_rentals(neighborhood, status, discount_percent DESC);
+CREATE INDEX IF NOT EXISTS idx_undervalued_rentals_created_at ON undervalued_rentals(created_at);
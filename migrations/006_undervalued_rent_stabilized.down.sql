@@ -0,0 +1,4 @@
+-- 006_undervalued_rent_stabilized.down.sql
+-- Reverts 006_undervalued_rent_stabilized.sql
+
+DROP TABLE IF EXISTS undervalued_rent_stabilized;
@@ -0,0 +1,90 @@
+-- 006_undervalued_rent_stabilized.sql
+-- Likely rent-stabilized rentals with their undervaluation analysis (saveToRentStabilizedTable)
+
+CREATE TABLE IF NOT EXISTS undervalued_rent_stabilized (
+    id bigserial PRIMARY KEY,
+    listing_id text NOT NULL UNIQUE,
+    listing_url text,
+    address text,
+    neighborhood text,
+    borough text,
+    zip_code text,
+
+    -- Pricing analysis
+    monthly_rent int,
+    estimated_market_rent int,
+    undervaluation_percent numeric(5,1),
+    potential_monthly_savings int,
+    potential_annual_savings int GENERATED ALWAYS AS (potential_monthly_savings * 12) STORED,
+
+    -- Property details
+    bedrooms int,
+    bathrooms int,
+    sqft int,
+    description text,
+    amenities text[] DEFAULT '{}',
+    building_amenities text[] DEFAULT '{}',
+    building_type text,
+    year_built int,
+    total_units_in_building int,
+    broker_fee text,
+    available_date date,
+
+    -- Rental terms
+    lease_term text,
+    pet_policy text,
+    broker_name text,
+    broker_phone text,
+    broker_email text,
+    listing_agent text,
+
+    -- Scores
+    street_easy_score int,
+    walk_score int,
+    transit_score int,
+
+    -- Media
+    images jsonb DEFAULT '[]',
+    virtual_tour_url text,
+    floor_plan_url text,
+
+    -- Rent stabilization
+    rent_stabilized_confidence int DEFAULT 0,
+    rent_stabilized_method text,
+    rent_stabilization_analysis jsonb,
+
+    -- Undervaluation
+    undervaluation_method text,
+    undervaluation_confidence int DEFAULT 0,
+    comparables_used int DEFAULT 1,
+    undervaluation_analysis text,
+
+    -- Scoring and ranking
+    deal_quality_score int,
+    ranking_in_neighborhood int,
+    neighborhood_median_rent int,
+    comparable_properties_in_area int,
+    risk_factors text[] DEFAULT '{}',
+    opportunity_score int,
+
+    -- Status and metadata
+    display_status text DEFAULT 'active',
+    admin_notes text,
+    tags text[] DEFAULT '{}',
+    market_classification text,
+    deal_quality text,
+    likely_rented boolean DEFAULT false,
+    rented_detected_at timestamptz,
+    last_seen_in_search timestamptz DEFAULT now(),
+    times_seen_in_search int DEFAULT 1,
+
+    -- Timestamps
+    discovered_at timestamptz DEFAULT now(),
+    analyzed_at timestamptz DEFAULT now(),
+    last_verified timestamptz,
+    analysis_date timestamptz DEFAULT now(),
+    created_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_undervalued_rent_stabilized_neighborhood ON undervalued_rent_stabilized(neighborhood, display_status);
+CREATE INDEX IF NOT EXISTS idx_undervalued_rent_stabilized_confidence ON undervalued_rent_stabilized(rent_stabilized_confidence DESC);
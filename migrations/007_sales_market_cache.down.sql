@@ -0,0 +1,4 @@
+-- 007_sales_market_cache.down.sql
+-- Reverts 007_sales_market_cache.sql
+
+DROP TABLE IF EXISTS sales_market_cache;
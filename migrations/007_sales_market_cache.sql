@@ -0,0 +1,37 @@
+-- 007_sales_market_cache.sql
+-- Every sale seen in a StreetEasy search, so unchanged listings are not re-fetched or re-analyzed
+
+CREATE TABLE IF NOT EXISTS sales_market_cache (
+    id bigserial PRIMARY KEY,
+    listing_id text NOT NULL UNIQUE,
+    address text,
+    neighborhood text,
+    borough text,
+    zipcode text,
+    sale_price bigint,
+    price bigint,
+    bedrooms numeric,
+    bathrooms numeric,
+    sqft int,
+    property_type text,
+    amenities text[] DEFAULT '{}',
+    description text,
+    built_in int,
+    monthly_hoa numeric,
+    monthly_tax numeric,
+    ppsqft numeric,
+    latitude numeric,
+    longitude numeric,
+    images jsonb DEFAULT '[]',
+    agents jsonb DEFAULT '[]',
+    building_info jsonb DEFAULT '{}',
+    market_status text DEFAULT 'pending',
+    times_seen int DEFAULT 1,
+    last_seen_in_search timestamptz DEFAULT now(),
+    last_checked timestamptz DEFAULT now(),
+    last_analyzed timestamptz,
+    created_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_sales_market_cache_neighborhood ON sales_market_cache(neighborhood, market_status);
+CREATE INDEX IF NOT EXISTS idx_sales_market_cache_last_seen ON sales_market_cache(last_seen_in_search);
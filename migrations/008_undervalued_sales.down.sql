@@ -0,0 +1,4 @@
+-- 008_undervalued_sales.down.sql
+-- Reverts 008_undervalued_sales.sql
+
+DROP TABLE IF EXISTS undervalued_sales;
@@ -0,0 +1,77 @@
+-- 008_undervalued_sales.sql
+-- Sales priced below market (saveToUndervaluedSalesTable, api/search.js)
+
+CREATE TABLE IF NOT EXISTS undervalued_sales (
+    id bigserial PRIMARY KEY,
+    listing_id text NOT NULL UNIQUE,
+    listing_url text,
+    address text,
+    neighborhood text,
+    borough text,
+    zipcode text,
+
+    -- Pricing analysis
+    price bigint,
+    estimated_market_price bigint,
+    discount_percent numeric(5,2),
+    potential_savings bigint,
+    investor_plan_property text,
+    price_per_sqft numeric(10,2),
+    market_price_per_sqft numeric(10,2),
+    ppsqft numeric(10,2),
+
+    -- Property details
+    bedrooms int,
+    bathrooms numeric(3,1),
+    sqft int,
+    property_type text,
+    listed_at timestamptz,
+    days_on_market int,
+    monthly_hoa numeric(10,2),
+    monthly_tax numeric(10,2),
+
+    -- Building info
+    built_in int,
+    latitude numeric(11,8),
+    longitude numeric(11,8),
+    building_id text,
+    building_info jsonb DEFAULT '{}',
+    agents jsonb DEFAULT '[]',
+
+    -- Media and description
+    images jsonb DEFAULT '[]',
+    image_count int DEFAULT 0,
+    primary_image text,
+    instagram_ready_images jsonb,
+    videos jsonb DEFAULT '[]',
+    floorplans jsonb DEFAULT '[]',
+    description text,
+    amenities text[] DEFAULT '{}',
+    amenity_count int DEFAULT 0,
+
+    -- Analysis results
+    score int,
+    grade text,
+    deal_quality text,
+    reasoning text,
+    investment_reasoning text,
+    consumer_reasoning text,
+    comparison_group text,
+    comparison_method text,
+    reliability_score int,
+    undervaluation_category text,
+    undervaluation_phrases text[] DEFAULT '{}',
+    category_confidence int,
+
+    -- Status
+    status text DEFAULT 'active',
+    likely_sold boolean DEFAULT false,
+    sold_detected_at timestamptz,
+    last_seen_in_search timestamptz DEFAULT now(),
+    times_seen_in_search int DEFAULT 1,
+    analysis_date timestamptz DEFAULT now(),
+    created_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_undervalued_sales_search ON undervalued_sales(neighborhood, status, discount_percent DESC);
+CREATE INDEX IF NOT EXISTS idx_undervalued_sales_created_at ON undervalued_sales(created_at);
@@ -0,0 +1,4 @@
+-- 009_ai_agent_fetches.down.sql
+-- Reverts 009_ai_agent_fetches.sql
+
+DROP TABLE IF EXISTS ai_agent_fetches;
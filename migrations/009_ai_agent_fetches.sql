@@ -0,0 +1,30 @@
+-- 009_ai_agent_fetches.sql
+-- One row per API smart-search job (api-server.js createFetchRecord / updateFetchRecord)
+
+CREATE TABLE IF NOT EXISTS ai_agent_fetches (
+    id bigserial PRIMARY KEY,
+    job_id text NOT NULL UNIQUE,
+    neighborhood text,
+    property_type text,
+    bedrooms int,
+    bathrooms numeric,
+    min_price bigint,
+    max_price bigint,
+    undervaluation_threshold numeric,
+    max_listings int,
+    no_fee boolean DEFAULT false,
+    status text DEFAULT 'processing',
+    used_cache_only boolean DEFAULT false,
+    cache_hits int DEFAULT 0,
+    cache_properties_returned int DEFAULT 0,
+    streeteasy_api_calls int DEFAULT 0,
+    streeteasy_properties_fetched int DEFAULT 0,
+    total_properties_found int DEFAULT 0,
+    processing_duration_ms int,
+    error_message text,
+    started_at timestamptz DEFAULT now(),
+    completed_at timestamptz,
+    created_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_ai_agent_fetches_started_at ON ai_agent_fetches(started_at);
@@ -0,0 +1,4 @@
+-- 010_bi_weekly_analysis_runs.down.sql
+-- Reverts 010_bi_weekly_analysis_runs.sql
+
+DROP TABLE IF EXISTS bi_weekly_analysis_runs;
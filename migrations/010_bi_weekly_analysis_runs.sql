@@ -0,0 +1,24 @@
+-- 010_bi_weekly_analysis_runs.sql
+-- Run summaries of the legacy bi-weekly StreetEasy scrapers (biweekly-streeteasy-rentals.js)
+
+CREATE TABLE IF NOT EXISTS bi_weekly_analysis_runs (
+    id bigserial PRIMARY KEY,
+    run_date timestamptz DEFAULT now(),
+    analysis_type text,
+    neighborhoods_processed int,
+    total_active_listings int,
+    total_details_attempted int,
+    total_details_fetched int,
+    undervalued_found int,
+    saved_to_database int,
+    api_calls_used int,
+    api_calls_saved int DEFAULT 0,
+    cache_hit_rate numeric,
+    listings_marked_rented int DEFAULT 0,
+    duration_minutes int,
+    detailed_stats jsonb,
+    errors jsonb,
+    completed boolean DEFAULT true
+);
+
+CREATE INDEX IF NOT EXISTS idx_bi_weekly_analysis_runs_type_date ON bi_weekly_analysis_runs(analysis_type, run_date);
@@ -0,0 +1,4 @@
+-- 011_claude_analysis_cache.down.sql
+-- Reverts 011_claude_analysis_cache.sql
+
+DROP TABLE IF EXISTS claude_analysis_cache;
@@ -0,0 +1,19 @@
+-- 011_claude_analysis_cache.sql
+-- Validated Claude analyses keyed by a hash of the listing fields and comparable set they were made
+-- from (analysis-cache.js), so unchanged listings are not sent to Claude again
+
+CREATE TABLE IF NOT EXISTS claude_analysis_cache (
+    cache_key text PRIMARY KEY,
+    analysis_type text NOT NULL,
+    listing_id text,
+    neighborhood text,
+    model text,
+    analysis jsonb NOT NULL,
+    hit_count int DEFAULT 0,
+    last_hit_at timestamptz,
+    expires_at timestamptz NOT NULL,
+    created_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_claude_analysis_cache_listing ON claude_analysis_cache(listing_id);
+CREATE INDEX IF NOT EXISTS idx_claude_analysis_cache_expires ON claude_analysis_cache(expires_at);
@@ -0,0 +1,4 @@
+-- 012_claude_batch_jobs.down.sql
+-- Reverts 012_claude_batch_jobs.sql
+
+DROP TABLE IF EXISTS claude_batch_jobs;
@@ -0,0 +1,18 @@
+-- 012_claude_batch_jobs.sql
+-- Message Batches submitted by claude-batch-runner.js, kept until their results are collected so a
+-- restarted run resumes polling instead of paying for the same batch twice
+
+CREATE TABLE IF NOT EXISTS claude_batch_jobs (
+    batch_id text PRIMARY KEY,
+    provider text,
+    neighborhood text,
+    analysis_type text NOT NULL,
+    status text DEFAULT 'in_progress',
+    request_count int,
+    requests jsonb NOT NULL,
+    created_at timestamptz DEFAULT now(),
+    ended_at timestamptz,
+    collected_at timestamptz
+);
+
+CREATE INDEX IF NOT EXISTS idx_claude_batch_jobs_pending ON claude_batch_jobs(analysis_type, neighborhood, status);
@@ -0,0 +1,4 @@
+-- 013_api_jobs.down.sql
+-- Reverts 013_api_jobs.sql
+
+DROP TABLE IF EXISTS api_jobs;
@@ -0,0 +1,27 @@
+-- 013_api_jobs.sql
+-- Durable API job queue (job-queue.js): smart-search jobs, their progress and results survive a
+-- restart instead of living in SmartCacheFirstAPI's in-memory Maps
+
+CREATE TABLE IF NOT EXISTS api_jobs (
+    job_id text PRIMARY KEY,
+    type text NOT NULL,
+    status text NOT NULL DEFAULT 'queued',
+    params jsonb,
+    progress int DEFAULT 0,
+    message text,
+    meta jsonb,
+    result jsonb,
+    error text,
+    attempts int DEFAULT 0,
+    max_attempts int DEFAULT 3,
+    worker_id text,
+    run_after timestamptz,
+    created_at timestamptz DEFAULT now(),
+    started_at timestamptz,
+    last_update timestamptz,
+    completed_at timestamptz,
+    expires_at timestamptz
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_jobs_queue ON api_jobs(status, run_after);
+CREATE INDEX IF NOT EXISTS idx_api_jobs_expires ON api_jobs(expires_at);
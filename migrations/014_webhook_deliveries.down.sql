@@ -0,0 +1,4 @@
+-- 014_webhook_deliveries.down.sql
+-- Reverts 014_webhook_deliveries.sql
+
+DROP TABLE IF EXISTS webhook_deliveries;
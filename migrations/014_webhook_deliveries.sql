@@ -0,0 +1,21 @@
+-- 014_webhook_deliveries.sql
+-- Every callbackUrl POST for a smart-search job (webhook-delivery.js), logged against the job's
+-- ai_agent_fetches row: one row per attempt, so failed deliveries and their retries can be traced
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id bigserial PRIMARY KEY,
+    fetch_id bigint REFERENCES ai_agent_fetches(id) ON DELETE CASCADE,
+    job_id text NOT NULL,
+    delivery_id text NOT NULL,
+    event text NOT NULL,
+    url text NOT NULL,
+    attempt int NOT NULL,
+    success boolean DEFAULT false,
+    status_code int,
+    error text,
+    duration_ms int,
+    attempted_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_job ON webhook_deliveries(job_id, attempt);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_fetch ON webhook_deliveries(fetch_id);
@@ -0,0 +1,5 @@
+-- 015_listing_price_history.down.sql
+-- Reverts 015_listing_price_history.sql
+
+DROP TABLE IF EXISTS listing_price_state;
+DROP TABLE IF EXISTS listing_price_events;
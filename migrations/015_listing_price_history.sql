@@ -0,0 +1,38 @@
+-- 015_listing_price_history.sql
+-- Append-only price history per listing (price-history.js): first seen, each price cut or raise,
+-- delisted, relisted and likely rented / sold. listing_price_state holds the latest known price and
+-- event per listing so a neighborhood search is compared without scanning the whole history.
+
+CREATE TABLE IF NOT EXISTS listing_price_events (
+    id bigserial PRIMARY KEY,
+    listing_id text NOT NULL,
+    listing_type text NOT NULL,
+    event_type text NOT NULL,
+    price bigint,
+    previous_price bigint,
+    change_amount bigint,
+    change_percent numeric,
+    neighborhood text,
+    address text,
+    source text,
+    observed_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_listing_price_events_listing ON listing_price_events(listing_id, listing_type, observed_at);
+CREATE INDEX IF NOT EXISTS idx_listing_price_events_type ON listing_price_events(listing_type, event_type, observed_at);
+
+CREATE TABLE IF NOT EXISTS listing_price_state (
+    listing_id text NOT NULL,
+    listing_type text NOT NULL,
+    neighborhood text,
+    address text,
+    first_seen_at timestamptz,
+    first_price bigint,
+    last_price bigint,
+    last_event_type text,
+    last_event_at timestamptz,
+    last_seen_at timestamptz,
+    PRIMARY KEY (listing_id, listing_type)
+);
+
+CREATE INDEX IF NOT EXISTS idx_listing_price_state_neighborhood ON listing_price_state(listing_type, neighborhood, last_event_type);
@@ -0,0 +1,4 @@
+-- 016_listing_fingerprints.down.sql
+-- Reverts 016_listing_fingerprints.sql
+
+DROP TABLE IF EXISTS listing_fingerprints;
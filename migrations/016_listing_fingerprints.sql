@@ -0,0 +1,30 @@
+-- 016_listing_fingerprints.sql
+-- Unit fingerprints for relisting detection (listing-dedup.js): normalized address, unit, layout
+-- and photo keys per listing ID. A new ID that matches a recently vanished one is linked to it -
+-- canonical_id is the unit's first incarnation, previous_listing_id / superseded_by chain the IDs.
+
+CREATE TABLE IF NOT EXISTS listing_fingerprints (
+    listing_id text NOT NULL,
+    listing_type text NOT NULL,
+    neighborhood text,
+    address text,
+    address_key text,
+    unit text,
+    bedrooms numeric,
+    bathrooms numeric,
+    sqft int,
+    photo_keys jsonb DEFAULT '[]',
+    listed_at timestamptz,
+    first_seen_at timestamptz DEFAULT now(),
+    last_seen_at timestamptz DEFAULT now(),
+    canonical_id text NOT NULL,
+    previous_listing_id text,
+    superseded_by text,
+    match_reason text,
+    linked_at timestamptz,
+    PRIMARY KEY (listing_id, listing_type)
+);
+
+CREATE INDEX IF NOT EXISTS idx_listing_fingerprints_address ON listing_fingerprints(listing_type, address_key);
+CREATE INDEX IF NOT EXISTS idx_listing_fingerprints_neighborhood ON listing_fingerprints(listing_type, neighborhood, last_seen_at);
+CREATE INDEX IF NOT EXISTS idx_listing_fingerprints_canonical ON listing_fingerprints(listing_type, canonical_id);
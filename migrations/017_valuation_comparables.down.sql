@@ -0,0 +1,4 @@
+-- 017_valuation_comparables.down.sql
+-- Reverts 017_valuation_comparables.sql
+
+DROP TABLE IF EXISTS valuation_comparables;
@@ -0,0 +1,26 @@
+-- 017_valuation_comparables.sql
+-- The comparable set behind each saved valuation (comparable-sets.js): hierarchy tier, every
+-- comparable's ID / price / layout, and each adjustment applied to the base value. One row per
+-- listing and type, replaced when the listing is re-analyzed.
+
+CREATE TABLE IF NOT EXISTS valuation_comparables (
+    listing_id text NOT NULL,
+    listing_type text NOT NULL,
+    neighborhood text,
+    analysis_table text,
+    tier text,
+    engine text,
+    actual_price bigint,
+    estimated_market_value bigint,
+    base_market_value bigint,
+    percent_below_market numeric,
+    comparable_count int DEFAULT 0,
+    median_price bigint,
+    median_price_per_sqft numeric,
+    comparables jsonb DEFAULT '[]',
+    adjustments jsonb DEFAULT '[]',
+    analyzed_at timestamptz DEFAULT now(),
+    PRIMARY KEY (listing_id, listing_type)
+);
+
+CREATE INDEX IF NOT EXISTS idx_valuation_comparables_neighborhood ON valuation_comparables(listing_type, neighborhood, analyzed_at);
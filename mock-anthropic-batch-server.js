@@ -0,0 +1,148 @@
+// mock-anthropic-batch-server.js
+// MOCK ANTHROPIC BATCH SERVER - local stand-in for the Messages and Message Batches endpoints
+//
+// Used by test-claude-batches.js: AnthropicProvider is pointed at it with baseUrl, so batch
+// submission, polling, JSONL results and the normal re-ask calls run over real HTTP without a key.
+//   POST /v1/messages                     → respond(params) as a message
+//   POST /v1/messages/batches             → new batch, in_progress
+//   GET  /v1/messages/batches/:id         → in_progress until polled pollsUntilEnded times, then ended
+//   GET  /v1/messages/batches/:id/results → JSONL, one { custom_id, result } per request
+//
+// respond(params, customId) returns the answer text (or an object, sent as JSON); throwing makes
+// that batch request "errored". customId is null for /v1/messages calls.
+
+const http = require('http');
+
+/**
+ * Start the server on a free port: resolves to { url, state, close() }
+ * @param {Object} options - { respond, pollsUntilEnded (default 1), port }
+ */
+function startMockBatchServer(options = {}) {
+    const respond = options.respond || (() => '{}');
+    const pollsUntilEnded = options.pollsUntilEnded ?? 1;
+    const state = {
+        batches: new Map(),     // id → { requests, polls, results }
+        created: [],            // batch ids in creation order
+        messageCalls: [],       // /v1/messages request bodies
+        polls: 0
+    };
+    let baseUrl = null;
+
+    function message(params, customId) {
+        const answer = respond(params, customId);
+        const text = typeof answer === 'string' ? answer : JSON.stringify(answer);
+        return {
+            id: `msg_mock_${Math.random().toString(36).slice(2, 10)}`,
+            type: 'message',
+            role: 'assistant',
+            model: params.model,
+            content: [{ type: 'text', text }],
+            stop_reason: 'end_turn',
+            usage: {
+                input_tokens: Math.ceil(JSON.stringify(params.messages).length / 4),
+                output_tokens: Math.ceil(text.length / 4)
+            }
+        };
+    }
+
+    function batchBody(id) {
+        const batch = state.batches.get(id);
+        const ended = batch.polls >= pollsUntilEnded;
+        const count = type => (ended ? batch.results.filter(entry => entry.result.type === type).length : 0);
+        return {
+            id,
+            type: 'message_batch',
+            processing_status: ended ? 'ended' : 'in_progress',
+            request_counts: {
+                processing: ended ? 0 : batch.requests.length,
+                succeeded: count('succeeded'),
+                errored: count('errored'),
+                canceled: 0,
+                expired: 0
+            },
+            created_at: batch.createdAt,
+            ended_at: ended ? new Date().toISOString() : null,
+            results_url: ended ? `${baseUrl}/v1/messages/batches/${id}/results` : null
+        };
+    }
+
+    function send(res, status, body, contentType = 'application/json') {
+        res.writeHead(status, { 'Content-Type': contentType });
+        res.end(typeof body === 'string' ? body : JSON.stringify(body));
+    }
+
+    function notFound(res, what) {
+        send(res, 404, { type: 'error', error: { type: 'not_found_error', message: `${what} not found` } });
+    }
+
+    const server = http.createServer((req, res) => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+            try {
+                const body = raw ? JSON.parse(raw) : null;
+                const [, id, results] = req.url.match(/^\/v1\/messages\/batches(?:\/([^/]+))?(\/results)?$/) || [];
+
+                if (req.method === 'POST' && req.url === '/v1/messages') {
+                    state.messageCalls.push(body);
+                    return send(res, 200, message(body, null));
+                }
+
+                if (req.method === 'POST' && req.url === '/v1/messages/batches') {
+                    const batchId = `msgbatch_mock_${state.created.length + 1}`;
+                    state.created.push(batchId);
+                    state.batches.set(batchId, {
+                        requests: body.requests,
+                        polls: 0,
+                        createdAt: new Date().toISOString(),
+                        results: body.requests.map(request => {
+                            try {
+                                return { custom_id: request.custom_id, result: { type: 'succeeded', message: message(request.params, request.custom_id) } };
+                            } catch (error) {
+                                return {
+                                    custom_id: request.custom_id,
+                                    result: { type: 'errored', error: { type: 'error', error: { type: 'api_error', message: error.message } } }
+                                };
+                            }
+                        })
+                    });
+                    return send(res, 200, batchBody(batchId));
+                }
+
+                if (req.method === 'GET' && id) {
+                    const batch = state.batches.get(id);
+                    if (!batch) return notFound(res, `Batch ${id}`);
+
+                    if (results) {
+                        if (batch.polls < pollsUntilEnded) return send(res, 400, { type: 'error', error: { type: 'invalid_request_error', message: 'Batch has not ended' } });
+                        return send(res, 200, batch.results.map(entry => JSON.stringify(entry)).join('\n') + '\n', 'application/x-jsonl');
+                    }
+
+                    batch.polls++;
+                    state.polls++;
+                    return send(res, 200, batchBody(id));
+                }
+
+                return notFound(res, `${req.method} ${req.url}`);
+            } catch (error) {
+                return send(res, 500, { type: 'error', error: { type: 'api_error', message: error.message } });
+            }
+        });
+    });
+
+    return new Promise(resolve => {
+        server.listen(options.port || 0, '127.0.0.1', () => {
+            baseUrl = `http://127.0.0.1:${server.address().port}`;
+            resolve({
+                url: baseUrl,
+                state,
+                close: () => new Promise(done => {
+                    server.close(done);
+                    server.closeAllConnections();   // axios keep-alive sockets would hold close() open
+                })
+            });
+        });
+    });
+}
+
+module.exports = { startMockBatchServer };
@@ -0,0 +1,396 @@
+// price-history.js
+// PRICE HISTORY - append-only price events per listing instead of overwriting the cached price
+//
+// The pipelines overwrite monthly_rent / price in rental_market_cache and sales_market_cache when a
+// listing is re-priced, which loses the old price. Every neighborhood search is now also recorded
+// here as events in listing_price_events:
+//   first_seen     listing appears for the first time
+//   price_cut      asking price went down (price_raise: up) since the last event
+//   delisted       listing priced inside the search's price band dropped out of an uncapped search of
+//                  its neighborhood (isExhaustiveSearch, isInPriceBand)
+//   relisted       listing is back after delisted / likely_rented / likely_sold
+//   likely_rented  the rentals pipeline concluded it rented (likely_sold for sales)
+// listing_price_state keeps the latest price and event per listing so each search is compared
+// without reading the whole history. summarizePriceHistory() derives the metrics served by
+// GET /api/listings/:id/history (total cut percent, days since last cut, cut velocity...).
+// A unit relisted under a new ID (listing-dedup.js) is read as one timeline over all its IDs.
+//
+// Recording never throws - a storage problem is logged and the pipeline carries on.
+require('dotenv').config();
+
+const PRICE_EVENT_TYPES = ['first_seen', 'price_cut', 'price_raise', 'delisted', 'relisted', 'likely_rented', 'likely_sold'];
+const OFF_MARKET_EVENTS = ['delisted', 'likely_rented', 'likely_sold'];
+const ON_MARKET_EVENTS = ['first_seen', 'price_cut', 'price_raise', 'relisted'];
+const LISTING_TYPES = ['rental', 'sale'];
+const EVENT_COLUMNS = ['listing_id', 'listing_type', 'event_type', 'price', 'previous_price', 'change_amount', 'change_percent',
+    'neighborhood', 'address', 'source', 'observed_at'];
+const ID_CHUNK_SIZE = 200;   // listing ids per .in() filter (PostgREST URL length)
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round1 = value => Math.round(value * 10) / 10;
+
+function chunk(items, size) {
+    const chunks = [];
+    for (let index = 0; index < items.length; index += size) {
+        chunks.push(items.slice(index, index + size));
+    }
+    return chunks;
+}
+
+/**
+ * Whether a search returned every on-market listing it matches - only then does a listing missing
+ * from it count as delisted. A search stopped by its maxListings / limit cap is not exhaustive; a
+ * price band only narrows which listings it speaks for (isInPriceBand).
+ * @param {Object} search - the search's options: { maxListings or limit }
+ */
+function isExhaustiveSearch(listings, search = {}) {
+    const cap = search.maxListings ?? search.limit;
+    return !(cap && (listings || []).length >= cap);
+}
+
+/**
+ * Whether a last known price falls inside a search's price band (no band: every price) - a listing
+ * last seen outside it may simply have been filtered out, so it is not delisted
+ * @param {Object} band - { minPrice, maxPrice }
+ */
+function isInPriceBand(price, band = {}) {
+    return !(band.minPrice && price < band.minPrice) && !(band.maxPrice && price > band.maxPrice);
+}
+
+/**
+ * Metrics for one listing's events (oldest first):
+ *   status            on_market, or the off-market event it last had (delisted, likely_rented, likely_sold)
+ *   firstPrice / currentPrice / peakPrice
+ *   priceCutCount / priceRaiseCount / relistCount
+ *   totalCutAmount    sum of every cut
+ *   totalCutPercent   current price below the highest asking price seen, in percent (0 when not below)
+ *   lastCutAt / daysSinceLastCut (null without a cut)
+ *   daysOnMarket      first seen until now, or until it went off the market
+ *   cutPercentPer30Days  totalCutPercent spread over daysOnMarket - the price-cut velocity
+ */
+function summarizePriceHistory(events, now = new Date()) {
+    if (!events || events.length === 0) return null;
+
+    const nowMs = new Date(now).getTime();
+    const priced = events.filter(event => event.price !== null && event.price !== undefined);
+    const cuts = events.filter(event => event.event_type === 'price_cut');
+    const last = events[events.length - 1];
+    const firstPrice = priced.length > 0 ? priced[0].price : null;
+    const currentPrice = priced.length > 0 ? priced[priced.length - 1].price : null;
+    const peakPrice = priced.length > 0 ? Math.max(...priced.map(event => event.price)) : null;
+    const lastCut = cuts[cuts.length - 1] || null;
+
+    const firstSeenAt = events[0].observed_at;
+    const offMarket = OFF_MARKET_EVENTS.includes(last.event_type);
+    const marketEndMs = offMarket ? new Date(last.observed_at).getTime() : nowMs;
+    const daysOnMarket = Math.max(0, Math.floor((marketEndMs - new Date(firstSeenAt).getTime()) / DAY_MS));
+    const totalCutPercent = peakPrice && currentPrice < peakPrice ? round1((peakPrice - currentPrice) / peakPrice * 100) : 0;
+
+    return {
+        status: offMarket ? last.event_type : 'on_market',
+        firstSeenAt,
+        lastEventAt: last.observed_at,
+        firstPrice,
+        currentPrice,
+        peakPrice,
+        priceCutCount: cuts.length,
+        priceRaiseCount: events.filter(event => event.event_type === 'price_raise').length,
+        relistCount: events.filter(event => event.event_type === 'relisted').length,
+        totalCutAmount: cuts.reduce((sum, event) => sum + Math.abs(event.change_amount || 0), 0),
+        totalCutPercent,
+        lastCutAt: lastCut ? lastCut.observed_at : null,
+        daysSinceLastCut: lastCut ? Math.floor((nowMs - new Date(lastCut.observed_at).getTime()) / DAY_MS) : null,
+        daysOnMarket,
+        cutPercentPer30Days: totalCutPercent > 0 ? round1(totalCutPercent / Math.max(daysOnMarket, 1) * 30) : 0
+    };
+}
+
+/**
+ * One timeline out of the events of every ID a unit was listed under (listingIds oldest first):
+ * a later ID's first_seen becomes relisted against the last price, and events of an earlier ID after
+ * the later one appeared (its delisted / likely rented verdict) are dropped
+ */
+function mergeIncarnations(events, listingIds) {
+    const rank = new Map(listingIds.map((id, index) => [id.toString(), index]));
+    const merged = [];
+    let currentRank = -1;
+    let lastPrice = null;
+
+    for (const event of events) {
+        const eventRank = rank.get(event.listing_id) ?? 0;
+        if (eventRank < currentRank) continue;
+
+        if (eventRank > currentRank && currentRank >= 0 && event.event_type === 'first_seen') {
+            const change = lastPrice && event.price && lastPrice !== event.price
+                ? { change_amount: event.price - lastPrice, change_percent: round1((event.price - lastPrice) / lastPrice * 100) }
+                : {};
+            merged.push({ ...event, event_type: 'relisted', previous_price: lastPrice, ...change });
+        } else {
+            merged.push(event);
+        }
+
+        currentRank = Math.max(currentRank, eventRank);
+        if (event.price !== null && event.price !== undefined) lastPrice = event.price;
+    }
+    return merged;
+}
+
+class PriceHistory {
+    /**
+     * @param {Object} storage - storage.js backend (or a supabase-js client)
+     * @param {Object} options - { now }
+     */
+    constructor(storage, options = {}) {
+        this.storage = storage;
+        this.now = options.now || (() => new Date());
+    }
+
+    /**
+     * Record one neighborhood search: first_seen / price_cut / price_raise / relisted for the listings
+     * in it, delisted for on-market listings of the neighborhood inside the searched price band that
+     * are missing from it.
+     * @param {Array} listings - search results ({ id, price, address })
+     * @param {Object} options - { source, complete (default true: the results are every listing the search
+     *   matches - pass isExhaustiveSearch(listings, searchOptions) for a capped search), minPrice, maxPrice
+     *   (the search's price band) }
+     * @returns {Object} counts per event type
+     */
+    async recordSearch(listingType, neighborhood, listings, options = {}) {
+        const counts = Object.fromEntries(PRICE_EVENT_TYPES.map(type => [type, 0]));
+
+        try {
+            const observed = new Map();
+            for (const listing of listings || []) {
+                const price = Math.round(Number(listing.price));
+                if (!listing.id || !(price > 0)) continue;
+                observed.set(listing.id.toString(), { price, address: listing.address || null });
+            }
+            if (observed.size === 0) return counts;   // an empty search says nothing about what left the market
+
+            const observedAt = this.now().toISOString();
+            const states = await this.loadStates(listingType, [...observed.keys()]);
+            const events = [];
+            const stateRows = [];
+
+            for (const [listingId, { price, address }] of observed) {
+                const state = states.get(listingId);
+                const base = { listing_id: listingId, listing_type: listingType, neighborhood, address: address || state?.address || null, source: options.source || null, observed_at: observedAt };
+                let eventType = null;
+
+                if (!state) {
+                    eventType = 'first_seen';
+                } else if (OFF_MARKET_EVENTS.includes(state.last_event_type)) {
+                    eventType = 'relisted';
+                } else if (state.last_price !== price) {
+                    eventType = price < state.last_price ? 'price_cut' : 'price_raise';
+                }
+
+                if (eventType) {
+                    events.push({ ...base, event_type: eventType, price, ...this.priceChange(state?.last_price, price) });
+                    counts[eventType]++;
+                }
+
+                stateRows.push({
+                    listing_id: listingId,
+                    listing_type: listingType,
+                    neighborhood,
+                    address: base.address,
+                    first_seen_at: state?.first_seen_at || observedAt,
+                    first_price: state?.first_price ?? price,
+                    last_price: price,
+                    last_event_type: eventType || state.last_event_type,
+                    last_event_at: eventType ? observedAt : state.last_event_at,
+                    last_seen_at: observedAt
+                });
+            }
+
+            if (options.complete ?? true) {
+                for (const state of await this.loadOnMarketStates(listingType, neighborhood)) {
+                    if (observed.has(state.listing_id) || !isInPriceBand(state.last_price, options)) continue;
+                    events.push({
+                        listing_id: state.listing_id, listing_type: listingType, event_type: 'delisted', price: state.last_price,
+                        neighborhood, address: state.address, source: options.source || null, observed_at: observedAt
+                    });
+                    stateRows.push({ ...state, last_event_type: 'delisted', last_event_at: observedAt });
+                    counts.delisted++;
+                }
+            }
+
+            await this.write(events, stateRows);
+
+            if (events.length > 0) {
+                console.log(`   📈 Price history (${neighborhood}): ${counts.first_seen} new, ${counts.price_cut} cuts, ${counts.price_raise} raises, ` +
+                    `${counts.relisted} relisted, ${counts.delisted} delisted`);
+            }
+        } catch (error) {
+            console.warn(`⚠️ Price history not recorded for ${neighborhood}:`, error.message);
+        }
+        return counts;
+    }
+
+    /**
+     * Record the pipeline's verdict that listings rented (rental) or sold (sale)
+     */
+    async recordClosed(listingType, listingIds, options = {}) {
+        const eventType = listingType === 'sale' ? 'likely_sold' : 'likely_rented';
+        const ids = [...new Set((listingIds || []).filter(Boolean).map(id => id.toString()))];
+        if (ids.length === 0) return 0;
+
+        try {
+            const observedAt = this.now().toISOString();
+            const states = await this.loadStates(listingType, ids);
+            const events = [];
+            const stateRows = [];
+
+            for (const listingId of ids) {
+                const state = states.get(listingId);
+                if (state?.last_event_type === eventType) continue;
+
+                events.push({
+                    listing_id: listingId, listing_type: listingType, event_type: eventType, price: state?.last_price ?? null,
+                    neighborhood: state?.neighborhood || options.neighborhood || null, address: state?.address || null,
+                    source: options.source || null, observed_at: observedAt
+                });
+                stateRows.push({
+                    listing_id: listingId,
+                    listing_type: listingType,
+                    neighborhood: state?.neighborhood || options.neighborhood || null,
+                    address: state?.address || null,
+                    first_seen_at: state?.first_seen_at || observedAt,
+                    first_price: state?.first_price ?? null,
+                    last_price: state?.last_price ?? null,
+                    last_event_type: eventType,
+                    last_event_at: observedAt,
+                    last_seen_at: state?.last_seen_at || null
+                });
+            }
+
+            await this.write(events, stateRows);
+            return events.length;
+        } catch (error) {
+            console.warn(`⚠️ Price history not recorded for ${ids.length} ${eventType} listings:`, error.message);
+            return 0;
+        }
+    }
+
+    /**
+     * A listing's events, oldest first (listingType narrows to rental or sale; listingIds reads
+     * every ID the unit was listed under instead)
+     */
+    async getHistory(listingId, options = {}) {
+        const ids = (options.listingIds?.length ? options.listingIds : [listingId]).map(id => id.toString());
+        let query = this.storage
+            .from('listing_price_events')
+            .select('*')
+            .in('listing_id', ids);
+
+        if (options.listingType) query = query.eq('listing_type', options.listingType);
+
+        const { data, error } = await query
+            .order('observed_at', { ascending: true })
+            .order('id', { ascending: true });
+
+        if (error) throw new Error(`Could not read price history for ${listingId}: ${error.message}`);
+        return data || [];
+    }
+
+    /**
+     * Events plus summarizePriceHistory() metrics, or null when the listing has no history.
+     * With options.listingIds (ListingDeduplicator.getIncarnations) the metrics cover the unit
+     * across its relistings - days on market count from the first ID.
+     */
+    async getTimeline(listingId, options = {}) {
+        const history = await this.getHistory(listingId, options);
+        const events = options.listingIds?.length > 1 ? mergeIncarnations(history, options.listingIds) : history;
+        if (events.length === 0) return null;
+
+        return {
+            listingId: listingId.toString(),
+            listingType: events[events.length - 1].listing_type,
+            address: [...events].reverse().find(event => event.address)?.address || null,
+            neighborhood: events[events.length - 1].neighborhood,
+            metrics: summarizePriceHistory(events, this.now()),
+            events: events.map(event => ({
+                listingId: event.listing_id,
+                type: event.event_type,
+                at: event.observed_at,
+                price: event.price,
+                previousPrice: event.previous_price,
+                changeAmount: event.change_amount,
+                changePercent: event.change_percent,
+                source: event.source
+            }))
+        };
+    }
+
+    priceChange(previousPrice, price) {
+        if (!previousPrice || previousPrice === price) return { previous_price: previousPrice ?? null };
+        return {
+            previous_price: previousPrice,
+            change_amount: price - previousPrice,
+            change_percent: round1((price - previousPrice) / previousPrice * 100)
+        };
+    }
+
+    async loadStates(listingType, listingIds) {
+        const states = new Map();
+        for (const ids of chunk(listingIds, ID_CHUNK_SIZE)) {
+            const { data, error } = await this.storage
+                .from('listing_price_state')
+                .select('*')
+                .eq('listing_type', listingType)
+                .in('listing_id', ids);
+
+            if (error) throw error;
+            (data || []).forEach(state => states.set(state.listing_id, state));
+        }
+        return states;
+    }
+
+    async loadOnMarketStates(listingType, neighborhood) {
+        const states = [];
+        const pageSize = 1000;
+        for (let offset = 0; ; offset += pageSize) {
+            const { data, error } = await this.storage
+                .from('listing_price_state')
+                .select('*')
+                .eq('listing_type', listingType)
+                .eq('neighborhood', neighborhood)
+                .in('last_event_type', ON_MARKET_EVENTS)
+                .order('listing_id', { ascending: true })
+                .range(offset, offset + pageSize - 1);
+
+            if (error) throw error;
+            states.push(...(data || []));
+            if (!data || data.length < pageSize) return states;
+        }
+    }
+
+    /**
+     * State first, then events: the next search derives its transitions from the state, so a failed
+     * state write after the events were appended would append the same events again. A failed
+     * event insert after the state write loses those events instead of duplicating them.
+     */
+    async write(events, stateRows) {
+        for (const rows of chunk(stateRows, ID_CHUNK_SIZE)) {
+            const { error } = await this.storage
+                .from('listing_price_state')
+                .upsert(rows, { onConflict: 'listing_id,listing_type' });
+            if (error) throw error;
+        }
+        // Same columns on every row, so a multi-row insert works on PostgREST too
+        const eventRows = events.map(event => Object.fromEntries(EVENT_COLUMNS.map(column => [column, event[column] ?? null])));
+        for (const rows of chunk(eventRows, ID_CHUNK_SIZE)) {
+            const { error } = await this.storage.from('listing_price_events').insert(rows);
+            if (error) throw error;
+        }
+    }
+}
+
+module.exports = PriceHistory;
+module.exports.PriceHistory = PriceHistory;
+module.exports.summarizePriceHistory = summarizePriceHistory;
+module.exports.mergeIncarnations = mergeIncarnations;
+module.exports.isExhaustiveSearch = isExhaustiveSearch;
+module.exports.PRICE_EVENT_TYPES = PRICE_EVENT_TYPES;
+module.exports.LISTING_TYPES = LISTING_TYPES;
@@ -14,6 +14,7 @@ require('dotenv').config();
 const fs = require('fs').promises;
 const path = require('path');
 const axios = require('axios');
+const { storageBackendFromEnv } = require('./storage.js');
 
 // VERIFIED IMPORTS - These match the actual file names in your project
 const ClaudePoweredSalesSystem = require('./claude-powered-sales-system');
@@ -263,8 +264,8 @@ Auto-download failed, but rentals system will use fallback neighborhoods.
     
     const required = [
         'RAPIDAPI_KEY',
-        'SUPABASE_URL', 
-        'SUPABASE_ANON_KEY'
+        // Supabase credentials are only needed when not running on local SQLite storage
+        ...(storageBackendFromEnv() === 'supabase' ? ['SUPABASE_URL', 'SUPABASE_ANON_KEY'] : [])
     ];
     
     const missing = required.filter(key => !process.env[key]);
@@ -313,14 +314,14 @@ Auto-download failed, but rentals system will use fallback neighborhoods.
     async setupDatabaseIfNeeded(rentalsSystem) {
         try {
             // Check if tables exist by trying a simple query
-            const { data, error } = await this.supabase
+            const { data, error } = await rentalsSystem.storage
                 .from('undervalued_rentals')
                 .select('id')
                 .limit(1);
             
             if (error && error.code === '42P01') {
-                console.log('🔧 Database tables not found, setting up...');
-                await rentalsSystem.setupDatabase();
+                console.log('🔧 Database tables not found, applying migrations...');
+                await rentalsSystem.storage.migrate();
             } else {
                 console.log('✅ Database tables verified');
             }
@@ -1,8 +1,13 @@
 const axios = require('axios');
 const fs = require('fs').promises;
+const { httpClientFromEnv } = require('./http-cassette.js');
 
 class RedfinAPIScraper {
-    constructor() {
+    /**
+     * @param {Object} options - { http, rateLimitDelay, boroughDelay }
+     *   http: axios-compatible client for requests (default: this.client, or a cassette via HTTP_CASSETTE_MODE)
+     */
+    constructor(options = {}) {
         // Enhanced HTTP client with better stealth headers
         this.client = axios.create({
             headers: {
@@ -32,12 +37,14 @@ class RedfinAPIScraper {
                 return status < 500; // Resolve only if status < 500
             }
         });
+        this.http = options.http || httpClientFromEnv('redfin', this.client);
 
         // Common API base URLs discovered from network analysis
         this.API_BASE = 'https://www.redfin.com/stingray/api';
         
         // More conservative rate limiting
-        this.rateLimitDelay = 3000; // 3 seconds between requests
+        this.rateLimitDelay = options.rateLimitDelay ?? 3000; // 3 seconds between requests
+        this.boroughDelay = options.boroughDelay ?? 5000;     // getAllNYCData pause between boroughs
         this.requestCount = 0;
         this.sessionStartTime = Date.now();
 
@@ -69,7 +76,7 @@ class RedfinAPIScraper {
                 this.requestCount++;
                 
                 // Add some randomness to delay to appear more human-like
-                const randomDelay = this.rateLimitDelay + Math.random() * 1000;
+                const randomDelay = this.rateLimitDelay > 0 ? this.rateLimitDelay + Math.random() * 1000 : 0;
                 await this.delay(randomDelay);
 
                 // Update headers for each request to simulate real browsing
@@ -82,7 +89,7 @@ class RedfinAPIScraper {
 
                 console.log(`🌐 Making request (attempt ${attempt}/${retries}): ${url}`);
                 
-                const response = await this.client.get(url, { 
+                const response = await this.http.get(url, { 
                     params,
                     headers: dynamicHeaders
                 });
@@ -101,7 +108,10 @@ class RedfinAPIScraper {
             } catch (error) {
                 console.log(`⚠️ Request failed (attempt ${attempt}/${retries}): ${error.response?.status || error.message}`);
                 
-                if (error.response?.status === 403 && attempt < retries) {
+                if (error.code === 'CASSETTE_MISS') {
+                    // Replaying: the cassette will not have it on the next attempt either
+                    throw error;
+                } else if (error.response?.status === 403 && attempt < retries) {
                     // 403 Forbidden - wait longer before retry
                     console.log(`🔄 Got 403, waiting ${attempt * 5} seconds before retry...`);
                     await this.delay(attempt * 5000);
@@ -507,8 +517,8 @@ class RedfinAPIScraper {
                 allData[borough] = results;
                 
                 // Longer delay between boroughs to be extra respectful
-                console.log(`⏰ Waiting 5 seconds before next borough...`);
-                await this.delay(5000);
+                console.log(`⏰ Waiting ${this.boroughDelay / 1000} seconds before next borough...`);
+                await this.delay(this.boroughDelay);
             } catch (error) {
                 console.error(`❌ Error processing ${borough}:`, error.message);
                 allData[borough] = { error: error.message };
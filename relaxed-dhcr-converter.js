@@ -14,6 +14,7 @@ const fs = require('fs').promises;
 const path = require('path');
 const { createClient } = require('@supabase/supabase-js');
 const Papa = require('papaparse');
+const { normalizeAddress } = require('./address-normalizer.js');
 
 class RelaxedDHCRCSVConverter {
     constructor() {
@@ -186,7 +187,7 @@ class RelaxedDHCRCSVConverter {
         
         return {
             address: address,
-            normalized_address: address.toLowerCase().replace(/[^a-z0-9\s]/g, ''),
+            normalized_address: normalizeAddress(address, { borough: borough }),
             borough: borough,
             zipcode: this.normalizeZipcode(zip),
             building_id: null,
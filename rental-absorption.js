@@ -0,0 +1,315 @@
+// rental-absorption.js
+// RENTAL ABSORPTION - how fast each neighborhood's rentals rent, and whether "undervalued" ones rent faster
+//
+// The pipelines record when a listing drops out of the searches (rental_market_cache market_status
+// likely_rented, undervalued_rentals rented_detected_at) but nothing aggregated it. Per neighborhood:
+//   medianDaysToRent         first listed → detected rented, overall and by bedroom count
+//   rentedWithin             share rented within 7 / 14 / 30 days, out of the listings on the market
+//                            at least that long (newer listings cannot have answered yet)
+//   byDiscount               time to rent per discount_percent bucket, "not flagged" = never undervalued
+//   undervaluedRentFaster    flagged vs not-flagged median days to rent - the validation of the model
+// First listed is the earliest of the cache's first sighting and the listing's listed date carried
+// across relistings (listing_fingerprints.listed_at); IDs superseded by a relisting are left out.
+// Detection runs on the search schedule, so days to rent include up to one cycle of detection lag.
+//   node rental-absorption.js [neighborhood] [--days=180] [--json]
+//   GET /api/analytics/absorption?neighborhood=&days=
+require('dotenv').config();
+
+const { createStorage } = require('./storage.js');
+
+const DEFAULT_LOOKBACK_DAYS = 180;
+const MAX_LOOKBACK_DAYS = 730;
+const RENT_WINDOWS = [7, 14, 30];
+const DISCOUNT_BUCKETS = [
+    { bucket: '<10%', min: -Infinity, max: 10 },
+    { bucket: '10-20%', min: 10, max: 20 },
+    { bucket: '20-30%', min: 20, max: 30 },
+    { bucket: '30%+', min: 30, max: Infinity }
+];
+const BEDROOM_GROUPS = ['studio', '1br', '2br', '3br', '4br+', 'unknown'];
+const SUPERSEDED_STATUSES = ['relisted', 'fetch_failed'];
+const ID_CHUNK_SIZE = 200;   // listing ids per .in() filter (PostgREST URL length)
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round1 = value => Math.round(value * 10) / 10;
+
+function chunk(items, size) {
+    const chunks = [];
+    for (let index = 0; index < items.length; index += size) {
+        chunks.push(items.slice(index, index + size));
+    }
+    return chunks;
+}
+
+function median(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 1 ? sorted[middle] : round1((sorted[middle - 1] + sorted[middle]) / 2);
+}
+
+function earliest(...timestamps) {
+    const valid = timestamps.filter(Boolean).map(value => new Date(value).getTime()).filter(time => !isNaN(time));
+    return valid.length > 0 ? Math.min(...valid) : null;
+}
+
+function bedroomGroup(bedrooms) {
+    if (bedrooms === null || bedrooms === undefined || bedrooms === '' || isNaN(Number(bedrooms))) return 'unknown';
+    const count = Math.floor(Number(bedrooms));
+    if (count <= 0) return 'studio';
+    return count >= 4 ? '4br+' : `${count}br`;
+}
+
+function discountBucket(discountPercent) {
+    if (discountPercent === null || discountPercent === undefined) return 'not flagged';
+    return DISCOUNT_BUCKETS.find(({ min, max }) => discountPercent >= min && discountPercent < max).bucket;
+}
+
+/**
+ * Counts and median days to rent for a group of listings
+ */
+function summarizeGroup(listings) {
+    const rented = listings.filter(listing => listing.daysToRent !== null);
+    return {
+        listings: listings.length,
+        rented: rented.length,
+        medianDaysToRent: median(rented.map(listing => listing.daysToRent))
+    };
+}
+
+/**
+ * Share rented within `days`, out of the listings listed at least `days` ago
+ */
+function rentedWithin(listings, days, nowMs) {
+    const eligible = listings.filter(listing => nowMs - listing.listedAtMs >= days * DAY_MS);
+    const rented = eligible.filter(listing => listing.daysToRent !== null && listing.daysToRent <= days).length;
+    return {
+        eligible: eligible.length,
+        rented,
+        percent: eligible.length > 0 ? round1(rented / eligible.length * 100) : null
+    };
+}
+
+/**
+ * Absorption metrics for one set of listings
+ * @param {Array} listings - [{ listingId, bedrooms, discountPercent (null = not flagged), listedAt, rentedAt (null = still listed) }]
+ */
+function computeAbsorption(listings, now = new Date()) {
+    const nowMs = new Date(now).getTime();
+    const rows = listings
+        .map(listing => {
+            const listedAtMs = new Date(listing.listedAt).getTime();
+            const rentedAtMs = listing.rentedAt ? new Date(listing.rentedAt).getTime() : null;
+            return {
+                ...listing,
+                listedAtMs,
+                daysToRent: rentedAtMs !== null ? Math.max(0, Math.floor((rentedAtMs - listedAtMs) / DAY_MS)) : null
+            };
+        })
+        .filter(listing => !isNaN(listing.listedAtMs));
+
+    const flagged = rows.filter(listing => listing.discountPercent !== null && listing.discountPercent !== undefined);
+    const notFlagged = rows.filter(listing => listing.discountPercent === null || listing.discountPercent === undefined);
+    const flaggedSummary = summarizeGroup(flagged);
+    const notFlaggedSummary = summarizeGroup(notFlagged);
+    const comparable = flaggedSummary.medianDaysToRent !== null && notFlaggedSummary.medianDaysToRent !== null;
+
+    return {
+        ...summarizeGroup(rows),
+        stillListed: rows.filter(listing => listing.daysToRent === null).length,
+        rentedWithin: Object.fromEntries(RENT_WINDOWS.map(days => [days, rentedWithin(rows, days, nowMs)])),
+        byBedrooms: BEDROOM_GROUPS
+            .map(group => ({ bedrooms: group, ...summarizeGroup(rows.filter(listing => bedroomGroup(listing.bedrooms) === group)) }))
+            .filter(group => group.listings > 0),
+        byDiscount: ['not flagged', ...DISCOUNT_BUCKETS.map(({ bucket }) => bucket)]
+            .map(bucket => {
+                const inBucket = rows.filter(listing => discountBucket(listing.discountPercent) === bucket);
+                return { discount: bucket, ...summarizeGroup(inBucket), rentedWithin14Percent: rentedWithin(inBucket, 14, nowMs).percent };
+            })
+            .filter(bucket => bucket.listings > 0),
+        undervalued: flaggedSummary,
+        notUndervalued: notFlaggedSummary,
+        undervaluedRentFaster: comparable ? flaggedSummary.medianDaysToRent < notFlaggedSummary.medianDaysToRent : null
+    };
+}
+
+class RentalAbsorption {
+    /**
+     * @param {Object} storage - storage.js backend (or a supabase-js client)
+     * @param {Object} options - { now }
+     */
+    constructor(storage, options = {}) {
+        this.storage = storage;
+        this.now = options.now || (() => new Date());
+    }
+
+    /**
+     * Absorption per neighborhood (every neighborhood when none is given) for rentals first seen in the lookback
+     * @returns {Object} { generatedAt, lookbackDays, overall, neighborhoods: [{ neighborhood, ...computeAbsorption() }] }
+     */
+    async getReport(neighborhood = null, options = {}) {
+        const lookbackDays = options.lookbackDays || DEFAULT_LOOKBACK_DAYS;
+        const now = this.now();
+        const listings = await this.loadListings(neighborhood, new Date(now.getTime() - lookbackDays * DAY_MS).toISOString());
+
+        const byNeighborhood = new Map();
+        for (const listing of listings) {
+            if (!byNeighborhood.has(listing.neighborhood)) byNeighborhood.set(listing.neighborhood, []);
+            byNeighborhood.get(listing.neighborhood).push(listing);
+        }
+
+        return {
+            generatedAt: now.toISOString(),
+            lookbackDays,
+            overall: computeAbsorption(listings, now),
+            neighborhoods: [...byNeighborhood.entries()]
+                .map(([name, rows]) => ({ neighborhood: name, ...computeAbsorption(rows, now) }))
+                .sort((a, b) => b.listings - a.listings)
+        };
+    }
+
+    /**
+     * Rentals first seen since `since`: the cache's sightings joined with undervalued_rentals
+     * (discount, rented_detected_at) and the listed date carried across relistings
+     */
+    async loadListings(neighborhood, since) {
+        const cached = await this.loadPaged('rental_market_cache', 'listing_id, neighborhood, bedrooms, market_status, created_at, last_checked',
+            neighborhood, since);
+        const flagged = await this.loadPaged('undervalued_rentals', 'listing_id, neighborhood, bedrooms, discount_percent, status, likely_rented, rented_detected_at, created_at',
+            neighborhood, since);
+
+        const merged = new Map();
+        for (const row of cached) merged.set(row.listing_id, { cache: row, flagged: null });
+        for (const row of flagged) merged.set(row.listing_id, { cache: merged.get(row.listing_id)?.cache || null, flagged: row });
+
+        const listedAt = await this.loadListedDates([...merged.keys()]);
+        const listings = [];
+
+        for (const [listingId, { cache, flagged: flaggedRow }] of merged) {
+            if (SUPERSEDED_STATUSES.includes(cache?.market_status) || SUPERSEDED_STATUSES.includes(flaggedRow?.status)) continue;
+
+            const flaggedRented = flaggedRow && (flaggedRow.likely_rented || flaggedRow.status === 'likely_rented') ? flaggedRow.rented_detected_at : null;
+            const cacheRented = cache?.market_status === 'likely_rented' ? cache.last_checked : null;
+            const firstListed = earliest(cache?.created_at, flaggedRow?.created_at, listedAt.get(listingId));
+
+            listings.push({
+                listingId,
+                neighborhood: cache?.neighborhood || flaggedRow?.neighborhood || 'unknown',
+                bedrooms: cache?.bedrooms ?? flaggedRow?.bedrooms ?? null,
+                discountPercent: flaggedRow && flaggedRow.discount_percent !== null ? Number(flaggedRow.discount_percent) : null,
+                listedAt: firstListed !== null ? new Date(firstListed).toISOString() : null,
+                rentedAt: flaggedRented || cacheRented || null
+            });
+        }
+        return listings;
+    }
+
+    async loadPaged(table, columns, neighborhood, since) {
+        const rows = [];
+        const pageSize = 1000;
+
+        for (let offset = 0; ; offset += pageSize) {
+            let query = this.storage
+                .from(table)
+                .select(columns)
+                .gte('created_at', since);
+
+            if (neighborhood) query = query.eq('neighborhood', neighborhood);
+
+            const { data, error } = await query
+                .order('listing_id', { ascending: true })
+                .range(offset, offset + pageSize - 1);
+
+            if (error) throw new Error(`Could not read ${table}: ${error.message}`);
+            rows.push(...(data || []));
+            if (!data || data.length < pageSize) return rows;
+        }
+    }
+
+    /**
+     * listing id → listed_at from listing_fingerprints (back-dated by days on market, carried across relistings)
+     */
+    async loadListedDates(listingIds) {
+        const listedAt = new Map();
+        for (const ids of chunk(listingIds, ID_CHUNK_SIZE)) {
+            const { data, error } = await this.storage
+                .from('listing_fingerprints')
+                .select('listing_id, listed_at')
+                .eq('listing_type', 'rental')
+                .in('listing_id', ids);
+
+            if (error) throw new Error(`Could not read listing_fingerprints: ${error.message}`);
+            (data || []).forEach(row => listedAt.set(row.listing_id, row.listed_at));
+        }
+        return listedAt;
+    }
+}
+
+/**
+ * Human-readable absorption report: one block per neighborhood, overall last
+ */
+function formatAbsorptionReport(report) {
+    const days = value => (value === null ? 'n/a' : `${value}d`);
+    const percent = window => (window.percent === null ? 'n/a' : `${window.percent}%`);
+    const lines = [`⏱️ Rental absorption - listings first seen in the last ${report.lookbackDays} days`];
+
+    const block = (name, stats) => {
+        lines.push(`\n🏘️ ${name}: ${stats.listings} rentals, ${stats.rented} rented, median ${days(stats.medianDaysToRent)} to rent`);
+        lines.push(`   Rented within ${RENT_WINDOWS.map(window => `${window}d`).join(' / ')}: ` +
+            RENT_WINDOWS.map(window => percent(stats.rentedWithin[window])).join(' / '));
+        lines.push(`   By bedrooms: ${stats.byBedrooms.map(group => `${group.bedrooms} ${days(group.medianDaysToRent)} (${group.rented}/${group.listings})`).join(' · ')}`);
+        lines.push(`   By discount: ${stats.byDiscount.map(bucket => `${bucket.discount} ${days(bucket.medianDaysToRent)} (${bucket.rented}/${bucket.listings})`).join(' · ')}`);
+
+        if (stats.undervaluedRentFaster === null) {
+            lines.push('   ➖ Not enough rented listings to compare undervalued and other rentals');
+        } else {
+            lines.push(`   ${stats.undervaluedRentFaster ? '✅ Undervalued rentals rent faster' : '⚠️ Undervalued rentals do not rent faster'}: ` +
+                `${days(stats.undervalued.medianDaysToRent)} vs ${days(stats.notUndervalued.medianDaysToRent)} median`);
+        }
+    };
+
+    report.neighborhoods.forEach(stats => block(stats.neighborhood, stats));
+    if (report.neighborhoods.length !== 1) block('All neighborhoods', report.overall);
+    return lines.join('\n');
+}
+
+/**
+ * Lookback in days from a query/CLI value; null when it is not a whole number in 1..MAX_LOOKBACK_DAYS
+ */
+function parseLookbackDays(value) {
+    if (value === undefined || value === null || value === '') return DEFAULT_LOOKBACK_DAYS;
+    const days = Number(value);
+    return Number.isInteger(days) && days > 0 && days <= MAX_LOOKBACK_DAYS ? days : null;
+}
+
+// Main execution
+async function main() {
+    const args = process.argv.slice(2);
+    const flags = Object.fromEntries(
+        args.filter(arg => arg.startsWith('--'))
+            .map(arg => arg.slice(2).split('='))
+            .map(([key, value]) => [key, value === undefined ? true : value])
+    );
+    const neighborhood = args.find(arg => !arg.startsWith('--')) || null;
+    const lookbackDays = parseLookbackDays(flags.days);
+    if (lookbackDays === null) throw new Error(`--days must be a whole number from 1 to ${MAX_LOOKBACK_DAYS}`);
+
+    const absorption = new RentalAbsorption(createStorage({ key: process.env.SUPABASE_SERVICE_ROLE_KEY }));
+    const report = await absorption.getReport(neighborhood, { lookbackDays });
+    console.log(flags.json ? JSON.stringify(report, null, 2) : formatAbsorptionReport(report));
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('💥 Absorption report failed:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = RentalAbsorption;
+module.exports.RentalAbsorption = RentalAbsorption;
+module.exports.computeAbsorption = computeAbsorption;
+module.exports.formatAbsorptionReport = formatAbsorptionReport;
+module.exports.parseLookbackDays = parseLookbackDays;
+module.exports.DEFAULT_LOOKBACK_DAYS = DEFAULT_LOOKBACK_DAYS;
+module.exports.MAX_LOOKBACK_DAYS = MAX_LOOKBACK_DAYS;
@@ -8,6 +8,7 @@ require('dotenv').config();
 const fs = require('fs').promises;
 const { createClient } = require('@supabase/supabase-js');
 const Papa = require('papaparse');
+const { normalizeAddress } = require('./address-normalizer.js');
 
 class SimpleCSVSave {
     constructor() {
@@ -126,7 +127,7 @@ class SimpleCSVSave {
                 // Create simple record
                 buildings.push({
                     address: address,
-                    normalized_address: address.toLowerCase().replace(/[^a-z0-9\s]/g, ''),
+                    normalized_address: normalizeAddress(address, { borough: 'manhattan' }),
                     borough: 'manhattan',
                     zipcode: zip.toString().replace(/[^0-9]/g, '').substring(0, 5) || null,
                     dhcr_source: 'csv'
@@ -0,0 +1,546 @@
+// storage.js
+// STORAGE - one persistence interface for every pipeline, backed by Supabase or a local SQLite file
+//
+// Pipelines used to call createClient(SUPABASE_URL, key).from('table') directly, so nothing ran
+// without a Supabase project. They now take a storage from createStorage(), which keeps the
+// query-builder surface the code already uses:
+//   storage.from(table).select / insert / upsert / update / delete
+//       .eq .neq .gt .gte .lt .lte .in .is .not .order .range .limit .single .maybeSingle
+//       → resolves to { data, error } (errors are returned, not thrown)
+//   storage.rpc(name, params)   → { data, error }
+//   storage.migrate()           → apply pending migrations (see migration-runner.js)
+// Backends (STORAGE_BACKEND): 'supabase' (default when SUPABASE_URL is set) or 'sqlite'
+// (SQLITE_PATH, default data/local.db - needs the optional better-sqlite3 dependency).
+//
+// Migrations are written in Postgres SQL and run as-is on Supabase; toSqliteDialect() rewrites
+// the few Postgres-only parts (uuid/serial defaults, arrays, now()) for SQLite.
+
+const path = require('path');
+const fs = require('fs');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const DEFAULT_SQLITE_PATH = path.join(__dirname, 'data', 'local.db');
+/**
+ * Postgres migration SQL → SQLite
+ */
+function toSqliteDialect(sql) {
+    const uuidV4 = "(lower(hex(randomblob(4))) || '-' || lower(hex(randomblob(2))) || '-4' || " +
+        "substr(lower(hex(randomblob(2))), 2) || '-' || substr('89ab', abs(random()) % 4 + 1, 1) || " +
+        "substr(lower(hex(randomblob(2))), 2) || '-' || lower(hex(randomblob(6))))";
+    const isoNow = "(strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))";
+
+    return sql
+        .replace(/^\s*CREATE EXTENSION[^;]*;/gim, '')
+        .replace(/\buuid\s+DEFAULT\s+(uuid_generate_v4|gen_random_uuid)\(\)/gi, `TEXT DEFAULT ${uuidV4}`)
+        .replace(/\b(big)?serial\s+PRIMARY\s+KEY/gi, 'INTEGER PRIMARY KEY AUTOINCREMENT')
+        // Arrays are stored as JSON text; the ARRAY_TEXT type name tells the reader to parse them
+        .replace(/\b\w+\[\](\s+DEFAULT\s+'\{\}'(::\w+\[\])?)?/gi, (match, withDefault) =>
+            withDefault ? "ARRAY_TEXT DEFAULT '[]'" : 'ARRAY_TEXT')
+        .replace(/\bjsonb?\b/gi, 'JSON_TEXT')
+        .replace(/\b(timestamptz|timestamp(\s+with(out)?\s+time\s+zone)?|uuid)\b(?!\s*\()/gi, 'TEXT')
+        .replace(/::\w+/g, '')
+        .replace(/\bDEFAULT\s+(now\(\)|CURRENT_TIMESTAMP)/gi, `DEFAULT ${isoNow}`);
+}
+
+/**
+ * Supabase (PostgREST) - queries pass straight through to the supabase-js client
+ */
+class SupabaseStorage {
+    constructor(options = {}) {
+        this.backend = 'supabase';
+        this.url = options.url || process.env.SUPABASE_URL;
+        this.key = options.key || process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY;
+        this.migrationsDir = options.migrationsDir || MIGRATIONS_DIR;
+
+        if (options.client) {
+            this.client = options.client;
+        } else {
+            const { createClient } = require('@supabase/supabase-js');
+            this.client = createClient(this.url, this.key);
+        }
+    }
+
+    from(table) {
+        return this.client.from(table);
+    }
+
+    rpc(name, params) {
+        return this.client.rpc(name, params);
+    }
+
+    /**
+     * Run migration SQL through the exec_sql function (create it once in the SQL editor:
+     * CREATE FUNCTION exec_sql(sql text) RETURNS void AS $$ BEGIN EXECUTE sql; END $$ LANGUAGE plpgsql;)
+     */
+    async execSql(sql) {
+        const { error } = await this.client.rpc('exec_sql', { sql });
+        if (error) throw new Error(error.message);
+    }
+
+    async appliedMigrations() {
+        const { data, error } = await this.client
+            .from('schema_migrations')
+            .select('version, name, applied_at')
+            .order('version');
+        if (error) throw new Error(error.message);
+        return data || [];
+    }
+
+    migrate(options = {}) {
+        return new (require('./migration-runner.js'))(this).migrate(options);
+    }
+}
+
+/**
+ * Query builder over SQLite with the supabase-js call shape - awaiting it runs the statement
+ */
+class SqliteQuery {
+    constructor(storage, table) {
+        this.storage = storage;
+        this.table = table;
+        this.action = 'select';
+        this.columns = '*';
+        this.rows = null;
+        this.values = null;
+        this.conflict = null;
+        this.returning = false;
+        this.returnColumns = '*';
+        this.filters = [];
+        this.orders = [];
+        this.limitCount = null;
+        this.offsetCount = null;
+        this.singleRow = null;
+    }
+
+    select(columns = '*') {
+        // After insert/update/upsert/delete, select() asks for the affected rows back
+        if (this.action === 'select') {
+            this.columns = columns;
+        } else {
+            this.returning = true;
+            this.returnColumns = columns;
+        }
+        return this;
+    }
+
+    insert(rows) {
+        this.action = 'insert';
+        this.rows = Array.isArray(rows) ? rows : [rows];
+        return this;
+    }
+
+    upsert(rows, options = {}) {
+        this.action = 'upsert';
+        this.rows = Array.isArray(rows) ? rows : [rows];
+        this.conflict = {
+            columns: options.onConflict ? options.onConflict.split(',').map(column => column.trim()) : null,
+            ignoreDuplicates: Boolean(options.ignoreDuplicates)
+        };
+        return this;
+    }
+
+    update(values) {
+        this.action = 'update';
+        this.values = values;
+        return this;
+    }
+
+    delete() {
+        this.action = 'delete';
+        return this;
+    }
+
+    eq(column, value) { return this.filter(column, 'eq', value); }
+    neq(column, value) { return this.filter(column, 'neq', value); }
+    gt(column, value) { return this.filter(column, 'gt', value); }
+    gte(column, value) { return this.filter(column, 'gte', value); }
+    lt(column, value) { return this.filter(column, 'lt', value); }
+    lte(column, value) { return this.filter(column, 'lte', value); }
+    in(column, values) { return this.filter(column, 'in', values); }
+    is(column, value) { return this.filter(column, 'is', value); }
+
+    /**
+     * PostgREST negation: not('address', 'is', null), not('listing_id', 'in', '("a","b")')
+     */
+    not(column, operator, value) {
+        return this.filter(column, operator, value, true);
+    }
+
+    filter(column, operator, value, negate = false) {
+        this.filters.push({ column, operator, value, negate });
+        return this;
+    }
+
+    /**
+     * One filter → SQL + params (values are converted when the query runs, once the table is known)
+     */
+    condition({ column, operator, value, negate }) {
+        const operators = { eq: '=', neq: '<>', gt: '>', gte: '>=', lt: '<', lte: '<=' };
+        let condition;
+
+        if (operator === 'is') {
+            const literal = value === null || value === 'null' ? 'NULL' : (value === true || value === 'true' ? '1' : '0');
+            condition = { sql: `${quote(column)} IS ${literal}`, params: [] };
+        } else if (operator === 'in') {
+            const list = Array.isArray(value) ? value : parseInList(value);
+            condition = list.length === 0
+                ? { sql: '0', params: [] }
+                : {
+                    sql: `${quote(column)} IN (${list.map(() => '?').join(', ')})`,
+                    params: list.map(item => this.storage.toSqlValue(this.table, column, item))
+                };
+        } else if (operators[operator]) {
+            condition = { sql: `${quote(column)} ${operators[operator]} ?`, params: [this.storage.toSqlValue(this.table, column, value)] };
+        } else {
+            throw new Error(`SQLite storage does not support the "${operator}" filter`);
+        }
+
+        return negate ? { sql: `NOT (${condition.sql})`, params: condition.params } : condition;
+    }
+
+    order(column, options = {}) {
+        const ascending = options.ascending !== false;
+        // Postgres puts NULLs last when ascending and first when descending
+        const nullsFirst = options.nullsFirst ?? !ascending;
+        this.orders.push(`${quote(column)} ${ascending ? 'ASC' : 'DESC'} NULLS ${nullsFirst ? 'FIRST' : 'LAST'}`);
+        return this;
+    }
+
+    limit(count) {
+        this.limitCount = count;
+        return this;
+    }
+
+    range(from, to) {
+        this.offsetCount = from;
+        this.limitCount = to - from + 1;
+        return this;
+    }
+
+    single() {
+        this.singleRow = 'single';
+        return this;
+    }
+
+    maybeSingle() {
+        this.singleRow = 'maybe';
+        return this;
+    }
+
+    then(resolve, reject) {
+        return this.execute().then(resolve, reject);
+    }
+
+    async execute() {
+        try {
+            await this.storage.ready();
+            let rows = this.run().map(row => this.storage.fromSqlRow(this.table, row));
+            if (this.returning && this.returnColumns.trim() !== '*') {
+                const columns = this.returnColumns.split(',').map(column => column.trim());
+                rows = rows.map(row => Object.fromEntries(columns.map(column => [column, row[column]])));
+            }
+            const data = this.action === 'select' || this.returning ? rows : null;
+
+            if (this.singleRow && data) {
+                if (data.length === 1) return { data: data[0], error: null };
+                if (data.length === 0 && this.singleRow === 'maybe') return { data: null, error: null };
+                return {
+                    data: null,
+                    error: { code: 'PGRST116', message: `JSON object requested, ${data.length} rows returned` }
+                };
+            }
+            return { data, error: null };
+        } catch (error) {
+            return { data: null, error: { code: error.code || 'SQLITE_ERROR', message: error.message } };
+        }
+    }
+
+    whereClause() {
+        if (this.filters.length === 0) return { sql: '', params: [] };
+        const conditions = this.filters.map(filter => this.condition(filter));
+        return {
+            sql: ` WHERE ${conditions.map(condition => condition.sql).join(' AND ')}`,
+            params: conditions.flatMap(condition => condition.params)
+        };
+    }
+
+    run() {
+        const db = this.storage.open();
+        this.storage.tableInfo(this.table);   // unknown table → 42P01, as PostgREST reports it
+        const where = this.whereClause();
+        const table = quote(this.table);
+
+        if (this.action === 'select') {
+            const columns = this.columns.trim() === '*'
+                ? '*'
+                : this.columns.split(',').map(column => quote(column.trim())).join(', ');
+            let sql = `SELECT ${columns} FROM ${table}${where.sql}`;
+            if (this.orders.length) sql += ` ORDER BY ${this.orders.join(', ')}`;
+            if (this.limitCount !== null) sql += ` LIMIT ${parseInt(this.limitCount, 10)}`;
+            if (this.offsetCount !== null) sql += `${this.limitCount === null ? ' LIMIT -1' : ''} OFFSET ${parseInt(this.offsetCount, 10)}`;
+            return db.prepare(sql).all(...where.params);
+        }
+
+        if (this.action === 'update') {
+            const entries = this.storage.toSqlEntries(this.table, this.values);
+            if (entries.length === 0) return [];
+            const sql = `UPDATE ${table} SET ${entries.map(([column]) => `${quote(column)} = ?`).join(', ')}${where.sql} RETURNING *`;
+            return db.prepare(sql).all(...entries.map(([, value]) => value), ...where.params);
+        }
+
+        if (this.action === 'delete') {
+            return db.prepare(`DELETE FROM ${table}${where.sql} RETURNING *`).all(...where.params);
+        }
+
+        // insert / upsert: one statement per row, all in one transaction
+        const conflictColumns = this.action === 'upsert'
+            ? (this.conflict.columns || this.storage.primaryKey(this.table))
+            : null;
+
+        return db.transaction(() => this.rows.flatMap(row => {
+            const entries = this.storage.toSqlEntries(this.table, row);
+            const columns = entries.map(([column]) => quote(column));
+            let sql = entries.length
+                ? `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`
+                : `INSERT INTO ${table} DEFAULT VALUES`;
+
+            if (conflictColumns) {
+                const updates = entries
+                    .map(([column]) => column)
+                    .filter(column => !conflictColumns.includes(column))
+                    .map(column => `${quote(column)} = excluded.${quote(column)}`);
+                sql += ` ON CONFLICT (${conflictColumns.map(quote).join(', ')}) ` +
+                    (this.conflict.ignoreDuplicates || updates.length === 0 ? 'DO NOTHING' : `DO UPDATE SET ${updates.join(', ')}`);
+            }
+
+            return db.prepare(`${sql} RETURNING *`).all(...entries.map(([, value]) => value));
+        }))();
+    }
+}
+
+function quote(identifier) {
+    return `"${identifier.replace(/"/g, '""')}"`;
+}
+
+/**
+ * PostgREST list syntax: '("a","b")' or '(1,2)' → ['a', 'b'] / ['1', '2']
+ */
+function parseInList(value) {
+    const inner = String(value).trim().replace(/^\(/, '').replace(/\)$/, '');
+    if (!inner) return [];
+    return inner.split(',').map(item => item.trim().replace(/^"(.*)"$/, '$1'));
+}
+
+/**
+ * Postgres array literal ('{}', '{a,b}') → JS array
+ */
+function parseArrayLiteral(value) {
+    const inner = value.trim().replace(/^\{/, '').replace(/\}$/, '');
+    if (!inner) return [];
+    return inner.split(',').map(item => item.trim().replace(/^"(.*)"$/, '$1'));
+}
+
+/**
+ * Embedded SQLite file (better-sqlite3) - opened and migrated on first use
+ */
+class SqliteStorage {
+    constructor(options = {}) {
+        this.backend = 'sqlite';
+        this.filename = options.filename || process.env.SQLITE_PATH || DEFAULT_SQLITE_PATH;
+        this.migrationsDir = options.migrationsDir || MIGRATIONS_DIR;
+        this.autoMigrate = options.autoMigrate !== false;
+        this.db = null;
+        this.readyPromise = null;
+        this.columnTypes = new Map();
+    }
+
+    open() {
+        if (this.db) return this.db;
+
+        let Database;
+        try {
+            Database = require('better-sqlite3');
+        } catch (error) {
+            throw new Error('SQLite storage needs better-sqlite3 - run: npm install better-sqlite3');
+        }
+
+        if (this.filename !== ':memory:') {
+            fs.mkdirSync(path.dirname(this.filename), { recursive: true });
+        }
+        this.db = new Database(this.filename);
+        this.db.pragma('journal_mode = WAL');
+        return this.db;
+    }
+
+    /**
+     * Open the file and apply pending migrations once, before the first query runs
+     */
+    ready() {
+        if (!this.readyPromise) {
+            this.open();
+            this.readyPromise = this.autoMigrate
+                ? this.migrate().then(({ applied }) => {
+                    if (applied.length > 0) {
+                        console.log(`🗄️ SQLite storage ${this.filename}: applied migrations ${applied.join(', ')}`);
+                    }
+                })
+                : Promise.resolve();
+        }
+        return this.readyPromise;
+    }
+
+    close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+            this.readyPromise = null;
+            this.columnTypes.clear();
+        }
+    }
+
+    from(table) {
+        return new SqliteQuery(this, table);
+    }
+
+    /**
+     * exec_sql runs (translated) SQL; Postgres functions like get_ai_agent_cache_stats do not exist here
+     */
+    async rpc(name, params = {}) {
+        if (name !== 'exec_sql') {
+            return { data: null, error: { code: 'PGRST202', message: `Function ${name} is not available on SQLite storage` } };
+        }
+
+        try {
+            await this.ready();
+            await this.execSql(params.sql);
+            return { data: null, error: null };
+        } catch (error) {
+            return { data: null, error: { code: error.code || 'SQLITE_ERROR', message: error.message } };
+        }
+    }
+
+    /**
+     * Postgres SQL, translated and run in one transaction (migrations go through here, not ready())
+     */
+    async execSql(sql) {
+        const db = this.open();
+        db.transaction(() => db.exec(toSqliteDialect(sql)))();
+        this.columnTypes.clear();
+    }
+
+    async appliedMigrations() {
+        return this.open().prepare('SELECT version, name, applied_at FROM schema_migrations ORDER BY version').all();
+    }
+
+    migrate(options = {}) {
+        return new (require('./migration-runner.js'))(this).migrate(options);
+    }
+
+    /**
+     * Declared column types for a table (upper-cased), from PRAGMA table_info
+     */
+    tableInfo(table) {
+        if (!this.columnTypes.has(table)) {
+            const columns = this.open().prepare(`PRAGMA table_info(${quote(table)})`).all();
+            if (columns.length === 0) {
+                const error = new Error(`relation "${table}" does not exist`);
+                error.code = '42P01';
+                throw error;
+            }
+            this.columnTypes.set(table, {
+                types: new Map(columns.map(column => [column.name, (column.type || '').toUpperCase()])),
+                primaryKey: columns.filter(column => column.pk > 0).sort((a, b) => a.pk - b.pk).map(column => column.name)
+            });
+        }
+        return this.columnTypes.get(table);
+    }
+
+    primaryKey(table) {
+        return this.tableInfo(table).primaryKey;
+    }
+
+    /**
+     * JS value → SQLite value (booleans as 1/0, arrays and objects as JSON text)
+     */
+    toSqlValue(table, column, value) {
+        if (value === null || value === undefined) return null;
+        if (typeof value === 'boolean') return value ? 1 : 0;
+        if (value instanceof Date) return value.toISOString();
+
+        const type = this.tableInfo(table).types.get(column) || '';
+        if (type.includes('ARRAY') && typeof value === 'string' && value.trim().startsWith('{')) {
+            return JSON.stringify(parseArrayLiteral(value));
+        }
+        if (typeof value === 'object') return JSON.stringify(value);
+        return value;
+    }
+
+    /**
+     * Row object → [column, value] pairs, dropping undefined like supabase-js does
+     */
+    toSqlEntries(table, row) {
+        return Object.entries(row || {})
+            .filter(([, value]) => value !== undefined)
+            .map(([column, value]) => [column, this.toSqlValue(table, column, value)]);
+    }
+
+    fromSqlRow(table, row) {
+        const { types } = this.tableInfo(table);
+        const parsed = {};
+
+        for (const [column, value] of Object.entries(row)) {
+            const type = types.get(column) || '';
+            if (value === null) {
+                parsed[column] = null;
+            } else if (type.includes('BOOL')) {
+                parsed[column] = Boolean(value);
+            } else if ((type.includes('JSON') || type.includes('ARRAY')) && typeof value === 'string') {
+                try {
+                    parsed[column] = JSON.parse(value);
+                } catch (error) {
+                    parsed[column] = value;
+                }
+            } else {
+                parsed[column] = value;
+            }
+        }
+        return parsed;
+    }
+}
+
+const STORAGE_BACKENDS = {
+    supabase: SupabaseStorage,
+    sqlite: SqliteStorage
+};
+
+/**
+ * Backend name: options.backend → STORAGE_BACKEND → supabase when a Supabase URL is configured → sqlite
+ */
+function storageBackendFromEnv(options = {}) {
+    return (options.backend || process.env.STORAGE_BACKEND ||
+        (options.url || process.env.SUPABASE_URL ? 'supabase' : 'sqlite')).toLowerCase();
+}
+
+/**
+ * Storage for a pipeline
+ * @param {Object} options - { backend, url, key } for Supabase, { filename, autoMigrate } for SQLite
+ */
+function createStorage(options = {}) {
+    const backend = storageBackendFromEnv(options);
+    const Storage = STORAGE_BACKENDS[backend];
+    if (!Storage) {
+        throw new Error(`Unknown storage backend "${backend}". Expected one of: ${Object.keys(STORAGE_BACKENDS).join(', ')}`);
+    }
+    return new Storage(options);
+}
+
+module.exports = {
+    SupabaseStorage,
+    SqliteStorage,
+    SqliteQuery,
+    STORAGE_BACKENDS,
+    MIGRATIONS_DIR,
+    createStorage,
+    storageBackendFromEnv,
+    toSqliteDialect
+};
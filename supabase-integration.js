@@ -1,12 +1,14 @@
 // supabase-integration.js
-// Daily NYC property scraper that stores undervalued properties in Supabase
+// Daily NYC property scraper that stores undervalued properties in Supabase (or local SQLite)
 
-const { createClient } = require('@supabase/supabase-js');
+const path = require('path');
+const { createStorage, storageBackendFromEnv } = require('./storage.js');
+const { listMigrations } = require('./migration-runner.js');
 const UndervaluedPropertyFinder = require('./undervalued-property-finder.js');
 
 class NYCPropertyTracker {
-    constructor(supabaseUrl, supabaseKey) {
-        this.supabase = createClient(supabaseUrl, supabaseKey);
+    constructor(supabaseUrl, supabaseKey, options = {}) {
+        this.storage = options.storage || createStorage({ url: supabaseUrl, key: supabaseKey });
         this.finder = new UndervaluedPropertyFinder();
         
         // NYC-focused search locations
@@ -105,7 +107,7 @@ class NYCPropertyTracker {
         for (const property of properties) {
             try {
                 // Check if property already exists (by address + price)
-                const { data: existing } = await this.supabase
+                const { data: existing } = await this.storage
                     .from('listings')
                     .select('id')
                     .eq('address', property.address)
@@ -131,7 +133,7 @@ class NYCPropertyTracker {
                 };
 
                 // Insert into database
-                const { error } = await this.supabase
+                const { error } = await this.storage
                     .from('listings')
                     .insert([listingData]);
 
@@ -157,267 +159,12 @@ class NYCPropertyTracker {
     async saveDailySummary(summary) {
         try {
             // Create scrape_runs table if it doesn't exist (run setup first)
-            const { error } = await this.supabase
+            const { error } = await this.storage
                 .from('scrape_runs')
                 .insert([{
                     run_date: summary.startTime,
                     locations_count: summary.locations,
-                    total_listings_analyzed int,
-                    undervalued_found int,
-                    new_listings_added int,
-                    duration_minutes int,
-                    errors jsonb,
-                    created_at timestamp DEFAULT now()
-                );
-                `
-            });
-
-            if (runsError) {
-                console.warn('⚠️ Could not create scrape_runs table:', runsError.message);
-                console.log('💡 You may need to run this SQL manually in Supabase:');
-                console.log(`
-CREATE TABLE IF NOT EXISTS scrape_runs (
-    id uuid DEFAULT uuid_generate_v4() PRIMARY KEY,
-    run_date timestamp DEFAULT now(),
-    locations_count int,
-    total_listings_analyzed int,
-    undervalued_found int,
-    new_listings_added int,
-    duration_minutes int,
-    errors jsonb,
-    created_at timestamp DEFAULT now()
-);
-                `);
-            } else {
-                console.log('✅ scrape_runs table created successfully');
-            }
-
-            // Create indexes for better performance
-            const indexes = [
-                'CREATE INDEX IF NOT EXISTS idx_listings_score ON listings(score);',
-                'CREATE INDEX IF NOT EXISTS idx_listings_zip ON listings(zip);',
-                'CREATE INDEX IF NOT EXISTS idx_listings_created_at ON listings(created_at);',
-                'CREATE INDEX IF NOT EXISTS idx_listings_percent_below ON listings(percent_below_market);'
-            ];
-
-            for (const indexSql of indexes) {
-                try {
-                    await this.supabase.rpc('exec_sql', { sql: indexSql });
-                    console.log('✅ Created index');
-                } catch (error) {
-                    console.warn('⚠️ Index may already exist:', error.message);
-                }
-            }
-
-            console.log('✅ NYC database setup complete');
-
-        } catch (error) {
-            console.error('❌ Database setup error:', error.message);
-            console.log('\n💡 Manual setup required. Run this SQL in your Supabase dashboard:');
-            console.log(`
--- Your existing table (should already exist)
-CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
-
-CREATE TABLE IF NOT EXISTS listings (
-  id uuid DEFAULT uuid_generate_v4() PRIMARY KEY,
-  address text,
-  price text,
-  beds text,
-  sqft text,
-  zip text,
-  link text,
-  score int,
-  percent_below_market real,
-  warning_tags text[],
-  created_at timestamp DEFAULT now()
-);
-
--- New table for tracking scrapes
-CREATE TABLE IF NOT EXISTS scrape_runs (
-    id uuid DEFAULT uuid_generate_v4() PRIMARY KEY,
-    run_date timestamp DEFAULT now(),
-    locations_count int,
-    total_listings_analyzed int,
-    undervalued_found int,
-    new_listings_added int,
-    duration_minutes int,
-    errors jsonb,
-    created_at timestamp DEFAULT now()
-);
-
--- Performance indexes
-CREATE INDEX IF NOT EXISTS idx_listings_score ON listings(score);
-CREATE INDEX IF NOT EXISTS idx_listings_zip ON listings(zip);
-CREATE INDEX IF NOT EXISTS idx_listings_created_at ON listings(created_at);
-CREATE INDEX IF NOT EXISTS idx_listings_percent_below ON listings(percent_below_market);
-            `);
-        }
-    }
-}
-
-// CLI interface for running NYC scrapes
-async function main() {
-    const args = process.argv.slice(2);
-    
-    // Environment variables for Supabase
-    const supabaseUrl = process.env.SUPABASE_URL;
-const supabaseKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
-    
-    if (!supabaseUrl || !supabaseKey) {
-        console.error('❌ Missing Supabase environment variables:');
-        console.error('   SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY must be set');
-        console.error('\n📋 Setup instructions:');
-        console.error('   1. Create .env file with:');
-        console.error('      SUPABASE_URL=your_supabase_url');
-        console.error('      SUPABASE_ANON_KEY=your_supabase_anon_key');
-        console.error('   2. Run: npm install dotenv @supabase/supabase-js');
-        console.error('   3. Add to your script: require("dotenv").config()');
-        process.exit(1);
-    }
-
-    const tracker = new NYCPropertyTracker(supabaseUrl, supabaseKey);
-
-    if (args.includes('--setup')) {
-        await tracker.setupNYCDatabase();
-        return;
-    }
-
-    if (args.includes('--cleanup')) {
-        const days = parseInt(args[args.indexOf('--cleanup') + 1]) || 30;
-        await tracker.cleanupOldListings(days);
-        return;
-    }
-
-    if (args.includes('--stats')) {
-        const stats = await tracker.getNYCMarketStats();
-        console.log('🗽 NYC Market Statistics:');
-        console.log(JSON.stringify(stats, null, 2));
-        return;
-    }
-
-    if (args.includes('--latest')) {
-        const limit = parseInt(args[args.indexOf('--latest') + 1]) || 10;
-        const properties = await tracker.getLatestNYCProperties(limit);
-        console.log(`🗽 Latest ${properties.length} undervalued NYC properties:`);
-        properties.forEach((prop, i) => {
-            console.log(`${i + 1}. ${prop.address} - ${prop.price} (Score: ${prop.score})`);
-        });
-        return;
-    }
-
-    if (args.includes('--top-deals')) {
-        const limit = parseInt(args[args.indexOf('--top-deals') + 1]) || 20;
-        const deals = await tracker.getTopNYCDeals(limit);
-        console.log(`🏆 Top ${deals.length} NYC deals:`);
-        deals.forEach((deal, i) => {
-            console.log(`${i + 1}. ${deal.address} - ${deal.price} (Score: ${deal.score}, ${deal.percent_below_market}% below market)`);
-        });
-        return;
-    }
-
-    if (args.includes('--zip')) {
-        const zipCode = args[args.indexOf('--zip') + 1];
-        if (!zipCode) {
-            console.error('❌ Please provide a ZIP code: --zip 10001');
-            return;
-        }
-        const properties = await tracker.getPropertiesByNYCZip(zipCode);
-        console.log(`🗽 Properties in NYC ZIP ${zipCode}:`);
-        properties.forEach((prop, i) => {
-            console.log(`${i + 1}. ${prop.address} - ${prop.price} (Score: ${prop.score})`);
-        });
-        return;
-    }
-
-    // Default: run daily NYC scrape
-    console.log('🗽 Starting daily NYC property scrape...');
-    const results = await tracker.runDailyNYCScrape();
-    
-    console.log('\n🎉 Daily NYC scrape completed successfully!');
-    return results;
-}
-
-// Example usage and testing
-async function nycExample() {
-    console.log('🗽 NYC Supabase Integration Example\n');
-    
-    // Mock environment for example
-    const mockSupabaseUrl = 'https://your-project.supabase.co';
-    const mockSupabaseKey = 'your-anon-key';
-    
-    console.log('🔧 NYC-focused setup:');
-    console.log(`
-// 1. Install dependencies
-npm install @supabase/supabase-js dotenv
-
-// 2. Create .env file
-SUPABASE_URL=${mockSupabaseUrl}
-SUPABASE_ANON_KEY=${mockSupabaseKey}
-
-// 3. Your Supabase SQL schema (already perfect!)
-CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
-
-CREATE TABLE listings (
-    id uuid DEFAULT uuid_generate_v4() PRIMARY KEY,
-    address text,
-    price text,
-    beds text,
-    sqft text,
-    zip text,
-    link text,
-    score int,
-    percent_below_market real,
-    warning_tags text[],
-    created_at timestamp DEFAULT now()
-);
-
-// 4. NYC usage in your code
-require('dotenv').config();
-const tracker = new NYCPropertyTracker(
-    process.env.SUPABASE_URL, 
-    process.env.SUPABASE_ANON_KEY
-);
-
-// Run daily NYC scrape
-await tracker.runDailyNYCScrape();
-
-// Get latest NYC properties
-const latest = await tracker.getLatestNYCProperties(20);
-
-// Get top NYC deals
-const topDeals = await tracker.getTopNYCDeals(10);
-
-// Clean up old data
-await tracker.cleanupOldListings(30);
-    `);
-
-    console.log('\n📋 NYC CLI Commands:');
-    console.log('node supabase-integration.js                    # Run daily NYC scrape');
-    console.log('node supabase-integration.js --setup           # Setup database');
-    console.log('node supabase-integration.js --latest 20       # Get latest 20 NYC properties');
-    console.log('node supabase-integration.js --top-deals 10    # Get top 10 NYC deals');
-    console.log('node supabase-integration.js --zip 10001       # Get properties in ZIP code');
-    console.log('node supabase-integration.js --cleanup 30      # Clean properties older than 30 days');
-    console.log('node supabase-integration.js --stats           # Get NYC market statistics');
-}
-
-// Run if executed directly
-if (require.main === module) {
-    // Load environment variables if available
-    try {
-        require('dotenv').config();
-    } catch (error) {
-        // dotenv not installed, continue without it
-    }
-    
-    if (process.argv.includes('--example')) {
-        nycExample();
-    } else {
-        main().catch(console.error);
-    }
-}
-
-module.exports = NYCPropertyTracker;d: summary.totalListingsAnalyzed,
+                    total_listings_analyzed: summary.totalListingsAnalyzed,
                     undervalued_found: summary.totalUndervaluedFound,
                     new_listings_added: summary.newListingsAdded,
                     duration_minutes: Math.round(summary.duration / 1000 / 60),
@@ -439,7 +186,7 @@ module.exports = NYCPropertyTracker;d: summary.totalListingsAnalyzed,
      */
     async getLatestNYCProperties(limit = 50, minScore = 40) {
         try {
-            const { data, error } = await this.supabase
+            const { data, error } = await this.storage
                 .from('listings')
                 .select('*')
                 .gte('score', minScore)
@@ -462,7 +209,7 @@ module.exports = NYCPropertyTracker;d: summary.totalListingsAnalyzed,
      */
     async getPropertiesByNYCZip(zipCode, limit = 20) {
         try {
-            const { data, error } = await this.supabase
+            const { data, error } = await this.storage
                 .from('listings')
                 .select('*')
                 .eq('zip', zipCode)
@@ -485,7 +232,7 @@ module.exports = NYCPropertyTracker;d: summary.totalListingsAnalyzed,
      */
     async getTopNYCDeals(limit = 20) {
         try {
-            const { data, error } = await this.supabase
+            const { data, error } = await this.storage
                 .from('listings')
                 .select('*')
                 .gte('score', 70) // Only high-scoring deals
@@ -512,7 +259,7 @@ module.exports = NYCPropertyTracker;d: summary.totalListingsAnalyzed,
             const cutoffDate = new Date();
             cutoffDate.setDate(cutoffDate.getDate() - daysOld);
 
-            const { data, error } = await this.supabase
+            const { data, error } = await this.storage
                 .from('listings')
                 .delete()
                 .lt('created_at', cutoffDate.toISOString())
@@ -536,7 +283,7 @@ module.exports = NYCPropertyTracker;d: summary.totalListingsAnalyzed,
     async getNYCMarketStats() {
         try {
             // Get basic stats
-            const { data: allListings, error } = await this.supabase
+            const { data: allListings, error } = await this.storage
                 .from('listings')
                 .select('score, percent_below_market, zip');
 
@@ -582,17 +329,174 @@ module.exports = NYCPropertyTracker;d: summary.totalListingsAnalyzed,
     }
 
     /**
-     * Setup database schema for NYC property tracking
+     * Setup database schema for NYC property tracking (applies pending migrations/*.sql)
      */
     async setupNYCDatabase() {
         console.log('🔧 Setting up NYC property database schema...');
 
         try {
-            // Note: Your listings table already exists, but let's create the scrape_runs table
-            const { error: runsError } = await this.supabase.rpc('exec_sql', {
-                sql: `
-                CREATE TABLE IF NOT EXISTS scrape_runs (
-                    id uuid DEFAULT uuid_generate_v4() PRIMARY KEY,
-                    run_date timestamp DEFAULT now(),
-                    locations_count int,
-                    total_listings_analyze
+            const { applied } = await this.storage.migrate();
+            console.log(applied.length > 0
+                ? `✅ Applied migrations: ${applied.join(', ')}`
+                : '✅ Database schema is up to date');
+            console.log('✅ NYC database setup complete');
+        } catch (error) {
+            console.error('❌ Database setup error:', error.message);
+            if (this.storage.backend === 'supabase') {
+                console.log('\n💡 Manual setup required. Run these files in your Supabase SQL editor, in order:');
+                listMigrations().forEach(migration => console.log(`   ${path.relative(process.cwd(), migration.up)}`));
+            }
+        }
+    }
+}
+
+// CLI interface for running NYC scrapes
+async function main() {
+    const args = process.argv.slice(2);
+    
+    // Environment variables for Supabase
+    const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+    
+    if (storageBackendFromEnv() === 'supabase' && (!supabaseUrl || !supabaseKey)) {
+        console.error('❌ Missing Supabase environment variables:');
+        console.error('   SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY must be set');
+        console.error('\n📋 Setup instructions:');
+        console.error('   1. Create .env file with:');
+        console.error('      SUPABASE_URL=your_supabase_url');
+        console.error('      SUPABASE_ANON_KEY=your_supabase_anon_key');
+        console.error('   2. Run: npm install dotenv @supabase/supabase-js');
+        console.error('   3. Add to your script: require("dotenv").config()');
+        console.error('   Or set STORAGE_BACKEND=sqlite to use a local database (SQLITE_PATH)');
+        process.exit(1);
+    }
+
+    const tracker = new NYCPropertyTracker(supabaseUrl, supabaseKey);
+
+    if (args.includes('--setup')) {
+        await tracker.setupNYCDatabase();
+        return;
+    }
+
+    if (args.includes('--cleanup')) {
+        const days = parseInt(args[args.indexOf('--cleanup') + 1]) || 30;
+        await tracker.cleanupOldListings(days);
+        return;
+    }
+
+    if (args.includes('--stats')) {
+        const stats = await tracker.getNYCMarketStats();
+        console.log('🗽 NYC Market Statistics:');
+        console.log(JSON.stringify(stats, null, 2));
+        return;
+    }
+
+    if (args.includes('--latest')) {
+        const limit = parseInt(args[args.indexOf('--latest') + 1]) || 10;
+        const properties = await tracker.getLatestNYCProperties(limit);
+        console.log(`🗽 Latest ${properties.length} undervalued NYC properties:`);
+        properties.forEach((prop, i) => {
+            console.log(`${i + 1}. ${prop.address} - ${prop.price} (Score: ${prop.score})`);
+        });
+        return;
+    }
+
+    if (args.includes('--top-deals')) {
+        const limit = parseInt(args[args.indexOf('--top-deals') + 1]) || 20;
+        const deals = await tracker.getTopNYCDeals(limit);
+        console.log(`🏆 Top ${deals.length} NYC deals:`);
+        deals.forEach((deal, i) => {
+            console.log(`${i + 1}. ${deal.address} - ${deal.price} (Score: ${deal.score}, ${deal.percent_below_market}% below market)`);
+        });
+        return;
+    }
+
+    if (args.includes('--zip')) {
+        const zipCode = args[args.indexOf('--zip') + 1];
+        if (!zipCode) {
+            console.error('❌ Please provide a ZIP code: --zip 10001');
+            return;
+        }
+        const properties = await tracker.getPropertiesByNYCZip(zipCode);
+        console.log(`🗽 Properties in NYC ZIP ${zipCode}:`);
+        properties.forEach((prop, i) => {
+            console.log(`${i + 1}. ${prop.address} - ${prop.price} (Score: ${prop.score})`);
+        });
+        return;
+    }
+
+    // Default: run daily NYC scrape
+    console.log('🗽 Starting daily NYC property scrape...');
+    const results = await tracker.runDailyNYCScrape();
+    
+    console.log('\n🎉 Daily NYC scrape completed successfully!');
+    return results;
+}
+
+// Example usage and testing
+async function nycExample() {
+    console.log('🗽 NYC Supabase Integration Example\n');
+    
+    // Mock environment for example
+    const mockSupabaseUrl = 'https://your-project.supabase.co';
+    const mockSupabaseKey = 'your-anon-key';
+    
+    console.log('🔧 NYC-focused setup:');
+    console.log(`
+// 1. Install dependencies
+npm install @supabase/supabase-js dotenv
+
+// 2. Create .env file
+SUPABASE_URL=${mockSupabaseUrl}
+SUPABASE_ANON_KEY=${mockSupabaseKey}
+
+// 3. Create the tables (applies migrations/*.sql - STORAGE_BACKEND=sqlite for a local database)
+node supabase-integration.js --setup
+
+// 4. NYC usage in your code
+require('dotenv').config();
+const tracker = new NYCPropertyTracker(
+    process.env.SUPABASE_URL, 
+    process.env.SUPABASE_ANON_KEY
+);
+
+// Run daily NYC scrape
+await tracker.runDailyNYCScrape();
+
+// Get latest NYC properties
+const latest = await tracker.getLatestNYCProperties(20);
+
+// Get top NYC deals
+const topDeals = await tracker.getTopNYCDeals(10);
+
+// Clean up old data
+await tracker.cleanupOldListings(30);
+    `);
+
+    console.log('\n📋 NYC CLI Commands:');
+    console.log('node supabase-integration.js                    # Run daily NYC scrape');
+    console.log('node supabase-integration.js --setup           # Setup database');
+    console.log('node supabase-integration.js --latest 20       # Get latest 20 NYC properties');
+    console.log('node supabase-integration.js --top-deals 10    # Get top 10 NYC deals');
+    console.log('node supabase-integration.js --zip 10001       # Get properties in ZIP code');
+    console.log('node supabase-integration.js --cleanup 30      # Clean properties older than 30 days');
+    console.log('node supabase-integration.js --stats           # Get NYC market statistics');
+}
+
+// Run if executed directly
+if (require.main === module) {
+    // Load environment variables if available
+    try {
+        require('dotenv').config();
+    } catch (error) {
+        // dotenv not installed, continue without it
+    }
+    
+    if (process.argv.includes('--example')) {
+        nycExample();
+    } else {
+        main().catch(console.error);
+    }
+}
+
+module.exports = NYCPropertyTracker;
@@ -0,0 +1,100 @@
+// test-address-normalizer.js
+// Fixture-driven test suite for the NYC street-address normalizer (fixtures/addresses.json)
+
+const path = require('path');
+const { normalizeAddress, parseAddress, extractUnit } = require('./address-normalizer.js');
+const { parseStreetAddress, matchBuildingSpans } = require('./address-ranges.js');
+
+const fixtures = require(path.join(__dirname, 'fixtures', 'addresses.json'));
+
+function runAddressNormalizerTests() {
+    console.log('🏷️ Starting address normalizer test suite...\n');
+
+    const testResults = {
+        passed: 0,
+        failed: 0,
+        tests: []
+    };
+
+    // Helper function to run a test
+    function runTest(testName, testFunction) {
+        try {
+            testFunction();
+            console.log(`✅ PASSED: ${testName}`);
+            testResults.passed++;
+            testResults.tests.push({ name: testName, status: 'PASSED' });
+        } catch (error) {
+            console.log(`❌ FAILED: ${testName} - ${error.message}`);
+            testResults.failed++;
+            testResults.tests.push({ name: testName, status: 'FAILED', error: error.message });
+        }
+    }
+
+    // Fixture cases: input → canonical form
+    for (const fixture of fixtures.normalize) {
+        runTest(fixture.name, () => {
+            const actual = normalizeAddress(fixture.input, { borough: fixture.borough });
+            if (actual !== fixture.expected) {
+                throw new Error(`"${fixture.input}" → "${actual}", expected "${fixture.expected}"`);
+            }
+        });
+    }
+
+    // Canonical output must be stable when normalized again (stored keys get re-normalized)
+    runTest('Normalization is idempotent', () => {
+        for (const fixture of fixtures.normalize) {
+            const once = normalizeAddress(fixture.input, { borough: fixture.borough });
+            const twice = normalizeAddress(once, { borough: fixture.borough });
+            if (once !== twice) {
+                throw new Error(`"${once}" re-normalized to "${twice}"`);
+            }
+        }
+    });
+
+    // Listing and DHCR spellings of the same building agree
+    for (const [dhcrAddress, listingAddress] of fixtures.equivalent) {
+        runTest(`Equivalent: "${dhcrAddress}" = "${listingAddress}"`, () => {
+            const left = normalizeAddress(dhcrAddress);
+            const right = normalizeAddress(listingAddress);
+            if (left !== right) {
+                throw new Error(`"${left}" !== "${right}"`);
+            }
+        });
+    }
+
+    // Unit designators kept for listing fingerprints (listing-dedup.js)
+    for (const fixture of fixtures.units) {
+        runTest(fixture.name, () => {
+            const actual = extractUnit(fixture.input);
+            if (actual !== fixture.expected) {
+                throw new Error(`"${fixture.input}" → ${JSON.stringify(actual)}, expected ${JSON.stringify(fixture.expected)}`);
+            }
+        });
+    }
+
+    runTest('Parsed parts keep the Queens house number', () => {
+        const parsed = parseAddress('37-12 82nd St #3R');
+        if (!parsed || parsed.houseNumber !== '37-12' || parsed.street !== '82 ST') {
+            throw new Error(`Unexpected parse: ${JSON.stringify(parsed)}`);
+        }
+    });
+
+    runTest('DHCR range span matches a listing through the normalizer', () => {
+        const building = { address: '101 TO 115 W 4TH ST', borough: 'manhattan' };
+        const match = matchBuildingSpans(building, parseStreetAddress('109 West Fourth Street, Apt 2'));
+        if (!match || match.similarity !== 0.95) {
+            throw new Error(`Expected a range match, got ${JSON.stringify(match)}`);
+        }
+    });
+
+    console.log(`\n📊 Address normalizer tests: ${testResults.passed} passed, ${testResults.failed} failed`);
+    return testResults;
+}
+
+// Run the script
+if (require.main === module) {
+    const results = runAddressNormalizerTests();
+    process.exit(results.failed > 0 ? 1 : 0);
+}
+
+module.exports = { runAddressNormalizerTests };
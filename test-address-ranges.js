@@ -0,0 +1,135 @@
+// test-address-ranges.js
+// Test suite for DHCR address spans (address-ranges.js): house number ranges, the odd/even side of
+// the street and corner aliases on the cross street
+//
+// Pure functions on inline DHCR rows - no Supabase or network.
+//   node test-address-ranges.js
+
+const {
+    parseHouseNumberRange,
+    houseNumberKey,
+    parseStreetAddress,
+    buildAddressSpans,
+    getBuildingSpans,
+    spanContainsAddress,
+    matchBuildingSpans
+} = require('./address-ranges.js');
+
+const CORNER_ROW = { BLDGNO1: '101 TO 115', STREET1: '1ST', STSUFX1: 'AVE', BLDGNO2: '401', STREET2: 'EAST 6TH', STSUFX2: 'ST' };
+
+async function runAddressRangeTests() {
+    console.log('📐 Starting address range test suite...\n');
+
+    const testResults = {
+        passed: 0,
+        failed: 0,
+        tests: []
+    };
+
+    // Helper function to run a test
+    async function runTest(testName, testFunction) {
+        try {
+            await testFunction();
+            console.log(`✅ PASSED: ${testName}`);
+            testResults.passed++;
+            testResults.tests.push({ name: testName, status: 'PASSED' });
+        } catch (error) {
+            console.log(`❌ FAILED: ${testName} - ${error.message}`);
+            testResults.failed++;
+            testResults.tests.push({ name: testName, status: 'FAILED', error: error.message });
+        }
+    }
+
+    function expectEqual(actual, expected, label) {
+        if (actual !== expected) {
+            throw new Error(`${label}: got ${actual}, expected ${expected}`);
+        }
+    }
+
+    const range = value => {
+        const parsed = parseHouseNumberRange(value);
+        return parsed ? `${parsed.low}-${parsed.high}` : null;
+    };
+
+    await runTest('DHCR house number cells parse into low/high pairs', () => {
+        expectEqual(range('246'), '246-246', 'Single number');
+        expectEqual(range('1 TO 7'), '1-7', 'TO range');
+        expectEqual(range(' 20  thru 28 '), '20-28', 'THRU range, case and spacing');
+        expectEqual(range('87-15 TO 87-45'), '87-15-87-45', 'Queens hyphenated range');
+        expectEqual(range('12A'), '12A-12A', 'Letter suffix');
+        expectEqual(range('5 TO REAR'), '5-5', 'Unparseable high end');
+        expectEqual(range('REAR'), null, 'No number');
+        expectEqual(range(''), null, 'Empty');
+
+        expectEqual(houseNumberKey('37-12'), 370012, 'Hyphenated key keeps the block prefix');
+        expectEqual(houseNumberKey('37-12') > houseNumberKey('37-9'), true, 'Hyphenated order');
+        expectEqual(houseNumberKey('12B'), 12, 'Letter suffix ignored');
+        expectEqual(houseNumberKey('ONE'), null, 'Not a number');
+    });
+
+    await runTest('A row becomes a primary span and a corner alias on the cross street', () => {
+        const spans = buildAddressSpans(CORNER_ROW);
+
+        expectEqual(spans.length, 2, 'Spans');
+        expectEqual(`${spans[0].kind}:${spans[0].low}-${spans[0].high} ${spans[0].street}`, 'primary:101-115 1ST AVE', 'Primary');
+        expectEqual(`${spans[1].kind}:${spans[1].low}-${spans[1].high} ${spans[1].street}`, 'corner:401-401 EAST 6TH ST', 'Corner alias');
+        expectEqual(buildAddressSpans({ BLDGNO1: '327', STREET1: 'EAST 12TH', STSUFX1: 'ST', BLDGNO2: '', STREET2: 'AVENUE A' }).length, 1, 'Corner without a number');
+        expectEqual(buildAddressSpans({ BLDGNO1: '', STREET1: 'PARK TERRACE GARDENS' }).length, 0, 'No house number');
+
+        const legacy = getBuildingSpans({ address: '101 TO 115 1ST AVE' });
+        expectEqual(`${legacy[0].low}-${legacy[0].high} ${legacy[0].street}`, '101-115 1ST AVE', 'Derived from an older address-only row');
+        expectEqual(getBuildingSpans({ address_ranges: JSON.stringify(spans) }).length, 2, 'Stored as JSON text');
+        expectEqual(getBuildingSpans({ address: 'PARK TERRACE GARDENS' }).length, 0, 'Nothing to derive');
+    });
+
+    await runTest('Listings inside a range match only on the same side of the street', () => {
+        const [primary] = buildAddressSpans(CORNER_ROW);
+        const inside = address => spanContainsAddress(primary, parseStreetAddress(address));
+
+        expectEqual(inside('109 1st Avenue, Apt 4B'), true, 'Odd number inside');
+        expectEqual(inside('101 1st Ave'), true, 'Low end');
+        expectEqual(inside('115 1st Ave #2'), true, 'High end');
+        expectEqual(inside('110 1st Ave'), false, 'Even number across the street');
+        expectEqual(inside('117 1st Ave'), false, 'Past the high end');
+        expectEqual(inside('109 2nd Ave'), false, 'Other street');
+
+        const [mixed] = buildAddressSpans({ BLDGNO1: '100 TO 115', STREET1: '1ST', STSUFX1: 'AVE' });
+        expectEqual(spanContainsAddress(mixed, parseStreetAddress('110 1st Ave')), true, 'Mixed-parity range covers both sides');
+
+        const [queens] = buildAddressSpans({ BLDGNO1: '87-15 TO 87-45', STREET1: '37TH', STSUFX1: 'AVE' });
+        expectEqual(spanContainsAddress(queens, parseStreetAddress('87-21 37th Ave')), true, 'Queens range');
+        expectEqual(spanContainsAddress(queens, parseStreetAddress('88-21 37th Ave')), false, 'Other Queens block');
+    });
+
+    await runTest('Corner aliases match with a lower similarity than the primary frontage', () => {
+        const building = { address: '101 TO 115 1ST AVE', address_ranges: buildAddressSpans(CORNER_ROW) };
+
+        const primary = matchBuildingSpans(building, parseStreetAddress('109 1st Ave'));
+        expectEqual(primary.span.kind, 'primary', 'Primary frontage');
+        expectEqual(primary.similarity, 0.95, 'Range similarity');
+
+        const corner = matchBuildingSpans(building, parseStreetAddress('401 East 6th Street'));
+        expectEqual(corner.span.kind, 'corner', 'Corner alias');
+        expectEqual(corner.similarity, 0.95, 'Exact corner number, less the corner penalty');
+
+        const exact = matchBuildingSpans({ address: '327 EAST 12TH ST' }, parseStreetAddress('327 E 12th St'));
+        expectEqual(exact.similarity, 1, 'Exact single number');
+        expectEqual(matchBuildingSpans(building, parseStreetAddress('403 East 6th Street')), null, 'Next door on the cross street');
+        expectEqual(matchBuildingSpans(building, null), null, 'Unparsed listing');
+    });
+
+    console.log(`\n📊 Address range tests: ${testResults.passed} passed, ${testResults.failed} failed`);
+    return testResults;
+}
+
+// Run the script
+if (require.main === module) {
+    runAddressRangeTests()
+        .then(results => process.exit(results.failed > 0 ? 1 : 0))
+        .catch(error => {
+            console.error('💥 Address range tests crashed:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = { runAddressRangeTests };
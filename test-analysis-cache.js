@@ -0,0 +1,195 @@
+// test-analysis-cache.js
+// Test suite for the Claude analysis cache (analysis-cache.js) on in-memory SQLite with the mock LLM
+//
+// No network or keys needed.
+//   node test-analysis-cache.js
+
+const { createStorage } = require('./storage.js');
+const { createLLMClient } = require('./llm-client.js');
+const EnhancedClaudeMarketAnalyzer = require('./claude-market-analyzer.js');
+const AnalysisCache = require('./analysis-cache.js');
+const { analysisCacheKey } = AnalysisCache;
+
+const NEIGHBORHOOD = 'east-village';
+
+const TARGET = {
+    id: 'se-4412', address: '327 E 12th St #4B', price: 2450, bedrooms: 1, bathrooms: 1, sqft: 550,
+    amenities: ['Laundry', 'Elevator'], description: 'Sunny one bedroom in a prewar walk-up.',
+    neighborhood: NEIGHBORHOOD, daysOnMarket: 3
+};
+
+const COMPARABLES = [
+    { id: 'se-5001', address: '401 E 11th St #2A', price: 3050, bedrooms: 1, bathrooms: 1, sqft: 560, amenities: ['Laundry'] },
+    { id: 'se-5002', address: '229 E 13th St #5C', price: 3150, bedrooms: 1, bathrooms: 1, sqft: 600, amenities: [] },
+    { id: 'se-5003', address: '512 E 12th St #3R', price: 3000, bedrooms: 1, bathrooms: 1, sqft: 520, amenities: ['Elevator'] }
+];
+
+const RENTAL_ANALYSIS = {
+    estimatedMarketRent: 3100,
+    percentBelowMarket: 21,
+    rentStabilizedProbability: 40,
+    reasoning: 'Comparable one bedrooms nearby rent for about $3,100/month.'
+};
+
+function keyFor(listing, comparables = COMPARABLES) {
+    return analysisCacheKey({ analysisType: 'rentals', model: 'claude-3-haiku-20240307', threshold: 15, listing, comparables });
+}
+
+/**
+ * Analyzer on the mock provider (one rental answer per call) with a cache on a fresh in-memory database
+ */
+function cachedAnalyzer(cacheOptions = {}) {
+    const storage = createStorage({ backend: 'sqlite', filename: ':memory:' });
+    const analysisCache = new AnalysisCache(storage, { ttlHours: 24, forceRefresh: false, enabled: true, ...cacheOptions });
+    const llm = createLLMClient({ provider: 'mock', config: {}, respond: () => RENTAL_ANALYSIS });
+    const analyzer = new EnhancedClaudeMarketAnalyzer({ llm, analysisCache });
+    analyzer.delay = async () => {};
+    return { analyzer, analysisCache, llm, storage };
+}
+
+function analyze(analyzer, target = TARGET, comparables = COMPARABLES, options = {}) {
+    return analyzer.analyzeRentalsUndervaluation(target, [target, ...comparables], NEIGHBORHOOD,
+        { undervaluationThreshold: 15, ...options });
+}
+
+async function runAnalysisCacheTests() {
+    console.log('🗃️ Starting analysis cache test suite...\n');
+
+    const testResults = {
+        passed: 0,
+        failed: 0,
+        tests: []
+    };
+
+    // Helper function to run a test
+    async function runTest(testName, testFunction) {
+        try {
+            await testFunction();
+            console.log(`✅ PASSED: ${testName}`);
+            testResults.passed++;
+            testResults.tests.push({ name: testName, status: 'PASSED' });
+        } catch (error) {
+            console.log(`❌ FAILED: ${testName} - ${error.message}`);
+            testResults.failed++;
+            testResults.tests.push({ name: testName, status: 'FAILED', error: error.message });
+        }
+    }
+
+    function expectEqual(actual, expected, label) {
+        if (actual !== expected) {
+            throw new Error(`${label}: got ${actual}, expected ${expected}`);
+        }
+    }
+
+    await runTest('Cache key changes with the analyzed fields and the comparable set only', async () => {
+        const base = keyFor(TARGET);
+
+        expectEqual(keyFor({ ...TARGET, daysOnMarket: 10, address: '327 East 12th Street, Apt 4B' }), base, 'Unrelated fields');
+        expectEqual(keyFor({ ...TARGET, amenities: ['elevator ', 'laundry'] }), base, 'Amenity order and case');
+        expectEqual(keyFor(TARGET, [...COMPARABLES].reverse()), base, 'Comparable order');
+
+        const changed = [
+            { ...TARGET, price: 2395 },
+            { ...TARGET, bedrooms: 2 },
+            { ...TARGET, bathrooms: 1.5 },
+            { ...TARGET, sqft: 600 },
+            { ...TARGET, amenities: ['Laundry', 'Elevator', 'Doorman'] },
+            { ...TARGET, description: 'Renovated one bedroom.' }
+        ];
+        changed.forEach(listing => expectEqual(keyFor(listing) !== base, true, `Changed ${JSON.stringify(listing).slice(0, 40)}`));
+        expectEqual(keyFor(TARGET, COMPARABLES.slice(1)) !== base, true, 'Comparable removed');
+        expectEqual(keyFor(TARGET, [{ ...COMPARABLES[0], price: 2900 }, ...COMPARABLES.slice(1)]) !== base, true, 'Comparable re-priced');
+        expectEqual(analysisCacheKey({ analysisType: 'rentals', model: 'claude-sonnet-4-20250514', threshold: 15, listing: TARGET, comparables: COMPARABLES }) !== base,
+            true, 'Model');
+    });
+
+    await runTest('Re-analyzing an unchanged neighborhood makes no Claude calls', async () => {
+        const { analyzer, analysisCache, llm } = cachedAnalyzer();
+        const listings = [TARGET, { ...TARGET, id: 'se-4413', address: '327 E 12th St #5B', price: 2600 }];
+
+        const firstRun = [];
+        for (const listing of listings) firstRun.push(await analyze(analyzer, listing));
+        const callsAfterFirstRun = llm.getUsageReport().calls;
+
+        const secondRun = [];
+        for (const listing of listings) secondRun.push(await analyze(analyzer, listing));
+
+        expectEqual(callsAfterFirstRun, 2, 'First run calls');
+        expectEqual(llm.getUsageReport().calls, 2, 'Second run adds no calls');
+        expectEqual(secondRun[0].fromCache, true, 'Second run from cache');
+        expectEqual(firstRun[0].fromCache, false, 'First run not from cache');
+        expectEqual(secondRun[0].percentBelowMarket, firstRun[0].percentBelowMarket, 'Same discount');
+        expectEqual(secondRun[1].estimatedMarketRent, firstRun[1].estimatedMarketRent, 'Same market rent');
+        const stats = analysisCache.getStats();
+        expectEqual(stats.hits, 2, 'Hits');
+        expectEqual(stats.stored, 2, 'Stored');
+        expectEqual(stats.hitRate, 50, 'Hit rate');
+    });
+
+    await runTest('A price change or a new comparable is re-analyzed', async () => {
+        const { analyzer, llm } = cachedAnalyzer();
+        await analyze(analyzer);
+        const repriced = await analyze(analyzer, { ...TARGET, price: 2300 });
+        const newComparable = await analyze(analyzer, TARGET, [...COMPARABLES,
+            { id: 'se-5004', address: '88 Avenue A #6', price: 3200, bedrooms: 1, bathrooms: 1, sqft: 580, amenities: ['Laundry', 'Elevator'] }]);
+
+        expectEqual(llm.getUsageReport().calls, 3, 'Calls');
+        expectEqual(repriced.fromCache, false, 'Price change misses');
+        expectEqual(newComparable.fromCache, false, 'Comparable change misses');
+    });
+
+    await runTest('Expired entries and forced refreshes call Claude again', async () => {
+        let now = new Date('2026-10-01T12:00:00Z');
+        const { analyzer, analysisCache, llm, storage } = cachedAnalyzer({ ttlHours: 24, now: () => now });
+
+        await analyze(analyzer);
+        now = new Date('2026-10-02T11:00:00Z');
+        expectEqual((await analyze(analyzer)).fromCache, true, 'Within TTL');
+        now = new Date('2026-10-02T13:00:00Z');
+        expectEqual((await analyze(analyzer)).fromCache, false, 'After TTL');
+        expectEqual((await analyze(analyzer, TARGET, COMPARABLES, { forceRefresh: true })).fromCache, false, 'Forced refresh');
+        expectEqual(llm.getUsageReport().calls, 3, 'Calls');
+        expectEqual(analysisCache.getStats().refreshed, 1, 'Refreshes counted');
+
+        const { data } = await storage.from('claude_analysis_cache').select('*');
+        expectEqual(data.length, 1, 'One entry per key');
+        expectEqual(data[0].listing_id, 'se-4412', 'Listing id');
+        expectEqual(data[0].analysis.estimatedMarketRent, 3100, 'Stored analysis');
+
+        now = new Date('2026-10-10T00:00:00Z');
+        expectEqual(await analysisCache.prune(), 1, 'Pruned');
+    });
+
+    await runTest('Failed analyses are not cached and cache errors fall back to Claude', async () => {
+        const storage = createStorage({ backend: 'sqlite', filename: ':memory:' });
+        const analysisCache = new AnalysisCache(storage, { forceRefresh: false, enabled: true });
+        const answers = [{ ...RENTAL_ANALYSIS, estimatedMarketRent: 0 }, { ...RENTAL_ANALYSIS, estimatedMarketRent: 0 }, RENTAL_ANALYSIS];
+        const llm = createLLMClient({ provider: 'mock', config: {}, responses: answers });
+        const analyzer = new EnhancedClaudeMarketAnalyzer({ llm, analysisCache, maxSchemaRepairs: 1 });
+
+        const failed = await analyze(analyzer);
+        expectEqual(failed.method, 'claude_analysis_failed', 'Failed analysis');
+        expectEqual(analysisCache.getStats().stored, 0, 'Nothing stored');
+
+        const broken = new AnalysisCache({ from: () => { throw new Error('database unavailable'); } }, { forceRefresh: false, enabled: true });
+        analyzer.analysisCache = broken;
+        const result = await analyze(analyzer);
+        expectEqual(result.estimatedMarketRent, 3100, 'Analyzed without the cache');
+        expectEqual(broken.getStats().errors, 2, 'Read and write errors counted');
+    });
+
+    console.log(`\n📊 Analysis cache tests: ${testResults.passed} passed, ${testResults.failed} failed`);
+    return testResults;
+}
+
+// Run the script
+if (require.main === module) {
+    runAnalysisCacheTests()
+        .then(results => process.exit(results.failed > 0 ? 1 : 0))
+        .catch(error => {
+            console.error('💥 Analysis cache tests crashed:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = { runAnalysisCacheTests };
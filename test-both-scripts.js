@@ -1,126 +1,166 @@
 // test-both-scripts.js
-// Manual test runner for both sales and rentals scripts
+// Replay regression test for both sales and rentals pipelines
+//
+// Runs the StreetEasy search/detail calls and the Claude analysis of the rentals and sales
+// pipelines against recorded responses (fixtures/cassettes/pipelines.json) - no network, no keys.
+//   node test-both-scripts.js                            # offline replay
+//   HTTP_CASSETTE_MODE=record node test-both-scripts.js  # re-record (needs RAPIDAPI_KEY + ANTHROPIC_API_KEY)
 require('dotenv').config();
 
-const SalesAnalyzer = require('./biweekly-streeteasy-sales.js');
-const RentalAnalyzer = require('./biweekly-streeteasy-rentals.js');
+process.env.HTTP_CASSETTE_MODE = process.env.HTTP_CASSETTE_MODE || 'replay';
+process.env.HTTP_CASSETTE = process.env.HTTP_CASSETTE || 'pipelines';
 
-class TestBothScripts {
-    constructor() {
-        console.log('🧪 MANUAL TEST MODE: Both Sales and Rentals');
-        console.log('⚡ This will override delays and run both scripts in sequence');
-        console.log('='.repeat(70));
-    }
+const ClaudePoweredRentalsSystem = require('./claude-powered-rentals-system.js');
+const ClaudePoweredSalesSystem = require('./claude-powered-sales-system.js');
+const EnhancedClaudeMarketAnalyzer = require('./claude-market-analyzer.js');
+const { createListingSource } = require('./listing-sources.js');
+const { httpClientFromEnv } = require('./http-cassette.js');
 
-    async runBothScripts() {
-        const startTime = new Date();
-        console.log(`🚀 Starting manual test at ${startTime.toISOString()}\n`);
+const NEIGHBORHOOD = 'east-village';
 
-        try {
-            // Step 1: Run Sales Analysis (no delay needed)
-            console.log('💰 STEP 1: Running Sales Analysis...');
-            const salesAnalyzer = new SalesAnalyzer();
-            
-            // Override the bulk load check for testing
-            salesAnalyzer.initialBulkLoad = false;
-            
-            const salesResults = await salesAnalyzer.runBiWeeklySalesRefresh();
-            console.log(`✅ Sales complete: ${salesResults.summary?.savedToDatabase || 0} sales found\n`);
-
-            // Step 2: Wait a bit between scripts
-            console.log('⏰ Waiting eight minutes seconds between sales and rentals...');
-            await this.delay(8 * 60 * 1000);
-
-            // Step 3: Run Rentals Analysis (override deployment delay)
-            console.log('🏠 STEP 2: Running Rentals Analysis...');
-            const rentalAnalyzer = new RentalAnalyzer();
-            
-            // Override the deployment time to skip 15-minute wait
-            rentalAnalyzer.deployTime = new Date().getTime() - (20 * 60 * 1000); // 20 minutes ago
-            
-            const rentalResults = await rentalAnalyzer.runBiWeeklyRentalRefresh();
-            console.log(`✅ Rentals complete: ${rentalResults.summary?.savedToDatabase || 0} rentals found\n`);
-
-            // Final summary
-            const endTime = new Date();
-            const totalDuration = (endTime - startTime) / 1000 / 60;
-
-            console.log('\n🎉 MANUAL TEST COMPLETE');
-            console.log('='.repeat(70));
-            console.log(`⏱️ Total duration: ${totalDuration.toFixed(1)} minutes`);
-            console.log(`💰 Sales found: ${salesResults.summary?.savedToDatabase || 0}`);
-            console.log(`🏠 Rentals found: ${rentalResults.summary?.savedToDatabase || 0}`);
-            console.log(`📞 Total API calls: ${(salesResults.summary?.apiCallsUsed || 0) + (rentalResults.summary?.apiCallsUsed || 0)}`);
-
-            if (salesResults.summary?.apiCallsSaved || rentalResults.summary?.apiCallsSaved) {
-                const totalSaved = (salesResults.summary?.apiCallsSaved || 0) + (rentalResults.summary?.apiCallsSaved || 0);
-                console.log(`⚡ API calls saved: ${totalSaved} (smart deduplication working!)`);
-            }
+async function runPipelineReplayTests() {
+    console.log('🧪 Starting rentals + sales pipeline replay tests...');
+    console.log(`📼 Cassette: ${process.env.HTTP_CASSETTE} (${process.env.HTTP_CASSETTE_MODE})\n`);
 
-            console.log('\n🔍 Next steps:');
-            console.log('   1. Check your Supabase tables for new data');
-            console.log('   2. Deploy individual scripts with Railway cron for production');
-            console.log('   3. Each script will run independently on its schedule');
+    const replaying = process.env.HTTP_CASSETTE_MODE === 'replay';
+    const http = httpClientFromEnv('pipelines');
+    const listingSource = createListingSource('streeteasy', {
+        apiKey: process.env.RAPIDAPI_KEY || 'replay-only',
+        http
+    });
+    const analyzer = new EnhancedClaudeMarketAnalyzer({
+        apiKey: process.env.ANTHROPIC_API_KEY || process.env.CLAUDE_API_KEY || 'replay-only',
+        http
+    });
+
+    // Pipeline fetch methods only touch these fields (Supabase is not needed to fetch)
+    const pipelineContext = { listingSource, maxListingsPerNeighborhood: 500, apiCallsUsed: 0 };
 
-            // Keep the process alive for a moment to see results
-            console.log('\n⏰ Keeping process alive for eight minutes seconds to view results...');
-            await this.delay(8 * 60 * 1000);
-            
-            console.log('✅ Test complete - process will now exit');
-            process.exit(0);
+    const testResults = {
+        passed: 0,
+        failed: 0,
+        tests: []
+    };
 
+    // Helper function to run a test
+    async function runTest(testName, testFunction) {
+        try {
+            const result = await testFunction();
+            console.log(`✅ PASSED: ${testName}`);
+            testResults.passed++;
+            testResults.tests.push({ name: testName, status: 'PASSED' });
+            return result;
         } catch (error) {
-            console.error('💥 Manual test failed:', error.message);
-            console.error('Stack trace:', error.stack);
-            process.exit(1);
+            console.log(`❌ FAILED: ${testName} - ${error.message}`);
+            testResults.failed++;
+            testResults.tests.push({ name: testName, status: 'FAILED', error: error.message });
+            return null;
         }
     }
 
-    delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    function expectEqual(actual, expected, label) {
+        if (actual !== expected) {
+            throw new Error(`${label}: got ${actual}, expected ${expected}`);
+        }
     }
-}
 
-// CLI interface
-async function main() {
-    const args = process.argv.slice(2);
-    
-    if (!process.env.RAPIDAPI_KEY || !process.env.SUPABASE_URL || !process.env.SUPABASE_ANON_KEY) {
-        console.error('❌ Missing required environment variables!');
-        console.error('   RAPIDAPI_KEY, SUPABASE_URL, SUPABASE_ANON_KEY required');
-        process.exit(1);
-    }
+    // RENTALS PIPELINE
+    const rentals = await runTest('Rentals search replays through fetchActiveListings', async () => {
+        const listings = await ClaudePoweredRentalsSystem.prototype.fetchActiveListings.call(pipelineContext, NEIGHBORHOOD);
+        expectEqual(listings.length, 3, 'Active rentals');
+        expectEqual(listings[0].id, '4521001', 'First listing id');
+        expectEqual(listings[0].listingType, 'rental', 'Listing type');
+        expectEqual(pipelineContext.apiCallsUsed, 1, 'Search requests');
+        return listings;
+    }) || [];
+
+    const detailedRentals = await runTest('Rental details merge over search results, recorded 429 replays as an error', async () => {
+        const detailed = [];
+        const statuses = [];
+        for (const listing of rentals) {
+            try {
+                detailed.push(await listingSource.fetchDetails(listing, { type: 'rental' }));
+            } catch (error) {
+                statuses.push(error.response?.status);
+            }
+        }
+        expectEqual(detailed.length, 2, 'Detailed rentals');
+        expectEqual(detailed[0].address, '327 E 12th St #4B', 'Detail address');
+        expectEqual(detailed[0].price, 2450, 'Detail price');
+        expectEqual(statuses.join(','), '429', 'Failed detail statuses');
+        return detailed.map(listing => ({ ...listing, neighborhood: NEIGHBORHOOD }));
+    }) || [];
+
+    await runTest('Rental Claude analysis replays the recorded estimate', async () => {
+        const analysis = await analyzer.analyzeRentalsUndervaluation(detailedRentals[0], detailedRentals, NEIGHBORHOOD, {
+            undervaluationThreshold: 15,
+            rentStabilizedBuildings: []
+        });
+        expectEqual(analysis.estimatedMarketRent, 3100, 'Estimated market rent');
+        expectEqual(Math.round(analysis.percentBelowMarket * 10) / 10, 21, 'Percent below market');
+        expectEqual(analysis.potentialSavings, 650, 'Potential savings');
+    });
 
-    if (args.includes('--help')) {
-        console.log('🧪 Manual Test Runner for Both Scripts');
-        console.log('');
-        console.log('Usage:');
-        console.log('  node test-both-scripts.js          # Run both sales and rentals');
-        console.log('  node test-both-scripts.js --help   # Show this help');
-        console.log('');
-        console.log('This script:');
-        console.log('  - Overrides deployment delays for immediate testing');
-        console.log('  - Runs sales script first, then rentals script');
-        console.log('  - Shows combined results and API usage');
-        console.log('  - Keeps process alive to view results');
-        return;
-    }
+    // SALES PIPELINE
+    const sales = await runTest('Sales search replays through fetchActiveSalesListings', async () => {
+        const listings = await ClaudePoweredSalesSystem.prototype.fetchActiveSalesListings.call(pipelineContext, NEIGHBORHOOD);
+        expectEqual(listings.length, 2, 'Active sales');
+        expectEqual(listings[1].id, '1876502', 'Second listing id');
+        expectEqual(listings[1].listingType, 'sale', 'Listing type');
+        return listings;
+    }) || [];
+
+    await runTest('Sale Claude analysis replays the recorded estimate', async () => {
+        const detailed = [];
+        for (const listing of sales) {
+            detailed.push({ ...(await listingSource.fetchDetails(listing, { type: 'sale' })), neighborhood: NEIGHBORHOOD });
+        }
+        expectEqual(detailed[0].monthlyHoa, 1150, 'Detail maintenance');
 
-    console.log('🧪 MANUAL TEST: Both Sales and Rentals Scripts');
-    console.log('⚠️  This is for testing only - production uses separate cron jobs');
-    console.log('');
+        const analysis = await analyzer.analyzeSalesUndervaluation(detailed[0], detailed, NEIGHBORHOOD, {
+            undervaluationThreshold: 10
+        });
+        expectEqual(analysis.estimatedMarketPrice, 960000, 'Estimated market price');
+        expectEqual(Math.round(analysis.discountPercent * 10) / 10, 11.6, 'Discount percent');
+    });
 
-    const tester = new TestBothScripts();
-    await tester.runBothScripts();
-}
+    await runTest('Every request was served from the cassette', async () => {
+        expectEqual(listingSource.requestCount, 7, 'StreetEasy requests');
+        expectEqual(analyzer.apiCallsUsed, 2, 'Claude calls');
+    });
+
+    await runTest('Claude tokens are counted from the recorded usage fields', async () => {
+        const usage = analyzer.getUsageReport();
+        expectEqual(usage.inputTokens, 1890 + 1930, 'Input tokens');
+        expectEqual(usage.outputTokens, 160 + 160, 'Output tokens');
+        expectEqual(usage.byTask.deep_analysis.calls, 1, 'Rental analysis task');
+        expectEqual(usage.byTask.quick_check.calls, 1, 'Sale quick check task');
+    });
 
-// Export for use in other modules
-module.exports = TestBothScripts;
+    if (replaying) {
+        await runTest('Unrecorded requests fail fast instead of reaching the network', async () => {
+            try {
+                await listingSource.searchArea('tribeca', { type: 'rental', pageSize: 50 });
+            } catch (error) {
+                expectEqual(error.code, 'CASSETTE_MISS', 'Error code');
+                return;
+            }
+            throw new Error('Expected a cassette miss');
+        });
+    }
+
+    console.log(`\n📊 Pipeline replay tests: ${testResults.passed} passed, ${testResults.failed} failed`);
+    return testResults;
+}
 
-// Run if executed directly
+// Run the script
 if (require.main === module) {
-    main().catch(error => {
-        console.error('💥 Test runner crashed:', error);
-        process.exit(1);
-    });
+    runPipelineReplayTests()
+        .then(results => process.exit(results.failed > 0 ? 1 : 0))
+        .catch(error => {
+            console.error('💥 Pipeline replay tests crashed:', error);
+            process.exit(1);
+        });
 }
+
+module.exports = { runPipelineReplayTests };
@@ -0,0 +1,228 @@
+// test-claude-batches.js
+// Test suite for batch analysis mode: Message Batches through the LLM client, ClaudeBatchRunner
+// polling and resume, and batch answers mapped back to listings
+//
+// Runs against mock-anthropic-batch-server.js on localhost and in-memory SQLite - no key or network.
+//   node test-claude-batches.js
+
+const axios = require('axios');
+const { createStorage } = require('./storage.js');
+const { createLLMClient, BATCH_PRICE_FACTOR } = require('./llm-client.js');
+const EnhancedClaudeMarketAnalyzer = require('./claude-market-analyzer.js');
+const ClaudeBatchRunner = require('./claude-batch-runner.js');
+const { startMockBatchServer } = require('./mock-anthropic-batch-server.js');
+
+const NEIGHBORHOOD = 'east-village';
+
+// Market rent Claude "estimates" for each rental, keyed by address
+const MARKET_RENTS = {
+    '327 E 12th St #4B': 3100,
+    '401 E 11th St #2A': 3300,
+    '229 E 13th St #5C': 2600
+};
+
+const RENTALS = Object.keys(MARKET_RENTS).map((address, index) => ({
+    id: `se-${4412 + index}`, address, price: 2450 + index * 150, bedrooms: 1, bathrooms: 1, sqft: 550,
+    amenities: ['Laundry'], description: 'One bedroom walk-up.', neighborhood: NEIGHBORHOOD
+}));
+
+/**
+ * Valid rental analysis for whichever listing the prompt is about
+ */
+function rentalAnswer(params) {
+    const prompt = params.messages[0].content;
+    const address = Object.keys(MARKET_RENTS).find(candidate => prompt.includes(`Address: ${candidate}`));
+    return {
+        estimatedMarketRent: MARKET_RENTS[address],
+        percentBelowMarket: 10,
+        rentStabilizedProbability: 30,
+        reasoning: `Comparable one bedrooms rent for about $${MARKET_RENTS[address]}/month.`
+    };
+}
+
+/**
+ * Analyzer on the Anthropic provider pointed at the mock server, with a runner on the given storage
+ */
+function batchAnalyzer(server, storage, runnerOptions = {}) {
+    const llm = createLLMClient({ provider: 'anthropic', apiKey: 'test-only', http: axios, baseUrl: server.url, config: {} });
+    const analyzer = new EnhancedClaudeMarketAnalyzer({ llm });
+    analyzer.delay = async () => {};
+    const batchRunner = new ClaudeBatchRunner(llm, storage, { pollIntervalMs: 1, maxWaitMs: 60000, ...runnerOptions });
+    return { analyzer, batchRunner, llm };
+}
+
+function analyzeRentals(analyzer, batchRunner) {
+    return analyzer.analyzeRentalsBatch(RENTALS, RENTALS, NEIGHBORHOOD, { undervaluationThreshold: 15, batchRunner });
+}
+
+async function runBatchTests() {
+    console.log('📦 Starting Claude batch mode test suite...\n');
+
+    const testResults = {
+        passed: 0,
+        failed: 0,
+        tests: []
+    };
+
+    // Helper function to run a test
+    async function runTest(testName, testFunction) {
+        try {
+            await testFunction();
+            console.log(`✅ PASSED: ${testName}`);
+            testResults.passed++;
+            testResults.tests.push({ name: testName, status: 'PASSED' });
+        } catch (error) {
+            console.log(`❌ FAILED: ${testName} - ${error.message}`);
+            testResults.failed++;
+            testResults.tests.push({ name: testName, status: 'FAILED', error: error.message });
+        }
+    }
+
+    function expectEqual(actual, expected, label) {
+        if (actual !== expected) {
+            throw new Error(`${label}: got ${actual}, expected ${expected}`);
+        }
+    }
+
+    /**
+     * Run a test body with a fresh mock server (closed afterwards)
+     */
+    async function withServer(serverOptions, fn) {
+        const server = await startMockBatchServer(serverOptions);
+        try {
+            return await fn(server);
+        } finally {
+            await server.close();
+        }
+    }
+
+    await runTest('LLM client submits a batch, polls it and reads JSONL results at the batch price', async () => {
+        await withServer({ respond: params => `{"echo":"${params.messages[0].content}"}`, pollsUntilEnded: 2 }, async server => {
+            const llm = createLLMClient({ provider: 'anthropic', apiKey: 'test-only', http: axios, baseUrl: server.url, config: {} });
+            const submitted = await llm.submitBatch([
+                { customId: 'a', task: 'quick_check', messages: [{ role: 'user', content: 'first' }] },
+                { customId: 'b', task: 'deep_analysis', system: 'sys', messages: [{ role: 'user', content: 'second' }] }
+            ]);
+            expectEqual(submitted.status, 'in_progress', 'Submitted status');
+            expectEqual(server.state.batches.get(submitted.id).requests[1].params.system, 'sys', 'Params sent');
+
+            expectEqual((await llm.getBatch(submitted.id)).status, 'in_progress', 'First poll');
+            const ended = await llm.getBatch(submitted.id);
+            expectEqual(ended.status, 'ended', 'Second poll');
+
+            const results = await llm.getBatchResults(ended, { a: 'quick_check', b: 'deep_analysis' });
+            expectEqual(results.find(result => result.customId === 'b').text, '{"echo":"second"}', 'Result by custom id');
+
+            const report = llm.getUsageReport();
+            const first = results[0];
+            expectEqual(report.byTask.quick_check.calls, 1, 'Usage by task');
+            expectEqual(first.cost.toFixed(8),
+                (llm.estimateCost(first.model, first.usage) * BATCH_PRICE_FACTOR).toFixed(8), 'Batch price');
+        });
+    });
+
+    await runTest('A neighborhood goes to Claude as one batch and results map back to listing ids', async () => {
+        await withServer({ respond: rentalAnswer, pollsUntilEnded: 2 }, async server => {
+            const storage = createStorage({ backend: 'sqlite', filename: ':memory:' });
+            const { analyzer, batchRunner } = batchAnalyzer(server, storage);
+            const analyses = await analyzeRentals(analyzer, batchRunner);
+
+            expectEqual(server.state.created.length, 1, 'Batches');
+            expectEqual(server.state.batches.get(server.state.created[0]).requests.length, 3, 'Requests in the batch');
+            expectEqual(server.state.messageCalls.length, 0, 'Individual calls');
+            RENTALS.forEach(listing => expectEqual(analyses.get(listing.id).estimatedMarketRent, MARKET_RENTS[listing.address], `${listing.id} market rent`));
+            expectEqual(analyses.get('se-4412').isUndervalued, true, 'Undervalued from batch answer');
+
+            const { data: jobs } = await storage.from('claude_batch_jobs').select('*');
+            expectEqual(jobs.length, 1, 'Job recorded');
+            expectEqual(jobs[0].status, 'collected', 'Job collected');
+            expectEqual(jobs[0].requests['req-1'].listingId, 'se-4413', 'Custom id → listing id');
+        });
+    });
+
+    await runTest('A restarted run resumes polling the unfinished batch instead of submitting again', async () => {
+        await withServer({ respond: rentalAnswer, pollsUntilEnded: 3 }, async server => {
+            const storage = createStorage({ backend: 'sqlite', filename: ':memory:' });
+
+            const firstRun = batchAnalyzer(server, storage, { maxWaitMs: 0 });
+            try {
+                await analyzeRentals(firstRun.analyzer, firstRun.batchRunner);
+                throw new Error('Expected BATCH_TIMEOUT');
+            } catch (error) {
+                expectEqual(error.code, 'BATCH_TIMEOUT', 'Error code');
+            }
+            const { data: pending } = await storage.from('claude_batch_jobs').select('*').eq('status', 'in_progress');
+            expectEqual(pending.length, 1, 'Job left in progress');
+
+            // New process: new LLM client, analyzer and runner over the same database
+            const secondRun = batchAnalyzer(server, storage);
+            const analyses = await analyzeRentals(secondRun.analyzer, secondRun.batchRunner);
+
+            expectEqual(server.state.created.length, 1, 'No second batch');
+            expectEqual(secondRun.batchRunner.getStats().batchesResumed, 1, 'Resumed');
+            expectEqual(secondRun.batchRunner.getStats().resultsReused, 3, 'Results reused');
+            expectEqual(analyses.get('se-4414').estimatedMarketRent, 2600, 'Mapped result');
+            expectEqual(secondRun.llm.getUsageReport().calls, 3, 'Usage accounted by the resuming run');
+        });
+    });
+
+    await runTest('Invalid batch answers are re-asked and errored requests retried individually', async () => {
+        const respond = (params, customId) => {
+            if (customId === 'req-0') return 'Market rent is about 3,100.';
+            if (customId === 'req-1') throw new Error('overloaded');
+            return rentalAnswer(params);
+        };
+        await withServer({ respond, pollsUntilEnded: 1 }, async server => {
+            const storage = createStorage({ backend: 'sqlite', filename: ':memory:' });
+            const { analyzer, batchRunner } = batchAnalyzer(server, storage);
+            const analyses = await analyzeRentals(analyzer, batchRunner);
+
+            expectEqual(server.state.messageCalls.length, 2, 'Individual calls');
+            const reAsk = server.state.messageCalls.find(body => body.messages.length === 3);
+            expectEqual(Boolean(reAsk), true, 'Re-ask continues the batch conversation');
+            expectEqual(reAsk.messages[1].content, 'Market rent is about 3,100.', 'Batch answer included');
+            expectEqual(analyses.get('se-4412').estimatedMarketRent, 3100, 'Repaired analysis');
+            expectEqual(analyses.get('se-4413').estimatedMarketRent, 3300, 'Retried analysis');
+
+            const stats = analyzer.getSchemaStats();
+            expectEqual(stats.validated, 3, 'Validated');
+            expectEqual(stats.repaired, 1, 'Repaired');
+        });
+    });
+
+    await runTest('Sale quick checks batch on the mock provider without a server', async () => {
+        const storage = createStorage({ backend: 'sqlite', filename: ':memory:' });
+        const llm = createLLMClient({
+            provider: 'mock',
+            config: {},
+            respond: () => ({ estimatedMarketPrice: 1000000, discountPercent: 12, reasoning: 'Nearby co-ops trade higher.' })
+        });
+        const analyzer = new EnhancedClaudeMarketAnalyzer({ llm });
+        const batchRunner = new ClaudeBatchRunner(llm, storage, { pollIntervalMs: 1 });
+        const sales = [
+            { id: 'sale-1', address: '10 Stuyvesant Oval #5A', salePrice: 850000, price: 850000, bedrooms: 2, bathrooms: 1, amenities: [], description: '' },
+            { id: 'sale-2', address: '20 Stuyvesant Oval #3C', salePrice: 990000, price: 990000, bedrooms: 2, bathrooms: 1, amenities: [], description: '' }
+        ];
+        const checks = await analyzer.analyzeSalesBatch(sales, sales, 'stuyvesant-town', { undervaluationThreshold: 10, batchRunner });
+
+        expectEqual(llm.provider.batches.size, 1, 'One batch');
+        expectEqual(checks.get('sale-1').discountPercent, 15, 'Discount from the batch answer');
+        expectEqual(checks.get('sale-2').isUndervalued, false, 'Not undervalued');
+        expectEqual(llm.getUsageReport().byTask.quick_check.calls, 2, 'Quick check usage');
+    });
+
+    console.log(`\n📊 Batch mode tests: ${testResults.passed} passed, ${testResults.failed} failed`);
+    return testResults;
+}
+
+// Run the script
+if (require.main === module) {
+    runBatchTests()
+        .then(results => process.exit(results.failed > 0 ? 1 : 0))
+        .catch(error => {
+            console.error('💥 Batch mode tests crashed:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = { runBatchTests };
@@ -0,0 +1,207 @@
+// test-comparable-sets.js
+// Test suite for valuation comparable sets (comparable-sets.js): the comparables, hierarchy tier and
+// adjustments each analyzer / engine valuation reports, and their storage behind the pipelines
+//
+// Mock LLM, fixtures/rental-parity.json and in-memory SQLite - no Supabase, key or network.
+//   node test-comparable-sets.js
+
+const { createStorage } = require('./storage.js');
+const { createLLMClient } = require('./llm-client.js');
+const ComparableSets = require('./comparable-sets.js');
+const { buildComparableSet, normalizeAdjustments, COMPARABLE_TIERS } = require('./comparable-sets.js');
+const EnhancedClaudeMarketAnalyzer = require('./claude-market-analyzer.js');
+const { AdvancedRentalValuationEngine } = require('./biweekly-streeteasy-rentals.js');
+const ClaudePoweredRentalsSystem = require('./claude-powered-rentals-system.js');
+const { loadParityFixture } = require('./engine-parity.js');
+
+const fixture = loadParityFixture();
+const NEIGHBORHOOD = fixture.neighborhood;
+const rentalById = id => fixture.rentals.find(rental => rental.id === id);
+
+const NOW = new Date('2026-10-01T12:00:00.000Z');
+
+/**
+ * A 1br comparable renting for `price`
+ */
+const comparable = (id, price, sqft = 600) => ({ id, address: `${id} E 10th St`, price, bedrooms: 1, bathrooms: 1, sqft });
+
+async function runComparableSetTests() {
+    console.log('🧾 Starting valuation comparable set test suite...\n');
+
+    const testResults = {
+        passed: 0,
+        failed: 0,
+        tests: []
+    };
+
+    // Helper function to run a test
+    async function runTest(testName, testFunction) {
+        try {
+            await testFunction();
+            console.log(`✅ PASSED: ${testName}`);
+            testResults.passed++;
+            testResults.tests.push({ name: testName, status: 'PASSED' });
+        } catch (error) {
+            console.log(`❌ FAILED: ${testName} - ${error.message}`);
+            testResults.failed++;
+            testResults.tests.push({ name: testName, status: 'FAILED', error: error.message });
+        }
+    }
+
+    function expectEqual(actual, expected, label) {
+        if (actual !== expected) {
+            throw new Error(`${label}: got ${actual}, expected ${expected}`);
+        }
+    }
+
+    await runTest('A comparable set lists each comparable, its tier and the adjustments applied', async () => {
+        const target = comparable('t-1', 2400, 550);
+        const comparables = [target, ...Array.from({ length: 13 }, (_, i) => comparable(`c-${i + 1}`, 3000 + i * 100))];
+        const set = buildComparableSet({
+            target,
+            comparables,
+            tier: 'bed_bath_specific_pricing',
+            adjustments: { amenities: 150, square_footage: -75.4, location: null },
+            estimatedMarketValue: 3200,
+            baseMarketValue: 3125,
+            engine: 'claude',
+            promptLimit: 12
+        });
+
+        expectEqual(set.tierLabel, COMPARABLE_TIERS.bed_bath_specific_pricing, 'Tier label');
+        expectEqual(set.comparableCount, 14, 'Every filtered comparable kept');
+        expectEqual(set.comparables.filter(comp => comp.shownToModel).length, 12, 'Comparables in the prompt');
+        expectEqual(set.comparables[13].shownToModel, false, 'Past the prompt limit');
+        expectEqual(set.comparables[0].isTarget, true, 'Target marked');
+        expectEqual(set.comparables[1].pricePerSqft, 5, 'Price per sqft');
+        expectEqual(set.medianPrice, 3550, 'Median price');
+        expectEqual(set.percentBelowMarket, 25, 'Discount from the estimate');
+        expectEqual(set.adjustments.map(adjustment => `${adjustment.category}:${adjustment.amount}`).join(','), 'amenities:150,square_footage:-75', 'Adjustments without empty ones');
+
+        const engineAdjustments = normalizeAdjustments([{ category: 'amenities', amount: 210, details: [{ amenity: 'doorman', adjustment: 210 }] }]);
+        expectEqual(engineAdjustments[0].details[0].amenity, 'doorman', 'Engine adjustment details kept');
+        expectEqual(normalizeAdjustments(undefined).length, 0, 'No adjustments');
+    });
+
+    await runTest('Claude and engine valuations both report the comparable set behind the estimate', async () => {
+        const llm = createLLMClient({
+            provider: 'mock',
+            config: {},
+            respond: request => {
+                const rental = fixture.rentals.find(candidate => request.messages[0].content.includes(`Address: ${candidate.address}\n`));
+                return fixture.claudeAnswers[rental.id];
+            }
+        });
+        const target = rentalById('par-ev-1');
+
+        const claude = await new EnhancedClaudeMarketAnalyzer({ llm, analysisEngine: 'claude' })
+            .analyzeRentalsUndervaluation(target, fixture.rentals, NEIGHBORHOOD, { undervaluationThreshold: 15 });
+        expectEqual(claude.comparableSet.engine, 'claude', 'Claude set');
+        expectEqual(claude.comparableSet.comparableCount, claude.comparablesUsed, 'Every comparable Claude was given');
+        expectEqual(claude.comparableSet.estimatedMarketValue, Math.round(claude.estimatedMarketRent), 'Claude estimate');
+        expectEqual(Boolean(COMPARABLE_TIERS[claude.comparableSet.tier]), true, 'Hierarchy tier');
+
+        const engine = await new EnhancedClaudeMarketAnalyzer({ llm, analysisEngine: 'engine' })
+            .analyzeRentalsUndervaluation(target, fixture.rentals, NEIGHBORHOOD, { undervaluationThreshold: 15 });
+        expectEqual(engine.comparableSet.engine, 'valuation_engine', 'Engine set');
+        expectEqual(engine.comparableSet.comparables.some(comp => comp.isTarget), false, 'Target not its own comparable');
+        expectEqual(engine.comparableSet.comparables.every(comp => comp.price > 0), true, 'Comparable rents');
+        expectEqual(engine.comparableSet.estimatedMarketValue, engine.estimatedMarketRent, 'Engine estimate');
+        expectEqual(engine.comparableSet.baseMarketValue + engine.comparableSet.adjustments.reduce((sum, adjustment) => sum + adjustment.amount, 0),
+            engine.estimatedMarketRent, 'Base value plus adjustments');
+    });
+
+    await runTest('The bi-weekly valuation engine reports the comparables it selected', () => {
+        const rentals = fixture.rentals.map(rental => ({ ...rental, monthlyRent: rental.price }));
+        const analysis = new AdvancedRentalValuationEngine()
+            .analyzeRentalUndervaluation(rentals[0], rentals, NEIGHBORHOOD, { undervaluationThreshold: 25 });
+
+        expectEqual(analysis.comparableSet.tier, analysis.method, 'Tier is the valuation method');
+        expectEqual(analysis.comparableSet.comparableCount, analysis.comparablesUsed, 'Comparables used');
+        expectEqual(analysis.comparableSet.adjustments.length, analysis.adjustmentBreakdown.length, 'Each adjustment');
+        expectEqual(analysis.comparableSet.actualPrice, rentals[0].monthlyRent, 'Actual rent');
+    });
+
+    await runTest('Saved sets replace the previous one and read back by listing and type', async () => {
+        const storage = createStorage({ backend: 'sqlite', filename: ':memory:' });
+        const sets = new ComparableSets(storage, { now: () => NOW });
+        const target = comparable('t-1', 2400);
+        const set = estimate => buildComparableSet({
+            target,
+            comparables: [comparable('c-1', 3000), comparable('c-2', 3100)],
+            tier: 'bed_specific_with_adjustments',
+            adjustments: [{ category: 'amenities', amount: 120, details: 'Doorman' }],
+            estimatedMarketValue: estimate,
+            baseMarketValue: 3050,
+            engine: 'valuation_engine'
+        });
+
+        expectEqual(await sets.save('rental', 't-1', set(3100), { neighborhood: 'east-village', analysisTable: 'undervalued_rentals' }), true, 'Saved');
+        expectEqual(await sets.save('rental', 't-1', set(3170), { neighborhood: 'east-village', analysisTable: 'undervalued_rentals' }), true, 'Replaced');
+        expectEqual(await sets.save('rental', 't-1', null), false, 'Nothing to save');
+
+        const { data: rows } = await storage.from('valuation_comparables').select('listing_id');
+        expectEqual(rows.length, 1, 'One row per listing and type');
+
+        const stored = await sets.get('t-1');
+        expectEqual(stored.estimatedMarketValue, 3170, 'Latest analysis');
+        expectEqual(stored.tierLabel, 'Same bedroom count', 'Tier label');
+        expectEqual(stored.analysisTable, 'undervalued_rentals', 'Analysis table');
+        expectEqual(stored.comparables.map(comp => comp.listingId).join(','), 'c-1,c-2', 'Comparable IDs');
+        expectEqual(stored.adjustments[0].details, 'Doorman', 'Adjustment details');
+        expectEqual(stored.analyzedAt, NOW.toISOString(), 'Analyzed at');
+        expectEqual(await sets.get('t-1', { listingType: 'sale' }), null, 'No sale analysis');
+        expectEqual(await sets.get('missing'), null, 'Unknown listing');
+    });
+
+    await runTest('The rentals pipeline stores the comparable set of every saved analysis', async () => {
+        const storage = createStorage({ backend: 'sqlite', filename: ':memory:' });
+        const base = { bathrooms: 1, amenities: ['laundry'], description: '' };
+        const listings = [
+            { ...base, id: 'ev-1', address: '327 E 12th St #4B', price: 2450, bedrooms: 1, sqft: 550, daysOnMarket: 30 },
+            { ...base, id: 'ev-2', address: '209 E 7th St #2', price: 3600, bedrooms: 2, sqft: 700, daysOnMarket: 3 }
+        ];
+        const listingSource = {
+            name: 'fixture',
+            requestCount: 0,
+            searchArea: async () => listings.map(listing => ({ ...listing })),
+            fetchDetails: async result => ({ ...result })
+        };
+        const llm = createLLMClient({
+            provider: 'mock',
+            config: {},
+            respond: request => request.messages[0].content.includes('327 E 12th St')
+                ? { estimatedMarketRent: 3400, percentBelowMarket: 28, rentStabilizedProbability: 10, adjustmentBreakdown: { laundry: 100 }, reasoning: 'Well below the block.' }
+                : { estimatedMarketRent: 3600, percentBelowMarket: 0, rentStabilizedProbability: 10, reasoning: 'At market.' }
+        });
+        const system = new ClaudePoweredRentalsSystem({ storage, listingSource, llm, batchMode: false });
+        system.delay = async () => {};
+
+        await system.analyzeNeighborhoodForRentStabilized('east-village');
+
+        const sets = new ComparableSets(storage);
+        const saved = await sets.get('ev-1', { listingType: 'rental' });
+        expectEqual(saved.analysisTable, 'undervalued_rentals', 'Saved beside the analysis');
+        expectEqual(saved.neighborhood, 'east-village', 'Neighborhood');
+        expectEqual(saved.engine, 'claude', 'Claude valuation');
+        expectEqual(saved.estimatedMarketValue, 3400, 'Estimate');
+        expectEqual(saved.comparables.some(comp => comp.listingId === 'ev-2'), true, 'Comparable IDs');
+        expectEqual(saved.adjustments.map(adjustment => `${adjustment.category}:${adjustment.amount}`).join(','), 'laundry:100', 'Claude adjustment');
+        expectEqual(await sets.get('ev-2'), null, 'Not stored for an analysis that was not saved');
+    });
+
+    console.log(`\n📊 Comparable set tests: ${testResults.passed} passed, ${testResults.failed} failed`);
+    return testResults;
+}
+
+// Run the script
+if (require.main === module) {
+    runComparableSetTests()
+        .then(results => process.exit(results.failed > 0 ? 1 : 0))
+        .catch(error => {
+            console.error('💥 Comparable set tests crashed:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = { runComparableSetTests };
@@ -0,0 +1,167 @@
+// test-dhcr-building-registry.js
+// Test suite for the BBL-keyed building registry (building-registry.js): BBL formatting, listing
+// addresses resolved through the address table before DHCR spans, and borough-aware matching
+//
+// Buildings converted from inline DHCR rows, address table in a temp CSV - no Supabase or network.
+//   node test-dhcr-building-registry.js
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const BuildingRegistry = require('./building-registry.js');
+const { formatBBL, normalizeBBL } = require('./building-registry.js');
+const DHCRIngestion = require('./dhcr-ingestion.js');
+const { BOROUGH_PROFILES } = require('./dhcr-ingestion.js');
+
+const ingestion = new DHCRIngestion();
+
+/**
+ * Building record as the ingestion writes it for a DHCR row
+ */
+const building = (profile, row) => ingestion.convertRow({ CITY: 'NEW YORK', STATUS1: 'MULTIPLE DWELLING A', ...row }, BOROUGH_PROFILES[profile]);
+
+const BUILDINGS = [
+    building('manhattan', { ZIP: '10009', BLDGNO1: '101 TO 115', STREET1: '1ST', STSUFX1: 'AVE', BLDGNO2: '401', STREET2: 'EAST 6TH', STSUFX2: 'ST', COUNTY: '62', BLOCK: '444', LOT: '1' }),
+    building('manhattan', { ZIP: '10003', BLDGNO1: '210', STREET1: 'EAST 10TH', STSUFX1: 'ST', COUNTY: '62', BLOCK: '451', LOT: '5' }),
+    building('manhattan', { ZIP: '10019', BLDGNO1: '1633', STREET1: 'BROADWAY', COUNTY: '62', BLOCK: '1021', LOT: '1' }),
+    building('brooklyn', { ZIP: '11211', BLDGNO1: '1633', STREET1: 'BROADWAY', COUNTY: '61', BLOCK: '3456', LOT: '12' }),
+    building('queens', { ZIP: '11372', BLDGNO1: '37-10 TO 37-20', STREET1: '82ND', STSUFX1: 'ST', COUNTY: '63', BLOCK: '1289', LOT: '40' })
+];
+
+/**
+ * Run fn with console.log silenced (loading prints row counts)
+ */
+async function quietly(fn) {
+    const log = console.log;
+    console.log = () => {};
+    try {
+        return await fn();
+    } finally {
+        console.log = log;
+    }
+}
+
+async function runBuildingRegistryTests() {
+    console.log('🗂️ Starting BBL building registry test suite...\n');
+
+    const testResults = {
+        passed: 0,
+        failed: 0,
+        tests: []
+    };
+
+    // Helper function to run a test
+    async function runTest(testName, testFunction) {
+        try {
+            await testFunction();
+            console.log(`✅ PASSED: ${testName}`);
+            testResults.passed++;
+            testResults.tests.push({ name: testName, status: 'PASSED' });
+        } catch (error) {
+            console.log(`❌ FAILED: ${testName} - ${error.message}`);
+            testResults.failed++;
+            testResults.tests.push({ name: testName, status: 'FAILED', error: error.message });
+        }
+    }
+
+    function expectEqual(actual, expected, label) {
+        if (actual !== expected) {
+            throw new Error(`${label}: got ${actual}, expected ${expected}`);
+        }
+    }
+
+    await runTest('BBLs are 10 digits: borough, 5-digit block, 4-digit lot', () => {
+        expectEqual(formatBBL(1, '722', '3'), '1007220003', 'Padded');
+        expectEqual(formatBBL('3', '03456', '0012'), '3034560012', 'Already padded');
+        expectEqual(formatBBL(1, 'BLK 722', 'LOT 3'), '1007220003', 'Non-digits dropped');
+        expectEqual(formatBBL(1, '', '3'), null, 'No block');
+        expectEqual(formatBBL(null, '722', '3'), null, 'No borough');
+        expectEqual(formatBBL(1, '123456', '3'), null, 'Block too long');
+        expectEqual(formatBBL(1, '722', '12345'), null, 'Lot too long');
+
+        expectEqual(normalizeBBL('1-00722-0003'), '1007220003', 'Dashed');
+        expectEqual(normalizeBBL(1007220003), '1007220003', 'Number');
+        expectEqual(normalizeBBL('100722'), null, 'Too short');
+        expectEqual(normalizeBBL(null), null, 'Missing');
+    });
+
+    await runTest('Listing BBLs win, then the address table, then DHCR address ranges and corner aliases', () => {
+        const registry = BuildingRegistry.fromBuildings(BUILDINGS);
+        registry.addAddressTableEntry(109, '1 AVE', '1004440099', '10009');
+
+        expectEqual(registry.size, 5, 'Lots');
+        expectEqual(registry.resolveBBL('109 1st Ave', { bbl: '1-00444-0001' }).source, 'listing_bbl', 'Listing BBL');
+        expectEqual(registry.resolveBBL('109 First Avenue #4B').bbl, '1004440099', 'Address table before the range');
+        expectEqual(registry.resolveBBL('111 1st Ave').source, 'dhcr_address_range', 'Range');
+        expectEqual(registry.resolveBBL('111 1st Ave').bbl, '1004440001', 'Range lot');
+        expectEqual(registry.resolveBBL('401 E 6th St').source, 'dhcr_corner_alias', 'Corner alias');
+        expectEqual(registry.resolveBBL('210 East 10th Street, Apt 5').source, 'dhcr_address_range', 'Single number');
+        expectEqual(registry.resolveBBL('37-14 82nd St', { borough: 'queens' }).bbl, '4012890040', 'Hyphenated Queens range');
+        expectEqual(registry.resolveBBL('117 1st Ave'), null, 'Outside the range');
+        expectEqual(registry.resolveBBL('111 1st Ave', { zipcode: '10003' }), null, 'Other zipcode');
+        expectEqual(registry.resolveBBL('Broadway'), null, 'No house number');
+
+        const found = registry.findRegisteredBuilding({ address: '113 1st Ave', zipcode: '10009' });
+        expectEqual(found.entry.addresses[0], '101 TO 115 1ST AVE', 'Registered building');
+        expectEqual(found.source, 'dhcr_address_range', 'Found through the range');
+        expectEqual(registry.findRegisteredBuilding({ address: '109 1st Ave' }), null, 'Address table lot without a building');
+    });
+
+    await runTest('The same address in two boroughs needs a borough or zipcode to resolve', () => {
+        const registry = BuildingRegistry.fromBuildings(BUILDINGS);
+
+        expectEqual(registry.resolveBBL('1633 Broadway'), null, 'Ambiguous without a borough');
+        expectEqual(registry.resolveBBL('1633 Broadway', { borough: 'Manhattan' }).bbl, '1010210001', 'Manhattan');
+        expectEqual(registry.resolveBBL('1633 Broadway', { borough: 'bk' }).bbl, '3034560012', 'Brooklyn');
+        expectEqual(registry.resolveBBL('1633 Broadway', { zipcode: '11211' }).bbl, '3034560012', 'Zipcode');
+        expectEqual(registry.resolveBBL('1633 Broadway', { borough: 'queens' }), null, 'Not in Queens');
+
+        registry.addAddressTableEntry(1633, 'BROADWAY', '1010210001');
+        registry.addAddressTableEntry(1633, 'BROADWAY', '3034560012');
+        expectEqual(registry.resolveBBL('1633 Broadway'), null, 'Address table ambiguous');
+        expectEqual(registry.resolveBBL('1633 Broadway', { borough: 'brooklyn' }).source, 'address_table', 'Address table in Brooklyn');
+        expectEqual(registry.findRegisteredBuilding({ address: '1633 Broadway', borough: 'new york' }).entry.zipcode, '10019', 'Registered Manhattan lot');
+    });
+
+    await runTest('Address tables load from CSV and registries round-trip through JSON', async () => {
+        const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'building-registry-'));
+        try {
+            const table = path.join(dir, 'address-bbl.csv');
+            await fs.writeFile(table, [
+                'House Number,Street Name,Borough,BBL,ZIP',
+                '109,First Avenue,Manhattan,1-00444-0099,10009',
+                '55,Pierrepont Street,Brooklyn,3002370030,11201',
+                ',Broadway,Manhattan,1010210001,10019',
+                '12,Bad Row,Manhattan,12345,10009'
+            ].join('\n'));
+
+            const registry = BuildingRegistry.fromBuildings(BUILDINGS);
+            expectEqual(await quietly(() => registry.loadAddressTable(table)), 2, 'Rows loaded');
+            expectEqual(registry.resolveBBL('109 1st Ave').bbl, '1004440099', 'Table row');
+            expectEqual(registry.resolveBBL('55 Pierrepont St', { borough: 'brooklyn' }).bbl, '3002370030', 'Brooklyn table row');
+
+            const saved = path.join(dir, 'registry.json');
+            await quietly(() => registry.saveToFile(saved));
+            const loaded = await BuildingRegistry.loadFromFile(saved);
+            expectEqual(loaded.size, registry.size, 'Lots after load');
+            expectEqual(loaded.resolveBBL('401 E 6th St').bbl, '1004440001', 'Spans rebuilt on load');
+        } finally {
+            await fs.rm(dir, { recursive: true, force: true });
+        }
+    });
+
+    console.log(`\n📊 BBL building registry tests: ${testResults.passed} passed, ${testResults.failed} failed`);
+    return testResults;
+}
+
+// Run the script
+if (require.main === module) {
+    runBuildingRegistryTests()
+        .then(results => process.exit(results.failed > 0 ? 1 : 0))
+        .catch(error => {
+            console.error('💥 BBL building registry tests crashed:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = { runBuildingRegistryTests };
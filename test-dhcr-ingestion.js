@@ -0,0 +1,215 @@
+// test-dhcr-ingestion.js
+// Test suite for DHCR building file conversion (dhcr-ingestion.js): padded CSV page dumps, borough
+// profiles, zip / county validation, status text, BBL keys and registry years
+//
+// Inline CSV in the layout of the RGB exports (data/dhcr) - no Supabase or network.
+//   node test-dhcr-ingestion.js
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const DHCRIngestion = require('./dhcr-ingestion.js');
+const { BOROUGH_PROFILES, DHCR_COLUMNS, tokenizeCSV } = require('./dhcr-ingestion.js');
+const BuildingRegistry = require('./building-registry.js');
+
+/**
+ * Cells each column owns in the page dump (the header name plus its padding); `shift` pads the
+ * first column so a later page's columns start further right
+ */
+function pageLayout(shift = 0) {
+    return DHCR_COLUMNS.map((name, i) => ({ name, width: (i === 0 ? 3 + shift : 3) + (i % 3) }));
+}
+
+/**
+ * One CSV line with each value in its column's first cell
+ */
+function csvLine(layout, values = {}) {
+    return layout.map(({ name, width }) => {
+        const value = values[name] === undefined ? '' : values[name];
+        return [/[",]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value, ...new Array(width - 1).fill('')].join(',');
+    }).join(',');
+}
+
+const headerLine = layout => csvLine(layout, Object.fromEntries(DHCR_COLUMNS.map(name => [name, name])));
+
+const MANHATTAN_ROW = { ZIP: '10009', BLDGNO1: '327', STREET1: 'EAST 12TH', STSUFX1: 'ST', COUNTY: '62', CITY: 'NEW YORK', STATUS1: 'MULTIPLE DWELLINGA', BLOCK: '453', LOT: '12' };
+
+/**
+ * A two-page Manhattan dump: title, header, rows, footer - the second page's columns shifted
+ */
+function manhattanCSV() {
+    const page1 = pageLayout();
+    const page2 = pageLayout(2);
+    return [
+        ',,,,,ListofManhattanBuildings Containing StabilizedUnits,,,',
+        '',
+        headerLine(page1),
+        '',
+        csvLine(page1, MANHATTAN_ROW),
+        csvLine(page1, { ZIP: '10009', BLDGNO1: '101 TO 115', STREET1: '1ST', STSUFX1: 'AVE', BLDGNO2: '401', STREET2: 'EAST 6TH', STSUFX2: 'ST',
+            COUNTY: '62', CITY: 'NEW YORK', STATUS1: 'MULTIPLE DWELLING A', STATUS2: '421-A (1-15)', BLOCK: '444', LOT: '1' }),
+        csvLine(page1, { ZIP: 'Source: 2023 HCR Building File' }),
+        headerLine(page2),
+        csvLine(page2, { ZIP: '10003-1234', BLDGNO1: '210', STREET1: 'EAST 10TH', STSUFX1: 'ST', COUNTY: '62', CITY: 'NEW YORK, NY', STATUS1: 'NON-EVICT COOP/CON2471', LOT: '5' }),
+        csvLine(page2, { ZIP: '11201', BLDGNO1: '55', STREET1: 'PIERREPONT', STSUFX1: 'ST', COUNTY: '61', CITY: 'BROOKLYN', STATUS1: 'MULTIPLE DWELLING A', BLOCK: '237', LOT: '30' })
+    ].join('\r\n');
+}
+
+/**
+ * Run fn with console.log silenced (conversion prints progress and samples)
+ */
+async function quietly(fn) {
+    const log = console.log;
+    console.log = () => {};
+    try {
+        return await fn();
+    } finally {
+        console.log = log;
+    }
+}
+
+async function runDHCRIngestionTests() {
+    console.log('🏢 Starting DHCR ingestion test suite...\n');
+
+    const testResults = {
+        passed: 0,
+        failed: 0,
+        tests: []
+    };
+
+    // Helper function to run a test
+    async function runTest(testName, testFunction) {
+        try {
+            await testFunction();
+            console.log(`✅ PASSED: ${testName}`);
+            testResults.passed++;
+            testResults.tests.push({ name: testName, status: 'PASSED' });
+        } catch (error) {
+            console.log(`❌ FAILED: ${testName} - ${error.message}`);
+            testResults.failed++;
+            testResults.tests.push({ name: testName, status: 'FAILED', error: error.message });
+        }
+    }
+
+    function expectEqual(actual, expected, label) {
+        if (actual !== expected) {
+            throw new Error(`${label}: got ${actual}, expected ${expected}`);
+        }
+    }
+
+    await runTest('Padded page dumps are read column by column, every header row resetting the layout', () => {
+        const ingestion = new DHCRIngestion();
+        const { buildings, stats } = ingestion.convertRows(tokenizeCSV(manhattanCSV()), BOROUGH_PROFILES.manhattan);
+
+        expectEqual(stats.headerRows, 2, 'Header rows');
+        expectEqual(buildings.map(building => building.address).join(' / '), '327 EAST 12TH ST / 101 TO 115 1ST AVE / 210 EAST 10TH ST', 'Addresses');
+        expectEqual(buildings[0].status1, 'MULTIPLE DWELLING A', 'Canonical status');
+        expectEqual(buildings[0].bbl, '1004530012', 'BBL');
+        expectEqual(buildings[0].dhcr_source, 'csv', 'Source');
+        expectEqual(buildings[1].status2, '421-A (1-15)', 'Second status');
+        expectEqual(buildings[1].address_ranges.map(span => `${span.kind}:${span.low}-${span.high}`).join(','), 'primary:101-115,corner:401-401', 'Spans');
+        expectEqual(buildings[2].zipcode, '10003', 'ZIP+4 trimmed');
+        expectEqual(buildings[2].status1, 'NON-EVICT COOP/CONDO', 'Status merged into BLOCK');
+        expectEqual(buildings[2].bbl, '1024710005', 'BLOCK recovered from the status');
+        expectEqual(stats.skipped, 1, 'Brooklyn row rejected');
+        expectEqual(stats.countyMismatches, 1, 'County mismatch counted');
+    });
+
+    await runTest('Borough profiles come from the option, file name, title row or county codes', () => {
+        const ingestion = new DHCRIngestion();
+        const rows = tokenizeCSV(manhattanCSV());
+        const layout = pageLayout();
+
+        expectEqual(ingestion.resolveProfile('x.csv', rows, 'Staten Island').name, 'staten_island', 'Option label');
+        expectEqual(ingestion.resolveProfile('x.csv', rows, 'staten-island').name, 'staten_island', 'Option key');
+        expectEqual(ingestion.resolveProfile('data/dhcr/2023-DHCR-Bldg-File-Bronx.csv', rows).name, 'bronx', 'File name');
+        expectEqual(ingestion.resolveProfile('export.csv', rows).name, 'manhattan', 'Title row');
+        expectEqual(ingestion.resolveProfile('export.csv', [headerLine(layout), csvLine(layout, { ...MANHATTAN_ROW, COUNTY: '63' })].map(line => line.split(','))).name,
+            'queens', 'County code');
+
+        let error = null;
+        try {
+            ingestion.resolveProfile('x.csv', rows, 'jersey city');
+        } catch (caught) {
+            error = caught.message;
+        }
+        expectEqual(/^Unknown borough: jersey city/.test(error), true, 'Unknown borough');
+
+        const profiles = Object.values(BOROUGH_PROFILES);
+        expectEqual(profiles.map(profile => profile.boroCode).join(','), '1,2,3,4,5', 'BBL borough codes');
+        expectEqual(new Set(profiles.map(profile => profile.countyCode)).size, 5, 'Distinct county codes');
+    });
+
+    await runTest('Rows are rejected for bad zips and out-of-borough zips the county code does not vouch for', () => {
+        const ingestion = new DHCRIngestion();
+        const bronx = BOROUGH_PROFILES.bronx;
+        const convert = (row, profile = BOROUGH_PROFILES.manhattan, stats = {}) => ingestion.convertRow({ ...MANHATTAN_ROW, ...row }, profile, stats);
+
+        expectEqual(convert({}).address, '327 EAST 12TH ST', 'Valid row');
+        expectEqual(convert({ ZIP: '1000' }), null, 'Short zip');
+        expectEqual(convert({ ZIP: '' }), null, 'No zip');
+        expectEqual(convert({ STREET1: 'E' }), null, 'No street name');
+        expectEqual(convert({ ZIP: '11201', COUNTY: '61' }), null, 'Brooklyn zip and county');
+        expectEqual(convert({ ZIP: '10463', COUNTY: '62' }).zipcode, '10463', 'Marble Hill: Bronx zip, Manhattan county');
+
+        const stats = {};
+        expectEqual(convert({ ZIP: '10025', COUNTY: '60' }, BOROUGH_PROFILES.manhattan, stats).zipcode, '10025', 'Manhattan zip, wrong county');
+        expectEqual(stats.countyMismatches, 1, 'Mismatch counted');
+        expectEqual(convert({ ZIP: '10451', COUNTY: '60' }, bronx).bbl, '2004530012', 'Bronx BBL');
+        expectEqual(convert({ ZIP: '10451', COUNTY: '60', LOT: '' }, bronx).bbl, null, 'No LOT, no BBL');
+        expectEqual(convert({ STATUS1: 'unlisted  program' }).status1, 'UNLISTED PROGRAM', 'Unknown status kept as printed');
+        expectEqual(convert({}).status2, null, 'Blank status');
+    });
+
+    await runTest('Registry years come from the option, file name or source footer', () => {
+        const ingestion = new DHCRIngestion();
+        const rows = tokenizeCSV(manhattanCSV());
+
+        expectEqual(ingestion.resolveRegistryYear('export.csv', rows, '2021'), 2021, 'Option');
+        expectEqual(ingestion.resolveRegistryYear('2022-DHCR-Bldg-File-Queens.csv', rows), 2022, 'File name');
+        expectEqual(ingestion.resolveRegistryYear('export.csv', rows), 2023, 'Source footer');
+        expectEqual(ingestion.resolveRegistryYear('export.csv', [['ZIP']]), null, 'Unknown');
+
+        let error = null;
+        try {
+            ingestion.resolveRegistryYear('export.csv', rows, '23');
+        } catch (caught) {
+            error = caught.message;
+        }
+        expectEqual(error, 'Invalid registry year: 23', 'Invalid year');
+    });
+
+    await runTest('convertFile tags the vintage, dedupes addresses and registers every lot', async () => {
+        const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'dhcr-ingestion-'));
+        const file = path.join(dir, '2023-DHCR-Bldg-File-Manhattan.csv');
+        const page = pageLayout(2);
+        await fs.writeFile(file, `${manhattanCSV()}\r\n${csvLine(page, { ...MANHATTAN_ROW, BLOCK: '453', LOT: '13' })}\r\n`);
+
+        try {
+            const registry = new BuildingRegistry();
+            const buildings = await quietly(() => new DHCRIngestion().convertFile(file, { registry }));
+
+            expectEqual(buildings.length, 3, 'Duplicate address dropped');
+            expectEqual(buildings.every(building => building.registry_year === 2023), true, 'Registry year');
+            expectEqual(buildings[0].registered_years.join(','), '2023', 'Registered years');
+            expectEqual(registry.size, 4, 'Both lots of the duplicate address registered');
+        } finally {
+            await fs.rm(dir, { recursive: true, force: true });
+        }
+    });
+
+    console.log(`\n📊 DHCR ingestion tests: ${testResults.passed} passed, ${testResults.failed} failed`);
+    return testResults;
+}
+
+// Run the script
+if (require.main === module) {
+    runDHCRIngestionTests()
+        .then(results => process.exit(results.failed > 0 ? 1 : 0))
+        .catch(error => {
+            console.error('💥 DHCR ingestion tests crashed:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = { runDHCRIngestionTests };
@@ -0,0 +1,176 @@
+// test-dhcr-lookup-index.js
+// Test suite for the in-memory DHCR lookup index (dhcr-lookup-index.js): street / zipcode / house
+// number buckets, the unparsed fallback, and matches identical to scoring every registered building
+//
+// Inline building rows - no Supabase, key or network.
+//   node test-dhcr-lookup-index.js
+
+const DHCRLookupIndex = require('./dhcr-lookup-index.js');
+const DHCRIngestion = require('./dhcr-ingestion.js');
+const { BOROUGH_PROFILES } = require('./dhcr-ingestion.js');
+const EnhancedClaudeMarketAnalyzer = require('./claude-market-analyzer.js');
+
+const ingestion = new DHCRIngestion();
+
+/**
+ * Building record as the ingestion writes it for a Manhattan DHCR row
+ */
+const converted = row => ingestion.convertRow({ COUNTY: '62', CITY: 'NEW YORK', STATUS1: 'MULTIPLE DWELLING A', ...row }, BOROUGH_PROFILES.manhattan);
+
+const BUILDINGS = [
+    converted({ ZIP: '10009', BLDGNO1: '101 TO 115', STREET1: '1ST', STSUFX1: 'AVE', BLDGNO2: '401', STREET2: 'EAST 6TH', STSUFX2: 'ST', BLOCK: '444', LOT: '1' }),
+    converted({ ZIP: '10003', BLDGNO1: '210', STREET1: 'EAST 10TH', STSUFX1: 'ST', BLOCK: '451', LOT: '5' }),
+    converted({ ZIP: '10003', BLDGNO1: '210', STREET1: 'EAST 11TH', STSUFX1: 'ST', BLOCK: '467', LOT: '22' }),
+    // Older rows stored without address_ranges or BBL
+    { address: '327 EAST 12TH STREET', borough: 'manhattan', zipcode: '10009', registry_year: 2022 },
+    { address: 'PARK TERRACE GARDENS', borough: 'manhattan', zipcode: '10034', registry_year: 2021 },
+    { address: '37-12 82ND ST', borough: 'queens', zipcode: '11372', last_registered_year: 2023 }
+];
+
+/**
+ * Analyzer for address matching only - skips the constructor and its Claude setup
+ */
+const createMatcher = () => Object.assign(Object.create(EnhancedClaudeMarketAnalyzer.prototype), { dhcrIndex: null, dhcrIndexSource: null });
+
+/**
+ * Run fn with console.log silenced (the index logs its size)
+ */
+function quietly(fn) {
+    const log = console.log;
+    console.log = () => {};
+    try {
+        return fn();
+    } finally {
+        console.log = log;
+    }
+}
+
+async function runDHCRLookupIndexTests() {
+    console.log('🗂️ Starting DHCR lookup index test suite...\n');
+
+    const testResults = {
+        passed: 0,
+        failed: 0,
+        tests: []
+    };
+
+    // Helper function to run a test
+    async function runTest(testName, testFunction) {
+        try {
+            await testFunction();
+            console.log(`✅ PASSED: ${testName}`);
+            testResults.passed++;
+            testResults.tests.push({ name: testName, status: 'PASSED' });
+        } catch (error) {
+            console.log(`❌ FAILED: ${testName} - ${error.message}`);
+            testResults.failed++;
+            testResults.tests.push({ name: testName, status: 'FAILED', error: error.message });
+        }
+    }
+
+    function expectEqual(actual, expected, label) {
+        if (actual !== expected) {
+            throw new Error(`${label}: got ${actual}, expected ${expected}`);
+        }
+    }
+
+    const candidateAddresses = (index, property) => index.getCandidates(property).map(building => building.address).join(' / ');
+
+    await runTest('Buildings are bucketed by exact address, street range, house number and street', () => {
+        const index = quietly(() => DHCRLookupIndex.fromBuildings(BUILDINGS));
+
+        expectEqual(index.size, 6, 'Buildings');
+        expectEqual(index.registry.size, 3, 'BBL lots');
+        expectEqual(index.latestRegistryYear, 2023, 'Latest registry year');
+        expectEqual(index.exactByAddress.get('E 10 ST|210').join(','), '1', 'Exact address');
+        expectEqual(index.exactByAddress.get('E 6 ST|401').join(','), '0', 'Corner alias');
+        expectEqual(index.rangesByStreet.get('1 AVE').join(','), '0', 'House number range');
+        expectEqual(index.byHouseNumber.get(210).join(','), '1,2', 'House number');
+        expectEqual(index.byHouseNumber.get(37).join(','), '5', 'Leading number of a hyphenated address');
+        expectEqual(index.byZipHouseNumber.get('10003|210').join(','), '1,2', 'Zipcode and house number');
+        expectEqual(index.byZipHouseNumber.get('10009|327').join(','), '3', 'Older row with a zipcode');
+        expectEqual(index.unparsed.join(','), '4', 'No house number');
+        expectEqual(quietly(() => DHCRLookupIndex.fromBuildings(null)).size, 0, 'No buildings');
+    });
+
+    await runTest('Candidates are the matching buckets plus every building without a house number', () => {
+        const index = quietly(() => DHCRLookupIndex.fromBuildings(BUILDINGS));
+
+        expectEqual(candidateAddresses(index, { address: '109 1st Avenue, Apt 3' }), '101 TO 115 1ST AVE / PARK TERRACE GARDENS', 'Inside the range');
+        expectEqual(candidateAddresses(index, { address: '401 E 6th St' }), '101 TO 115 1ST AVE / PARK TERRACE GARDENS', 'Corner alias');
+        expectEqual(candidateAddresses(index, { address: '210 East 10th Street' }), '210 EAST 10TH ST / 210 EAST 11TH ST / PARK TERRACE GARDENS', 'Same house number on another street');
+        expectEqual(candidateAddresses(index, { address: '37-12 82nd St', borough: 'queens' }), 'PARK TERRACE GARDENS / 37-12 82ND ST', 'Load order');
+        expectEqual(candidateAddresses(index, { address: '999 Madison Ave' }), 'PARK TERRACE GARDENS', 'Only the unparsed fallback');
+        expectEqual(candidateAddresses(index, { address: 'East 12th Street' }), '327 EAST 12TH STREET / PARK TERRACE GARDENS', 'Listing without a house number');
+    });
+
+    await runTest('A listing zipcode never yields candidates registered under another zipcode', () => {
+        const buildings = [
+            ...BUILDINGS,
+            converted({ ZIP: '10009', BLDGNO1: '210', STREET1: 'AVENUE', STSUFX1: 'B', BLOCK: '390', LOT: '7' }),
+            { address: '210 AVENUE A', borough: 'manhattan' }
+        ];
+        const index = quietly(() => DHCRLookupIndex.fromBuildings(buildings));
+
+        expectEqual(index.byZipHouseNumber.get('10009|210').join(','), '6', 'Zipcode bucket');
+        expectEqual(index.byZipHouseNumber.get('|210').join(','), '7', 'No zipcode');
+        expectEqual(candidateAddresses(index, { address: '210 East 10th Street', zipcode: '10009' }), '210 AVENUE B / 210 AVENUE A', 'Same address in another zipcode dropped');
+        expectEqual(candidateAddresses(index, { address: '210 East 10th Street', zipcode: '10003-1234' }), '210 EAST 10TH ST / 210 EAST 11TH ST / 210 AVENUE A', 'ZIP+4');
+        expectEqual(candidateAddresses(index, { address: '210 East 10th Street', zipcode: 10003 }), '210 EAST 10TH ST / 210 EAST 11TH ST / 210 AVENUE A', 'Numeric zipcode');
+        expectEqual(candidateAddresses(index, { address: '210 East 10th Street' }).split(' / ').length, 5, 'No listing zipcode: every zipcode');
+
+        const listings = ['109 1st Ave', '401 E 6th St', '210 E 10th St', '327 E 12th St', 'East 12th Street', 'Park Terrace Gardens'];
+        for (const zipcode of ['10003', '10009', '10034', '11372']) {
+            for (const address of listings) {
+                const other = index.getCandidates({ address, zipcode }).find(building => building.zipcode && building.zipcode !== zipcode);
+                expectEqual(other ? other.address : null, null, `${address} in ${zipcode}`);
+            }
+        }
+
+        const matcher = createMatcher();
+        expectEqual(quietly(() => matcher.findDHCRMatches({ address: '210 E 10th St', zipcode: '10009' }, buildings)).length, 0, 'No match across zipcodes');
+        expectEqual(quietly(() => matcher.findDHCRMatches({ address: '210 E 10th St', zipcode: '10003' }, buildings))[0].address, '210 EAST 10TH ST', 'Match in the zipcode');
+    });
+
+    await runTest('Matching through the index finds what scoring every building finds', () => {
+        const indexed = createMatcher();
+        const scanned = createMatcher();
+        scanned.getDHCRIndex = () => ({ getCandidates: () => BUILDINGS });
+
+        const listings = [
+            { address: '109 1st Ave #4B', zipcode: '10009' },
+            { address: '109 1st Ave #4B', zipcode: '10003' },
+            { address: '401 East 6th Street' },
+            { address: '210 E 10th St' },
+            { address: '210 E 10th St', zipcode: '10009' },
+            { address: '327 E 12th St, Apt 2' },
+            { address: '37-12 82nd Street', borough: 'queens' },
+            { address: '999 Madison Ave' },
+            { address: 'Park Terrace Gardens' }
+        ];
+
+        quietly(() => {
+            for (const listing of listings) {
+                const fromIndex = indexed.findDHCRMatches(listing, BUILDINGS).map(match => `${match.address}:${match.similarity}`).join(' / ');
+                const fromScan = scanned.findDHCRMatches(listing, BUILDINGS).map(match => `${match.address}:${match.similarity}`).join(' / ');
+                expectEqual(fromIndex, fromScan, listing.address);
+            }
+        });
+        expectEqual(quietly(() => indexed.findDHCRMatches({ address: '210 E 10th St' }, BUILDINGS))[0].address, '210 EAST 10TH ST', 'Best match');
+    });
+
+    console.log(`\n📊 DHCR lookup index tests: ${testResults.passed} passed, ${testResults.failed} failed`);
+    return testResults;
+}
+
+// Run the script
+if (require.main === module) {
+    runDHCRLookupIndexTests()
+        .then(results => process.exit(results.failed > 0 ? 1 : 0))
+        .catch(error => {
+            console.error('💥 DHCR lookup index tests crashed:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = { runDHCRLookupIndexTests };
@@ -0,0 +1,120 @@
+// test-dhcr-pdf-layout.js
+// Test suite for the DHCR PDF table layout (improved-dhcr-parser.js): positioned text items grouped
+// into rows and header columns, then converted like the CSV exports with dhcr_source 'pdf'
+//
+// Runs on fixtures/dhcr-pdf-pages.json (text items as pdf-parse reports them) - no PDF, Supabase or network.
+//   node test-dhcr-pdf-layout.js
+
+const ImprovedDHCRParser = require('./improved-dhcr-parser.js');
+const DHCRIngestion = require('./dhcr-ingestion.js');
+const fixture = require('./fixtures/dhcr-pdf-pages.json');
+
+/**
+ * Parser whose PDF pages come from the fixture instead of pdf-parse
+ */
+function createFixtureParser() {
+    const parser = new ImprovedDHCRParser();
+    parser.extractPDFTablePages = async () => fixture.pages.map((page, i) => ({ page: i + 1, ...parser.layoutPageItems(page.items) }));
+    return parser;
+}
+
+async function runDHCRPDFLayoutTests() {
+    console.log('📑 Starting DHCR PDF layout test suite...\n');
+
+    const testResults = {
+        passed: 0,
+        failed: 0,
+        tests: []
+    };
+
+    // Helper function to run a test
+    async function runTest(testName, testFunction) {
+        try {
+            await testFunction();
+            console.log(`✅ PASSED: ${testName}`);
+            testResults.passed++;
+            testResults.tests.push({ name: testName, status: 'PASSED' });
+        } catch (error) {
+            console.log(`❌ FAILED: ${testName} - ${error.message}`);
+            testResults.failed++;
+            testResults.tests.push({ name: testName, status: 'FAILED', error: error.message });
+        }
+    }
+
+    function expectEqual(actual, expected, label) {
+        if (actual !== expected) {
+            throw new Error(`${label}: got ${actual}, expected ${expected}`);
+        }
+    }
+
+    await runTest('Text items within the row and column tolerances land in the same table cell', () => {
+        const { rows, unplaced } = new ImprovedDHCRParser().layoutPageItems(fixture.pages[0].items);
+
+        expectEqual(rows[0][0], 'List of Manhattan Buildings Containing Stabilized Units', 'Title row kept');
+        expectEqual(rows[1].join(','), DHCRIngestion.DHCR_COLUMNS.join(','), 'Header row');
+        expectEqual(rows[2].join('|'), '10009|327|EAST 12TH|ST||||62|NEW YORK|MULTIPLE DWELLINGA|||453|12', 'Jittered row');
+        expectEqual(rows[3][4], '401', 'Corner frontage column');
+        expectEqual(rows[rows.length - 1][0], 'Source: NYS Homes and Community Renewal Page 1 of 2', 'Footer row');
+
+        expectEqual(unplaced.map(row => row.reason).join(','), 'no_header,left_of_first_column', 'Unplaced rows');
+        expectEqual(unplaced[1].text.startsWith('* 10003 60 EAST 9TH ST'), true, 'Row with a mark left of ZIP');
+    });
+
+    await runTest('Items past the tolerances start a new row or fall in the column to the left', () => {
+        const parser = new ImprovedDHCRParser();
+        const header = DHCRIngestion.DHCR_COLUMNS.map((name, i) => ({ text: name, x: 40 + i * 50, y: 700 }));
+        const { rows } = parser.layoutPageItems([
+            ...header,
+            { text: '10009', x: 40, y: 680 },
+            { text: '327', x: 88.5, y: 681.5 },    // 1.5pt left of BLDGNO1, 1.5pt above the line
+            { text: 'EAST 12TH', x: 137, y: 680 }, // 3pt left of STREET1 - still BLDGNO1
+            { text: '12', x: 690, y: 677.5 }       // 2.5pt below the line - a row of its own
+        ]);
+
+        expectEqual(rows.length, 3, 'Header plus two rows');
+        expectEqual(rows[1][1], '327 EAST 12TH', 'BLDGNO1 cell');
+        expectEqual(rows[1][2], '', 'STREET1 cell');
+        expectEqual(rows[2][13], '12', 'LOT on its own row');
+    });
+
+    await runTest('parsePDFTableLayout converts PDF rows like the CSV exports, marked as PDF rows', async () => {
+        const parser = createFixtureParser();
+        const buildings = await parser.parsePDFTableLayout(fixture.file);
+        const report = parser.lastPDFReport;
+
+        expectEqual(buildings.map(building => building.address).join(' / '),
+            '327 EAST 12TH ST / 101 TO 115 1ST AVE / 5470 BROADWAY / 210 EAST 10TH ST', 'Buildings');
+        expectEqual(buildings.every(building => building.dhcr_source === 'pdf'), true, 'dhcr_source');
+        expectEqual(buildings.every(building => building.borough === 'manhattan'), true, 'Borough from the file name');
+        expectEqual(buildings[0].bbl, '1004530012', 'BBL from the jittered LOT');
+        expectEqual(buildings[0].status1, 'MULTIPLE DWELLING A', 'Canonical status');
+        expectEqual(buildings[1].address_ranges.map(span => span.kind).join(','), 'primary,corner', 'Range and corner spans');
+        expectEqual(buildings[2].zipcode, '10463', 'Marble Hill kept by its county code');
+        expectEqual(buildings[3].status1, 'NON-EVICT COOP/CONDO', 'Status split from BLOCK');
+        expectEqual(buildings[3].bbl, '1024710005', 'BLOCK from the merged status');
+
+        expectEqual(report.pages, 2, 'Pages');
+        expectEqual(report.rejected, 1, 'Brooklyn row rejected');
+        expectEqual(report.unplaced, 2, 'Unplaced rows');
+        expectEqual(report.pageDetails[1].converted, 2, 'Page 2 columns re-read from its own header');
+
+        const csvRow = ['10009', '327', 'EAST 12TH', 'ST', '', '', '', '62', 'NEW YORK', 'MULTIPLE DWELLING A', '', '', '453', '12'];
+        const csv = new DHCRIngestion().convertRows([DHCRIngestion.DHCR_COLUMNS, csvRow], DHCRIngestion.BOROUGH_PROFILES.manhattan);
+        expectEqual(csv.buildings[0].dhcr_source, 'csv', 'CSV rows default to csv');
+    });
+
+    console.log(`\n📊 DHCR PDF layout tests: ${testResults.passed} passed, ${testResults.failed} failed`);
+    return testResults;
+}
+
+// Run the script
+if (require.main === module) {
+    runDHCRPDFLayoutTests()
+        .then(results => process.exit(results.failed > 0 ? 1 : 0))
+        .catch(error => {
+            console.error('💥 DHCR PDF layout tests crashed:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = { runDHCRPDFLayoutTests };
@@ -0,0 +1,170 @@
+// test-dhcr-registry-history.js
+// Test suite for DHCR registry vintages (dhcr-registry-history.js): registration history per building
+// and the year-over-year diff of added, dropped and status-changed buildings
+//
+// Vintages built from inline DHCR rows - no Supabase or network.
+//   node test-dhcr-registry-history.js
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const DHCRRegistryHistory = require('./dhcr-registry-history.js');
+const { buildingKey, formatYearRanges } = require('./dhcr-registry-history.js');
+const DHCRIngestion = require('./dhcr-ingestion.js');
+const { BOROUGH_PROFILES } = require('./dhcr-ingestion.js');
+
+const ingestion = new DHCRIngestion();
+
+/**
+ * Building record as the ingestion writes it for a DHCR row
+ */
+const building = (profile, row) => ingestion.convertRow({ CITY: 'NEW YORK', STATUS1: 'MULTIPLE DWELLING A', ...row }, BOROUGH_PROFILES[profile]);
+
+const EAST_12TH = { ZIP: '10009', BLDGNO1: '327', STREET1: 'EAST 12TH', STSUFX1: 'ST', COUNTY: '62', BLOCK: '453', LOT: '12' };
+const EAST_10TH = { ZIP: '10003', BLDGNO1: '210', STREET1: 'EAST 10TH', STSUFX1: 'ST', COUNTY: '62', BLOCK: '451', LOT: '5' };
+const AVENUE_A = { ZIP: '10009', BLDGNO1: '95', STREET1: 'AVENUE A', COUNTY: '62', BLOCK: '400', LOT: '30' };
+const FIRST_AVE = { ZIP: '10009', BLDGNO1: '150', STREET1: '1ST', STSUFX1: 'AVE', COUNTY: '62', BLOCK: '449', LOT: '1' };
+const PIERREPONT = { ZIP: '11201', BLDGNO1: '55', STREET1: 'PIERREPONT', STSUFX1: 'ST', COUNTY: '61', BLOCK: '237', LOT: '30' };
+
+/**
+ * Manhattan 2022 → 2023: East 12th keeps its status, East 10th loses J-51, Avenue A drops out
+ * (with its 421-a status), 1st Ave is new; Brooklyn only has a 2022 file
+ */
+function createHistory() {
+    return new DHCRRegistryHistory()
+        .addVintage(2022, [
+            building('manhattan', EAST_12TH),
+            building('manhattan', { ...EAST_10TH, STATUS2: 'J-51' }),
+            building('manhattan', { ...AVENUE_A, STATUS2: '421-A (16)' })
+        ])
+        .addVintage(2022, [building('brooklyn', PIERREPONT)])
+        .addVintage(2023, [
+            building('manhattan', EAST_12TH),
+            building('manhattan', { ...EAST_10TH, STATUS2: 'COOP/CONDO PLAN FILE' }),
+            building('manhattan', FIRST_AVE)
+        ]);
+}
+
+async function runRegistryHistoryTests() {
+    console.log('📅 Starting DHCR registry history test suite...\n');
+
+    const testResults = {
+        passed: 0,
+        failed: 0,
+        tests: []
+    };
+
+    // Helper function to run a test
+    async function runTest(testName, testFunction) {
+        try {
+            await testFunction();
+            console.log(`✅ PASSED: ${testName}`);
+            testResults.passed++;
+            testResults.tests.push({ name: testName, status: 'PASSED' });
+        } catch (error) {
+            console.log(`❌ FAILED: ${testName} - ${error.message}`);
+            testResults.failed++;
+            testResults.tests.push({ name: testName, status: 'FAILED', error: error.message });
+        }
+    }
+
+    function expectEqual(actual, expected, label) {
+        if (actual !== expected) {
+            throw new Error(`${label}: got ${actual}, expected ${expected}`);
+        }
+    }
+
+    await runTest('The year-over-year diff lists added, dropped and status-changed buildings', () => {
+        const diff = createHistory().diff(2022, 2023);
+
+        expectEqual(diff.boroughs.join(','), 'manhattan', 'Only boroughs in both years');
+        expectEqual(diff.added.map(snapshot => snapshot.address).join(','), '150 1ST AVE', 'Added');
+        expectEqual(diff.dropped.map(snapshot => snapshot.address).join(','), '95 AVENUE A', 'Dropped (Brooklyn not reported)');
+        expectEqual(diff.summary.dropped_with_tax_benefits, 1, 'Dropped with 421-a');
+
+        const [change] = diff.status_changes;
+        expectEqual(diff.summary.status_changes, 1, 'Status changes');
+        expectEqual(change.address, '210 EAST 10TH ST', 'Changed building');
+        expectEqual(change.removed_statuses.join(','), 'J-51', 'Removed status');
+        expectEqual(change.added_statuses.join(','), 'COOP/CONDO PLAN FILE', 'Added status');
+
+        const report = createHistory().formatDiffReport(diff);
+        expectEqual(report.includes('➖ Dropped: 1 (1 with J-51/421-a status)'), true, 'Report summary');
+        expectEqual(report.includes('210 EAST 10TH ST (manhattan, BBL 1004510005): +COOP/CONDO PLAN FILE -J-51'), true, 'Report status change');
+
+        let error = null;
+        try {
+            createHistory().diff(2021, 2023);
+        } catch (caught) {
+            error = caught.message;
+        }
+        expectEqual(error, 'Registry years not loaded: 2021', 'Missing vintage');
+    });
+
+    await runTest('Re-ingesting a borough replaces its part of the vintage only', () => {
+        const history = createHistory().addVintage(2023, [building('manhattan', EAST_12TH)]);
+        expectEqual(history.vintages.get(2023).size, 1, 'Manhattan 2023 replaced');
+
+        history.addVintage(2023, [building('brooklyn', PIERREPONT)]);
+        expectEqual(history.vintages.get(2023).size, 2, 'Brooklyn added beside it');
+        const diff = history.diff(2022, 2023);
+        expectEqual(diff.boroughs.join(','), 'brooklyn,manhattan', 'Both boroughs compared');
+        expectEqual(diff.dropped.length, 2, 'East 10th and Avenue A dropped');
+        expectEqual(diff.summary.dropped_with_tax_benefits, 2, 'Both had tax benefit statuses');
+    });
+
+    await runTest('Buildings carry their registered years, keyed by BBL or address', () => {
+        const history = createHistory().addVintage(2020, [building('manhattan', EAST_12TH)]);
+        const [annotated] = history.annotateBuildings([building('manhattan', EAST_12TH)]);
+
+        expectEqual(annotated.registered_years.join(','), '2020,2022,2023', 'Registered years');
+        expectEqual(annotated.first_registered_year, 2020, 'First year');
+        expectEqual(annotated.last_registered_year, 2023, 'Last year');
+        expectEqual(history.getHistory(annotated).label, '2020, 2022–2023', 'Label');
+        expectEqual(history.getHistory(building('manhattan', { ...EAST_10TH, STATUS2: 'J-51' })).status_by_year[2022].join(','), 'J-51,MULTIPLE DWELLING A', 'Statuses by year');
+        expectEqual(history.getHistory(building('manhattan', { ...EAST_12TH, BLDGNO1: '329' })).years.length, 0, 'Unregistered building');
+
+        expectEqual(buildingKey({ bbl: '1004530012', normalized_address: '327 E 12 ST' }), 'bbl:1004530012|327 E 12 ST', 'BBL key');
+        expectEqual(buildingKey({ normalized_address: '327 E 12 ST', borough: 'manhattan' }), 'addr:327 E 12 ST|manhattan', 'Address key');
+        expectEqual(formatYearRanges([2023, 2019, 2020, 2021, 2021]), '2019–2021, 2023', 'Year ranges');
+        expectEqual(formatYearRanges([]), '', 'No years');
+    });
+
+    await runTest('Vintages round-trip through JSON and export one database row per building per year', async () => {
+        const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'registry-history-'));
+        const log = console.log;
+        try {
+            const file = path.join(dir, 'history.json');
+            console.log = () => {};
+            await createHistory().saveToFile(file);
+            console.log = log;
+
+            const loaded = await DHCRRegistryHistory.loadFromFile(file);
+            expectEqual(loaded.years.join(','), '2022,2023', 'Years');
+            expectEqual(loaded.latestYear, 2023, 'Latest year');
+            expectEqual(JSON.stringify(loaded.diff(2022, 2023).summary), JSON.stringify(createHistory().diff(2022, 2023).summary), 'Same diff after load');
+
+            const rows = loaded.toDatabaseRows();
+            expectEqual(rows.length, 7, 'Rows');
+            expectEqual(rows.filter(row => row.building_key === 'bbl:1004530012|327 E 12 ST').map(row => row.registry_year).join(','), '2022,2023', 'One row per year');
+        } finally {
+            console.log = log;
+            await fs.rm(dir, { recursive: true, force: true });
+        }
+    });
+
+    console.log(`\n📊 DHCR registry history tests: ${testResults.passed} passed, ${testResults.failed} failed`);
+    return testResults;
+}
+
+// Run the script
+if (require.main === module) {
+    runRegistryHistoryTests()
+        .then(results => process.exit(results.failed > 0 ? 1 : 0))
+        .catch(error => {
+            console.error('💥 DHCR registry history tests crashed:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = { runRegistryHistoryTests };
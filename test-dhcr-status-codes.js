@@ -0,0 +1,116 @@
+// test-dhcr-status-codes.js
+// Test suite for DHCR status codes (dhcr-status-codes.js): STATUS1..3 spellings, the flags each code
+// sets and the confidence adjustment, where the strongest code of each category wins
+//
+// Pure functions on inline building rows - no Supabase or network.
+//   node test-dhcr-status-codes.js
+
+const { STATUS_CODES, canonicalStatus, getBuildingStatuses, parseDHCRStatuses } = require('./dhcr-status-codes.js');
+
+/**
+ * Building row with the given STATUS1..3
+ */
+const statuses = (status1, status2 = null, status3 = null) => ({ address: '327 EAST 12TH ST', status1, status2, status3 });
+
+async function runStatusCodeTests() {
+    console.log('🏷️ Starting DHCR status code test suite...\n');
+
+    const testResults = {
+        passed: 0,
+        failed: 0,
+        tests: []
+    };
+
+    // Helper function to run a test
+    async function runTest(testName, testFunction) {
+        try {
+            await testFunction();
+            console.log(`✅ PASSED: ${testName}`);
+            testResults.passed++;
+            testResults.tests.push({ name: testName, status: 'PASSED' });
+        } catch (error) {
+            console.log(`❌ FAILED: ${testName} - ${error.message}`);
+            testResults.failed++;
+            testResults.tests.push({ name: testName, status: 'FAILED', error: error.message });
+        }
+    }
+
+    function expectEqual(actual, expected, label) {
+        if (actual !== expected) {
+            throw new Error(`${label}: got ${actual}, expected ${expected}`);
+        }
+    }
+
+    await runTest('CSV spellings map to the canonical PDF codes; blanks, X and repeats are dropped', () => {
+        expectEqual(canonicalStatus('MULTIPLE DWELLINGA'), 'MULTIPLE DWELLING A', 'Missing space');
+        expectEqual(canonicalStatus(' multiple  dwelling b '), 'MULTIPLE DWELLING B', 'Case and spacing');
+        expectEqual(canonicalStatus('ARTICLES14&15'), 'ARTICLES 14 & 15', 'Articles 14 & 15');
+        expectEqual(canonicalStatus('421-A(1-15)'), '421-A (1-15)', '421-a');
+        expectEqual(canonicalStatus('Some New Program'), 'SOME NEW PROGRAM', 'Unknown code kept');
+        expectEqual(canonicalStatus(null), '', 'Missing');
+
+        expectEqual(getBuildingStatuses(statuses('MULTIPLE DWELLINGA', 'X', 'MULTIPLE DWELLING A')).join(','), 'MULTIPLE DWELLING A', 'Deduped');
+        expectEqual(getBuildingStatuses(statuses('J-51', '', 'HOTEL')).join(','), 'J-51,HOTEL', 'STATUS1..3 order');
+
+        for (const [code, entry] of Object.entries(STATUS_CODES)) {
+            expectEqual(canonicalStatus(code.replace(/\s/g, '')), code, `${code} without spaces`);
+            expectEqual(typeof entry.confidence_adjustment, 'number', `${code} adjustment`);
+            expectEqual(Boolean(entry.flag && entry.category && entry.legal_factor), true, `${code} fields`);
+        }
+    });
+
+    await runTest('Each code sets its flags, programs and legal factors', () => {
+        const result = parseDHCRStatuses(statuses('MULTIPLE DWELLINGA', '421-A (16)', 'SEC 608'));
+
+        expectEqual(result.flags.multiple_dwelling_a, true, 'Dwelling class flag');
+        expectEqual(result.flags.tax_421a, true, 'Tax benefit flag');
+        expectEqual(result.tax_benefits.join(','), '421-a (16) Affordable New York', 'Tax benefit program');
+        expectEqual(result.supervised, true, 'Supervised');
+        expectEqual(result.sro, false, 'Not SRO');
+        expectEqual(result.coop_condo, null, 'No conversion');
+        expectEqual(result.legal_factors.length, 3, 'Legal factors');
+        expectEqual(result.confidence_adjustment, 5, 'Adjustment: +5 class A, +5 421-a(16), -5 SEC 608');
+
+        const conversion = parseDHCRStatuses(statuses('COOP/CONDO PLANFILE', 'HOTEL'));
+        expectEqual(conversion.coop_condo, 'conversion_plan_filed', 'Conversion flag');
+        expectEqual(conversion.sro, true, 'SRO');
+
+        const unknown = parseDHCRStatuses(statuses('SOME NEW PROGRAM'));
+        expectEqual(unknown.unknown.join(','), 'SOME NEW PROGRAM', 'Unknown listed');
+        expectEqual(unknown.confidence_adjustment, 0, 'Unknown codes do not adjust');
+        expectEqual(parseDHCRStatuses(null).statuses.length, 0, 'No building');
+    });
+
+    await runTest('The strongest code in each category wins; categories add up', () => {
+        const adjustment = (...codes) => parseDHCRStatuses(statuses(...codes)).confidence_adjustment;
+
+        expectEqual(adjustment('NON-EVICT COOP/CONDO'), -25, 'Non-eviction conversion');
+        expectEqual(adjustment('COOP/CONDO PLAN FILE', 'EVICT COOP/CONDO'), -30, 'Eviction beats plan filed');
+        expectEqual(adjustment('EVICT COOP/CONDO', 'NON-EVICT COOP/CONDO', 'COOP/CONDO PLAN FILE'), -30, 'Not summed within a category');
+        expectEqual(adjustment('J-51', '421-A (16)'), 5, 'Non-zero tax benefit beats zero');
+        expectEqual(adjustment('421-A (16)', 'J-51'), 5, 'Order does not matter');
+        expectEqual(adjustment('MULTIPLE DWELLING B', 'MULTIPLE DWELLING A'), -5, 'Equal strength: first code kept');
+        expectEqual(adjustment('MULTIPLE DWELLING A', 'NON-EVICT COOP/CONDO', 'HOTEL'), -30, 'Class A + conversion + SRO');
+        expectEqual(adjustment('ARTICLE 11', 'SEC 608', 'SECTION 610 OF PHFL'), -5, 'Supervised once');
+
+        const mixed = parseDHCRStatuses(statuses('COOP/CONDO PLAN FILE', 'NON-EVICT COOP/CONDO'));
+        expectEqual(mixed.coop_condo, 'conversion_plan_filed', 'First conversion code reported');
+        expectEqual(mixed.flags.non_eviction_conversion, true, 'Both flags set');
+        expectEqual(mixed.confidence_adjustment, -25, 'Strongest conversion adjustment');
+    });
+
+    console.log(`\n📊 DHCR status code tests: ${testResults.passed} passed, ${testResults.failed} failed`);
+    return testResults;
+}
+
+// Run the script
+if (require.main === module) {
+    runStatusCodeTests()
+        .then(results => process.exit(results.failed > 0 ? 1 : 0))
+        .catch(error => {
+            console.error('💥 DHCR status code tests crashed:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = { runStatusCodeTests };
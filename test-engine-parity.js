@@ -0,0 +1,219 @@
+// test-engine-parity.js
+// Test suite for ANALYSIS_ENGINE (deterministic valuation engine in place of, or behind, Claude)
+// and the engine-parity.js harness
+//
+// Mock LLM and fixtures/rental-parity.json only - no key or network.
+//   node test-engine-parity.js
+
+const { createLLMClient } = require('./llm-client.js');
+const EnhancedClaudeMarketAnalyzer = require('./claude-market-analyzer.js');
+const { ANALYSIS_FAILURE_TYPES } = require('./claude-output-schemas.js');
+const { runEngineParity, loadParityFixture } = require('./engine-parity.js');
+
+const fixture = loadParityFixture();
+const NEIGHBORHOOD = fixture.neighborhood;
+const rentalById = id => fixture.rentals.find(rental => rental.id === id);
+
+function replayAnswers() {
+    return createLLMClient({
+        provider: 'mock',
+        config: {},
+        respond: request => {
+            const rental = fixture.rentals.find(candidate => request.messages[0].content.includes(`Address: ${candidate.address}\n`));
+            return fixture.claudeAnswers[rental.id];
+        }
+    });
+}
+
+function analyze(analyzer, rental, comparables = fixture.rentals) {
+    return analyzer.analyzeRentalsUndervaluation(rental, comparables, NEIGHBORHOOD, { undervaluationThreshold: 15 });
+}
+
+/**
+ * Run fn with no Anthropic key (or LLM provider) in the environment
+ */
+async function withoutApiKey(fn) {
+    const saved = {};
+    for (const name of ['ANTHROPIC_API_KEY', 'CLAUDE_API_KEY', 'LLM_PROVIDER', 'LLM_CONFIG']) {
+        saved[name] = process.env[name];
+        delete process.env[name];
+    }
+    try {
+        return await fn();
+    } finally {
+        Object.entries(saved).forEach(([name, value]) => {
+            if (value !== undefined) process.env[name] = value;
+        });
+    }
+}
+
+async function runEngineParityTests() {
+    console.log('🧮 Starting valuation engine parity test suite...\n');
+
+    const testResults = {
+        passed: 0,
+        failed: 0,
+        tests: []
+    };
+
+    // Helper function to run a test
+    async function runTest(testName, testFunction) {
+        try {
+            await testFunction();
+            console.log(`✅ PASSED: ${testName}`);
+            testResults.passed++;
+            testResults.tests.push({ name: testName, status: 'PASSED' });
+        } catch (error) {
+            console.log(`❌ FAILED: ${testName} - ${error.message}`);
+            testResults.failed++;
+            testResults.tests.push({ name: testName, status: 'FAILED', error: error.message });
+        }
+    }
+
+    function expectEqual(actual, expected, label) {
+        if (actual !== expected) {
+            throw new Error(`${label}: got ${actual}, expected ${expected}`);
+        }
+    }
+
+    await runTest('Engine mode answers with the same result shape as Claude and makes no calls', async () => {
+        const llm = replayAnswers();
+        const claudeAnalyzer = new EnhancedClaudeMarketAnalyzer({ llm, analysisEngine: 'claude' });
+        const engineAnalyzer = new EnhancedClaudeMarketAnalyzer({ llm: replayAnswers(), analysisEngine: 'engine' });
+
+        for (const id of ['par-ev-1', 'par-ev-4']) {
+            const claude = await analyze(claudeAnalyzer, rentalById(id));
+            const engine = await analyze(engineAnalyzer, rentalById(id));
+            expectEqual(Object.keys(engine).sort().join(','), Object.keys(claude).sort().join(','), `${id} result keys`);
+            expectEqual(engine.analysisEngine, 'valuation_engine', `${id} engine label`);
+            expectEqual(claude.analysisEngine, 'claude', `${id} Claude label`);
+        }
+
+        const undervalued = await analyze(engineAnalyzer, rentalById('par-ev-1'));
+        expectEqual(undervalued.isUndervalued, true, 'Undervalued by the engine');
+        expectEqual(undervalued.reasoning.startsWith('Deterministic valuation (exact_bed_bath_amenity_match'), true, 'Engine reasoning');
+        expectEqual(undervalued.percentBelowMarket.toFixed(1),
+            ((undervalued.estimatedMarketRent - 2450) / undervalued.estimatedMarketRent * 100).toFixed(1), 'Discount from the engine estimate');
+        expectEqual(engineAnalyzer.getUsageReport().calls, 0, 'No LLM calls');
+        expectEqual(engineAnalyzer.getEngineStats().valuations, 3, 'Engine valuations');
+    });
+
+    await runTest('Without an API key engine mode still values rentals and sales fail as api_error', async () => {
+        await withoutApiKey(async () => {
+            let claudeOnlyError = null;
+            try {
+                new EnhancedClaudeMarketAnalyzer({ analysisEngine: 'claude' });
+            } catch (error) {
+                claudeOnlyError = error;
+            }
+            expectEqual(Boolean(claudeOnlyError), true, 'Claude mode still requires a key');
+
+            const analyzer = new EnhancedClaudeMarketAnalyzer({ analysisEngine: 'engine' });
+            expectEqual(analyzer.llm, null, 'No LLM client');
+
+            const rental = await analyze(analyzer, rentalById('par-ev-6'));
+            expectEqual(rental.estimatedMarketRent > 0, true, 'Rental valued');
+            expectEqual(analyzer.getUsageReport().provider, 'none', 'Empty usage report');
+
+            const sale = await analyzer.analyzeSalesUndervaluation(
+                { id: 'sale-1', address: '10 Stuyvesant Oval #5A', salePrice: 850000, price: 850000, bedrooms: 2, bathrooms: 1, amenities: [] },
+                [], 'stuyvesant-town');
+            expectEqual(sale.method, 'claude_analysis_failed', 'Sale not analyzed');
+            expectEqual(sale.analysisFailure.type, ANALYSIS_FAILURE_TYPES.API_ERROR, 'Sale failure type');
+
+            const batch = await analyzer.analyzeRentalsBatch([rentalById('par-ev-7'), rentalById('par-ev-8')], fixture.rentals, NEIGHBORHOOD,
+                { undervaluationThreshold: 15 });
+            expectEqual(batch.get('par-ev-8').analysisEngine, 'valuation_engine', 'Batch mode valued locally');
+        });
+    });
+
+    await runTest('Auto mode falls back to the engine when Claude calls fail, not on schema failures', async () => {
+        const quotaError = () => {
+            const error = new Error('Request failed with status code 429: rate_limit_error');
+            error.status = 429;
+            throw error;
+        };
+        const outage = new EnhancedClaudeMarketAnalyzer({
+            llm: createLLMClient({ provider: 'mock', config: {}, respond: quotaError }),
+            analysisEngine: 'auto'
+        });
+        outage.delay = async () => {};
+
+        const fallback = await analyze(outage, rentalById('par-ev-1'));
+        expectEqual(fallback.analysisEngine, 'valuation_engine', 'Fell back to the engine');
+        expectEqual(fallback.isUndervalued, true, 'Engine verdict');
+        expectEqual(outage.getEngineStats().fallbacks, 1, 'Fallback counted');
+
+        const invalid = new EnhancedClaudeMarketAnalyzer({
+            llm: createLLMClient({ provider: 'mock', config: {}, respond: () => 'Market rent is about 3,000.' }),
+            analysisEngine: 'auto',
+            maxSchemaRepairs: 0
+        });
+        const failed = await analyze(invalid, rentalById('par-ev-1'));
+        expectEqual(failed.method, 'claude_analysis_failed', 'Schema failure is not an outage');
+        expectEqual(invalid.getEngineStats().fallbacks, 0, 'No fallback');
+
+        const healthy = new EnhancedClaudeMarketAnalyzer({ llm: replayAnswers(), analysisEngine: 'auto' });
+        expectEqual((await analyze(healthy, rentalById('par-ev-1'))).analysisEngine, 'claude', 'Claude answers when it can');
+    });
+
+    await runTest('Too few comparables is a typed engine failure outside the Claude schema stats', async () => {
+        const analyzer = new EnhancedClaudeMarketAnalyzer({ llm: replayAnswers(), analysisEngine: 'engine' });
+        const result = await analyze(analyzer, rentalById('par-ev-11'));
+
+        expectEqual(result.method, 'claude_analysis_failed', 'Failed result shape');
+        expectEqual(result.analysisFailure.type, ANALYSIS_FAILURE_TYPES.INSUFFICIENT_COMPARABLES, 'Failure type');
+        expectEqual(result.analysisEngine, 'valuation_engine', 'Engine label');
+        expectEqual(analyzer.getSchemaStats().failed, 0, 'Not a Claude output failure');
+        expectEqual(analyzer.getEngineStats().insufficientData, 1, 'Counted');
+
+        let unknownModeError = null;
+        try {
+            new EnhancedClaudeMarketAnalyzer({ llm: replayAnswers(), analysisEngine: 'rules' });
+        } catch (error) {
+            unknownModeError = error;
+        }
+        expectEqual(/Expected one of: claude, engine, auto/.test(unknownModeError?.message), true, 'Unknown mode rejected');
+    });
+
+    await runTest('Parity harness reports discount, grade and verdict disagreements on the fixture', async () => {
+        const report = await runEngineParity({ fixture, tolerance: 5 });
+        const row = id => report.rows.find(candidate => candidate.listingId === id);
+
+        expectEqual(report.listings, fixture.rentals.length, 'Listings compared');
+        expectEqual(row('par-ev-1').disagreements.length, 0, 'Agreeing listing');
+        expectEqual(row('par-ev-6').disagreements.join(','), 'discount,grade,verdict', 'Claude sees a deal the engine does not');
+        expectEqual(row('par-ev-6').claude.grade, 'A+', 'Claude grade');
+        expectEqual(row('par-ev-11').disagreements.join(','), 'failed', 'Engine without comparables');
+        expectEqual(report.disagreements.verdict, 2, 'Verdict disagreements');
+        expectEqual(report.agreeing + report.rows.filter(candidate => candidate.disagreements.length > 0).length, report.listings, 'Every listing counted');
+
+        // Claude answering exactly what the engine estimates leaves nothing to report
+        const agreed = {
+            ...fixture,
+            claudeAnswers: Object.fromEntries(report.rows.filter(candidate => !candidate.engine.failed).map(candidate => [candidate.listingId, {
+                ...fixture.claudeAnswers[candidate.listingId],
+                estimatedMarketRent: candidate.engine.estimatedMarketRent
+            }]))
+        };
+        agreed.rentals = fixture.rentals.filter(rental => agreed.claudeAnswers[rental.id]);
+        const agreement = await runEngineParity({ fixture: agreed, tolerance: 0.5 });
+        expectEqual(agreement.disagreements.discount, 0, 'No discount disagreements');
+        expectEqual(agreement.disagreements.verdict, 0, 'No verdict disagreements');
+    });
+
+    console.log(`\n📊 Engine parity tests: ${testResults.passed} passed, ${testResults.failed} failed`);
+    return testResults;
+}
+
+// Run the script
+if (require.main === module) {
+    runEngineParityTests()
+        .then(results => process.exit(results.failed > 0 ? 1 : 0))
+        .catch(error => {
+            console.error('💥 Engine parity tests crashed:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = { runEngineParityTests };
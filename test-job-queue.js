@@ -0,0 +1,330 @@
+// test-job-queue.js
+// Test suite for the durable API job queue (job-queue.js): jobs outlive the process that queued
+// them, run under a concurrency limit, retry, cancel, expire and are recovered from dead workers
+//
+// Runs on in-memory SQLite with a controllable clock - no Supabase or server needed.
+//   node test-job-queue.js
+
+const { createStorage } = require('./storage.js');
+const JobQueue = require('./job-queue.js');
+
+const START = Date.parse('2026-10-19T12:00:00.000Z');
+
+/**
+ * A promise the test resolves by hand, for handlers that should stay "running"
+ */
+function deferred() {
+    let resolve;
+    const promise = new Promise(done => { resolve = done; });
+    return { promise, resolve };
+}
+
+async function runJobQueueTests() {
+    console.log('📋 Starting job queue test suite...\n');
+
+    const testResults = {
+        passed: 0,
+        failed: 0,
+        tests: []
+    };
+
+    // Helper function to run a test
+    async function runTest(testName, testFunction) {
+        try {
+            await testFunction();
+            console.log(`✅ PASSED: ${testName}`);
+            testResults.passed++;
+            testResults.tests.push({ name: testName, status: 'PASSED' });
+        } catch (error) {
+            console.log(`❌ FAILED: ${testName} - ${error.message}`);
+            testResults.failed++;
+            testResults.tests.push({ name: testName, status: 'FAILED', error: error.message });
+        }
+    }
+
+    function expectEqual(actual, expected, label) {
+        if (actual !== expected) {
+            throw new Error(`${label}: got ${actual}, expected ${expected}`);
+        }
+    }
+
+    async function expectCode(promise, code, label) {
+        try {
+            await promise;
+        } catch (error) {
+            expectEqual(error.code, code, label);
+            return;
+        }
+        throw new Error(`${label}: expected ${code}`);
+    }
+
+    /**
+     * Queue on its own storage unless one is given; clock() is the queue's "now" in ms
+     */
+    function createQueue(options = {}) {
+        const storage = options.storage || createStorage({ backend: 'sqlite', filename: ':memory:' });
+        const clock = options.clock || (() => START);
+        const queue = new JobQueue(storage, {
+            concurrency: 2, maxAttempts: 3, retryDelayMs: 0, ttlHours: 24, staleMs: 60000,
+            ...options,
+            now: () => new Date(clock())
+        });
+        return { queue, storage };
+    }
+
+    await runTest('A finished job and its results are served by a new queue on the same storage', async () => {
+        const first = createQueue({
+            handlers: { smart_search: async (params, job) => {
+                await job.update({ progress: 50, message: 'Halfway', meta: { cacheHits: 2 } });
+                return { properties: [{ address: '327 E 12th St #4B' }], neighborhood: params.neighborhood };
+            } }
+        });
+        await first.queue.enqueue('smart_search', { neighborhood: 'east-village' }, { jobId: 'smart_1' });
+        await first.queue.idle();
+
+        // "Restart": nothing shared with the first queue except the database
+        const { queue } = createQueue({ storage: first.storage, handlers: { smart_search: async () => null } });
+        const job = await queue.get('smart_1');
+        expectEqual(job.status, 'completed', 'Status');
+        expectEqual(job.progress, 100, 'Progress');
+        expectEqual(job.meta.cacheHits, 2, 'Meta kept');
+        expectEqual(job.result.properties[0].address, '327 E 12th St #4B', 'Result');
+        expectEqual(job.params.neighborhood, 'east-village', 'Params');
+        expectEqual(job.expires_at, new Date(START + 24 * 3600000).toISOString(), 'Expiry');
+
+        const listed = await queue.list({ status: 'completed' });
+        expectEqual(listed.length, 1, 'Listed');
+        expectEqual('result' in listed[0], false, 'Listing leaves out results');
+        expectEqual(await queue.get('smart_missing'), null, 'Unknown job');
+        await expectCode(queue.list({ status: 'done' }), 'JOB_BAD_STATUS', 'Unknown status filter');
+    });
+
+    await runTest('No more than JOB_CONCURRENCY jobs run at once; the rest wait queued', async () => {
+        const gates = [];
+        let runningNow = 0;
+        let mostAtOnce = 0;
+        const { queue } = createQueue({
+            concurrency: 2,
+            handlers: { smart_search: async () => {
+                runningNow++;
+                mostAtOnce = Math.max(mostAtOnce, runningNow);
+                const gate = deferred();
+                gates.push(gate);
+                await gate.promise;
+                runningNow--;
+                return { ok: true };
+            } }
+        });
+
+        for (let index = 1; index <= 4; index++) {
+            await queue.enqueue('smart_search', { index }, { jobId: `smart_c${index}` });
+        }
+        await queue.pump();
+        expectEqual((await queue.list({ status: 'processing' })).length, 2, 'Processing');
+        expectEqual((await queue.list({ status: 'queued' })).length, 2, 'Queued');
+
+        while ((await queue.list({ status: 'completed' })).length < 4) {
+            gates.splice(0).forEach(gate => gate.resolve());
+            await new Promise(resolve => setImmediate(resolve));
+        }
+        await queue.idle();
+        expectEqual(mostAtOnce, 2, 'Most jobs at once');
+
+        let unknownTypeError = null;
+        try {
+            await queue.enqueue('full_scrape', {});
+        } catch (error) {
+            unknownTypeError = error;
+        }
+        expectEqual(/No job handler registered for "full_scrape"/.test(unknownTypeError?.message), true, 'Unregistered type rejected');
+    });
+
+    await runTest('A failing run is retried with backoff and fails once its attempts are used up', async () => {
+        let flakyRuns = 0;
+        const { queue } = createQueue({
+            maxAttempts: 3,
+            handlers: {
+                flaky: async (params, job) => {
+                    flakyRuns++;
+                    if (job.attempt < 3) throw new Error(`StreetEasy timeout ${job.attempt}`);
+                    return { attempt: job.attempt };
+                },
+                broken: async () => { throw new Error('Neighborhood not found'); }
+            }
+        });
+
+        await queue.enqueue('flaky', {}, { jobId: 'smart_flaky' });
+        await queue.enqueue('broken', {}, { jobId: 'smart_broken' });
+        await queue.idle();
+
+        const flaky = await queue.get('smart_flaky');
+        expectEqual(flaky.status, 'completed', 'Retried to success');
+        expectEqual(flaky.attempts, 3, 'Attempts');
+        expectEqual(flaky.result.attempt, 3, 'Result of the last attempt');
+        expectEqual(flakyRuns, 3, 'Handler runs');
+
+        const broken = await queue.get('smart_broken');
+        expectEqual(broken.status, 'failed', 'Failed');
+        expectEqual(broken.error, 'Neighborhood not found', 'Error kept');
+        expectEqual(broken.attempts, 3, 'Every attempt used');
+
+        const delayed = createQueue({ retryDelayMs: 30000, handlers: { broken: async () => { throw new Error('down'); } } });
+        await delayed.queue.enqueue('broken', {}, { jobId: 'smart_delayed' });
+        await delayed.queue.idle();
+        const waiting = await delayed.queue.get('smart_delayed');
+        expectEqual(waiting.status, 'queued', 'Waiting for its retry');
+        expectEqual(waiting.run_after, new Date(START + 30000).toISOString(), 'First retry delay');
+    });
+
+    await runTest('A result storage cannot take during an outage is stored later, not run again', async () => {
+        let now = START;
+        let runs = 0;
+        const { queue } = createQueue({ clock: () => now, handlers: { smart_search: async () => ({ run: ++runs }) } });
+        const updateRunning = queue.updateRunning.bind(queue);
+        let outage = true;
+        queue.updateRunning = (jobId, values) => outage && values.status
+            ? Promise.reject(new Error('Could not update job smart_outage: connection reset'))
+            : updateRunning(jobId, values);
+
+        await queue.enqueue('smart_search', {}, { jobId: 'smart_outage' });
+        await queue.idle();
+        expectEqual((await queue.get('smart_outage')).status, 'processing', 'Not stored during the outage');
+
+        now += 61000;
+        expectEqual(await queue.recoverStaleJobs(), 0, 'Not re-queued as a stopped run');
+
+        outage = false;
+        await queue.tick();
+        await queue.idle();
+        const stored = await queue.get('smart_outage');
+        expectEqual(stored.status, 'completed', 'Stored on the next tick');
+        expectEqual(stored.result.run, 1, 'Result of the only run');
+        expectEqual(runs, 1, 'Handler ran once');
+    });
+
+    await runTest('Cancelling stops queued and running jobs; finished jobs cannot be cancelled', async () => {
+        const gate = deferred();
+        let updateError = null;
+        const { queue } = createQueue({
+            concurrency: 1,
+            handlers: { smart_search: async (params, job) => {
+                await gate.promise;
+                try {
+                    await job.update({ progress: 90 });
+                } catch (error) {
+                    updateError = error;
+                    throw error;
+                }
+                return { ok: true };
+            } }
+        });
+
+        await queue.enqueue('smart_search', {}, { jobId: 'smart_running' });
+        await queue.enqueue('smart_search', {}, { jobId: 'smart_waiting' });
+        await queue.pump();
+
+        expectEqual((await queue.cancel('smart_waiting')).status, 'cancelled', 'Queued job cancelled');
+        expectEqual((await queue.cancel('smart_running')).status, 'cancelled', 'Running job cancelled');
+        gate.resolve();
+        await queue.idle();
+
+        expectEqual(updateError?.code, 'JOB_NOT_RUNNING', 'Handler told at its next update');
+        const running = await queue.get('smart_running');
+        expectEqual(running.status, 'cancelled', 'Stays cancelled');
+        expectEqual(running.result, null, 'No result');
+        expectEqual(running.attempts, 1, 'Not retried');
+        expectEqual((await queue.get('smart_waiting')).attempts, 0, 'Never started');
+
+        await expectCode(queue.cancel('smart_running'), 'JOB_FINISHED', 'Already cancelled');
+        expectEqual(await queue.cancel('smart_missing'), null, 'Unknown job');
+    });
+
+    await runTest('Finished jobs expire after JOB_TTL_HOURS and are pruned', async () => {
+        let now = START;
+        const { queue } = createQueue({ clock: () => now, ttlHours: 1, concurrency: 1, handlers: { smart_search: async () => ({ ok: true }) } });
+
+        await queue.enqueue('smart_search', {}, { jobId: 'smart_old' });
+        await queue.idle();
+        now += 30 * 60000;
+        await queue.enqueue('smart_search', {}, { jobId: 'smart_new' });
+        await queue.idle();
+
+        now += 45 * 60000;   // 75 minutes after the first job finished, 45 after the second
+        expectEqual(await queue.get('smart_old'), null, 'Expired job');
+        expectEqual((await queue.get('smart_new')).status, 'completed', 'Recent job');
+        expectEqual((await queue.list()).map(job => job.job_id).join(','), 'smart_new', 'Listing');
+        expectEqual(await queue.pruneExpired(), 1, 'Pruned');
+        expectEqual(await queue.pruneExpired(), 0, 'Nothing left to prune');
+    });
+
+    await runTest('Jobs left queued past JOB_QUEUED_TTL_HOURS expire without running', async () => {
+        let now = START;
+        let runs = 0;
+        const storage = createStorage({ backend: 'sqlite', filename: ':memory:' });
+        const handlers = { smart_search: async () => ({ run: ++runs }) };
+
+        // Queued by a server that went down before starting it
+        const { queue: down } = createQueue({ storage, clock: () => now, concurrency: 0, queuedTtlHours: 2, handlers });
+        await down.enqueue('smart_search', {}, { jobId: 'smart_abandoned' });
+        now += 60 * 60000;
+        await down.enqueue('smart_search', {}, { jobId: 'smart_waiting' });
+        expectEqual((await down.get('smart_abandoned')).expires_at, new Date(START + 2 * 3600000).toISOString(), 'Queued expiry');
+
+        now += 90 * 60000;
+        const { queue } = createQueue({ storage, clock: () => now, queuedTtlHours: 2, handlers });
+        await queue.pump();
+        await queue.idle();
+        expectEqual(await queue.get('smart_abandoned'), null, 'Expired while queued');
+        const started = await queue.get('smart_waiting');
+        expectEqual(started.status, 'completed', 'Started in time');
+        expectEqual(started.expires_at, new Date(now + 24 * 3600000).toISOString(), 'Finished expiry once run');
+        expectEqual(runs, 1, 'Expired job never ran');
+        expectEqual(await queue.pruneExpired(), 1, 'Pruned');
+    });
+
+    await runTest('Jobs a stopped worker was running are re-queued, or failed when out of attempts', async () => {
+        const storage = createStorage({ backend: 'sqlite', filename: ':memory:' });
+        const stuck = deferred();
+        const dead = createQueue({ storage, maxAttempts: 2, handlers: { smart_search: () => stuck.promise } });
+        await dead.queue.enqueue('smart_search', { neighborhood: 'bushwick' }, { jobId: 'smart_stale' });
+        await dead.queue.enqueue('smart_search', {}, { jobId: 'smart_last_try' });
+        await dead.queue.pump();
+        await storage.from('api_jobs').update({ attempts: 2 }).eq('job_id', 'smart_last_try');
+
+        // The "restarted" server sees both jobs silent for longer than JOB_STALE_SECONDS
+        const { queue } = createQueue({
+            storage,
+            clock: () => START + 61000,
+            handlers: { smart_search: async params => ({ neighborhood: params.neighborhood }) }
+        });
+        expectEqual(await queue.recoverStaleJobs(), 2, 'Recovered');
+        expectEqual((await queue.get('smart_last_try')).status, 'failed', 'Out of attempts');
+
+        await queue.pump();
+        await queue.idle();
+        const recovered = await queue.get('smart_stale');
+        expectEqual(recovered.status, 'completed', 'Finished by the new worker');
+        expectEqual(recovered.worker_id, queue.workerId, 'New worker');
+        expectEqual(recovered.attempts, 2, 'Counted as a second attempt');
+
+        // The old worker finishing late does not overwrite the new result
+        stuck.resolve({ neighborhood: 'stale' });
+        await dead.queue.idle();
+        expectEqual((await queue.get('smart_stale')).result.neighborhood, 'bushwick', 'Result kept');
+    });
+
+    console.log(`\n📊 Job queue tests: ${testResults.passed} passed, ${testResults.failed} failed`);
+    return testResults;
+}
+
+// Run the script
+if (require.main === module) {
+    runJobQueueTests()
+        .then(results => process.exit(results.failed > 0 ? 1 : 0))
+        .catch(error => {
+            console.error('💥 Job queue tests crashed:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = { runJobQueueTests };
@@ -0,0 +1,225 @@
+// test-llm-client.js
+// Test suite for the LLM client: per-task model settings, token accounting and the mock provider
+//
+// No network or keys - Anthropic calls go to a scripted HTTP client.
+//   node test-llm-client.js
+
+const { createLLMClient, resolveTaskSettings, formatUsageReport } = require('./llm-client.js');
+const EnhancedClaudeMarketAnalyzer = require('./claude-market-analyzer.js');
+
+const SETTINGS_ENV = ['CLAUDE_MODEL', 'CLAUDE_MAX_TOKENS', 'CLAUDE_TEMPERATURE', 'CLAUDE_QUICK_CHECK_MODEL',
+    'CLAUDE_DEEP_ANALYSIS_MAX_TOKENS', 'CLAUDE_DUAL_SALES_MEMO_TEMPERATURE', 'LLM_PROVIDER', 'LLM_CONFIG'];
+
+/**
+ * Run fn with the given env vars (and every other settings var unset), then restore them
+ */
+async function withEnv(values, fn) {
+    const saved = Object.fromEntries(SETTINGS_ENV.map(name => [name, process.env[name]]));
+    SETTINGS_ENV.forEach(name => delete process.env[name]);
+    Object.assign(process.env, values);
+    try {
+        return await fn();
+    } finally {
+        SETTINGS_ENV.forEach(name => {
+            if (saved[name] === undefined) delete process.env[name];
+            else process.env[name] = saved[name];
+        });
+    }
+}
+
+/**
+ * Anthropic-shaped HTTP client answering with the given texts and usage, recording request bodies
+ */
+function scriptedAnthropicHttp(answers) {
+    const requests = [];
+    return {
+        requests,
+        post: async (url, body) => {
+            requests.push({ url, body });
+            const { text, inputTokens, outputTokens } = answers.shift();
+            return {
+                data: {
+                    model: body.model,
+                    content: [{ type: 'text', text }],
+                    stop_reason: 'end_turn',
+                    usage: { input_tokens: inputTokens, output_tokens: outputTokens }
+                }
+            };
+        }
+    };
+}
+
+async function runLLMClientTests() {
+    console.log('🤖 Starting LLM client test suite...\n');
+
+    const testResults = {
+        passed: 0,
+        failed: 0,
+        tests: []
+    };
+
+    // Helper function to run a test
+    async function runTest(testName, testFunction) {
+        try {
+            await testFunction();
+            console.log(`✅ PASSED: ${testName}`);
+            testResults.passed++;
+            testResults.tests.push({ name: testName, status: 'PASSED' });
+        } catch (error) {
+            console.log(`❌ FAILED: ${testName} - ${error.message}`);
+            testResults.failed++;
+            testResults.tests.push({ name: testName, status: 'FAILED', error: error.message });
+        }
+    }
+
+    function expectEqual(actual, expected, label) {
+        if (actual !== expected) {
+            throw new Error(`${label}: got ${actual}, expected ${expected}`);
+        }
+    }
+
+    await runTest('Task settings: defaults, then global env, config file, per-task env, options', async () => {
+        await withEnv({}, async () => {
+            const defaults = resolveTaskSettings();
+            expectEqual(defaults.quick_check.model, 'claude-3-haiku-20240307', 'Default model');
+            expectEqual(defaults.deep_analysis.maxTokens, 2000, 'Default max tokens');
+            expectEqual(defaults.dual_sales_memo.temperature, 0.1, 'Default temperature');
+        });
+
+        await withEnv({
+            CLAUDE_MODEL: 'claude-3-5-haiku-20241022',
+            CLAUDE_MAX_TOKENS: '1500',
+            CLAUDE_QUICK_CHECK_MODEL: 'claude-3-haiku-20240307',
+            CLAUDE_DUAL_SALES_MEMO_TEMPERATURE: '0.4'
+        }, async () => {
+            const config = { tasks: { deep_analysis: { model: 'claude-sonnet-4-20250514', maxTokens: 4000 }, quick_check: { model: 'from-config' } } };
+            const tasks = resolveTaskSettings(config, { dual_sales_memo: { maxTokens: 3000 } });
+
+            expectEqual(tasks.quick_check.model, 'claude-3-haiku-20240307', 'Per-task env beats config');
+            expectEqual(tasks.quick_check.maxTokens, 1500, 'Global env max tokens');
+            expectEqual(tasks.deep_analysis.model, 'claude-sonnet-4-20250514', 'Config beats global env');
+            expectEqual(tasks.deep_analysis.maxTokens, 4000, 'Config max tokens');
+            expectEqual(tasks.dual_sales_memo.model, 'claude-3-5-haiku-20241022', 'Global env model');
+            expectEqual(tasks.dual_sales_memo.temperature, 0.4, 'Per-task env temperature');
+            expectEqual(tasks.dual_sales_memo.maxTokens, 3000, 'Options beat everything');
+        });
+    });
+
+    await runTest('Anthropic provider sends the task settings and accounts tokens from usage', async () => {
+        const http = scriptedAnthropicHttp([
+            { text: '{"ok":true}', inputTokens: 1890, outputTokens: 160 },
+            { text: '{"ok":true}', inputTokens: 2000, outputTokens: 1000 }
+        ]);
+        const llm = await withEnv({}, () => createLLMClient({
+            apiKey: 'test-only',
+            http,
+            tasks: { dual_sales_memo: { model: 'claude-sonnet-4-20250514', maxTokens: 3000 } }
+        }));
+
+        const quick = await llm.complete({ task: 'quick_check', system: 'sys', messages: [{ role: 'user', content: 'hi' }] });
+        await llm.complete({ task: 'dual_sales_memo', messages: [{ role: 'user', content: 'memo' }] });
+
+        expectEqual(http.requests[0].url, 'https://api.anthropic.com/v1/messages', 'URL');
+        expectEqual(http.requests[0].body.model, 'claude-3-haiku-20240307', 'Quick check model');
+        expectEqual(http.requests[0].body.system, 'sys', 'System prompt');
+        expectEqual(http.requests[1].body.model, 'claude-sonnet-4-20250514', 'Memo model');
+        expectEqual(http.requests[1].body.max_tokens, 3000, 'Memo max tokens');
+        expectEqual(quick.usage.inputTokens, 1890, 'Input tokens');
+        expectEqual(quick.cost.toFixed(6), ((1890 * 0.25 + 160 * 1.25) / 1000000).toFixed(6), 'Haiku cost');
+
+        const report = llm.getUsageReport();
+        expectEqual(report.calls, 2, 'Calls');
+        expectEqual(report.inputTokens, 3890, 'Total input tokens');
+        expectEqual(report.outputTokens, 1160, 'Total output tokens');
+        expectEqual(report.byTask.dual_sales_memo.cost.toFixed(6), ((2000 * 3 + 1000 * 15) / 1000000).toFixed(6), 'Sonnet cost');
+        expectEqual(report.byModel['claude-3-haiku-20240307'].calls, 1, 'By model');
+        expectEqual(formatUsageReport(report).startsWith('2 calls (quick_check 1, dual_sales_memo 1)'), true, 'Summary line');
+    });
+
+    await runTest('Models without pricing are counted, not guessed; config pricing covers them', async () => {
+        const answer = { text: '{}', inputTokens: 1000000, outputTokens: 0 };
+        const unpriced = createLLMClient({
+            apiKey: 'test-only', http: scriptedAnthropicHttp([answer]), config: {},
+            tasks: { quick_check: { model: 'claude-next' } }
+        });
+        await unpriced.complete({ task: 'quick_check', messages: [] });
+        expectEqual(unpriced.getUsageReport().unpricedCalls, 1, 'Unpriced calls');
+        expectEqual(unpriced.getUsageReport().estimatedCost, 0, 'No guessed cost');
+
+        const priced = createLLMClient({
+            apiKey: 'test-only', http: scriptedAnthropicHttp([{ ...answer }]),
+            config: { pricing: { 'claude-next': { input: 2, output: 10 } } },
+            tasks: { quick_check: { model: 'claude-next' } }
+        });
+        await priced.complete({ task: 'quick_check', messages: [] });
+        expectEqual(priced.getUsageReport().estimatedCost, 2, 'Config pricing');
+    });
+
+    await runTest('Mock provider answers per task and fails fast when out of responses', async () => {
+        const llm = createLLMClient({
+            provider: 'mock',
+            config: {},
+            responses: { quick_check: '{"step":1}', dual_sales_memo: [{ memo: 'first' }] }
+        });
+
+        expectEqual((await llm.complete({ task: 'quick_check', messages: [] })).text, '{"step":1}', 'Reused text');
+        expectEqual((await llm.complete({ task: 'quick_check', messages: [] })).text, '{"step":1}', 'Reused again');
+        expectEqual((await llm.complete({ task: 'dual_sales_memo', messages: [] })).text, '{"memo":"first"}', 'Object response');
+        expectEqual(llm.getUsageReport().provider, 'mock', 'Provider name');
+        expectEqual(llm.getUsageReport().outputTokens > 0, true, 'Estimated tokens');
+
+        try {
+            await llm.complete({ task: 'dual_sales_memo', messages: [] });
+        } catch (error) {
+            expectEqual(error.code, 'MOCK_NO_RESPONSE', 'Error code');
+            return;
+        }
+        throw new Error('Expected MOCK_NO_RESPONSE');
+    });
+
+    await runTest('Unknown providers and tasks are rejected', async () => {
+        const attempts = [
+            () => createLLMClient({ provider: 'openai', config: {} }),
+            () => createLLMClient({ provider: 'mock', config: {} }).settingsFor('summarize')
+        ];
+        for (const attempt of attempts) {
+            try {
+                attempt();
+            } catch (error) {
+                expectEqual(/^Unknown LLM (provider "openai"|task "summarize")/.test(error.message), true, 'Error message');
+                continue;
+            }
+            throw new Error('Expected an error');
+        }
+    });
+
+    await runTest('The analyzer runs sale quick checks on the quick_check task model', async () => {
+        const llm = createLLMClient({
+            provider: 'mock',
+            config: {},
+            tasks: { quick_check: { model: 'claude-3-5-haiku-20241022' } },
+            responses: [{ estimatedMarketPrice: 960000, discountPercent: 11.6, reasoning: 'Nearby co-ops trade higher.' }]
+        });
+        const analyzer = new EnhancedClaudeMarketAnalyzer({ llm });
+        const response = await analyzer.callClaude('system', 'Analyze this sale', 'sales');
+
+        expectEqual(response.success, true, 'Success');
+        expectEqual(llm.provider.requests[0].model, 'claude-3-5-haiku-20241022', 'Model sent');
+        expectEqual(analyzer.getUsageReport().byTask.quick_check.calls, 1, 'Usage by task');
+    });
+
+    console.log(`\n📊 LLM client tests: ${testResults.passed} passed, ${testResults.failed} failed`);
+    return testResults;
+}
+
+// Run the script
+if (require.main === module) {
+    runLLMClientTests()
+        .then(results => process.exit(results.failed > 0 ? 1 : 0))
+        .catch(error => {
+            console.error('💥 LLM client tests crashed:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = { runLLMClientTests };
@@ -0,0 +1,148 @@
+// test-migrations.js
+// Test suite for the migration runner on in-memory SQLite
+//
+// Checks every migration has a down file, migrate/rollback move between versions and keep
+// schema_migrations in step, and the schema check catches tables and columns with no migration.
+//   node test-migrations.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage } = require('./storage.js');
+const { MigrationRunner, listMigrations, checkSchema } = require('./migration-runner.js');
+
+async function runMigrationTests() {
+    console.log('🗄️ Starting migration runner test suite...\n');
+
+    const storage = createStorage({ backend: 'sqlite', filename: ':memory:', autoMigrate: false });
+    const runner = new MigrationRunner(storage);
+    const tempDirs = [];
+    const testResults = {
+        passed: 0,
+        failed: 0,
+        tests: []
+    };
+
+    // Helper function to run a test
+    async function runTest(testName, testFunction) {
+        try {
+            await testFunction();
+            console.log(`✅ PASSED: ${testName}`);
+            testResults.passed++;
+            testResults.tests.push({ name: testName, status: 'PASSED' });
+        } catch (error) {
+            console.log(`❌ FAILED: ${testName} - ${error.message}`);
+            testResults.failed++;
+            testResults.tests.push({ name: testName, status: 'FAILED', error: error.message });
+        }
+    }
+
+    function expectEqual(actual, expected, label) {
+        if (actual !== expected) {
+            throw new Error(`${label}: got ${actual}, expected ${expected}`);
+        }
+    }
+
+    function tableExists(table) {
+        return Boolean(storage.db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?").get(table));
+    }
+
+    // Copy of migrations/ without the files matching skip, to break things on purpose
+    function migrationsWithout(skip) {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+        tempDirs.push(directory);
+        listMigrations().forEach(migration => [migration.up, migration.down]
+            .filter(file => file && !skip.test(path.basename(file)))
+            .forEach(file => fs.copyFileSync(file, path.join(directory, path.basename(file)))));
+        return directory;
+    }
+
+    await runTest('Every migration has a down file', async () => {
+        const missing = listMigrations().filter(migration => !migration.down).map(migration => migration.version);
+        expectEqual(missing.join(','), '', 'Migrations without .down.sql');
+        expectEqual(listMigrations()[0].version, '001', 'First version');
+    });
+
+    await runTest('migrate --to applies up to a version; status shows the rest pending', async () => {
+        const { applied } = await runner.migrate({ to: '004' });
+        expectEqual(applied.join(','), '001,002,003,004', 'Applied versions');
+        expectEqual(tableExists('rental_market_cache'), true, '004 table created');
+        expectEqual(tableExists('undervalued_sales'), false, '008 table not created');
+
+        const { migrations } = await runner.status();
+        expectEqual(migrations.filter(migration => !migration.applied).length, listMigrations().length - 4, 'Pending count');
+        expectEqual(Boolean(migrations[0].applied_at), true, 'Applied timestamp');
+    });
+
+    await runTest('migrate applies the rest once', async () => {
+        const { applied } = await runner.migrate();
+        expectEqual(applied[0], '005', 'First pending applied');
+        expectEqual(tableExists('undervalued_sales'), true, '008 table created');
+        expectEqual((await runner.migrate()).applied.length, 0, 'Second run applies nothing');
+    });
+
+    await runTest('rollback reverts the latest migration, --steps and --to go further', async () => {
+        const latest = listMigrations().slice(-1)[0].version;
+        expectEqual((await runner.rollback()).rolledBack.join(','), latest, 'Default one step');
+
+        const { rolledBack } = await runner.rollback({ steps: 2 });
+        expectEqual(rolledBack.length, 2, 'Two steps');
+
+        await runner.rollback({ to: '005' });
+        expectEqual(tableExists('undervalued_rent_stabilized'), false, '006 table dropped');
+        expectEqual(tableExists('undervalued_rentals'), true, '005 table kept');
+
+        const recorded = storage.db.prepare('SELECT version FROM schema_migrations ORDER BY version').all();
+        expectEqual(recorded.map(row => row.version).join(','), '001,002,003,004,005', 'Recorded versions');
+    });
+
+    await runTest('Rolling everything back and migrating again leaves the same schema', async () => {
+        await runner.rollback({ to: '000' });
+        expectEqual(tableExists('listings'), false, 'listings dropped');
+        expectEqual((await runner.migrate()).applied.length, listMigrations().length, 'Re-applied all');
+    });
+
+    await runTest('rollback refuses a migration without a down file', async () => {
+        const directory = migrationsWithout(/^002_.*\.down\.sql$/);
+        const scratch = createStorage({ backend: 'sqlite', filename: ':memory:', autoMigrate: false });
+        const scratchRunner = new MigrationRunner(scratch, { directory });
+        try {
+            await scratchRunner.migrate({ to: '002' });
+            await scratchRunner.rollback();
+        } catch (error) {
+            expectEqual(/002_market_analysis has no \.down\.sql/.test(error.message), true, 'Error message');
+            return;
+        } finally {
+            scratch.close();
+        }
+        throw new Error('Expected a missing down file error');
+    });
+
+    await runTest('Schema check passes, and flags columns with no migration', async () => {
+        const current = await checkSchema();
+        expectEqual(current.problems.join('; '), '', 'Problems with the current migrations');
+
+        const broken = await checkSchema({ directory: migrationsWithout(/^008_/) });
+        expectEqual(broken.ok, false, 'Check fails without undervalued_sales');
+        expectEqual(broken.problems.some(problem => problem.startsWith('Table undervalued_sales')), true, 'Missing table');
+        expectEqual(broken.problems.includes('Column undervalued_sales.investor_plan_property (written by saveToUndervaluedSalesTable) is not in the schema'),
+            true, 'Missing written column');
+    });
+
+    storage.close();
+    tempDirs.forEach(directory => fs.rmSync(directory, { recursive: true, force: true }));
+    console.log(`\n📊 Migration tests: ${testResults.passed} passed, ${testResults.failed} failed`);
+    return testResults;
+}
+
+// Run the script
+if (require.main === module) {
+    runMigrationTests()
+        .then(results => process.exit(results.failed > 0 ? 1 : 0))
+        .catch(error => {
+            console.error('💥 Migration tests crashed:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = { runMigrationTests };
@@ -0,0 +1,260 @@
+// test-price-history.js
+// Test suite for per-listing price history (price-history.js): events from successive neighborhood
+// searches, rented/sold verdicts, the derived cut metrics and the rentals pipeline wiring
+//
+// Runs on in-memory SQLite with a controllable clock - no Supabase, key or network.
+//   node test-price-history.js
+
+const { createStorage } = require('./storage.js');
+const { createLLMClient } = require('./llm-client.js');
+const PriceHistory = require('./price-history.js');
+const { summarizePriceHistory, isExhaustiveSearch } = require('./price-history.js');
+const ClaudePoweredRentalsSystem = require('./claude-powered-rentals-system.js');
+
+const START = Date.parse('2026-09-01T12:00:00.000Z');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const listing = (id, price, address = `${id} E 12th St`) => ({ id, price, address });
+
+async function runPriceHistoryTests() {
+    console.log('📈 Starting price history test suite...\n');
+
+    const testResults = {
+        passed: 0,
+        failed: 0,
+        tests: []
+    };
+
+    // Helper function to run a test
+    async function runTest(testName, testFunction) {
+        try {
+            await testFunction();
+            console.log(`✅ PASSED: ${testName}`);
+            testResults.passed++;
+            testResults.tests.push({ name: testName, status: 'PASSED' });
+        } catch (error) {
+            console.log(`❌ FAILED: ${testName} - ${error.message}`);
+            testResults.failed++;
+            testResults.tests.push({ name: testName, status: 'FAILED', error: error.message });
+        }
+    }
+
+    function expectEqual(actual, expected, label) {
+        if (actual !== expected) {
+            throw new Error(`${label}: got ${actual}, expected ${expected}`);
+        }
+    }
+
+    /**
+     * History on a fresh database; day(n) moves its clock to n days after START
+     */
+    function createHistory() {
+        let now = START;
+        const storage = createStorage({ backend: 'sqlite', filename: ':memory:' });
+        const history = new PriceHistory(storage, { now: () => new Date(now) });
+        return { storage, history, day: days => { now = START + days * DAY_MS; } };
+    }
+
+    const eventTypes = events => events.map(event => event.event_type).join(',');
+
+    await runTest('Successive searches record first seen, cuts and raises; unchanged prices add nothing', async () => {
+        const { history, day } = createHistory();
+
+        const first = await history.recordSearch('rental', 'east-village', [listing('se-1', 3000), listing('se-2', 2800), listing('se-3', 0)]);
+        expectEqual(first.first_seen, 2, 'First seen (zero price skipped)');
+
+        day(7);
+        const second = await history.recordSearch('rental', 'east-village', [listing('se-1', 2850), listing('se-2', 2950)]);
+        expectEqual(second.price_cut, 1, 'Cuts');
+        expectEqual(second.price_raise, 1, 'Raises');
+
+        day(8);
+        await history.recordSearch('rental', 'east-village', [listing('se-1', 2850), listing('se-2', 2950)]);
+
+        const events = await history.getHistory('se-1');
+        expectEqual(eventTypes(events), 'first_seen,price_cut', 'Events');
+        expectEqual(events[1].previous_price, 3000, 'Previous price kept');
+        expectEqual(events[1].change_amount, -150, 'Change amount');
+        expectEqual(events[1].change_percent, -5, 'Change percent');
+        expectEqual((await history.getHistory('se-1', { listingType: 'sale' })).length, 0, 'Rental and sale histories are separate');
+    });
+
+    await runTest('A failed state write does not append the same events again on the next search', async () => {
+        let now = START;
+        let stateDown = false;
+        const storage = createStorage({ backend: 'sqlite', filename: ':memory:' });
+        const flaky = {
+            from: table => {
+                const query = storage.from(table);
+                if (table === 'listing_price_state' && stateDown) {
+                    query.upsert = () => Promise.resolve({ data: null, error: new Error('connection reset') });
+                }
+                return query;
+            }
+        };
+        const history = new PriceHistory(flaky, { now: () => new Date(now) });
+
+        await history.recordSearch('rental', 'east-village', [listing('se-1', 3000)]);
+        stateDown = true;
+        now = START + 7 * DAY_MS;
+        await history.recordSearch('rental', 'east-village', [listing('se-1', 2850)]);
+        stateDown = false;
+        now = START + 8 * DAY_MS;
+        await history.recordSearch('rental', 'east-village', [listing('se-1', 2850)]);
+
+        const events = await history.getHistory('se-1');
+        expectEqual(eventTypes(events), 'first_seen,price_cut', 'One cut');
+        expectEqual(events[1].observed_at, new Date(START + 8 * DAY_MS).toISOString(), 'Recorded once the state was stored');
+    });
+
+    await runTest('Listings missing from a search are delisted and relisted when they return', async () => {
+        const { history, day } = createHistory();
+        await history.recordSearch('rental', 'east-village', [listing('se-1', 3000), listing('se-2', 2800)]);
+        await history.recordSearch('rental', 'bushwick', [listing('se-9', 2500)]);
+
+        day(3);
+        const missing = await history.recordSearch('rental', 'east-village', [listing('se-1', 3000)]);
+        expectEqual(missing.delisted, 1, 'Delisted (other neighborhoods untouched)');
+        expectEqual((await history.recordSearch('rental', 'east-village', [])).delisted, 0, 'An empty search delists nothing');
+
+        day(5);
+        await history.recordSearch('rental', 'east-village', [listing('se-1', 3000)]);
+        expectEqual((await history.getHistory('se-2')).length, 2, 'Not delisted twice');
+
+        day(9);
+        const back = await history.recordSearch('rental', 'east-village', [listing('se-1', 3000), listing('se-2', 2650)]);
+        expectEqual(back.relisted, 1, 'Relisted');
+
+        const events = await history.getHistory('se-2');
+        expectEqual(eventTypes(events), 'first_seen,delisted,relisted', 'Events');
+        expectEqual(events[2].previous_price, 2800, 'Relisted against the last known price');
+        expectEqual(events[2].change_amount, -150, 'Relisted cheaper');
+        expectEqual(eventTypes(await history.getHistory('se-9')), 'first_seen', 'Bushwick listing');
+    });
+
+    await runTest('Uncapped searches delist inside their price band: capped results say nothing about the rest', async () => {
+        const { history, day } = createHistory();
+        await history.recordSearch('rental', 'east-village', [listing('se-1', 3000), listing('se-2', 21000), listing('se-3', 2600), listing('se-4', 900)]);
+
+        day(3);
+        const banded = { maxListings: 500, minPrice: 1000, maxPrice: 20000 };
+        const partial = [listing('se-1', 3000)];
+        const counts = await history.recordSearch('rental', 'east-village', partial,
+            { complete: isExhaustiveSearch(partial, banded), minPrice: banded.minPrice, maxPrice: banded.maxPrice });
+        expectEqual(counts.delisted, 1, 'Only the listing inside the band delisted');
+        expectEqual(eventTypes(await history.getHistory('se-3')), 'first_seen,delisted', 'Dropped out inside the band');
+        expectEqual(eventTypes(await history.getHistory('se-2')), 'first_seen', 'Above the band: still on the market');
+        expectEqual(eventTypes(await history.getHistory('se-4')), 'first_seen', 'Below the band: still on the market');
+
+        day(5);
+        const capped = await history.recordSearch('rental', 'east-village', partial, { complete: isExhaustiveSearch(partial, { limit: 1 }) });
+        expectEqual(capped.delisted, 0, 'Capped search delists nothing');
+
+        expectEqual(isExhaustiveSearch(partial, banded), true, 'Under the cap, price band');
+        expectEqual(isExhaustiveSearch(partial, { maxListings: 500 }), true, 'Under the cap');
+        expectEqual(isExhaustiveSearch(partial, { limit: 1 }), false, 'Stopped at the cap');
+    });
+
+    await runTest('Rented and sold verdicts are recorded once and end the time on market', async () => {
+        const { history, day } = createHistory();
+        await history.recordSearch('sale', 'soho', [listing('sale-1', 1200000)]);
+
+        day(40);
+        expectEqual(await history.recordClosed('sale', ['sale-1', 'sale-untracked']), 2, 'Recorded');
+        day(41);
+        expectEqual(await history.recordClosed('sale', ['sale-1']), 0, 'Not recorded twice');
+
+        const timeline = await history.getTimeline('sale-1');
+        expectEqual(eventTypes(await history.getHistory('sale-1')), 'first_seen,likely_sold', 'Events');
+        expectEqual(timeline.metrics.status, 'likely_sold', 'Status');
+        expectEqual(timeline.metrics.daysOnMarket, 40, 'Days on market stop at the verdict');
+        expectEqual(timeline.metrics.currentPrice, 1200000, 'Last price carried');
+        expectEqual((await history.getHistory('sale-untracked'))[0].price, null, 'Untracked listing has no price');
+
+        day(60);
+        expectEqual((await history.recordSearch('sale', 'soho', [listing('sale-1', 1150000)])).relisted, 1, 'Back on the market');
+        expectEqual((await history.getTimeline('sale-1')).metrics.status, 'on_market', 'On the market again');
+    });
+
+    await runTest('Timeline metrics: total cut percent, days since last cut and cut velocity', async () => {
+        const { history, day } = createHistory();
+        const asking = price => [listing('se-1', price, '327 E 12th St #4B')];
+        await history.recordSearch('rental', 'east-village', asking(3000));
+        day(10);
+        await history.recordSearch('rental', 'east-village', asking(3100));
+        day(14);
+        await history.recordSearch('rental', 'east-village', asking(2900));
+        day(20);
+        await history.recordSearch('rental', 'east-village', asking(2790));
+        day(25);
+
+        const timeline = await history.getTimeline('se-1');
+        const { metrics } = timeline;
+        expectEqual(timeline.address, '327 E 12th St #4B', 'Address');
+        expectEqual(timeline.events.map(event => event.type).join(','), 'first_seen,price_raise,price_cut,price_cut', 'Event types');
+        expectEqual(metrics.peakPrice, 3100, 'Peak');
+        expectEqual(metrics.currentPrice, 2790, 'Current');
+        expectEqual(metrics.priceCutCount, 2, 'Cuts');
+        expectEqual(metrics.priceRaiseCount, 1, 'Raises');
+        expectEqual(metrics.totalCutAmount, 310, 'Total cut amount');
+        expectEqual(metrics.totalCutPercent, 10, 'Below the peak asking rent');
+        expectEqual(metrics.daysSinceLastCut, 5, 'Days since last cut');
+        expectEqual(metrics.daysOnMarket, 25, 'Days on market');
+        expectEqual(metrics.cutPercentPer30Days, 12, 'Cut velocity');
+
+        const uncut = summarizePriceHistory([{ event_type: 'first_seen', price: 2500, observed_at: new Date(START).toISOString() }], new Date(START + DAY_MS));
+        expectEqual(uncut.daysSinceLastCut, null, 'No cut yet');
+        expectEqual(uncut.totalCutPercent, 0, 'Nothing cut');
+        expectEqual(await history.getTimeline('se-missing'), null, 'Unknown listing');
+    });
+
+    await runTest('The rentals pipeline records rent changes and rented verdicts instead of losing them', async () => {
+        const storage = createStorage({ backend: 'sqlite', filename: ':memory:' });
+        let searchResults = [
+            { id: 'ev-1', address: '327 E 12th St #4B', price: 2450, bedrooms: 1, bathrooms: 1, sqft: 550, amenities: ['laundry'], description: '' },
+            { id: 'ev-2', address: '401 E 11th St #2A', price: 3050, bedrooms: 1, bathrooms: 1, sqft: 560, amenities: ['laundry'], description: '' }
+        ];
+        const listingSource = {
+            name: 'fixture',
+            requestCount: 0,
+            searchArea: async () => searchResults.map(result => ({ ...result })),
+            fetchDetails: async result => ({ ...result })
+        };
+        const llm = createLLMClient({
+            provider: 'mock',
+            config: {},
+            respond: () => ({ estimatedMarketRent: 3000, percentBelowMarket: 5, rentStabilizedProbability: 10, reasoning: 'At market for the block.' })
+        });
+        const system = new ClaudePoweredRentalsSystem({ storage, listingSource, llm, batchMode: false });
+        system.delay = async () => {};
+
+        const firstRun = await system.analyzeNeighborhoodForRentStabilized('east-village');
+        expectEqual(firstRun.priceEvents.first_seen, 2, 'First run');
+
+        searchResults = [{ ...searchResults[0], price: 2300 }];
+        const secondRun = await system.analyzeNeighborhoodForRentStabilized('east-village');
+        expectEqual(secondRun.priceEvents.price_cut, 1, 'Rent cut recorded');
+        expectEqual(secondRun.priceEvents.delisted, 1, 'Listing inside the rent band dropped out and delisted');
+
+        const cut = await system.priceHistory.getHistory('ev-1');
+        expectEqual(cut[1].previous_price, 2450, 'Old rent kept');
+        const { data: cached } = await storage.from('rental_market_cache').select('monthly_rent').eq('listing_id', 'ev-1').single();
+        expectEqual(cached.monthly_rent, 2300, 'Cache holds the latest rent');
+        expectEqual(eventTypes(await system.priceHistory.getHistory('ev-2')), 'first_seen,delisted,likely_rented', 'Rented verdict');
+    });
+
+    console.log(`\n📊 Price history tests: ${testResults.passed} passed, ${testResults.failed} failed`);
+    return testResults;
+}
+
+// Run the script
+if (require.main === module) {
+    runPriceHistoryTests()
+        .then(results => process.exit(results.failed > 0 ? 1 : 0))
+        .catch(error => {
+            console.error('💥 Price history tests crashed:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = { runPriceHistoryTests };
@@ -0,0 +1,202 @@
+// test-rental-absorption.js
+// Test suite for rental absorption analytics (rental-absorption.js): days to rent by bedrooms and
+// discount, the 7/14/30-day rented shares, the per-neighborhood storage report and the pipeline's verdicts
+//
+// Runs on in-memory SQLite with a fixed clock - no Supabase, key or network.
+//   node test-rental-absorption.js
+
+const { createStorage } = require('./storage.js');
+const { createLLMClient } = require('./llm-client.js');
+const RentalAbsorption = require('./rental-absorption.js');
+const { computeAbsorption, formatAbsorptionReport, parseLookbackDays } = require('./rental-absorption.js');
+const ClaudePoweredRentalsSystem = require('./claude-powered-rentals-system.js');
+
+const NOW = new Date('2026-10-01T12:00:00.000Z');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const daysAgo = days => new Date(NOW.getTime() - days * DAY_MS).toISOString();
+
+/**
+ * A listing first seen `listed` days ago and rented `rented` days ago (null = still listed)
+ */
+const rental = (listingId, bedrooms, listed, rented, discountPercent = null) => ({
+    listingId,
+    bedrooms,
+    discountPercent,
+    listedAt: daysAgo(listed),
+    rentedAt: rented === null ? null : daysAgo(rented)
+});
+
+async function runAbsorptionTests() {
+    console.log('⏱️ Starting rental absorption test suite...\n');
+
+    const testResults = {
+        passed: 0,
+        failed: 0,
+        tests: []
+    };
+
+    // Helper function to run a test
+    async function runTest(testName, testFunction) {
+        try {
+            await testFunction();
+            console.log(`✅ PASSED: ${testName}`);
+            testResults.passed++;
+            testResults.tests.push({ name: testName, status: 'PASSED' });
+        } catch (error) {
+            console.log(`❌ FAILED: ${testName} - ${error.message}`);
+            testResults.failed++;
+            testResults.tests.push({ name: testName, status: 'FAILED', error: error.message });
+        }
+    }
+
+    function expectEqual(actual, expected, label) {
+        if (actual !== expected) {
+            throw new Error(`${label}: got ${actual}, expected ${expected}`);
+        }
+    }
+
+    await runTest('Median days to rent overall and by bedroom count', async () => {
+        const stats = computeAbsorption([
+            rental('a', 0, 40, 35),    // studio, 5 days
+            rental('b', 1, 40, 31),    // 1br, 9 days
+            rental('c', 1, 40, 20),    // 1br, 20 days
+            rental('d', 2, 40, 10),    // 2br, 30 days
+            rental('e', 5, 10, null)   // 4br+, still listed
+        ], NOW);
+
+        expectEqual(stats.listings, 5, 'Listings');
+        expectEqual(stats.rented, 4, 'Rented');
+        expectEqual(stats.stillListed, 1, 'Still listed');
+        expectEqual(stats.medianDaysToRent, 14.5, 'Median of an even count');
+        expectEqual(stats.byBedrooms.map(group => group.bedrooms).join(','), 'studio,1br,2br,4br+', 'Bedroom groups present');
+        expectEqual(stats.byBedrooms[1].medianDaysToRent, 14.5, '1br median');
+        expectEqual(stats.byBedrooms[3].medianDaysToRent, null, 'Nothing rented yet');
+        expectEqual(computeAbsorption([], NOW).medianDaysToRent, null, 'No listings');
+    });
+
+    await runTest('Rented within 7/14/30 days only counts listings on the market that long', async () => {
+        const { rentedWithin } = computeAbsorption([
+            rental('a', 1, 40, 35),    // 5 days
+            rental('b', 1, 40, 31),    // 9 days
+            rental('c', 1, 40, 5),     // 35 days
+            rental('d', 1, 20, null),  // 20 days and counting
+            rental('e', 1, 3, 1)       // 2 days, but listed too recently for any window
+        ], NOW);
+
+        expectEqual(rentedWithin[7].eligible, 4, '7-day eligible');
+        expectEqual(rentedWithin[7].percent, 25, '7-day share');
+        expectEqual(rentedWithin[14].percent, 50, '14-day share');
+        expectEqual(rentedWithin[30].eligible, 3, '30-day eligible (20-day listing excluded)');
+        expectEqual(rentedWithin[30].percent, 66.7, '30-day share');
+    });
+
+    await runTest('Time to rent by discount bucket answers whether undervalued rentals rent faster', async () => {
+        const stats = computeAbsorption([
+            rental('a', 1, 40, 38, 25),
+            rental('b', 1, 40, 36, 12),
+            rental('c', 1, 40, 36, 8),
+            rental('d', 1, 40, 20),
+            rental('e', 1, 40, 16)
+        ], NOW);
+
+        expectEqual(stats.byDiscount.map(bucket => bucket.discount).join(','), 'not flagged,<10%,10-20%,20-30%', 'Buckets');
+        expectEqual(stats.byDiscount[0].medianDaysToRent, 22, 'Not flagged');
+        expectEqual(stats.byDiscount[3].medianDaysToRent, 2, '20-30% off');
+        expectEqual(stats.byDiscount[3].rentedWithin14Percent, 100, '20-30% rented within 14 days');
+        expectEqual(stats.undervalued.medianDaysToRent, 4, 'Undervalued median');
+        expectEqual(stats.undervaluedRentFaster, true, 'Undervalued rent faster');
+        expectEqual(computeAbsorption([rental('f', 1, 40, 30, 15)], NOW).undervaluedRentFaster, null, 'Nothing to compare against');
+    });
+
+    await runTest('The report joins the cache, undervalued rentals and relisting dates per neighborhood', async () => {
+        const storage = createStorage({ backend: 'sqlite', filename: ':memory:' });
+        await storage.from('rental_market_cache').insert([
+            { listing_id: 'ev-1', neighborhood: 'east-village', bedrooms: 1, market_status: 'likely_rented', created_at: daysAgo(30), last_checked: daysAgo(20) },
+            { listing_id: 'ev-2', neighborhood: 'east-village', bedrooms: 2, market_status: 'likely_rented', created_at: daysAgo(30), last_checked: daysAgo(26) },
+            { listing_id: 'ev-3', neighborhood: 'east-village', bedrooms: 1, market_status: 'pending', created_at: daysAgo(10), last_checked: daysAgo(1) },
+            { listing_id: 'ev-4', neighborhood: 'east-village', bedrooms: 1, market_status: 'relisted', created_at: daysAgo(30), last_checked: daysAgo(25) },
+            { listing_id: 'ev-old', neighborhood: 'east-village', bedrooms: 1, market_status: 'likely_rented', created_at: daysAgo(400), last_checked: daysAgo(390) },
+            { listing_id: 'bw-1', neighborhood: 'bushwick', bedrooms: 0, market_status: 'likely_rented', created_at: daysAgo(20), last_checked: daysAgo(14) }
+        ]);
+        await storage.from('undervalued_rentals').insert([
+            { listing_id: 'ev-2', neighborhood: 'east-village', bedrooms: 2, discount_percent: 22, status: 'likely_rented', likely_rented: true, rented_detected_at: daysAgo(27), created_at: daysAgo(30) }
+        ]);
+        // ev-1 was relisted from an older ID: its listed date is carried back
+        await storage.from('listing_fingerprints').insert([
+            { listing_id: 'ev-1', listing_type: 'rental', neighborhood: 'east-village', canonical_id: 'ev-0', listed_at: daysAgo(40) }
+        ]);
+
+        const absorption = new RentalAbsorption(storage, { now: () => NOW });
+        const report = await absorption.getReport();
+        const eastVillage = report.neighborhoods.find(stats => stats.neighborhood === 'east-village');
+
+        expectEqual(report.lookbackDays, 180, 'Default lookback');
+        expectEqual(report.neighborhoods.map(stats => stats.neighborhood).join(','), 'east-village,bushwick', 'Largest neighborhood first');
+        expectEqual(eastVillage.listings, 3, 'Relisted and out-of-lookback rows left out');
+        expectEqual(eastVillage.rented, 2, 'Rented');
+        expectEqual(eastVillage.byBedrooms[0].medianDaysToRent, 20, 'Days to rent from the carried listed date');
+        expectEqual(eastVillage.byDiscount.find(bucket => bucket.discount === '20-30%').medianDaysToRent, 3, 'Undervalued detection date preferred');
+        expectEqual(eastVillage.undervaluedRentFaster, true, 'Undervalued rented faster');
+        expectEqual(report.overall.listings, 4, 'Overall');
+
+        const bushwick = await absorption.getReport('bushwick', { lookbackDays: 30 });
+        expectEqual(bushwick.neighborhoods.length, 1, 'One neighborhood');
+        expectEqual(bushwick.overall.medianDaysToRent, 6, 'Bushwick median');
+        expectEqual((await absorption.getReport('bushwick', { lookbackDays: 7 })).overall.listings, 0, 'Nothing first seen in the last week');
+
+        const text = formatAbsorptionReport(report);
+        expectEqual(text.includes('🏘️ east-village: 3 rentals, 2 rented'), true, 'Formatted neighborhood line');
+        expectEqual(text.includes('All neighborhoods'), true, 'Formatted overall block');
+        expectEqual(parseLookbackDays(undefined), 180, 'Default days');
+        expectEqual(parseLookbackDays('90'), 90, 'Days');
+        expectEqual(parseLookbackDays('0'), null, 'Zero days rejected');
+        expectEqual(parseLookbackDays('abc'), null, 'Non-numeric days rejected');
+    });
+
+    await runTest('Rented verdicts from the rentals pipeline feed the absorption report', async () => {
+        const storage = createStorage({ backend: 'sqlite', filename: ':memory:' });
+        let searchResults = [
+            { id: 'ev-1', address: '327 E 12th St #4B', price: 2450, bedrooms: 1, bathrooms: 1, sqft: 550, daysOnMarket: 2, amenities: ['laundry'], description: '' },
+            { id: 'ev-2', address: '401 E 11th St #2A', price: 3050, bedrooms: 1, bathrooms: 1, sqft: 560, daysOnMarket: 12, amenities: ['laundry'], description: '' }
+        ];
+        const listingSource = {
+            name: 'fixture',
+            requestCount: 0,
+            searchArea: async () => searchResults.map(result => ({ ...result })),
+            fetchDetails: async result => ({ ...result })
+        };
+        const llm = createLLMClient({
+            provider: 'mock',
+            config: {},
+            respond: () => ({ estimatedMarketRent: 3000, percentBelowMarket: 5, rentStabilizedProbability: 10, reasoning: 'At market for the block.' })
+        });
+        const system = new ClaudePoweredRentalsSystem({ storage, listingSource, llm, batchMode: false });
+        system.delay = async () => {};
+
+        await system.analyzeNeighborhoodForRentStabilized('east-village');
+        searchResults = [searchResults[0]];
+        await system.analyzeNeighborhoodForRentStabilized('east-village');
+
+        const report = await new RentalAbsorption(storage).getReport('east-village');
+        expectEqual(report.overall.listings, 2, 'Listings');
+        expectEqual(report.overall.rented, 1, 'Rented');
+        expectEqual(report.overall.medianDaysToRent, 12, 'Days on market before the search lost it');
+        expectEqual(report.overall.rentedWithin[14].eligible, 0, 'Too recent for the 14-day window');
+    });
+
+    console.log(`\n📊 Absorption tests: ${testResults.passed} passed, ${testResults.failed} failed`);
+    return testResults;
+}
+
+// Run the script
+if (require.main === module) {
+    runAbsorptionTests()
+        .then(results => process.exit(results.failed > 0 ? 1 : 0))
+        .catch(error => {
+            console.error('💥 Absorption tests crashed:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = { runAbsorptionTests };
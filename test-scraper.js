@@ -1,14 +1,33 @@
 // test-scraper.js
 // Comprehensive test suite for NYC Redfin scraper
+//
+// Replays recorded Redfin responses (fixtures/cassettes/redfin-nyc.json) by default:
+//   node test-scraper.js --test-only                            # offline replay
+//   HTTP_CASSETTE_MODE=record node test-scraper.js --test-only  # re-record against Redfin
+//   node test-scraper.js --live                                 # live smoke run, no cassette
 
 const RedfinAPIScraper = require('./redfin-scraper.js');
 const UndervaluedPropertyFinder = require('./undervalued-property-finder.js');
 
+/**
+ * Scraper options for this run - points httpClientFromEnv at the Redfin cassette unless --live
+ */
+function getScraperOptions() {
+    if (process.argv.includes('--live')) return {};
+
+    process.env.HTTP_CASSETTE_MODE = process.env.HTTP_CASSETTE_MODE || 'replay';
+    process.env.HTTP_CASSETTE = process.env.HTTP_CASSETTE || 'redfin-nyc';
+
+    // Replays need no rate limiting (recording keeps the real delays)
+    return process.env.HTTP_CASSETTE_MODE === 'replay' ? { rateLimitDelay: 0, boroughDelay: 0 } : {};
+}
+
 async function runNYCTestSuite() {
     console.log('🗽 Starting NYC Redfin API scraper test suite...\n');
     
-    const scraper = new RedfinAPIScraper();
-    const finder = new UndervaluedPropertyFinder();
+    const scraperOptions = getScraperOptions();
+    const scraper = new RedfinAPIScraper(scraperOptions);
+    const finder = new UndervaluedPropertyFinder(scraperOptions);
     
     const testResults = {
         passed: 0,
@@ -325,6 +344,7 @@ async function runNYCTestSuite() {
     } else {
         console.log('\n⚠️  Some tests failed. Check the issues above.');
         console.log('🔧 Common fixes for NYC scraping:');
+        console.log('   - Replaying? Re-record the cassette with HTTP_CASSETTE_MODE=record if the scraper changed its requests');
         console.log('   - Ensure internet connection is stable');
         console.log('   - Check if Redfin has changed their NYC API endpoints');
         console.log('   - Verify axios dependency is installed');
@@ -351,7 +371,7 @@ async function runNYCDemo() {
     console.log('🗽 NYC DEMO: Real Scraping Example');
     console.log('='.repeat(60));
     
-    const finder = new UndervaluedPropertyFinder();
+    const finder = new UndervaluedPropertyFinder(getScraperOptions());
     
     try {
         console.log('🔍 Searching for undervalued properties in Brooklyn under $1.2M...');
@@ -394,15 +414,16 @@ async function runNYCDemo() {
         }
         
         // Save demo data
+        // saveResults also writes the database format, which reads undervaluedProperties at the top level
         await finder.saveResults({
+            ...results,
             demoTimestamp: new Date().toISOString(),
             searchCriteria: {
                 location: 'Brooklyn, NY',
                 maxPrice: 1200000,
                 minBeds: 1,
                 minDiscountPercent: 12
-            },
-            results: results
+            }
         }, 'nyc-demo-results.json');
         
         console.log('💾 NYC demo results saved to nyc-demo-results.json');
@@ -419,7 +440,8 @@ async function main() {
     if (args.includes('--demo-only')) {
         await runNYCDemo();
     } else if (args.includes('--test-only')) {
-        await runNYCTestSuite();
+        const testResults = await runNYCTestSuite();
+        process.exit(testResults.failed > 0 ? 1 : 0);
     } else {
         // Run both tests and demo
         const testResults = await runNYCTestSuite();
@@ -428,6 +450,7 @@ async function main() {
             await runNYCDemo();
         } else {
             console.log('\n⚠️ Skipping demo due to test failures. Fix issues first.');
+            process.exit(1);
         }
     }
 }
@@ -0,0 +1,178 @@
+// test-storage.js
+// Test suite for the storage interface on an in-memory SQLite database
+//
+// Checks the migrations apply, the supabase-js style query builder behaves like PostgREST for the
+// calls the pipelines make, and the rentals system saves/reads its tables without Supabase.
+//   node test-storage.js
+
+const { createStorage, storageBackendFromEnv, toSqliteDialect } = require('./storage.js');
+const { listMigrations } = require('./migration-runner.js');
+
+async function runStorageTests() {
+    console.log('🗄️ Starting storage test suite...\n');
+
+    const storage = createStorage({ backend: 'sqlite', filename: ':memory:' });
+    const testResults = {
+        passed: 0,
+        failed: 0,
+        tests: []
+    };
+
+    // Helper function to run a test
+    async function runTest(testName, testFunction) {
+        try {
+            await testFunction();
+            console.log(`✅ PASSED: ${testName}`);
+            testResults.passed++;
+            testResults.tests.push({ name: testName, status: 'PASSED' });
+        } catch (error) {
+            console.log(`❌ FAILED: ${testName} - ${error.message}`);
+            testResults.failed++;
+            testResults.tests.push({ name: testName, status: 'FAILED', error: error.message });
+        }
+    }
+
+    function expectEqual(actual, expected, label) {
+        if (actual !== expected) {
+            throw new Error(`${label}: got ${actual}, expected ${expected}`);
+        }
+    }
+
+    function expectOk({ data, error }, label) {
+        if (error) throw new Error(`${label}: ${error.message}`);
+        return data;
+    }
+
+    await runTest('Backend defaults to SQLite without a Supabase URL', async () => {
+        expectEqual(storageBackendFromEnv({ backend: 'SQLite' }), 'sqlite', 'Explicit backend');
+        expectEqual(storageBackendFromEnv({ url: 'https://example.supabase.co' }), process.env.STORAGE_BACKEND || 'supabase', 'With a URL');
+        expectEqual(storage.backend, 'sqlite', 'Created backend');
+
+        try {
+            createStorage({ backend: 'mysql' });
+        } catch (error) {
+            expectEqual(error.message.startsWith('Unknown storage backend "mysql"'), true, 'Unknown backend error');
+            return;
+        }
+        throw new Error('Expected an unknown backend error');
+    });
+
+    await runTest('Postgres migration SQL translates to SQLite', async () => {
+        const sql = toSqliteDialect(`CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+            CREATE TABLE t (id uuid DEFAULT uuid_generate_v4() PRIMARY KEY, n bigserial PRIMARY KEY,
+            tags text[] DEFAULT '{}', data jsonb, seen timestamptz DEFAULT now());`);
+        expectEqual(sql.includes('EXTENSION'), false, 'Extension dropped');
+        expectEqual(sql.includes('id TEXT DEFAULT (lower(hex(randomblob(4)))'), true, 'uuid default');
+        expectEqual(sql.includes('n INTEGER PRIMARY KEY AUTOINCREMENT'), true, 'bigserial');
+        expectEqual(sql.includes("tags ARRAY_TEXT DEFAULT '[]'"), true, 'Array column');
+        expectEqual(sql.includes('data JSON_TEXT'), true, 'jsonb column');
+        expectEqual(sql.includes("seen TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))"), true, 'now() default');
+    });
+
+    await runTest('Migrations apply once and are recorded in schema_migrations', async () => {
+        const first = await storage.migrate();
+        expectEqual(first.applied.length, listMigrations().length, 'First run applies every migration');
+
+        const second = await storage.migrate();
+        expectEqual(second.applied.length, 0, 'Second run applies nothing');
+
+        const recorded = storage.db.prepare('SELECT version FROM schema_migrations ORDER BY version').all();
+        expectEqual(recorded.map(row => row.version).join(','), listMigrations().map(m => m.version).join(','), 'Recorded versions');
+    });
+
+    await runTest('Upsert on listing_id updates in place; arrays and booleans round-trip', async () => {
+        expectOk(await storage.from('rental_market_cache')
+            .upsert({ listing_id: '4521001', address: '327 E 12th St', monthly_rent: 2600, amenities: ['laundry'], no_fee: true },
+                { onConflict: 'listing_id' }), 'First upsert');
+        const rows = expectOk(await storage.from('rental_market_cache')
+            .upsert({ listing_id: '4521001', monthly_rent: 2450 }, { onConflict: 'listing_id' })
+            .select(), 'Second upsert');
+
+        expectEqual(rows.length, 1, 'Returned rows');
+        expectEqual(rows[0].monthly_rent, 2450, 'Updated rent');
+        expectEqual(rows[0].address, '327 E 12th St', 'Untouched column kept');
+        expectEqual(rows[0].amenities[0], 'laundry', 'Array column');
+        expectEqual(rows[0].no_fee, true, 'Boolean column');
+        expectEqual(rows[0].market_status, 'pending', 'Column default');
+    });
+
+    await runTest('PostgREST filters: not in list, not is null, neq, order, range', async () => {
+        expectOk(await storage.from('rental_market_cache').insert([
+            { listing_id: '4521002', address: '410 E 13th St', neighborhood: 'east-village', monthly_rent: 3100 },
+            { listing_id: '4521003', address: null, neighborhood: 'east-village', monthly_rent: 2900 },
+            { listing_id: '4521004', address: '88 Ave A', neighborhood: 'east-village', monthly_rent: 2750, market_status: 'fetch_failed' }
+        ]), 'Insert');
+
+        const rows = expectOk(await storage.from('rental_market_cache')
+            .select('listing_id, monthly_rent')
+            .eq('neighborhood', 'east-village')
+            .not('listing_id', 'in', '("4521001","4521009")')
+            .not('address', 'is', null)
+            .neq('market_status', 'fetch_failed')
+            .order('monthly_rent', { ascending: false }), 'Filtered select');
+        expectEqual(rows.map(row => row.listing_id).join(','), '4521002', 'Matching ids');
+
+        const page = expectOk(await storage.from('rental_market_cache')
+            .select('listing_id').order('listing_id').range(1, 2), 'Range');
+        expectEqual(page.map(row => row.listing_id).join(','), '4521002,4521003', 'Second page');
+    });
+
+    await runTest('single() errors when no row matches, like PostgREST', async () => {
+        const { data, error } = await storage.from('rental_market_cache').select('id').eq('listing_id', 'missing').single();
+        expectEqual(data, null, 'Data');
+        expectEqual(error.code, 'PGRST116', 'Error code');
+
+        const maybe = expectOk(await storage.from('rental_market_cache').select('id').eq('listing_id', 'missing').maybeSingle(), 'maybeSingle');
+        expectEqual(maybe, null, 'maybeSingle data');
+    });
+
+    await runTest('Unknown tables and columns come back as errors, not exceptions', async () => {
+        const missingTable = await storage.from('no_such_table').select('id').limit(1);
+        expectEqual(missingTable.error.code, '42P01', 'Missing table code (checked by the Railway runner)');
+
+        const missingColumn = await storage.from('rental_market_cache').insert({ listing_id: 'x', not_a_column: 1 });
+        expectEqual(/no column named not_a_column/.test(missingColumn.error.message), true, 'Missing column message');
+    });
+
+    await runTest('Rentals system saves and reads its tables on SQLite', async () => {
+        const ClaudePoweredRentalsSystem = require('./claude-powered-rentals-system.js');
+        const rentals = new ClaudePoweredRentalsSystem({ storage, listingSourceName: 'fixture' });
+        const property = {
+            id: 4521001, address: '327 E 12th St #4B', price: 2450, bedrooms: 1, bathrooms: 1, sqft: 550,
+            builtIn: 1920, amenities: ['laundry'], percentBelowMarket: 21, estimatedMarketRent: 3100,
+            potentialSavings: 650, rentStabilizedProbability: 80, undervaluationConfidence: 70,
+            comparablesUsed: 5, isUndervalued: true, isRentStabilized: true
+        };
+
+        await rentals.saveToRentStabilizedTable(property, 'east-village');
+        await rentals.saveToUndervaluedRentalsTable(property, 'east-village');
+
+        const summary = await rentals.getAnalysisSummary();
+        expectEqual(summary.topUndervalued.length, 1, 'Undervalued rentals');
+        expectEqual(summary.goldmineDeals.length, 1, 'Goldmine deals');
+        expectEqual(summary.goldmineDeals[0].potential_annual_savings, 7800, 'Generated annual savings');
+        expectEqual(summary.goldmineDeals[0].rent_stabilization_analysis.probability, 80, 'jsonb analysis');
+
+        // Not seen in a search for a week → marked likely rented
+        const weekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString();
+        expectOk(await storage.from('undervalued_rent_stabilized').update({ last_seen_in_search: weekAgo }).eq('listing_id', '4521001'), 'Age listing');
+        const { markedRented } = await rentals.runRentedDetectionForNeighborhood([{ id: 4521002 }], 'east-village');
+        expectEqual(markedRented, 1, 'Marked rented');
+    });
+
+    storage.close();
+    console.log(`\n📊 Storage tests: ${testResults.passed} passed, ${testResults.failed} failed`);
+    return testResults;
+}
+
+// Run the script
+if (require.main === module) {
+    runStorageTests()
+        .then(results => process.exit(results.failed > 0 ? 1 : 0))
+        .catch(error => {
+            console.error('💥 Storage tests crashed:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = { runStorageTests };
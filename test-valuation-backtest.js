@@ -0,0 +1,304 @@
+// test-valuation-backtest.js
+// Test suite for the valuation backtest (valuation-backtest.js): snapshots rebuilt from price events,
+// hindsight outcomes, precision / recall / calibration scores and the claude, engine and finder models
+//
+// Runs on in-memory SQLite with a controllable clock and the mock LLM provider - no Supabase, key or network.
+//   node test-valuation-backtest.js
+
+const { createStorage } = require('./storage.js');
+const { createLLMClient } = require('./llm-client.js');
+const PriceHistory = require('./price-history.js');
+const ValuationBacktest = require('./valuation-backtest.js');
+const { scoreBacktest, listingAsOf, outcomeAfter, formatBacktestReport, parseBacktestFlags } = require('./valuation-backtest.js');
+
+const START = Date.parse('2026-06-01T12:00:00.000Z');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const at = days => new Date(START + days * DAY_MS).toISOString();
+const event = (days, eventType, price, extra = {}) => ({ event_type: eventType, price, observed_at: at(days), ...extra });
+
+/**
+ * A 1BR/1BA, 600 sqft rental in the cache
+ */
+const cachedRental = (id, extra = {}) => ({
+    listing_id: id,
+    address: `${id.replace('ev-', '')} E 12th St #2A`,
+    neighborhood: 'east-village',
+    zipcode: '10003',
+    bedrooms: 1,
+    bathrooms: 1,
+    sqft: 600,
+    amenities: ['laundry', 'dishwasher'],
+    description: 'Sunny one bedroom',
+    ...extra
+});
+
+/**
+ * Backtest row with an outcome, for the scoring tests
+ */
+const row = (discount, confidence, undervalued, extra = {}) => ({
+    failed: false,
+    eligible: true,
+    estimate: 3000,
+    discount,
+    confidence,
+    outcome: { resolved: true, undervalued, closedAt: undervalued ? at(5) : null, daysToClose: undervalued ? 5 : null, priceCut: false, finalPrice: 2900 },
+    ...extra
+});
+
+async function runBacktestTests() {
+    console.log('🧪 Starting valuation backtest test suite...\n');
+
+    const testResults = {
+        passed: 0,
+        failed: 0,
+        tests: []
+    };
+
+    // Helper function to run a test
+    async function runTest(testName, testFunction) {
+        try {
+            await testFunction();
+            console.log(`✅ PASSED: ${testName}`);
+            testResults.passed++;
+            testResults.tests.push({ name: testName, status: 'PASSED' });
+        } catch (error) {
+            console.log(`❌ FAILED: ${testName} - ${error.message}`);
+            testResults.failed++;
+            testResults.tests.push({ name: testName, status: 'FAILED', error: error.message });
+        }
+    }
+
+    function expectEqual(actual, expected, label) {
+        if (actual !== expected) {
+            throw new Error(`${label}: got ${actual}, expected ${expected}`);
+        }
+    }
+
+    async function expectRejects(promise, pattern, label) {
+        try {
+            await promise;
+        } catch (error) {
+            if (!pattern.test(error.message)) throw new Error(`${label}: unexpected error "${error.message}"`);
+            return;
+        }
+        throw new Error(`${label}: did not throw`);
+    }
+
+    /**
+     * Price history and market cache on a fresh database; day(n) moves the clock to n days after START
+     */
+    function createMarket(cacheTable, rows) {
+        let now = START;
+        const storage = createStorage({ backend: 'sqlite', filename: ':memory:' });
+        const clock = () => new Date(now);
+        return {
+            storage,
+            clock,
+            history: new PriceHistory(storage, { now: clock }),
+            seed: () => storage.from(cacheTable).insert(rows),
+            day: days => { now = START + days * DAY_MS; }
+        };
+    }
+
+    await runTest('Snapshots and hindsight outcomes are rebuilt from price events', async () => {
+        const events = [
+            event(0, 'first_seen', 3000),
+            event(5, 'price_cut', 2800),
+            event(9, 'delisted', 2800),
+            event(12, 'relisted', 2700, { change_amount: -100 }),
+            event(20, 'likely_rented', 2700)
+        ];
+        const nowMs = START + 60 * DAY_MS;
+
+        expectEqual(listingAsOf(events, START - DAY_MS), null, 'Not listed yet');
+        expectEqual(listingAsOf(events, START + 6 * DAY_MS).price, 2800, 'Asking price as of the date');
+        expectEqual(listingAsOf(events, START + 6 * DAY_MS).daysOnMarket, 6, 'Days on market as of the date');
+        expectEqual(listingAsOf(events, START + 10 * DAY_MS), null, 'Delisted then');
+        expectEqual(listingAsOf(events, START + 25 * DAY_MS), null, 'Rented by then');
+
+        const fromCut = outcomeAfter(events, START + 6 * DAY_MS, 14, nowMs);
+        expectEqual(fromCut.daysToClose, 14, 'Days to close');
+        expectEqual(fromCut.priceCut, true, 'Relisted cheaper counts as a cut');
+        expectEqual(fromCut.finalPrice, 2700, 'Final asking price');
+        expectEqual(fromCut.undervalued, false, 'Cut before renting is not undervalued');
+
+        const fromRelist = outcomeAfter(events, START + 13 * DAY_MS, 14, nowMs);
+        expectEqual(fromRelist.undervalued, true, 'Rented within 14 days with no further cut');
+
+        const stillListed = [event(0, 'first_seen', 3000)];
+        expectEqual(outcomeAfter(stillListed, START, 14, START + 10 * DAY_MS).resolved, false, 'Too recent to judge');
+        expectEqual(outcomeAfter(stillListed, START, 14, START + 15 * DAY_MS).resolved, true, 'Not rented within 14 days');
+    });
+
+    await runTest('Precision, recall, threshold sweep and confidence calibration', async () => {
+        const scores = scoreBacktest([
+            row(30, 90, true),
+            row(25, 90, true),
+            row(22, 65, false),
+            row(18, 65, true),
+            row(16, 65, false, { eligible: false }),    // below the confidence floor
+            row(5, 80, true),
+            row(2, 80, false),
+            row(40, 95, true, { outcome: { resolved: false, undervalued: false } }),
+            row(null, null, false, { failed: true })
+        ], 15);
+
+        expectEqual(scores.predictions, 9, 'Predictions');
+        expectEqual(scores.failed, 1, 'Failed');
+        expectEqual(scores.unresolved, 1, 'Unresolved');
+        expectEqual(scores.scored, 7, 'Scored');
+        expectEqual(scores.truePositives, 3, 'True positives');
+        expectEqual(scores.falsePositives, 1, 'False positives');
+        expectEqual(scores.falseNegatives, 1, 'False negatives');
+        expectEqual(scores.precision, 75, 'Precision');
+        expectEqual(scores.recall, 75, 'Recall');
+        expectEqual(scores.f1, 75, 'F1');
+
+        const sweep = Object.fromEntries(scores.thresholds.map(entry => [entry.threshold, entry]));
+        expectEqual(sweep[20].precision, 66.7, 'Precision at 20%');
+        expectEqual(sweep[25].precision, 100, 'Precision at 25%');
+        expectEqual(sweep[25].recall, 50, 'Recall at 25%');
+        expectEqual(sweep[30].flagged, 1, 'Flagged at 30%');
+
+        expectEqual(scores.calibration.map(band => `${band.confidence}:${band.hitRate}`).join(','), '60-70:50,90-100:100', 'Calibration bands');
+        expectEqual(scores.calibrationError, 12.5, 'Weighted calibration gap');
+        expectEqual(scores.medianEstimateErrorPercent, 3.4, 'Estimate error vs final price');
+        expectEqual(scores.flaggedOutcomes.undervaluedPercent, 75, 'Flagged undervalued in hindsight');
+        expectEqual(scoreBacktest([]).precision, null, 'Nothing flagged');
+        expectEqual(scoreBacktest([]).f1, null, 'No F1 without flags');
+
+        const allWrong = scoreBacktest([row(30, 90, false), row(5, 80, true)], 15);
+        expectEqual(allWrong.precision, 0, 'Every flag wrong');
+        expectEqual(allWrong.recall, 0, 'Every undervalued listing missed');
+        expectEqual(allWrong.f1, 0, 'F1 of a model that is always wrong');
+    });
+
+    await runTest('Engine model: valued as of each snapshot and scored against what happened next', async () => {
+        const market = createMarket('rental_market_cache', [
+            cachedRental('ev-1'), cachedRental('ev-2'), cachedRental('ev-3'), cachedRental('ev-4'),
+            cachedRental('ev-5'), cachedRental('ev-cheap'), cachedRental('ev-late')
+        ]);
+        await market.seed();
+        const search = (listings, day) => {
+            market.day(day);
+            return market.history.recordSearch('rental', 'east-village', listings.map(([id, price]) => ({ id, price })));
+        };
+
+        await search([['ev-1', 3000], ['ev-2', 3050], ['ev-3', 3100], ['ev-4', 2950], ['ev-5', 3000], ['ev-cheap', 2100], ['ev-nodetails', 3000]], 0);
+        await search([['ev-1', 3000], ['ev-2', 3050], ['ev-3', 3100], ['ev-5', 3000], ['ev-nodetails', 3000]], 6);
+        await market.history.recordClosed('rental', ['ev-cheap', 'ev-4']);
+        await search([['ev-1', 3000], ['ev-2', 2900], ['ev-3', 3100], ['ev-5', 3000], ['ev-late', 2950], ['ev-nodetails', 3000]], 10);
+        await search([['ev-1', 3000], ['ev-2', 2900], ['ev-3', 3100], ['ev-5', 3000], ['ev-late', 2950], ['ev-nodetails', 3000]], 28);
+        market.day(30);
+
+        const backtest = new ValuationBacktest(market.storage, { now: market.clock });
+        const report = await backtest.run({ neighborhood: 'east-village', model: 'engine' });
+        const byId = Object.fromEntries(report.rows.map(entry => [entry.listingId, entry]));
+
+        expectEqual(report.snapshots, 2, 'Snapshots with new listings (days 0 and 14)');
+        expectEqual(report.predictions, 7, 'Each listing valued once');
+        expectEqual(report.listingsWithoutDetails, 1, 'Listing without cached details');
+        expectEqual(byId['ev-late'].snapshotAt, at(14), 'Late listing valued in its first snapshot');
+        expectEqual(byId['ev-late'].outcome.resolved, true, 'Not rented 16 days after its snapshot');
+        expectEqual(byId['ev-cheap'].flagged, true, 'Cheap listing flagged');
+        expectEqual(byId['ev-cheap'].outcome.undervalued, true, 'Rented in 6 days');
+        expectEqual(byId['ev-4'].flagged, false, 'Market-rate listing not flagged');
+        expectEqual(byId['ev-2'].outcome.priceCut, true, 'Cut later');
+        expectEqual(report.truePositives, 1, 'True positive');
+        expectEqual(report.falseNegatives, 1, 'Rented quickly at market rent');
+        expectEqual(report.precision, 100, 'Precision');
+        expectEqual(report.recall, 50, 'Recall');
+        expectEqual(report.flaggedOutcomes.medianDaysToClose, 6, 'Flagged days to close');
+        expectEqual(formatBacktestReport(report).includes('🎯 Precision 100% · recall 50%'), true, 'Formatted scores');
+    });
+
+    await runTest('Claude and finder models: analyzeRentalsUndervaluation replays and price per sqft on sales', async () => {
+        const rentals = createMarket('rental_market_cache', [cachedRental('ev-1'), cachedRental('ev-2'), cachedRental('ev-3'), cachedRental('ev-4')]);
+        await rentals.seed();
+        await rentals.history.recordSearch('rental', 'east-village', [{ id: 'ev-1', price: 2400 }, { id: 'ev-2', price: 3000 }, { id: 'ev-3', price: 3100 }, { id: 'ev-4', price: 2950 }]);
+        rentals.day(3);
+        await rentals.history.recordSearch('rental', 'east-village', [{ id: 'ev-2', price: 3000 }, { id: 'ev-3', price: 3100 }, { id: 'ev-4', price: 2950 }]);
+        await rentals.history.recordClosed('rental', ['ev-1']);
+        rentals.day(40);
+
+        let prompts = 0;
+        const llm = createLLMClient({
+            provider: 'mock',
+            config: {},
+            respond: request => {
+                prompts++;
+                const cheap = request.messages[0].content.includes('Address: 1 E 12th St #2A\n');
+                return { estimatedMarketRent: 3000, percentBelowMarket: cheap ? 20 : 0, rentStabilizedProbability: 10, reasoning: 'Replayed answer.' };
+            }
+        });
+        const claude = await new ValuationBacktest(rentals.storage, { now: rentals.clock, llm }).run({ neighborhood: 'east-village', model: 'claude' });
+        expectEqual(prompts, 4, 'One analysis per listing');
+        expectEqual(claude.rows.find(entry => entry.listingId === 'ev-1').discount, 20, 'Discount from the asking rent then');
+        expectEqual(claude.truePositives, 1, 'Claude flagged the listing that rented in 3 days');
+        expectEqual(claude.falsePositives, 0, 'No false positives');
+
+        const sales = createMarket('sales_market_cache', [
+            { listing_id: 'so-1', address: '1 Prince St #3', neighborhood: 'soho', zipcode: '10012', bedrooms: 2, bathrooms: 2, sqft: 1000 },
+            { listing_id: 'so-2', address: '2 Prince St #3', neighborhood: 'soho', zipcode: '10012', bedrooms: 2, bathrooms: 2, sqft: 1000 },
+            { listing_id: 'so-3', address: '3 Prince St #3', neighborhood: 'soho', zipcode: '10012', bedrooms: 2, bathrooms: 2, sqft: 1000 },
+            { listing_id: 'so-4', address: '4 Prince St #3', neighborhood: 'soho', zipcode: '10012', bedrooms: 2, bathrooms: 2, sqft: 1000 }
+        ]);
+        await sales.seed();
+        await sales.history.recordSearch('sale', 'soho', [{ id: 'so-1', price: 1500000 }, { id: 'so-2', price: 2000000 }, { id: 'so-3', price: 2000000 }, { id: 'so-4', price: 2100000 }]);
+        sales.day(10);
+        await sales.history.recordClosed('sale', ['so-1']);
+        sales.day(60);
+
+        const finder = await new ValuationBacktest(sales.storage, { now: sales.clock }).run({ neighborhood: 'soho', model: 'finder', listingType: 'sale' });
+        const cheap = finder.rows.find(entry => entry.listingId === 'so-1');
+        expectEqual(cheap.estimate, 2000000, 'Median price per sqft estimate');
+        expectEqual(cheap.discount, 25, 'Discount');
+        expectEqual(cheap.outcome.daysToClose, 10, 'Sold in 10 days');
+        expectEqual(finder.truePositives, 1, 'Finder flagged the sale that sold');
+        expectEqual(finder.calibration.length, 1, 'Deal score calibrated');
+    });
+
+    await runTest('Flags and model / listing type combinations are validated', async () => {
+        const options = parseBacktestFlags({ model: 'finder', type: 'sale', threshold: '20', 'quick-days': '30', every: '14', from: '2026-01-01' }, 'soho');
+        expectEqual(options.threshold, 20, 'Threshold');
+        expectEqual(options.quickDays, 30, 'Quick days');
+        expectEqual(options.stepDays, 14, 'Every');
+        expectEqual(options.listingType, 'sale', 'Type');
+        expectEqual(parseBacktestFlags({}, 'soho').model, 'engine', 'Default model');
+
+        const invalid = [
+            [{ threshold: '-5' }, /--threshold must be a positive number/],
+            [{ every: 'weekly' }, /--every must be a positive number/],
+            [{ from: 'last spring' }, /--from must be a date/],
+            [{ type: 'lease' }, /--type must be one of/]
+        ];
+        for (const [flags, pattern] of invalid) {
+            await expectRejects((async () => parseBacktestFlags(flags, 'soho'))(), pattern, JSON.stringify(flags));
+        }
+
+        const backtest = new ValuationBacktest(createStorage({ backend: 'sqlite', filename: ':memory:' }));
+        await expectRejects(backtest.run({ neighborhood: 'soho', model: 'claude', listingType: 'sale' }), /values rental listings, not sale/, 'Claude on sales');
+        await expectRejects(backtest.run({ neighborhood: 'soho', model: 'hunch' }), /Unknown model "hunch"/, 'Unknown model');
+        await expectRejects(backtest.run({ model: 'engine' }), /neighborhood is required/, 'No neighborhood');
+
+        const empty = await backtest.run({ neighborhood: 'soho' });
+        expectEqual(empty.snapshots, 0, 'No history, no snapshots');
+        expectEqual(empty.precision, null, 'Nothing to score');
+    });
+
+    console.log(`\n📊 Backtest tests: ${testResults.passed} passed, ${testResults.failed} failed`);
+    return testResults;
+}
+
+// Run the script
+if (require.main === module) {
+    runBacktestTests()
+        .then(results => process.exit(results.failed > 0 ? 1 : 0))
+        .catch(error => {
+            console.error('💥 Backtest tests crashed:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = { runBacktestTests };
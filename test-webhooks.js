@@ -0,0 +1,267 @@
+// test-webhooks.js
+// Test suite for callbackUrl webhooks (webhook-delivery.js): signed POSTs of a finished smart
+// search's results, retries through the durable job queue and the per-attempt delivery log
+//
+// Runs against a local HTTP receiver and in-memory SQLite - no server, Supabase or network.
+//   node test-webhooks.js
+
+const http = require('http');
+const axios = require('axios');
+const { createStorage } = require('./storage.js');
+const JobQueue = require('./job-queue.js');
+const WebhookDelivery = require('./webhook-delivery.js');
+const { signWebhookPayload, verifyWebhookSignature, validateCallbackUrl } = require('./webhook-delivery.js');
+
+const SECRET = 'test-webhook-secret';
+const START = Date.parse('2026-10-19T12:00:00.000Z');
+
+/**
+ * Local callback receiver answering with statuses in order (the last one repeats):
+ * resolves to { url, requests, close() }
+ */
+function startReceiver(statuses = [200]) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            requests.push({ headers: req.headers, body });
+            res.statusCode = statuses[Math.min(requests.length - 1, statuses.length - 1)];
+            res.end();
+        });
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => resolve({
+            url: `http://127.0.0.1:${server.address().port}/hooks/smart-search`,
+            requests,
+            close: () => new Promise(done => {
+                server.close(done);
+                server.closeAllConnections();
+            })
+        }));
+    });
+}
+
+/**
+ * Queue + webhooks wired the way api-server.js wires them; smart_search writes a fetch record
+ * like createFetchRecord does and resolves to `results` (or throws it when it is an Error)
+ */
+function createWebhookQueue(results, options = {}) {
+    const storage = createStorage({ backend: 'sqlite', filename: ':memory:' });
+    const webhooks = new WebhookDelivery(storage, { http: axios, secret: SECRET, allowPrivate: true, maxAttempts: 3, ...options.webhooks });
+    const queue = new JobQueue(storage, {
+        maxAttempts: 1,
+        retryDelayMs: 0,
+        now: () => new Date(START),
+        ...options.queue,
+        handlers: { smart_search: async (params, job) => {
+            await storage.from('ai_agent_fetches').upsert({ job_id: job.jobId, neighborhood: params.neighborhood, status: 'processing' },
+                { onConflict: 'job_id' });
+            if (results instanceof Error) throw results;
+            return results;
+        } },
+        onFinished: job => webhooks.jobFinished(job)
+    });
+    webhooks.attach(queue);
+    return { storage, queue, webhooks };
+}
+
+const RESULTS = {
+    jobId: 'smart_1',
+    type: 'smart_search',
+    source: 'cache_only',
+    properties: [{ address: '327 E 12th St #4B', monthly_rent: 2450, discount_percent: 21 }],
+    summary: { totalFound: 1, cacheHits: 1 }
+};
+
+async function runWebhookTests() {
+    console.log('🔔 Starting webhook test suite...\n');
+
+    const testResults = {
+        passed: 0,
+        failed: 0,
+        tests: []
+    };
+
+    // Helper function to run a test
+    async function runTest(testName, testFunction) {
+        try {
+            await testFunction();
+            console.log(`✅ PASSED: ${testName}`);
+            testResults.passed++;
+            testResults.tests.push({ name: testName, status: 'PASSED' });
+        } catch (error) {
+            console.log(`❌ FAILED: ${testName} - ${error.message}`);
+            testResults.failed++;
+            testResults.tests.push({ name: testName, status: 'FAILED', error: error.message });
+        }
+    }
+
+    function expectEqual(actual, expected, label) {
+        if (actual !== expected) {
+            throw new Error(`${label}: got ${actual}, expected ${expected}`);
+        }
+    }
+
+    /**
+     * Run a test body with a fresh receiver (closed afterwards)
+     */
+    async function withReceiver(statuses, fn) {
+        const receiver = await startReceiver(statuses);
+        try {
+            return await fn(receiver);
+        } finally {
+            await receiver.close();
+        }
+    }
+
+    await runTest('Signatures verify over the raw body and timestamp; callback URLs are checked', async () => {
+        const body = JSON.stringify({ event: 'smart_search.completed', jobId: 'smart_1' });
+        const timestamp = String(Math.floor(START / 1000));
+        const signature = signWebhookPayload(body, SECRET, timestamp);
+
+        expectEqual(/^sha256=[0-9a-f]{64}$/.test(signature), true, 'Signature format');
+        expectEqual(verifyWebhookSignature(body, signature, timestamp, SECRET, { now: START }), true, 'Valid');
+        expectEqual(verifyWebhookSignature(body.replace('smart_1', 'smart_2'), signature, timestamp, SECRET, { now: START }), false, 'Tampered body');
+        expectEqual(verifyWebhookSignature(body, signature, timestamp, 'other-secret', { now: START }), false, 'Wrong secret');
+        expectEqual(verifyWebhookSignature(body, signature, timestamp, SECRET, { now: START + 600000 }), false, 'Replayed 10 minutes later');
+
+        expectEqual(validateCallbackUrl('https://hooks.example.com/dm', { allowPrivate: false }), null, 'Public https');
+        expectEqual(validateCallbackUrl('ftp://hooks.example.com/dm', { allowPrivate: false }), 'callbackUrl must be an absolute http(s) URL', 'Protocol');
+        expectEqual(validateCallbackUrl('/hooks', { allowPrivate: false }), 'callbackUrl must be an absolute http(s) URL', 'Relative');
+        for (const url of ['http://localhost:3000/x', 'http://127.0.0.1/x', 'http://10.0.0.8/x', 'http://172.20.1.1/x', 'http://169.254.169.254/latest', 'http://[::1]/x',
+            'http://100.64.0.1/x', 'http://100.127.255.254/x', 'http://198.18.0.1/x', 'http://198.19.255.254/x', 'http://[::ffff:100.100.0.1]/x']) {
+            expectEqual(validateCallbackUrl(url, { allowPrivate: false }), 'callbackUrl must not point at localhost or a private network address', url);
+        }
+        expectEqual(validateCallbackUrl('http://[::ffff:127.0.0.1]/x', { allowPrivate: false }), 'callbackUrl must not point at localhost or a private network address', 'IPv4-mapped IPv6');
+        for (const url of ['http://100.63.255.255/x', 'http://100.128.0.1/x', 'http://198.17.0.1/x', 'http://198.20.0.1/x']) {
+            expectEqual(validateCallbackUrl(url, { allowPrivate: false }), null, `Public ${url}`);
+        }
+        expectEqual(validateCallbackUrl('http://127.0.0.1/x', { allowPrivate: true }), null, 'Private allowed');
+    });
+
+    await runTest('A completed search POSTs its results once, signed, and logs the delivery on the fetch record', async () => {
+        await withReceiver([200], async receiver => {
+            const { storage, queue, webhooks } = createWebhookQueue(RESULTS);
+            await queue.enqueue('smart_search', { neighborhood: 'east-village', callbackUrl: receiver.url }, { jobId: 'smart_1' });
+            await queue.idle();
+
+            expectEqual(receiver.requests.length, 1, 'Deliveries');
+            const { headers, body } = receiver.requests[0];
+            expectEqual(verifyWebhookSignature(body, headers['x-webhook-signature'], headers['x-webhook-timestamp'], SECRET), true, 'Signature');
+            expectEqual(headers['x-webhook-event'], 'smart_search.completed', 'Event header');
+            expectEqual(headers['x-webhook-delivery'], 'webhook_smart_1', 'Delivery id');
+
+            const payload = JSON.parse(body);
+            expectEqual(payload.jobId, 'smart_1', 'Job id');
+            expectEqual(payload.status, 'completed', 'Status');
+            expectEqual(JSON.stringify(payload.data), JSON.stringify((await queue.get('smart_1')).result), 'Same payload as /api/results');
+
+            const [delivery] = await webhooks.getDeliveries('smart_1');
+            const { data: fetchRecord } = await storage.from('ai_agent_fetches').select('id').eq('job_id', 'smart_1').single();
+            expectEqual(delivery.fetch_id, fetchRecord.id, 'Logged against the fetch record');
+            expectEqual(delivery.success, true, 'Success');
+            expectEqual(delivery.status_code, 200, 'Status code');
+            expectEqual((await queue.get('webhook_smart_1')).status, 'completed', 'Delivery job completed');
+        });
+    });
+
+    await runTest('Failed deliveries are retried with backoff until the receiver accepts', async () => {
+        await withReceiver([503, 500, 204], async receiver => {
+            const { queue, webhooks } = createWebhookQueue(RESULTS);
+            await queue.enqueue('smart_search', { neighborhood: 'east-village', callbackUrl: receiver.url }, { jobId: 'smart_1' });
+            await queue.idle();
+
+            expectEqual(receiver.requests.length, 3, 'Attempts sent');
+            expectEqual(receiver.requests.map(request => request.headers['x-webhook-attempt']).join(','), '1,2,3', 'Attempt headers');
+            const deliveries = await webhooks.getDeliveries('smart_1');
+            expectEqual(deliveries.map(delivery => delivery.status_code).join(','), '503,500,204', 'Logged status codes');
+            expectEqual(deliveries[0].error, 'Callback answered HTTP 503', 'Logged error');
+            expectEqual(deliveries[2].success, true, 'Delivered');
+        });
+
+        await withReceiver([500], async receiver => {
+            const { queue } = createWebhookQueue(RESULTS, { queue: { retryDelayMs: 30000 } });
+            await queue.enqueue('smart_search', { neighborhood: 'east-village', callbackUrl: receiver.url }, { jobId: 'smart_1' });
+            await queue.idle();
+
+            const waiting = await queue.get('webhook_smart_1');
+            expectEqual(waiting.status, 'queued', 'Waiting for a retry');
+            expectEqual(waiting.run_after, new Date(START + 30000).toISOString(), 'Backoff');
+        });
+    });
+
+    await runTest('Delivery gives up after WEBHOOK_MAX_ATTEMPTS; failed searches notify, cancelled ones do not', async () => {
+        await withReceiver([500], async receiver => {
+            const { queue, webhooks } = createWebhookQueue(RESULTS, { webhooks: { maxAttempts: 2 } });
+            await queue.enqueue('smart_search', { neighborhood: 'east-village', callbackUrl: receiver.url }, { jobId: 'smart_1' });
+            await queue.idle();
+
+            expectEqual(receiver.requests.length, 2, 'Attempts');
+            const delivery = await queue.get('webhook_smart_1');
+            expectEqual(delivery.status, 'failed', 'Delivery failed');
+            expectEqual(delivery.error, 'Callback answered HTTP 500', 'Last error');
+            expectEqual((await webhooks.getDeliveries('smart_1')).every(attempt => !attempt.success), true, 'Every attempt logged as failed');
+        });
+
+        await withReceiver([200], async receiver => {
+            const { queue } = createWebhookQueue(new Error('StreetEasy API unavailable'));
+            await queue.enqueue('smart_search', { neighborhood: 'east-village', callbackUrl: receiver.url }, { jobId: 'smart_failed' });
+            await queue.enqueue('smart_search', { neighborhood: 'east-village' }, { jobId: 'smart_no_callback' });
+            await queue.idle();
+
+            expectEqual(receiver.requests.length, 1, 'Only the job with a callbackUrl');
+            const payload = JSON.parse(receiver.requests[0].body);
+            expectEqual(payload.event, 'smart_search.failed', 'Failure event');
+            expectEqual(payload.error, 'StreetEasy API unavailable', 'Error sent');
+        });
+
+        await withReceiver([200], async receiver => {
+            const { queue } = createWebhookQueue(RESULTS, { queue: { concurrency: 0 } });
+            await queue.enqueue('smart_search', { neighborhood: 'east-village', callbackUrl: receiver.url }, { jobId: 'smart_cancelled' });
+            await queue.cancel('smart_cancelled');
+            await queue.idle();
+
+            expectEqual(receiver.requests.length, 0, 'No callback for a cancelled job');
+            expectEqual(await queue.get('webhook_smart_cancelled'), null, 'No delivery queued');
+        });
+    });
+
+    await runTest('A public hostname that resolves to a private address is refused when the delivery connects', async () => {
+        await withReceiver([200], async receiver => {
+            const resolved = [];
+            const lookup = (hostname, options, callback) => {
+                resolved.push(hostname);
+                callback(null, [{ address: '93.184.216.34', family: 4 }, { address: '127.0.0.1', family: 4 }]);
+            };
+            const { queue } = createWebhookQueue(RESULTS, { webhooks: { allowPrivate: false, maxAttempts: 1, lookup } });
+            const callbackUrl = receiver.url.replace('127.0.0.1', 'hooks.example.test');
+            expectEqual(validateCallbackUrl(callbackUrl, { allowPrivate: false }), null, 'Hostname passes the URL check');
+
+            await queue.enqueue('smart_search', { neighborhood: 'east-village', callbackUrl }, { jobId: 'smart_1' });
+            await queue.idle();
+
+            expectEqual(resolved.join(','), 'hooks.example.test', 'Resolved when connecting');
+            expectEqual(receiver.requests.length, 0, 'Nothing sent');
+            const delivery = await queue.get('webhook_smart_1');
+            expectEqual(delivery.status, 'failed', 'Delivery failed');
+            expectEqual(delivery.error, 'callbackUrl host hooks.example.test resolves to a private network address (127.0.0.1)', 'Error');
+        });
+    });
+
+    console.log(`\n📊 Webhook tests: ${testResults.passed} passed, ${testResults.failed} failed`);
+    return testResults;
+}
+
+// Run the script
+if (require.main === module) {
+    runWebhookTests()
+        .then(results => process.exit(results.failed > 0 ? 1 : 0))
+        .catch(error => {
+            console.error('💥 Webhook tests crashed:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = { runWebhookTests };
@@ -1,8 +1,11 @@
 const RedfinAPIScraper = require('./redfin-scraper.js');
 
 class UndervaluedPropertyFinder {
-    constructor() {
-        this.scraper = new RedfinAPIScraper();
+    /**
+     * @param {Object} options - { scraper } or RedfinAPIScraper options ({ http, rateLimitDelay, boroughDelay })
+     */
+    constructor(options = {}) {
+        this.scraper = options.scraper || new RedfinAPIScraper(options);
         
         // Market analysis cache to avoid recalculating
         this.marketCache = new Map();
@@ -99,6 +102,7 @@ class UndervaluedPropertyFinder {
 
             return {
                 location: location,
+                region: allListings.region,
                 timestamp: new Date().toISOString(),
                 settings: settings,
                 marketData: marketData,
@@ -568,7 +572,7 @@ class UndervaluedPropertyFinder {
     formatForDatabase(results) {
         return results.undervaluedProperties.map(property => ({
             address: property.address,
-            price: `${property.price.toLocaleString()}`,
+            price: `$${property.price.toLocaleString()}`,
             beds: property.beds?.toString() || null,
             sqft: property.sqft?.toString() || null,
             zip: property.zip,
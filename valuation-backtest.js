@@ -0,0 +1,537 @@
+// valuation-backtest.js
+// VALUATION BACKTEST - were the undervaluation models right, judged by what happened to the listings later
+//
+// Replays a neighborhood as it stood on past dates and runs one model as of each date:
+//   claude   EnhancedClaudeMarketAnalyzer.analyzeRentalsUndervaluation (rentals; stored analyses reused via AnalysisCache)
+//   engine   AdvancedRentalValuationEngine.calculateTrueMarketValue (rentals)
+//   finder   UndervaluedPropertyFinder.analyzeProperty (price per sqft; rentals or sales)
+// A snapshot is rebuilt from listing_price_events (price-history.js): every listing on the market at
+// that date at its asking price then, with bedrooms/sqft/amenities from the market cache (current
+// values - the cache keeps no history of them). Each listing is valued once, in the first snapshot it
+// appears in, against the rest of that snapshot as its comparables.
+// What happened next decides whether it really was undervalued: it rented / sold within --quick-days
+// (default 14) of the snapshot without a price cut first. Listings whose outcome is not known yet
+// (still listed and snapshot less than --quick-days ago) are left out of the scores.
+// Reported: precision / recall of the "undervalued" label at --threshold (default 15) and at the
+// SWEEP_THRESHOLDS, calibration of the confidence score (hit rate per confidence band among flagged
+// listings), median error of the estimate against the final asking price, and days to close / cut rate
+// for flagged vs other listings.
+//   node valuation-backtest.js <neighborhood> [--model=engine] [--type=rental] [--threshold=15]
+//       [--quick-days=14] [--every=7] [--from=YYYY-MM-DD] [--to=YYYY-MM-DD] [--json]
+require('dotenv').config();
+
+const { createStorage } = require('./storage.js');
+const { createLLMClient } = require('./llm-client.js');
+const EnhancedClaudeMarketAnalyzer = require('./claude-market-analyzer.js');
+const { AdvancedRentalValuationEngine } = require('./biweekly-streeteasy-rentals.js');
+const UndervaluedPropertyFinder = require('./undervalued-property-finder.js');
+const AnalysisCache = require('./analysis-cache.js');
+const { LISTING_TYPES } = require('./price-history.js');
+const { withQuietConsole } = require('./engine-parity.js');
+
+const BACKTEST_MODELS = {
+    claude: { listingTypes: ['rental'] },
+    engine: { listingTypes: ['rental'] },
+    finder: { listingTypes: ['rental', 'sale'] }
+};
+const DEFAULT_THRESHOLD = 15;
+const DEFAULT_QUICK_DAYS = 14;
+const DEFAULT_STEP_DAYS = 7;
+const SWEEP_THRESHOLDS = [10, 15, 20, 25, 30];
+const CONFIDENCE_BANDS = [[0, 50], [50, 60], [60, 70], [70, 80], [80, 90], [90, 100]];
+const ON_MARKET_EVENTS = ['first_seen', 'price_cut', 'price_raise', 'relisted'];
+const CLOSED_EVENTS = ['likely_rented', 'likely_sold'];
+const CLAUDE_MIN_CONFIDENCE = 60;      // analyzeRentalsUndervaluation
+const FINDER_MAX_DAYS_ON_MARKET = 90;  // UndervaluedPropertyFinder.findUndervaluedProperties default
+const CACHE_TABLES = { rental: 'rental_market_cache', sale: 'sales_market_cache' };
+const ID_CHUNK_SIZE = 200;   // listing ids per .in() filter (PostgREST URL length)
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round1 = value => Math.round(value * 10) / 10;
+const percentOf = (count, total) => (total > 0 ? round1(count / total * 100) : null);
+
+function chunk(items, size) {
+    const chunks = [];
+    for (let index = 0; index < items.length; index += size) {
+        chunks.push(items.slice(index, index + size));
+    }
+    return chunks;
+}
+
+function median(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 1 ? sorted[middle] : round1((sorted[middle - 1] + sorted[middle]) / 2);
+}
+
+/**
+ * A listing as of `atMs` from its events (oldest first): null unless it was on the market then
+ */
+function listingAsOf(events, atMs) {
+    const past = events.filter(event => new Date(event.observed_at).getTime() <= atMs);
+    if (past.length === 0 || !ON_MARKET_EVENTS.includes(past[past.length - 1].event_type)) return null;
+
+    const priced = past.filter(event => event.price > 0);
+    if (priced.length === 0) return null;
+
+    return {
+        price: Number(priced[priced.length - 1].price),
+        firstSeenAt: past[0].observed_at,
+        daysOnMarket: Math.floor((atMs - new Date(past[0].observed_at).getTime()) / DAY_MS)
+    };
+}
+
+/**
+ * What happened to a listing after `atMs`: closed (rented / sold) and when, a price cut before that,
+ * the final asking price, and whether it counts as undervalued in hindsight
+ */
+function outcomeAfter(events, atMs, quickDays, nowMs) {
+    let closedAt = null;
+    let priceCut = false;
+    let finalPrice = null;
+
+    for (const event of events) {
+        const eventMs = new Date(event.observed_at).getTime();
+        if (event.price > 0) finalPrice = Number(event.price);
+        if (eventMs <= atMs) continue;
+
+        if (CLOSED_EVENTS.includes(event.event_type)) {
+            closedAt = event.observed_at;
+            break;
+        }
+        if (event.event_type === 'price_cut' || (event.event_type === 'relisted' && event.change_amount < 0)) priceCut = true;
+    }
+
+    const daysToClose = closedAt ? Math.floor((new Date(closedAt).getTime() - atMs) / DAY_MS) : null;
+    const closedQuickly = daysToClose !== null && daysToClose <= quickDays;
+    return {
+        closedAt,
+        daysToClose,
+        priceCut,
+        finalPrice,
+        resolved: closedQuickly || nowMs - atMs >= quickDays * DAY_MS,
+        undervalued: closedQuickly && !priceCut
+    };
+}
+
+/**
+ * Whether a prediction carries the "undervalued" label at `threshold`: discount at or above it and
+ * the model's other conditions met (confidence floor; for the finder, days on market)
+ */
+function flaggedAt(row, threshold) {
+    return !row.failed && row.eligible && row.discount >= threshold;
+}
+
+function confusion(rows, threshold) {
+    const counts = { truePositives: 0, falsePositives: 0, falseNegatives: 0, trueNegatives: 0 };
+    for (const row of rows) {
+        const flagged = flaggedAt(row, threshold);
+        if (flagged && row.outcome.undervalued) counts.truePositives++;
+        else if (flagged) counts.falsePositives++;
+        else if (row.outcome.undervalued) counts.falseNegatives++;
+        else counts.trueNegatives++;
+    }
+
+    const precision = percentOf(counts.truePositives, counts.truePositives + counts.falsePositives);
+    const recall = percentOf(counts.truePositives, counts.truePositives + counts.falseNegatives);
+    return {
+        ...counts,
+        flagged: counts.truePositives + counts.falsePositives,
+        precision,
+        recall,
+        // a model that gets every flag wrong scores 0, not "not enough data"
+        f1: precision === null || recall === null ? null
+            : precision + recall === 0 ? 0 : round1(2 * precision * recall / (precision + recall))
+    };
+}
+
+function outcomeSummary(rows) {
+    const closed = rows.filter(row => row.outcome.daysToClose !== null);
+    return {
+        listings: rows.length,
+        medianDaysToClose: median(closed.map(row => row.outcome.daysToClose)),
+        undervaluedPercent: percentOf(rows.filter(row => row.outcome.undervalued).length, rows.length),
+        priceCutPercent: percentOf(rows.filter(row => row.outcome.priceCut).length, rows.length)
+    };
+}
+
+/**
+ * Scores for backtest rows: the label at `threshold` and across SWEEP_THRESHOLDS, confidence
+ * calibration among flagged listings, estimate error against the final asking price
+ */
+function scoreBacktest(rows, threshold = DEFAULT_THRESHOLD) {
+    const scored = rows.filter(row => !row.failed && row.outcome.resolved);
+    const flagged = scored.filter(row => flaggedAt(row, threshold));
+    const closed = scored.filter(row => row.outcome.closedAt && row.outcome.finalPrice > 0 && row.estimate > 0);
+
+    const calibration = CONFIDENCE_BANDS
+        .map(([min, max]) => {
+            const inBand = flagged.filter(row => row.confidence >= min && (row.confidence < max || max === 100));
+            return {
+                confidence: `${min}-${max}`,
+                flagged: inBand.length,
+                meanConfidence: inBand.length > 0 ? round1(inBand.reduce((sum, row) => sum + row.confidence, 0) / inBand.length) : null,
+                hitRate: percentOf(inBand.filter(row => row.outcome.undervalued).length, inBand.length)
+            };
+        })
+        .filter(band => band.flagged > 0);
+    const calibrationError = flagged.length > 0
+        ? round1(calibration.reduce((sum, band) => sum + Math.abs(band.meanConfidence - band.hitRate) * band.flagged, 0) / flagged.length)
+        : null;
+
+    return {
+        predictions: rows.length,
+        failed: rows.filter(row => row.failed).length,
+        unresolved: rows.filter(row => !row.failed && !row.outcome.resolved).length,
+        scored: scored.length,
+        actuallyUndervalued: scored.filter(row => row.outcome.undervalued).length,
+        ...confusion(scored, threshold),
+        thresholds: SWEEP_THRESHOLDS.map(sweep => {
+            const { flagged: count, precision, recall, f1 } = confusion(scored, sweep);
+            return { threshold: sweep, flagged: count, precision, recall, f1 };
+        }),
+        calibration,
+        calibrationError,
+        medianEstimateErrorPercent: median(closed.map(row => round1(Math.abs(row.estimate - row.outcome.finalPrice) / row.outcome.finalPrice * 100))),
+        flaggedOutcomes: outcomeSummary(flagged),
+        otherOutcomes: outcomeSummary(scored.filter(row => !flaggedAt(row, threshold)))
+    };
+}
+
+/**
+ * Snapshot dates from `fromMs` to `toMs`, every `stepDays`
+ */
+function snapshotDates(fromMs, toMs, stepDays) {
+    const dates = [];
+    for (let atMs = fromMs; atMs <= toMs; atMs += stepDays * DAY_MS) dates.push(atMs);
+    return dates;
+}
+
+class ValuationBacktest {
+    /**
+     * @param {Object} storage - storage.js backend (or a supabase-js client)
+     * @param {Object} options - { now, llm (claude model; default createLLMClient()), analysisCache }
+     */
+    constructor(storage, options = {}) {
+        this.storage = storage;
+        this.now = options.now || (() => new Date());
+        this.llm = options.llm || null;
+        this.analysisCache = options.analysisCache || null;
+    }
+
+    /**
+     * Backtest one model on one neighborhood
+     * @param {Object} options - { neighborhood, model, listingType, threshold, quickDays, stepDays, from, to, quiet }
+     * @returns {Object} run settings, scoreBacktest() scores and a row per valued listing
+     */
+    async run(options = {}) {
+        const model = options.model || 'engine';
+        const listingType = options.listingType || 'rental';
+        const threshold = options.threshold ?? DEFAULT_THRESHOLD;
+        const quickDays = options.quickDays || DEFAULT_QUICK_DAYS;
+        const stepDays = options.stepDays || DEFAULT_STEP_DAYS;
+        const { neighborhood } = options;
+
+        if (!neighborhood) throw new Error('A neighborhood is required');
+        if (!BACKTEST_MODELS[model]) throw new Error(`Unknown model "${model}". Expected one of: ${Object.keys(BACKTEST_MODELS).join(', ')}`);
+        if (!BACKTEST_MODELS[model].listingTypes.includes(listingType)) {
+            throw new Error(`The ${model} model values ${BACKTEST_MODELS[model].listingTypes.join(' / ')} listings, not ${listingType}`);
+        }
+
+        const nowMs = this.now().getTime();
+        const histories = await this.loadHistories(listingType, neighborhood);
+        const details = await this.loadDetails(listingType, [...histories.keys()]);
+
+        const firstEventMs = Math.min(...[...histories.values()].map(events => new Date(events[0].observed_at).getTime()));
+        const fromMs = options.from ? new Date(options.from).getTime() : firstEventMs;
+        const toMs = options.to ? new Date(options.to).getTime() : nowMs;
+        const dates = histories.size > 0 ? snapshotDates(fromMs, Math.min(toMs, nowMs), stepDays) : [];
+
+        const valued = new Set();
+        const rows = [];
+        let snapshots = 0;
+
+        await withQuietConsole(options.quiet ?? true, async () => {
+            const predictor = this.createPredictor(model, threshold);
+
+            for (const atMs of dates) {
+                const listings = [];
+                for (const [listingId, events] of histories) {
+                    const asOf = listingAsOf(events, atMs);
+                    if (asOf && details.has(listingId)) listings.push({ ...details.get(listingId), ...asOf });
+                }
+
+                const fresh = listings.filter(listing => !valued.has(listing.id));
+                if (fresh.length === 0) continue;
+                snapshots++;
+
+                const predict = await predictor.forSnapshot(listings, neighborhood, listingType);
+                for (const listing of fresh) {
+                    valued.add(listing.id);
+                    const prediction = await predict(listing);
+                    const row = {
+                        listingId: listing.id,
+                        address: listing.address,
+                        snapshotAt: new Date(atMs).toISOString(),
+                        price: listing.price,
+                        daysOnMarket: listing.daysOnMarket,
+                        ...prediction,
+                        outcome: outcomeAfter(histories.get(listing.id), atMs, quickDays, nowMs)
+                    };
+                    row.flagged = flaggedAt(row, threshold);
+                    rows.push(row);
+                }
+            }
+        });
+
+        return {
+            model,
+            listingType,
+            neighborhood,
+            threshold,
+            quickDays,
+            stepDays,
+            from: dates.length > 0 ? new Date(dates[0]).toISOString() : null,
+            to: dates.length > 0 ? new Date(dates[dates.length - 1]).toISOString() : null,
+            snapshots,
+            listingsWithoutDetails: [...histories.keys()].filter(id => !details.has(id)).length,
+            ...scoreBacktest(rows, threshold),
+            rows
+        };
+    }
+
+    /**
+     * { forSnapshot(listings, neighborhood, listingType) → predict(listing) → { failed, error, estimate, discount, confidence, eligible } }
+     */
+    createPredictor(model, threshold) {
+        const failed = error => ({ failed: true, error, estimate: null, discount: null, confidence: null, eligible: false });
+        const prediction = (estimate, price, confidence, eligible) => ({
+            failed: false,
+            estimate: Math.round(estimate),
+            discount: round1((estimate - price) / estimate * 100),
+            confidence,
+            eligible
+        });
+
+        if (model === 'engine') {
+            const engine = new AdvancedRentalValuationEngine();
+            const { EXACT_MATCH, BED_BATH_SPECIFIC, BED_SPECIFIC } = engine.VALUATION_METHODS;
+            // The confidence floors analyzeRentalUndervaluation applies per valuation method
+            const minConfidence = method => ([EXACT_MATCH, BED_BATH_SPECIFIC].includes(method) ? 70 : method === BED_SPECIFIC ? 60 : 50);
+            const asEngineListing = listing => ({ ...listing, monthlyRent: listing.price });
+
+            return {
+                forSnapshot: async (listings, neighborhood) => async listing => {
+                    const comparables = listings.filter(other => other.id !== listing.id).map(asEngineListing);
+                    const valuation = engine.calculateTrueMarketValue(asEngineListing(listing), comparables, neighborhood);
+                    if (!valuation.success || !(valuation.estimatedMarketRent > 0)) return failed(valuation.reasoning || 'No estimate');
+                    return prediction(valuation.estimatedMarketRent, listing.price, valuation.confidence, valuation.confidence >= minConfidence(valuation.method));
+                }
+            };
+        }
+
+        if (model === 'claude') {
+            const analyzer = new EnhancedClaudeMarketAnalyzer({
+                llm: this.llm || createLLMClient(),
+                analysisEngine: 'claude',
+                analysisCache: this.analysisCache
+            });
+
+            return {
+                forSnapshot: async (listings, neighborhood) => async listing => {
+                    const analysis = await analyzer.analyzeRentalsUndervaluation(listing, listings, neighborhood, { undervaluationThreshold: threshold });
+                    if (analysis.method === 'claude_analysis_failed') return failed(analysis.error || analysis.reasoning);
+                    return prediction(analysis.estimatedMarketRent, listing.price, analysis.confidence, analysis.confidence >= CLAUDE_MIN_CONFIDENCE);
+                }
+            };
+        }
+
+        // finder: Redfin-shaped listings without a url, so analyzeProperty fetches no details
+        const finder = new UndervaluedPropertyFinder();
+        const asFinderListing = listing => ({
+            address: listing.address,
+            price: listing.price,
+            square_feet: listing.sqft,
+            beds: listing.bedrooms,
+            baths: listing.bathrooms,
+            zip_or_postal_code: listing.zipcode,
+            days_on_market: listing.daysOnMarket,
+            description: listing.description
+        });
+
+        return {
+            forSnapshot: async listings => {
+                let marketData = null;
+                let marketError = null;
+                try {
+                    marketData = await finder.calculateMarketComparables(listings.map(asFinderListing));
+                } catch (error) {
+                    marketError = error.message;
+                }
+
+                return async listing => {
+                    if (!marketData) return failed(marketError);
+                    const analysis = await finder.analyzeProperty(asFinderListing(listing), marketData);
+                    if (!analysis || !(analysis.expectedPrice > 0)) return failed('No price or square footage');
+
+                    // The deal score stands in for a confidence score (the finder has none)
+                    const { score } = finder.calculatePropertyScore(analysis);
+                    return prediction(analysis.expectedPrice, listing.price, Math.min(100, Math.max(0, score)),
+                        analysis.daysOnMarket <= FINDER_MAX_DAYS_ON_MARKET);
+                };
+            }
+        };
+    }
+
+    /**
+     * listing id → price events (oldest first) for a neighborhood
+     */
+    async loadHistories(listingType, neighborhood) {
+        const histories = new Map();
+        const pageSize = 1000;
+
+        for (let offset = 0; ; offset += pageSize) {
+            const { data, error } = await this.storage
+                .from('listing_price_events')
+                .select('listing_id, event_type, price, change_amount, observed_at')
+                .eq('listing_type', listingType)
+                .eq('neighborhood', neighborhood)
+                .order('observed_at', { ascending: true })
+                .order('id', { ascending: true })
+                .range(offset, offset + pageSize - 1);
+
+            if (error) throw new Error(`Could not read listing_price_events: ${error.message}`);
+            for (const event of data || []) {
+                if (!histories.has(event.listing_id)) histories.set(event.listing_id, []);
+                histories.get(event.listing_id).push(event);
+            }
+            if (!data || data.length < pageSize) return histories;
+        }
+    }
+
+    /**
+     * listing id → listing attributes from the market cache, shaped like the pipelines' cached listings
+     */
+    async loadDetails(listingType, listingIds) {
+        const details = new Map();
+        for (const ids of chunk(listingIds, ID_CHUNK_SIZE)) {
+            const { data, error } = await this.storage
+                .from(CACHE_TABLES[listingType])
+                .select('*')
+                .in('listing_id', ids)
+                .not('address', 'is', null);
+
+            if (error) throw new Error(`Could not read ${CACHE_TABLES[listingType]}: ${error.message}`);
+            for (const row of data || []) {
+                details.set(row.listing_id, {
+                    id: row.listing_id,
+                    address: row.address,
+                    bedrooms: row.bedrooms,
+                    bathrooms: row.bathrooms,
+                    sqft: row.sqft,
+                    neighborhood: row.neighborhood,
+                    amenities: row.amenities || [],
+                    description: row.description || '',
+                    noFee: row.no_fee || false,
+                    zipcode: row.zipcode,
+                    builtIn: row.built_in,
+                    propertyType: row.property_type || (listingType === 'sale' ? 'unknown' : 'apartment')
+                });
+            }
+        }
+        return details;
+    }
+}
+
+/**
+ * Human-readable backtest report
+ */
+function formatBacktestReport(report) {
+    const percent = value => (value === null ? 'n/a' : `${value}%`);
+    const lines = [
+        `🧪 Backtest: ${report.model} model, ${report.neighborhood} ${report.listingType}s, ${report.threshold}% threshold`,
+        `   ${report.snapshots} snapshots every ${report.stepDays}d (${report.from ? report.from.slice(0, 10) : 'n/a'} → ${report.to ? report.to.slice(0, 10) : 'n/a'}), ` +
+            `${report.predictions} listings valued, ${report.failed} failed, ${report.unresolved} too recent, ${report.listingsWithoutDetails} without cached details`,
+        `   Undervalued in hindsight: ${report.actuallyUndervalued}/${report.scored} ${report.listingType === 'sale' ? 'sold' : 'rented'} within ${report.quickDays}d without a price cut`,
+        `🎯 Precision ${percent(report.precision)} · recall ${percent(report.recall)} · F1 ${report.f1 ?? 'n/a'} ` +
+            `(${report.truePositives} TP, ${report.falsePositives} FP, ${report.falseNegatives} FN, ${report.trueNegatives} TN)`,
+        `📐 By threshold: ${report.thresholds.map(sweep => `${sweep.threshold}% → P ${percent(sweep.precision)} / R ${percent(sweep.recall)} (${sweep.flagged})`).join(' · ')}`
+    ];
+
+    if (report.calibration.length > 0) {
+        lines.push(`📏 Calibration (flagged): ${report.calibration.map(band => `${band.confidence} conf → ${percent(band.hitRate)} hit (${band.flagged})`).join(' · ')}` +
+            `; mean gap ${report.calibrationError} pts`);
+    }
+    if (report.medianEstimateErrorPercent !== null) {
+        lines.push(`💰 Median estimate error vs final asking price: ${report.medianEstimateErrorPercent}%`);
+    }
+
+    const outcomes = summary => `median ${summary.medianDaysToClose ?? 'n/a'}d to close, ${percent(summary.undervaluedPercent)} undervalued in hindsight, ${percent(summary.priceCutPercent)} cut`;
+    lines.push(`⏱️ Flagged (${report.flaggedOutcomes.listings}): ${outcomes(report.flaggedOutcomes)} | others (${report.otherOutcomes.listings}): ${outcomes(report.otherOutcomes)}`);
+    return lines.join('\n');
+}
+
+/**
+ * run() options from CLI flags; throws on a value that is not a positive number or a date
+ */
+function parseBacktestFlags(flags, neighborhood) {
+    const positive = (name, fallback) => {
+        if (flags[name] === undefined) return fallback;
+        const value = Number(flags[name]);
+        if (!(value > 0)) throw new Error(`--${name} must be a positive number`);
+        return value;
+    };
+    const date = name => {
+        if (flags[name] === undefined) return undefined;
+        if (isNaN(new Date(flags[name]).getTime())) throw new Error(`--${name} must be a date (YYYY-MM-DD)`);
+        return flags[name];
+    };
+
+    const listingType = flags.type || 'rental';
+    if (!LISTING_TYPES.includes(listingType)) throw new Error(`--type must be one of: ${LISTING_TYPES.join(', ')}`);
+
+    return {
+        neighborhood,
+        model: flags.model || 'engine',
+        listingType,
+        threshold: positive('threshold', DEFAULT_THRESHOLD),
+        quickDays: positive('quick-days', DEFAULT_QUICK_DAYS),
+        stepDays: positive('every', DEFAULT_STEP_DAYS),
+        from: date('from'),
+        to: date('to')
+    };
+}
+
+// Main execution
+async function main() {
+    const args = process.argv.slice(2);
+    const flags = Object.fromEntries(
+        args.filter(arg => arg.startsWith('--'))
+            .map(arg => arg.slice(2).split('='))
+            .map(([key, value]) => [key, value === undefined ? true : value])
+    );
+    const options = parseBacktestFlags(flags, args.find(arg => !arg.startsWith('--')));
+
+    const storage = createStorage({ key: process.env.SUPABASE_SERVICE_ROLE_KEY });
+    const backtest = new ValuationBacktest(storage, { analysisCache: new AnalysisCache(storage) });
+    const report = await backtest.run(options);
+    console.log(flags.json ? JSON.stringify(report, null, 2) : formatBacktestReport(report));
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('💥 Backtest failed:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = ValuationBacktest;
+module.exports.ValuationBacktest = ValuationBacktest;
+module.exports.scoreBacktest = scoreBacktest;
+module.exports.listingAsOf = listingAsOf;
+module.exports.outcomeAfter = outcomeAfter;
+module.exports.formatBacktestReport = formatBacktestReport;
+module.exports.parseBacktestFlags = parseBacktestFlags;
+module.exports.BACKTEST_MODELS = BACKTEST_MODELS;
+module.exports.SWEEP_THRESHOLDS = SWEEP_THRESHOLDS;
@@ -0,0 +1,305 @@
+// webhook-delivery.js
+// WEBHOOK CALLBACKS - POST a smart search's final results to the callbackUrl it was started with
+//
+// POST /api/search/smart accepts callbackUrl. When the job completes (or fails for good) a
+// webhook_delivery job is queued on the same durable job queue, so deliveries survive a restart and
+// retry with the queue's backoff (JOB_RETRY_DELAY_SECONDS, doubling) up to WEBHOOK_MAX_ATTEMPTS
+// (default 5). Any non-2xx answer or network error counts as a failed attempt. Every attempt is
+// logged in webhook_deliveries against the job's ai_agent_fetches row.
+//
+// Body: { event: 'smart_search.completed' | 'smart_search.failed', jobId, status, data | error, sentAt }
+// where data is exactly what GET /api/results/:jobId returns. Headers:
+//   X-Webhook-Event, X-Webhook-Delivery (stable across retries), X-Webhook-Attempt,
+//   X-Webhook-Timestamp (unix seconds) and
+//   X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>">
+// keyed with WEBHOOK_SECRET (falls back to VC_API_KEY). Receivers check it with
+// verifyWebhookSignature() and reject timestamps older than a few minutes.
+//
+// callbackUrl must be http(s); localhost and private network addresses are refused unless
+// WEBHOOK_ALLOW_PRIVATE=true, so the API cannot be pointed at its own network. The URL's host is
+// checked when the callback is accepted, and every address it resolves to is checked again when
+// the delivery connects (so a public name pointing at 127.0.0.1, or re-pointed there after the
+// first check, is refused too). Redirects are never followed.
+require('dotenv').config();
+
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+const WEBHOOK_JOB_TYPE = 'webhook_delivery';
+const DEFAULT_TOLERANCE_SECONDS = 300;
+
+/**
+ * sha256=<hex> signature of "<timestamp>.<body>"
+ */
+function signWebhookPayload(body, secret, timestamp) {
+    const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `sha256=${digest}`;
+}
+
+/**
+ * Receiver-side check of a delivery: signature over the raw body, timestamp within tolerance
+ * @param {Object} options - { toleranceSeconds (default 300), now (ms) }
+ */
+function verifyWebhookSignature(body, signature, timestamp, secret, options = {}) {
+    const tolerance = options.toleranceSeconds ?? DEFAULT_TOLERANCE_SECONDS;
+    const nowSeconds = Math.floor((options.now ?? Date.now()) / 1000);
+    if (!signature || !timestamp || Math.abs(nowSeconds - parseInt(timestamp)) > tolerance) {
+        return false;
+    }
+
+    const expected = Buffer.from(signWebhookPayload(body, secret, timestamp));
+    const actual = Buffer.from(String(signature));
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+function isPrivateHost(hostname) {
+    let host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    if (host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.internal')) return true;
+
+    // IPv4-mapped IPv6 (::ffff:127.0.0.1, which URL rewrites to ::ffff:7f00:1) is its IPv4 address
+    const mapped = host.match(/^::ffff:(?:(\d+\.\d+\.\d+\.\d+)|([0-9a-f]{1,4}):([0-9a-f]{1,4}))$/);
+    if (mapped) {
+        host = mapped[1] || [parseInt(mapped[2], 16) >> 8, parseInt(mapped[2], 16) & 255,
+            parseInt(mapped[3], 16) >> 8, parseInt(mapped[3], 16) & 255].join('.');
+    }
+
+    if (net.isIPv4(host)) {
+        const [a, b] = host.split('.').map(Number);
+        return a === 10 || a === 127 || a === 0 ||
+            (a === 100 && b >= 64 && b <= 127) ||    // carrier-grade NAT 100.64.0.0/10
+            (a === 169 && b === 254) ||
+            (a === 172 && b >= 16 && b <= 31) ||
+            (a === 192 && b === 168) ||
+            (a === 198 && (b === 18 || b === 19));  // benchmarking 198.18.0.0/15
+    }
+    if (net.isIPv6(host)) {
+        return host === '::1' || host === '::' || host.startsWith('fc') || host.startsWith('fd') || host.startsWith('fe80');
+    }
+    return false;
+}
+
+/**
+ * dns.lookup-compatible resolver for the delivery sockets that fails when any address the host
+ * resolves to is private, so the address connected to is the address that was checked
+ * @param {Function} lookup - underlying resolver (default dns.lookup)
+ */
+function createGuardedLookup(lookup = dns.lookup) {
+    return (hostname, options, callback) => {
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+        const lookupOptions = typeof options === 'number' ? { family: options } : options;
+
+        lookup(hostname, { ...lookupOptions, all: true }, (error, addresses) => {
+            if (error) return callback(error);
+
+            const blocked = addresses.find(entry => isPrivateHost(entry.address));
+            if (blocked) {
+                const refused = new Error(`callbackUrl host ${hostname} resolves to a private network address (${blocked.address})`);
+                refused.code = 'EPRIVATEADDRESS';
+                return callback(refused);
+            }
+            if (lookupOptions.all) return callback(null, addresses);
+            callback(null, addresses[0].address, addresses[0].family);
+        });
+    };
+}
+
+/**
+ * Why a callbackUrl cannot be used, or null when it can
+ * @param {Object} options - { allowPrivate (default WEBHOOK_ALLOW_PRIVATE) }
+ */
+function validateCallbackUrl(callbackUrl, options = {}) {
+    const allowPrivate = options.allowPrivate ?? process.env.WEBHOOK_ALLOW_PRIVATE === 'true';
+
+    let url;
+    try {
+        url = new URL(callbackUrl);
+    } catch (error) {
+        return 'callbackUrl must be an absolute http(s) URL';
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+        return 'callbackUrl must be an absolute http(s) URL';
+    }
+    if (url.username || url.password) {
+        return 'callbackUrl must not contain credentials';
+    }
+    if (!allowPrivate && isPrivateHost(url.hostname)) {
+        return 'callbackUrl must not point at localhost or a private network address';
+    }
+    return null;
+}
+
+class WebhookDelivery {
+    /**
+     * @param {Object} storage - storage.js backend (webhook_deliveries, ai_agent_fetches)
+     * @param {Object} options - { http (axios-like), secret, maxAttempts, timeoutMs, allowPrivate,
+     *   lookup (dns.lookup-compatible resolver the private address check runs on) }
+     */
+    constructor(storage, options = {}) {
+        this.storage = storage;
+        this.http = options.http || require('axios');
+        this.secret = options.secret || process.env.WEBHOOK_SECRET || process.env.VC_API_KEY;
+        this.maxAttempts = options.maxAttempts ?? (parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5);
+        this.timeoutMs = options.timeoutMs ?? (parseFloat(process.env.WEBHOOK_TIMEOUT_SECONDS) || 10) * 1000;
+        this.allowPrivate = options.allowPrivate;
+        this.jobQueue = null;
+
+        const lookup = createGuardedLookup(options.lookup);
+        this.guardedAgents = {
+            httpAgent: new http.Agent({ lookup }),
+            httpsAgent: new https.Agent({ lookup })
+        };
+
+        if (!this.secret) {
+            console.warn('⚠️ No WEBHOOK_SECRET (or VC_API_KEY) set - callback deliveries will be unsigned');
+        }
+    }
+
+    /**
+     * Deliver webhooks through jobQueue (pass jobFinished as its onFinished hook)
+     */
+    attach(jobQueue) {
+        this.jobQueue = jobQueue;
+        jobQueue.register(WEBHOOK_JOB_TYPE, (params, job) => this.deliver(params, job));
+        return this;
+    }
+
+    validateCallbackUrl(callbackUrl) {
+        return validateCallbackUrl(callbackUrl, { allowPrivate: this.allowPrivate });
+    }
+
+    /**
+     * Job queue onFinished hook: queue the callback for a finished job that asked for one
+     */
+    async jobFinished(job) {
+        const callbackUrl = job.params?.callbackUrl;
+        if (job.type === WEBHOOK_JOB_TYPE || !callbackUrl || !this.jobQueue) return null;
+
+        const payload = job.status === 'completed'
+            ? { event: `${job.type}.completed`, jobId: job.job_id, status: 'completed', data: job.result }
+            : { event: `${job.type}.${job.status}`, jobId: job.job_id, status: job.status, error: job.error || null };
+
+        const delivery = await this.jobQueue.enqueue(WEBHOOK_JOB_TYPE, { url: callbackUrl, jobId: job.job_id, payload }, {
+            jobId: `webhook_${job.job_id}`,
+            maxAttempts: this.maxAttempts
+        });
+        console.log(`🔔 Callback for job ${job.job_id} queued (${payload.event} → ${new URL(callbackUrl).host})`);
+        return delivery;
+    }
+
+    /**
+     * webhook_delivery job handler - one signed POST; throws on failure so the queue retries
+     */
+    async deliver(params, job) {
+        const sentAt = new Date();
+        const body = JSON.stringify({ ...params.payload, sentAt: sentAt.toISOString() });
+        const timestamp = String(Math.floor(sentAt.getTime() / 1000));
+        const headers = {
+            'Content-Type': 'application/json',
+            'User-Agent': 'nyc-smart-search-webhooks/1.0',
+            'X-Webhook-Event': params.payload.event,
+            'X-Webhook-Delivery': job.jobId,
+            'X-Webhook-Attempt': String(job.attempt),
+            'X-Webhook-Timestamp': timestamp
+        };
+        if (this.secret) headers['X-Webhook-Signature'] = signWebhookPayload(body, this.secret, timestamp);
+
+        const problem = this.validateCallbackUrl(params.url);
+        let statusCode = null;
+        let failure = problem;
+        const started = Date.now();
+
+        if (!problem) {
+            const allowPrivate = this.allowPrivate ?? process.env.WEBHOOK_ALLOW_PRIVATE === 'true';
+            try {
+                const response = await this.http.post(params.url, body, {
+                    ...(allowPrivate ? {} : this.guardedAgents),
+                    headers,
+                    timeout: this.timeoutMs,
+                    maxRedirects: 0,
+                    validateStatus: () => true,
+                    transformRequest: [data => data]   // send the exact bytes that were signed
+                });
+                statusCode = response.status;
+                if (statusCode < 200 || statusCode >= 300) failure = `Callback answered HTTP ${statusCode}`;
+            } catch (error) {
+                failure = error.message;
+            }
+        }
+
+        await this.logAttempt({
+            jobId: params.jobId,
+            deliveryId: job.jobId,
+            event: params.payload.event,
+            url: params.url,
+            attempt: job.attempt,
+            success: !failure,
+            statusCode,
+            error: failure,
+            durationMs: Date.now() - started
+        });
+
+        if (failure) throw new Error(failure);
+        console.log(`🔔 Callback for job ${params.jobId} delivered (HTTP ${statusCode}, attempt ${job.attempt})`);
+        return { statusCode, attempt: job.attempt, deliveredAt: sentAt.toISOString() };
+    }
+
+    /**
+     * One webhook_deliveries row per attempt, linked to the job's fetch record when it has one
+     */
+    async logAttempt(attempt) {
+        try {
+            const { data: fetchRecord } = await this.storage
+                .from('ai_agent_fetches')
+                .select('id')
+                .eq('job_id', attempt.jobId)
+                .maybeSingle();
+
+            const { error } = await this.storage
+                .from('webhook_deliveries')
+                .insert({
+                    fetch_id: fetchRecord?.id || null,
+                    job_id: attempt.jobId,
+                    delivery_id: attempt.deliveryId,
+                    event: attempt.event,
+                    url: attempt.url,
+                    attempt: attempt.attempt,
+                    success: attempt.success,
+                    status_code: attempt.statusCode,
+                    error: attempt.error,
+                    duration_ms: attempt.durationMs,
+                    attempted_at: new Date().toISOString()
+                });
+
+            if (error) throw error;
+        } catch (error) {
+            console.warn(`⚠️ Failed to log callback attempt for job ${attempt.jobId}:`, error.message);
+        }
+    }
+
+    /**
+     * Delivery attempts for a job, oldest first
+     */
+    async getDeliveries(jobId) {
+        const { data, error } = await this.storage
+            .from('webhook_deliveries')
+            .select('*')
+            .eq('job_id', jobId)
+            .order('attempt', { ascending: true });
+
+        if (error) throw new Error(`Could not read callback deliveries for ${jobId}: ${error.message}`);
+        return data || [];
+    }
+}
+
+module.exports = WebhookDelivery;
+module.exports.WebhookDelivery = WebhookDelivery;
+module.exports.signWebhookPayload = signWebhookPayload;
+module.exports.verifyWebhookSignature = verifyWebhookSignature;
+module.exports.validateCallbackUrl = validateCallbackUrl;
+module.exports.WEBHOOK_JOB_TYPE = WEBHOOK_JOB_TYPE;